@@ -3,8 +3,23 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const proposalApi = require('./proposalApi');
+const staffApi = require('./staffApi');
+const ProposalGeneratorService = require('../services/proposalGeneratorService');
+const ProposalJobService = require('../services/proposalJobService');
+const DownloadLinkService = require('../services/downloadLinkService');
+const AuthService = require('../services/authService');
+const FeeScheduleService = require('../services/feeScheduleService');
+const ProposalDatabaseService = require('../services/proposalDatabaseService');
 require('dotenv').config();
 
+// Fail at startup rather than hand out download links other instances can't verify,
+// reject every request made with an API key, check fee schedules against a missing rate card
+// or attribute proposals generated outside a request to no one
+DownloadLinkService.assertConfigured();
+AuthService.assertConfigured();
+FeeScheduleService.assertConfigured();
+ProposalDatabaseService.assertConfigured();
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -17,8 +32,22 @@ app.use(helmet({
 // CORS configuration
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : '*',
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+  exposedHeaders: [
+    'Content-Disposition',
+    'X-Proposal-File-Name',
+    'X-Proposal-File-Size',
+    'X-Proposal-Sections-Count',
+    'X-Proposal-Page-Count',
+    'X-Proposal-Templates-Processed',
+    'X-Proposal-Location',
+    'X-Proposal-Location-Expires-At',
+    'X-Proposal-Id',
+    'X-Proposal-Version-Id',
+    'X-Proposal-Version-Label',
+    'X-Proposal-Status'
+  ]
 }));
 
 // Rate limiting
@@ -47,6 +76,7 @@ app.use((req, res, next) => {
 
 // API Routes
 app.use('/api/proposals', proposalApi);
+app.use('/api/staff', staffApi);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -70,11 +100,28 @@ app.get('/', (req, res) => {
       status: '/api/proposals/status',
       generate: 'POST /api/proposals/generate',
       generateFromFile: 'POST /api/proposals/generate-from-file',
+      preview: 'POST /api/proposals/preview',
+      submitJob: 'POST /api/proposals/jobs',
+      jobStatus: 'GET /api/proposals/jobs/:id',
+      jobResult: 'GET /api/proposals/jobs/:id/result',
+      webhookDeliveries: 'GET /api/proposals/webhooks/deliveries',
       validateTemplates: 'POST /api/proposals/validate-templates',
       downloadFile: 'GET /api/proposals/download/:filename',
       listFiles: 'GET /api/proposals/files',
+      fileDownloadLink: 'POST /api/proposals/files/:filename/download-link',
       templates: 'POST /api/proposals/templates',
-      refineProposal: 'POST /api/proposals/:proposalId/refine'
+      catalog: 'GET /api/proposals/catalog',
+      templateFields: 'GET /api/proposals/templates/:name/fields',
+      feeSchedule: 'POST /api/proposals/fee-schedule',
+      assets: 'GET /api/proposals/assets',
+      updateVersionStatus: 'PUT /api/proposals/version/:id/status',
+      versionHistory: 'GET /api/proposals/version/:id/history',
+      versionDownloadLink: 'POST /api/proposals/version/:id/download-link',
+      refineProposal: 'POST /api/proposals/:proposalId/refine',
+      listStaff: 'GET /api/staff',
+      getStaff: 'GET /api/staff/:id',
+      createStaff: 'POST /api/staff',
+      updateStaff: 'PUT /api/staff/:id'
     },
     documentation: 'See API routes for detailed usage'
   });
@@ -117,17 +164,28 @@ if (process.env.VERCEL !== '1' && require.main === module) {
     console.log(`\n✅ Ready to generate proposals!`);
   });
 
+  // Run queued background jobs in this process, unless a separate worker (npm run worker) runs them: JOB_WORKER=off
+  const jobWorker = process.env.JOB_WORKER === 'off'
+    ? null
+    : new ProposalJobService(new ProposalGeneratorService()).startWorker();
+
   // Graceful shutdown
-  process.on('SIGTERM', () => {
+  process.on('SIGTERM', async () => {
     console.log('SIGTERM received, shutting down gracefully');
+    if (jobWorker) {
+      await jobWorker.stop();
+    }
     server.close(() => {
       console.log('Process terminated');
       process.exit(0);
     });
   });
 
-  process.on('SIGINT', () => {
+  process.on('SIGINT', async () => {
     console.log('\nSIGINT received, shutting down gracefully');
+    if (jobWorker) {
+      await jobWorker.stop();
+    }
     server.close(() => {
       console.log('Process terminated');
       process.exit(0);
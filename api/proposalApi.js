@@ -1,21 +1,106 @@
 const express = require('express');
-const path = require('path');
-const fs = require('fs');
 const ProposalGeneratorService = require('../services/proposalGeneratorService');
 const ProposalDatabaseService = require('../services/proposalDatabaseService');
+const ProposalJobService = require('../services/proposalJobService');
+const AuthService = require('../services/authService');
+const WebhookService = require('../services/webhookService');
+const DocumentStorageService = require('../services/documentStorageService');
+const DownloadLinkService = require('../services/downloadLinkService');
+const TemplateRegistryService = require('../services/templateRegistryService');
+const FeeScheduleService = require('../services/feeScheduleService');
+const FieldValueService = require('../services/fieldValueService');
+const ImageProcessorService = require('../services/imageProcessorService');
+const FileUtils = require('../utils/fileUtils');
 const ValidationUtils = require('../utils/validationUtils');
 const supabase = require('../config/supabase');
 
 const router = express.Router();
 const proposalService = new ProposalGeneratorService();
+const jobService = new ProposalJobService(proposalService);
+const documentStorage = DocumentStorageService.getStorage();
+
+const requireAuth = AuthService.requireAuth();
+const requireAdmin = AuthService.requireAuth('admin');
+
+// Version statuses that only reviewers may set
+const REVIEW_STATUSES = ['approved', 'rejected'];
+
+/**
+ * Whether the client asked for the PDF itself instead of a JSON summary
+ * (?inline=true, or an Accept header preferring application/pdf)
+ */
+function wantsPdfResponse(req) {
+  return req.query.inline === 'true' || req.accepts(['application/json', 'application/pdf']) === 'application/pdf';
+}
+
+/**
+ * Send generated PDF bytes with the result summary in X-Proposal-* headers
+ * ?inline=true displays the PDF in the browser; otherwise it is sent as an attachment
+ * X-Proposal-File-Name is percent-encoded, as filenames need not be Latin-1
+ */
+function sendProposalPdf(req, res, pdfBytes, fileName, summaryHeaders) {
+  const disposition = req.query.inline === 'true' ? 'inline' : 'attachment';
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', FileUtils.contentDisposition(fileName, disposition));
+  res.setHeader('Content-Length', pdfBytes.length);
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  Object.entries(summaryHeaders)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .forEach(([name, value]) => res.setHeader(`X-Proposal-${name}`, String(value)));
+
+  res.end(pdfBytes);
+}
+
+/**
+ * Whether a user may see a job, proposal or version: its creator and reviewers can
+ */
+function canView(record, user) {
+  return record.created_by === user.id || AuthService.hasRole(user, 'reviewer');
+}
+
+/**
+ * Sign a fresh download link for a stored document
+ */
+function signDownloadLink(fileName, expiresIn = null) {
+  const { url, expiresAt } = DownloadLinkService.createSignedUrl(fileName, { expiresIn });
+  return { location: url, locationExpiresAt: expiresAt };
+}
+
+/**
+ * Check that generating to outputFileName won't overwrite someone else's document: the name must be free in
+ * document storage, or belong to a version the user created
+ * @returns {Promise<Array<string>>} Validation errors
+ */
+async function checkOutputFileName(outputFileName, user) {
+  if (outputFileName === undefined || outputFileName === null) {
+    return [];
+  }
+
+  const fileName = ValidationUtils.sanitizeFilename(outputFileName);
+  if (!await documentStorage.exists(fileName)) {
+    return [];
+  }
+
+  const ownPaths = await ProposalDatabaseService.getDocumentPathsCreatedBy(user.id);
+  return ownPaths.has(fileName) ? [] : [`outputFileName ${fileName} is already used by another document. Choose another name`];
+}
 
 /**
  * @route   POST /api/proposals/generate
  * @desc    Generate a proposal PDF from configuration
- * @access  Public
- * @body    { config: Object, outputFileName?: string } - config can be wrapped in JSON/config objects or arrays
+ * @access  Authenticated
+ * @body    { config: Object, outputFileName?: string, callbackUrl?: string, callbackSecret?: string, linkExpiresIn?: number }
+ *          config can be wrapped in JSON/config objects or arrays. With callbackUrl the request returns
+ *          202 with a job, and the result is POSTed to the URL (HMAC-signed with callbackSecret) when done;
+ *          the URL must not resolve to a private, loopback or link-local address.
+ *          linkExpiresIn sets the signed download link lifetime in seconds. outputFileName must not name a
+ *          stored document other than one of the caller's own versions
+ * @accepts application/json (default) returns the result summary;
+ *          application/pdf or ?inline=true returns the PDF, with the summary in X-Proposal-* headers
  */
-router.post('/generate', async (req, res) => {
+router.post('/generate', requireAuth, async (req, res) => {
   try {
     // Normalize config from various JSON structures first
     if (!req.body.config) {
@@ -26,6 +111,15 @@ router.post('/generate', async (req, res) => {
 
     // Validate request
     const validationErrors = ValidationUtils.validateApiRequest(req);
+    if (validationErrors.length === 0 && req.body.callbackUrl) {
+      validationErrors.push(...await WebhookService.checkCallbackUrl(req.body.callbackUrl));
+    }
+    if (validationErrors.length === 0) {
+      validationErrors.push(...await proposalService.validateContent(req.body.config));
+    }
+    if (validationErrors.length === 0) {
+      validationErrors.push(...await checkOutputFileName(req.body.outputFileName, req.user));
+    }
     if (validationErrors.length > 0) {
       return res.status(400).json(
         ValidationUtils.createErrorResponse(
@@ -36,10 +130,48 @@ router.post('/generate', async (req, res) => {
       );
     }
 
-    const { config, outputFileName } = req.body;
+    const { config, outputFileName, callbackUrl, callbackSecret, linkExpiresIn } = req.body;
+
+    // With a callback URL, generate in the background and POST the result when done
+    if (callbackUrl) {
+      const job = await jobService.submitJob(config, outputFileName, {
+        callback: { url: callbackUrl, secret: callbackSecret },
+        linkExpiresIn,
+        createdBy: req.user.id
+      });
+
+      return res.status(202).json(ValidationUtils.createSuccessResponse(
+        {
+          ...jobService.toJobSummary(job),
+          statusUrl: `/api/proposals/jobs/${job.id}`,
+          resultUrl: `/api/proposals/jobs/${job.id}/result`
+        },
+        `Proposal generation queued. The result will be sent to ${callbackUrl}`
+      ));
+    }
 
     // Generate proposal
-    const result = await proposalService.generateProposal(config, outputFileName);
+    const returnPdf = wantsPdfResponse(req);
+    const { pdfBytes, ...result } = await proposalService.generateProposal(config, outputFileName, {
+      linkExpiresIn,
+      createdBy: req.user.id,
+      includePdf: returnPdf
+    });
+
+    if (returnPdf) {
+      return sendProposalPdf(req, res, pdfBytes, result.fileName, {
+        'File-Name': encodeURIComponent(result.fileName),
+        'File-Size': result.fileSizeBytes,
+        'Sections-Count': result.sectionsCount,
+        'Templates-Processed': result.templatesProcessed,
+        'Location': result.location,
+        'Location-Expires-At': result.locationExpiresAt,
+        'Id': result.database && result.database.proposalId,
+        'Version-Id': result.database && result.database.versionId,
+        'Version-Label': result.database && result.database.versionLabel,
+        'Status': result.database && result.database.status
+      });
+    }
 
     // Return success response
     res.json(ValidationUtils.createSuccessResponse(result, 'Proposal generated successfully'));
@@ -56,18 +188,97 @@ router.post('/generate', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/proposals/preview
+ * @desc    Preview a proposal without saving it: section page ranges and a small, watermarked PDF
+ *          Nothing is written to the database or document storage
+ * @access  Authenticated
+ * @body    { config: Object } - same formats as /generate
+ * @accepts application/json (default) returns the sections with the preview PDF base64-encoded;
+ *          application/pdf or ?inline=true returns the preview PDF, with page counts in X-Proposal-* headers
+ */
+router.post('/preview', requireAuth, async (req, res) => {
+  try {
+    // Normalize config from various JSON structures first
+    if (!req.body.config) {
+      req.body.config = ValidationUtils.normalizeConfig(req.body);
+    } else {
+      req.body.config = ValidationUtils.normalizeConfig(req.body.config);
+    }
+
+    const validationErrors = ValidationUtils.validateApiRequest(req);
+    if (validationErrors.length === 0) {
+      validationErrors.push(...await proposalService.validateContent(req.body.config));
+    }
+    if (validationErrors.length > 0) {
+      return res.status(400).json(
+        ValidationUtils.createErrorResponse(
+          'Request validation failed',
+          validationErrors,
+          400
+        )
+      );
+    }
+
+    const { pdfBytes, ...preview } = await proposalService.previewProposal(req.body.config);
+
+    if (wantsPdfResponse(req)) {
+      return sendProposalPdf(req, res, pdfBytes, 'Proposal_Preview.pdf', {
+        'File-Size': pdfBytes.length,
+        'Page-Count': preview.pageCount,
+        'Sections-Count': preview.sectionsCount
+      });
+    }
+
+    res.json(ValidationUtils.createSuccessResponse(
+      {
+        ...preview,
+        pdf: {
+          contentType: 'application/pdf',
+          encoding: 'base64',
+          data: pdfBytes.toString('base64')
+        }
+      },
+      `Preview built with ${preview.sectionsCount} sections on ${preview.pageCount} pages`
+    ));
+
+  } catch (error) {
+    console.error('API Error - Preview proposal:', error);
+    res.status(500).json(
+      ValidationUtils.createErrorResponse(
+        'Failed to preview proposal',
+        [error.message],
+        500
+      )
+    );
+  }
+});
+
 /**
  * @route   POST /api/proposals/generate-from-file
  * @desc    Generate a proposal PDF from configuration file
- * @access  Public
+ * @access  Admin - configFilePath is a path on the server
  * @body    { configFilePath?: string, outputFileName?: string }
  */
-router.post('/generate-from-file', async (req, res) => {
+router.post('/generate-from-file', requireAdmin, async (req, res) => {
   try {
     const { configFilePath, outputFileName } = req.body;
 
+    const validationErrors = await checkOutputFileName(outputFileName, req.user);
+    if (validationErrors.length > 0) {
+      return res.status(400).json(
+        ValidationUtils.createErrorResponse(
+          'Request validation failed',
+          validationErrors,
+          400
+        )
+      );
+    }
+
     // Generate proposal from file
-    const result = await proposalService.generateFromConfigFile(configFilePath, outputFileName);
+    const result = await proposalService.generateFromConfigFile(configFilePath, outputFileName, {
+      createdBy: req.user.id
+    });
 
     // Return success response
     res.json(ValidationUtils.createSuccessResponse(result, 'Proposal generated from file successfully'));
@@ -84,6 +295,190 @@ router.post('/generate-from-file', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/proposals/jobs
+ * @desc    Queue proposal generation in the background and return a job ID immediately
+ *          Jobs are stored in the proposal_jobs table and run by a job worker (npm run worker, or the
+ *          in-process worker of a long-running server); poll GET /jobs/:id for progress
+ * @access  Authenticated
+ * @body    { config: Object, outputFileName?: string, callbackUrl?: string, callbackSecret?: string, linkExpiresIn?: number } - same as /generate
+ */
+router.post('/jobs', requireAuth, async (req, res) => {
+  try {
+    // Normalize config from various JSON structures first
+    if (!req.body.config) {
+      req.body.config = ValidationUtils.normalizeConfig(req.body);
+    } else {
+      req.body.config = ValidationUtils.normalizeConfig(req.body.config);
+    }
+
+    // Validate request
+    const validationErrors = ValidationUtils.validateApiRequest(req);
+    if (validationErrors.length === 0 && req.body.callbackUrl) {
+      validationErrors.push(...await WebhookService.checkCallbackUrl(req.body.callbackUrl));
+    }
+    if (validationErrors.length === 0) {
+      validationErrors.push(...await proposalService.validateContent(req.body.config));
+    }
+    if (validationErrors.length === 0) {
+      validationErrors.push(...await checkOutputFileName(req.body.outputFileName, req.user));
+    }
+    if (validationErrors.length > 0) {
+      return res.status(400).json(
+        ValidationUtils.createErrorResponse(
+          'Request validation failed',
+          validationErrors,
+          400
+        )
+      );
+    }
+
+    const { config, outputFileName, callbackUrl, callbackSecret, linkExpiresIn } = req.body;
+    const job = await jobService.submitJob(config, outputFileName, {
+      callback: callbackUrl ? { url: callbackUrl, secret: callbackSecret } : null,
+      linkExpiresIn,
+      createdBy: req.user.id
+    });
+
+    res.status(202).json(ValidationUtils.createSuccessResponse(
+      {
+        ...jobService.toJobSummary(job),
+        statusUrl: `/api/proposals/jobs/${job.id}`,
+        resultUrl: `/api/proposals/jobs/${job.id}/result`
+      },
+      'Proposal generation job queued'
+    ));
+
+  } catch (error) {
+    console.error('API Error - Submit job:', error);
+    res.status(500).json(
+      ValidationUtils.createErrorResponse(
+        'Failed to queue proposal generation',
+        [error.message],
+        500
+      )
+    );
+  }
+});
+
+/**
+ * @route   GET /api/proposals/jobs/:id
+ * @desc    Get a generation job's status and progress
+ * @access  Authenticated (job owner or reviewer)
+ * @param   id - The job ID
+ */
+router.get('/jobs/:id', requireAuth, async (req, res) => {
+  try {
+    const job = await jobService.getJob(req.params.id);
+
+    // Other users' jobs are reported as missing unless the caller is a reviewer
+    if (!job || !canView(job, req.user)) {
+      return res.status(404).json(
+        ValidationUtils.createErrorResponse(
+          'Job not found',
+          [`Job with ID ${req.params.id} does not exist or has expired`],
+          404
+        )
+      );
+    }
+
+    res.json(ValidationUtils.createSuccessResponse(
+      jobService.toJobSummary(job),
+      `Job is ${job.status}`
+    ));
+
+  } catch (error) {
+    console.error('API Error - Get job:', error);
+    res.status(500).json(
+      ValidationUtils.createErrorResponse(
+        'Failed to retrieve job',
+        [error.message],
+        500
+      )
+    );
+  }
+});
+
+/**
+ * @route   GET /api/proposals/jobs/:id/result
+ * @desc    Get the generation result of a finished job
+ * @access  Authenticated (job owner or reviewer)
+ * @param   id - The job ID
+ */
+router.get('/jobs/:id/result', requireAuth, async (req, res) => {
+  try {
+    const job = await jobService.getJob(req.params.id);
+
+    // Other users' jobs are reported as missing unless the caller is a reviewer
+    if (!job || !canView(job, req.user)) {
+      return res.status(404).json(
+        ValidationUtils.createErrorResponse(
+          'Job not found',
+          [`Job with ID ${req.params.id} does not exist or has expired`],
+          404
+        )
+      );
+    }
+
+    if (job.status === 'failed') {
+      return res.status(500).json(
+        ValidationUtils.createErrorResponse(
+          'Failed to generate proposal',
+          [job.error],
+          500
+        )
+      );
+    }
+
+    if (job.status !== 'completed') {
+      return res.status(409).json(
+        ValidationUtils.createErrorResponse(
+          'Job not finished',
+          [`Job is ${job.status} (${job.progress.percent}%)`],
+          409
+        )
+      );
+    }
+
+    res.json(ValidationUtils.createSuccessResponse(job.result, 'Proposal generated successfully'));
+
+  } catch (error) {
+    console.error('API Error - Get job result:', error);
+    res.status(500).json(
+      ValidationUtils.createErrorResponse(
+        'Failed to retrieve job result',
+        [error.message],
+        500
+      )
+    );
+  }
+});
+
+/**
+ * @route   GET /api/proposals/webhooks/deliveries
+ * @desc    List recent callback deliveries and their attempts
+ * @access  Admin
+ * @query   limit? - Maximum number of deliveries to return (default 50)
+ */
+router.get('/webhooks/deliveries', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, WebhookService.MAX_LOGGED_DELIVERIES);
+    const deliveries = await WebhookService.getDeliveries(limit);
+
+    res.json(ValidationUtils.createSuccessResponse(deliveries, `Found ${deliveries.length} webhook deliveries`));
+
+  } catch (error) {
+    console.error('API Error - List webhook deliveries:', error);
+    res.status(500).json(
+      ValidationUtils.createErrorResponse(
+        'Failed to list webhook deliveries',
+        [error.message],
+        500
+      )
+    );
+  }
+});
+
 /**
  * @route   GET /api/proposals/status
  * @desc    Get service status and health check
@@ -108,10 +503,10 @@ router.get('/status', async (req, res) => {
 /**
  * @route   POST /api/proposals/validate-templates
  * @desc    Validate that required templates are available
- * @access  Public
+ * @access  Authenticated
  * @body    { config: Object }
  */
-router.post('/validate-templates', async (req, res) => {
+router.post('/validate-templates', requireAuth, async (req, res) => {
   try {
     const { config } = req.body;
 
@@ -132,8 +527,12 @@ router.post('/validate-templates', async (req, res) => {
     } else {
       res.status(400).json(
         ValidationUtils.createErrorResponse(
-          'Some templates are missing',
-          validation.missingTemplates.map(t => `Missing template: ${t}`),
+          validation.missingTemplates.length > 0 ? 'Some templates are missing' : 'Some template content is invalid',
+          [
+            ...validation.missingTemplates.map(t => `Missing template: ${t}`),
+            ...validation.fieldErrors,
+            ...validation.staffErrors
+          ],
           400
         )
       );
@@ -154,34 +553,33 @@ router.post('/validate-templates', async (req, res) => {
 /**
  * @route   GET /api/proposals/download/:filename
  * @desc    Download a generated proposal file
- * @access  Public
+ * @access  Signed link (expires, signature query parameters)
  * @param   filename - The filename to download
  */
-router.get('/download/:filename', (req, res) => {
+router.get('/download/:filename', async (req, res) => {
   try {
     const { filename } = req.params;
+    const { expires, signature } = req.query;
     
     // Validate and sanitize filename
     const sanitizedFilename = ValidationUtils.sanitizeFilename(filename);
-    // Use /tmp directory in serverless environments, local Output directory otherwise
-    const outputDir = process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME
-      ? '/tmp'
-      : path.join(__dirname, '..', 'Output');
-    const filePath = path.join(outputDir, sanitizedFilename);
-
-    // Security check - ensure file is in output directory
-    if (!filePath.startsWith(outputDir)) {
+
+    // Only signed, unexpired links may download
+    const linkCheck = DownloadLinkService.verify(sanitizedFilename, expires, signature);
+    if (!linkCheck.valid) {
       return res.status(403).json(
         ValidationUtils.createErrorResponse(
           'Access denied',
-          ['File access outside output directory not allowed'],
+          [linkCheck.reason],
           403
         )
       );
     }
 
+    const fileBytes = await documentStorage.read(sanitizedFilename);
+
     // Check if file exists
-    if (!fs.existsSync(filePath)) {
+    if (!fileBytes) {
       return res.status(404).json(
         ValidationUtils.createErrorResponse(
           'File not found',
@@ -193,11 +591,11 @@ router.get('/download/:filename', (req, res) => {
 
     // Set headers for PDF download
     res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="${sanitizedFilename}"`);
+    res.setHeader('Content-Disposition', FileUtils.contentDisposition(sanitizedFilename));
+    res.setHeader('Content-Length', fileBytes.length);
+    res.setHeader('Cache-Control', 'private, no-store');
     
-    // Stream the file
-    const fileStream = fs.createReadStream(filePath);
-    fileStream.pipe(res);
+    res.end(fileBytes);
 
   } catch (error) {
     console.error('API Error - Download file:', error);
@@ -213,34 +611,23 @@ router.get('/download/:filename', (req, res) => {
 
 /**
  * @route   GET /api/proposals/files
- * @desc    List all generated proposal files
- * @access  Public
+ * @desc    List generated proposal files, each with a fresh download link
+ * @access  Authenticated (authors see their own versions' files; reviewers see all)
  */
-router.get('/files', (req, res) => {
+router.get('/files', requireAuth, async (req, res) => {
   try {
-    // Use /tmp directory in serverless environments, local Output directory otherwise
-    const outputDir = process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME
-      ? '/tmp'
-      : path.join(__dirname, '..', 'Output');
-    
-    if (!fs.existsSync(outputDir)) {
-      return res.json(ValidationUtils.createSuccessResponse([], 'No files found (output directory does not exist)'));
-    }
-
-    const files = fs.readdirSync(outputDir)
-      .filter(file => file.toLowerCase().endsWith('.pdf'))
-      .map(file => {
-        const filePath = path.join(outputDir, file);
-        const stats = fs.statSync(filePath);
-        
-        return {
-          filename: file,
-          size: stats.size,
-          sizeFormatted: ValidationUtils.formatFileSize ? ValidationUtils.formatFileSize(stats.size) : `${stats.size} bytes`,
-          createdAt: stats.birthtime.toISOString(),
-          modifiedAt: stats.mtime.toISOString()
-        };
-      })
+    // Authors only see the documents of versions they created
+    const ownPaths = AuthService.hasRole(req.user, 'reviewer')
+      ? null
+      : await ProposalDatabaseService.getDocumentPathsCreatedBy(req.user.id);
+
+    const files = (await documentStorage.list())
+      .filter(file => !ownPaths || ownPaths.has(file.filename))
+      .map(file => ({
+        ...file,
+        sizeFormatted: FileUtils.formatFileSize(file.size),
+        ...signDownloadLink(file.filename)
+      }))
       .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
     res.json(ValidationUtils.createSuccessResponse(files, `Found ${files.length} proposal files`));
@@ -257,13 +644,66 @@ router.get('/files', (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/proposals/files/:filename/download-link
+ * @desc    Sign a new download link for a stored proposal file, e.g. when an earlier link has expired
+ * @access  Authenticated (authors for their own versions' files)
+ * @param   filename - The stored filename
+ * @body    { linkExpiresIn?: number } - Link lifetime in seconds
+ */
+router.post('/files/:filename/download-link', requireAuth, async (req, res) => {
+  try {
+    const errors = ValidationUtils.validateLinkExpiry(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json(
+        ValidationUtils.createErrorResponse(
+          'Request validation failed',
+          errors,
+          400
+        )
+      );
+    }
+
+    const sanitizedFilename = ValidationUtils.sanitizeFilename(req.params.filename);
+    const ownPaths = AuthService.hasRole(req.user, 'reviewer')
+      ? null
+      : await ProposalDatabaseService.getDocumentPathsCreatedBy(req.user.id);
+
+    // Other users' files are reported as missing unless the caller is a reviewer
+    if ((ownPaths && !ownPaths.has(sanitizedFilename)) || !await documentStorage.exists(sanitizedFilename)) {
+      return res.status(404).json(
+        ValidationUtils.createErrorResponse(
+          'File not found',
+          [`File ${sanitizedFilename} does not exist`],
+          404
+        )
+      );
+    }
+
+    res.json(ValidationUtils.createSuccessResponse(
+      { filename: sanitizedFilename, ...signDownloadLink(sanitizedFilename, req.body.linkExpiresIn) },
+      'Download link created'
+    ));
+
+  } catch (error) {
+    console.error('API Error - Create file download link:', error);
+    res.status(500).json(
+      ValidationUtils.createErrorResponse(
+        'Failed to create download link',
+        [error.message],
+        500
+      )
+    );
+  }
+});
+
 /**
  * @route   POST /api/proposals/templates
  * @desc    Get templates that match proposalSections from Templates table
- * @access  Public
+ * @access  Authenticated
  * @body    [{ companyName: string, proposalSections: string[] }] or { companyName: string, proposalSections: string[] }
  */
-router.post('/templates', async (req, res) => {
+router.post('/templates', requireAuth, async (req, res) => {
   try {
     let requestData = req.body;
 
@@ -351,13 +791,223 @@ if (error) {
   }
 });
 
+/**
+ * @route   GET /api/proposals/templates/:name/fields
+ * @desc    List a template's form fields (name, type, default value, max length, page and rectangle)
+ *          and its image slots, so UIs can build fieldValues forms
+ * @access  Authenticated
+ * @param   name - Template file name (with or without .pdf) or display name
+ */
+router.get('/templates/:name/fields', requireAuth, async (req, res) => {
+  try {
+    const template = await TemplateRegistryService.findTemplate(proposalService.templatesDir, req.params.name);
+
+    if (!template) {
+      return res.status(404).json(
+        ValidationUtils.createErrorResponse(
+          'Template not found',
+          [`No template named ${req.params.name}`],
+          404
+        )
+      );
+    }
+
+    const fields = await TemplateRegistryService.getTemplateFields(proposalService.templatesDir, template.fileName);
+
+    res.json(ValidationUtils.createSuccessResponse(
+      {
+        name: template.name,
+        fileName: template.fileName,
+        pageCount: template.pageCount,
+        fields,
+        imageSlots: template.imageSlots
+      },
+      `Found ${fields.length} field(s) in ${template.name}`
+    ));
+
+  } catch (error) {
+    console.error('API Error - Get template fields:', error);
+    res.status(500).json(
+      ValidationUtils.createErrorResponse(
+        'Failed to read template fields',
+        [error.message],
+        500
+      )
+    );
+  }
+});
+
+/**
+ * @route   POST /api/proposals/fee-schedule
+ * @desc    Work out the fee templates' field values from a fee schedule, checked against the rate card,
+ *          and the example settlement when the schedule has one
+ * @access  Authenticated
+ * @body    { feeSchedule: Object, templates?: string[] } - see FeeScheduleService; templates are file or display
+ *          names and default to every fee template in the catalog
+ */
+router.post('/fee-schedule', requireAuth, async (req, res) => {
+  try {
+    const { feeSchedule, templates: templateNames } = req.body;
+
+    const validationErrors = FeeScheduleService.validateSchedule(feeSchedule, 'feeSchedule');
+    if (templateNames !== undefined && !(Array.isArray(templateNames) && templateNames.every(name => typeof name === 'string'))) {
+      validationErrors.push('templates must be an array of template names');
+    }
+    if (validationErrors.length > 0) {
+      return res.status(400).json(
+        ValidationUtils.createErrorResponse(
+          'Invalid fee schedule',
+          validationErrors,
+          400
+        )
+      );
+    }
+
+    let entries;
+    if (templateNames) {
+      entries = [];
+      for (const name of templateNames) {
+        const entry = await TemplateRegistryService.findTemplate(proposalService.templatesDir, name);
+        if (!entry) {
+          return res.status(404).json(
+            ValidationUtils.createErrorResponse(
+              'Template not found',
+              [`No template named ${name}`],
+              404
+            )
+          );
+        }
+        entries.push(entry);
+      }
+    } else {
+      entries = await TemplateRegistryService.listTemplates(proposalService.templatesDir, { editable: true });
+    }
+
+    const feeTemplates = entries
+      .map(entry => ({ entry, fieldNames: entry.fields.map(field => field.name) }))
+      .filter(({ fieldNames }) => FeeScheduleService.isFeeTemplate(fieldNames))
+      .map(({ entry, fieldNames }) => {
+        const fieldValues = FeeScheduleService.buildFieldValues(feeSchedule, fieldNames);
+        return {
+          name: entry.name,
+          fileName: entry.fileName,
+          fieldValues,
+          text: Object.fromEntries(Object.entries(fieldValues).map(([fieldName, value]) => [fieldName, FieldValueService.formatValue(value)]))
+        };
+      });
+
+    const { currency, gstRate, limits } = FeeScheduleService.loadRateCard();
+
+    res.json(ValidationUtils.createSuccessResponse(
+      {
+        rateCard: { currency, gstRate, limits },
+        templates: feeTemplates,
+        settlement: feeSchedule.example
+          ? FeeScheduleService.computeSettlement(feeSchedule, feeSchedule.example.salePrice)
+          : null
+      },
+      `Built field values for ${feeTemplates.length} fee template(s)`
+    ));
+
+  } catch (error) {
+    console.error('API Error - Build fee schedule:', error);
+    res.status(500).json(
+      ValidationUtils.createErrorResponse(
+        'Failed to build fee schedule',
+        [error.message],
+        500
+      )
+    );
+  }
+});
+
+/**
+ * @route   GET /api/proposals/catalog
+ * @desc    List available templates with their category, tags, page count, form fields and image slots,
+ *          for building section pickers
+ * @access  Authenticated
+ * @query   category?, tag? (comma-separated; all must match), editable?, hasImages?, q? (name search),
+ *          includeInternal? (also list front page and TOC templates)
+ */
+router.get('/catalog', requireAuth, async (req, res) => {
+  try {
+    const validationErrors = ValidationUtils.validateCatalogQuery(req.query);
+    if (validationErrors.length > 0) {
+      return res.status(400).json(
+        ValidationUtils.createErrorResponse(
+          'Invalid catalog query',
+          validationErrors,
+          400
+        )
+      );
+    }
+
+    const { category, tag, editable, hasImages, q, includeInternal } = req.query;
+    const toBoolean = value => (value === undefined ? undefined : value === 'true');
+
+    const templates = await TemplateRegistryService.listTemplates(proposalService.templatesDir, {
+      category,
+      tags: [].concat(tag || []).flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean),
+      editable: toBoolean(editable),
+      hasImages: toBoolean(hasImages),
+      search: q,
+      includeInternal: toBoolean(includeInternal)
+    });
+
+    res.json(ValidationUtils.createSuccessResponse(
+      {
+        count: templates.length,
+        categories: TemplateRegistryService.summarizeCategories(templates),
+        templates
+      },
+      `Found ${templates.length} template(s)`
+    ));
+
+  } catch (error) {
+    console.error('API Error - Get catalog:', error);
+    res.status(500).json(
+      ValidationUtils.createErrorResponse(
+        'Failed to retrieve template catalog',
+        [error.message],
+        500
+      )
+    );
+  }
+});
+
+/**
+ * @route   GET /api/proposals/assets
+ * @desc    List the image asset library (templates.json assets), whose names templates' images can use
+ * @access  Authenticated
+ */
+router.get('/assets', requireAuth, async (req, res) => {
+  try {
+    const assets = ImageProcessorService.listAssets(proposalService.templatesDir);
+
+    res.json(ValidationUtils.createSuccessResponse(
+      { count: assets.length, assets },
+      `Found ${assets.length} asset(s)`
+    ));
+
+  } catch (error) {
+    console.error('API Error - List assets:', error);
+    res.status(500).json(
+      ValidationUtils.createErrorResponse(
+        'Failed to list assets',
+        [error.message],
+        500
+      )
+    );
+  }
+});
+
 /**
  * @route   GET /api/proposals/:id
- * @desc    Get proposal with all versions
- * @access  Public
+ * @desc    Get proposal with all versions, each with a fresh download link
+ * @access  Authenticated (authors see proposals they created; reviewers see all)
  * @param   id - The proposal ID
  */
-router.get('/proposal/:id', async (req, res) => {
+router.get('/proposal/:id', requireAuth, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -373,7 +1023,8 @@ router.get('/proposal/:id', async (req, res) => {
 
     const proposal = await ProposalDatabaseService.getProposalWithVersions(id);
 
-    if (!proposal) {
+    // Other users' proposals are reported as missing unless the caller is a reviewer
+    if (!proposal || !canView(proposal, req.user)) {
       return res.status(404).json(
         ValidationUtils.createErrorResponse(
           'Proposal not found',
@@ -383,9 +1034,13 @@ router.get('/proposal/:id', async (req, res) => {
       );
     }
 
+    const versions = proposal.versions.map(version => (
+      version.document_path ? { ...version, ...signDownloadLink(version.document_path) } : version
+    ));
+
     res.json(ValidationUtils.createSuccessResponse(
-      proposal,
-      `Retrieved proposal with ${proposal.versions.length} version(s)`
+      { ...proposal, versions },
+      `Retrieved proposal with ${versions.length} version(s)`
     ));
 
   } catch (error) {
@@ -402,15 +1057,18 @@ router.get('/proposal/:id', async (req, res) => {
 
 /**
  * @route   PUT /api/proposals/version/:id/status
- * @desc    Update proposal version status
- * @access  Public
+ * @desc    Move a proposal version to its next status
+ *          draft -> submitted -> under_review -> approved | rejected; submitted -> draft; rejected -> draft
+ * @access  Authenticated (authors for versions they created; reviewer for approved/rejected)
  * @param   id - The version ID
- * @body    { status: string }
+ * @body    { status: string, comment?: string } - comment is required when rejecting
+ *          When the new status changes the document's watermark (see WatermarkService), a job re-stamps it;
+ *          document.jobId in the response is that job, polled at GET /api/proposals/jobs/:id
  */
-router.put('/version/:id/status', async (req, res) => {
+router.put('/version/:id/status', requireAuth, async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, comment } = req.body;
 
     if (!id) {
       return res.status(400).json(
@@ -422,7 +1080,7 @@ router.put('/version/:id/status', async (req, res) => {
       );
     }
 
-    const validStatuses = ['draft', 'submitted', 'under_review', 'approved', 'rejected'];
+    const validStatuses = Object.keys(ProposalDatabaseService.STATUS_TRANSITIONS);
     if (!status || !validStatuses.includes(status)) {
       return res.status(400).json(
         ValidationUtils.createErrorResponse(
@@ -433,10 +1091,94 @@ router.put('/version/:id/status', async (req, res) => {
       );
     }
 
-    const updatedVersion = await ProposalDatabaseService.updateVersionStatus(id, status);
+    if (comment !== undefined && typeof comment !== 'string') {
+      return res.status(400).json(
+        ValidationUtils.createErrorResponse(
+          'Invalid comment',
+          ['comment must be a string'],
+          400
+        )
+      );
+    }
+
+    if (ProposalDatabaseService.COMMENT_REQUIRED_STATUSES.includes(status) && !(comment && comment.trim())) {
+      return res.status(400).json(
+        ValidationUtils.createErrorResponse(
+          'Comment is required',
+          [`A reviewer comment is required to set a version to ${status}`],
+          400
+        )
+      );
+    }
+
+    if (REVIEW_STATUSES.includes(status) && !AuthService.hasRole(req.user, 'reviewer')) {
+      return res.status(403).json(
+        ValidationUtils.createErrorResponse(
+          'Access denied',
+          [`Only reviewers can set a version to ${status}`],
+          403
+        )
+      );
+    }
+
+    // Authors may only move their own versions; reviewers may move any
+    const version = await ProposalDatabaseService.getVersion(id);
+
+    if (!version || !canView(version, req.user)) {
+      return res.status(404).json(
+        ValidationUtils.createErrorResponse(
+          'Version not found',
+          [`Version with ID ${id} does not exist`],
+          404
+        )
+      );
+    }
+
+    const allowedStatuses = ProposalDatabaseService.getAllowedTransitions(version.status);
+    if (!allowedStatuses.includes(status)) {
+      return res.status(409).json(
+        ValidationUtils.createErrorResponse(
+          'Invalid status transition',
+          [allowedStatuses.length > 0
+            ? `A ${version.status} version can only move to: ${allowedStatuses.join(', ')}`
+            : `A ${version.status} version cannot change status`],
+          409
+        )
+      );
+    }
+
+    const updatedVersion = await ProposalDatabaseService.updateVersionStatus(version, status, {
+      changedBy: req.user.id,
+      comment: comment ? comment.trim() : null
+    });
+
+    if (!updatedVersion) {
+      return res.status(409).json(
+        ValidationUtils.createErrorResponse(
+          'Version status changed',
+          [`Version ${id} is no longer ${version.status}; reload it and try again`],
+          409
+        )
+      );
+    }
+
+    console.log(`📝 Version ${id} moved from ${version.status} to ${status} by ${req.user.id} (${req.user.role})`);
+
+    // Queue a re-stamp of the stored document when the new status changes its draft/confidential watermark.
+    // The status change stands even if queueing fails, so report that alongside it
+    let document = { restamping: false };
+    if (proposalService.needsWatermarkRefresh(updatedVersion, version.status)) {
+      try {
+        const job = await jobService.submitWatermarkJob(updatedVersion, req.user.id);
+        document = { restamping: true, jobId: job.id, statusUrl: `/api/proposals/jobs/${job.id}` };
+      } catch (watermarkError) {
+        console.error(`API Error - Queue re-stamp of version ${id}:`, watermarkError);
+        document = { restamping: false, error: watermarkError.message };
+      }
+    }
 
     res.json(ValidationUtils.createSuccessResponse(
-      updatedVersion,
+      { ...updatedVersion, document },
       `Version status updated to ${status}`
     ));
 
@@ -452,17 +1194,157 @@ router.put('/version/:id/status', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/proposals/version/:id/history
+ * @desc    Get a proposal version's status timeline, oldest first
+ * @access  Authenticated (authors for versions they created)
+ * @param   id - The version ID
+ */
+router.get('/version/:id/history', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const version = await ProposalDatabaseService.getVersion(id);
+
+    if (!version || !canView(version, req.user)) {
+      return res.status(404).json(
+        ValidationUtils.createErrorResponse(
+          'Version not found',
+          [`Version with ID ${id} does not exist`],
+          404
+        )
+      );
+    }
+
+    const history = await ProposalDatabaseService.getVersionStatusHistory(id);
+
+    res.json(ValidationUtils.createSuccessResponse(
+      {
+        versionId: version.id,
+        versionLabel: version.version_label,
+        status: version.status,
+        allowedTransitions: ProposalDatabaseService.getAllowedTransitions(version.status),
+        history: history.map(entry => ({
+          fromStatus: entry.from_status,
+          toStatus: entry.to_status,
+          changedBy: entry.changed_by,
+          comment: entry.comment,
+          changedAt: entry.changed_at
+        }))
+      },
+      `Retrieved ${history.length} status change(s)`
+    ));
+
+  } catch (error) {
+    console.error('API Error - Get version history:', error);
+    res.status(500).json(
+      ValidationUtils.createErrorResponse(
+        'Failed to retrieve version status history',
+        [error.message],
+        500
+      )
+    );
+  }
+});
+
+/**
+ * @route   POST /api/proposals/version/:id/download-link
+ * @desc    Sign a new download link for a proposal version's document
+ * @access  Authenticated (authors for versions they created)
+ * @param   id - The version ID
+ * @body    { linkExpiresIn?: number } - Link lifetime in seconds
+ */
+router.post('/version/:id/download-link', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const errors = ValidationUtils.validateLinkExpiry(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json(
+        ValidationUtils.createErrorResponse(
+          'Request validation failed',
+          errors,
+          400
+        )
+      );
+    }
+
+    const version = await ProposalDatabaseService.getVersion(id);
+
+    // Other users' versions are reported as missing unless the caller is a reviewer
+    if (!version || !canView(version, req.user)) {
+      return res.status(404).json(
+        ValidationUtils.createErrorResponse(
+          'Version not found',
+          [`Version with ID ${id} does not exist`],
+          404
+        )
+      );
+    }
+
+    if (!version.document_path) {
+      return res.status(404).json(
+        ValidationUtils.createErrorResponse(
+          'Document not found',
+          [`Version ${id} has no stored document`],
+          404
+        )
+      );
+    }
+
+    res.json(ValidationUtils.createSuccessResponse(
+      {
+        versionId: version.id,
+        filename: version.document_path,
+        ...signDownloadLink(version.document_path, req.body.linkExpiresIn)
+      },
+      'Download link created'
+    ));
+
+  } catch (error) {
+    console.error('API Error - Create version download link:', error);
+    res.status(500).json(
+      ValidationUtils.createErrorResponse(
+        'Failed to create download link',
+        [error.message],
+        500
+      )
+    );
+  }
+});
+
 /**
  * @route   POST /api/proposals/:proposalId/refine
  * @desc    Refine an existing proposal by creating a new version
- * @access  Public
+ * @access  Authenticated (authors for proposals they created)
  * @param   proposalId - The proposal ID
- * @body    { config?: Object, createdBy?: string }
+ * @body    { config?: Object, callbackUrl?: string, callbackSecret?: string, linkExpiresIn?: number }
+ *          The new version is recorded as created by the authenticated user
+ *          With callbackUrl the request returns 202 with a job, and the result is POSTed to the URL when done
+ * @accepts application/json (default) returns the result summary;
+ *          application/pdf or ?inline=true returns the PDF, with the summary in X-Proposal-* headers
  */
-router.post('/:proposalId/refine', async (req, res) => {
+router.post('/:proposalId/refine', requireAuth, async (req, res) => {
   try {
     const { proposalId } = req.params;
-    const { config, createdBy } = req.body;
+    const { config, callbackUrl, callbackSecret, linkExpiresIn } = req.body;
+
+    const optionErrors = [
+      ...ValidationUtils.validateCallbackOptions(req.body),
+      ...ValidationUtils.validateLinkExpiry(req.body)
+    ];
+    if (optionErrors.length === 0 && callbackUrl) {
+      optionErrors.push(...await WebhookService.checkCallbackUrl(callbackUrl));
+    }
+    if (optionErrors.length > 0) {
+      return res.status(400).json(
+        ValidationUtils.createErrorResponse(
+          'Request validation failed',
+          optionErrors,
+          400
+        )
+      );
+    }
 
     if (!proposalId) {
       return res.status(400).json(
@@ -474,10 +1356,10 @@ router.post('/:proposalId/refine', async (req, res) => {
       );
     }
 
-    // Fetch the existing proposal
+    // Fetch the existing proposal; authors may only refine their own
     const existingProposal = await ProposalDatabaseService.getProposalWithVersions(proposalId);
 
-    if (!existingProposal) {
+    if (!existingProposal || !canView(existingProposal, req.user)) {
       return res.status(404).json(
         ValidationUtils.createErrorResponse(
           'Proposal not found',
@@ -515,56 +1397,66 @@ router.post('/:proposalId/refine', async (req, res) => {
       );
     }
 
-    // Get the next version number
-    const nextVersionNumber = await ProposalDatabaseService.getNextVersionNumber(proposalId);
-    const versionLabel = `v${nextVersionNumber}`;
+    // Check the configuration and its field values before queueing or generating anything
+    const configErrors = ValidationUtils.validateProposalConfig(proposalData);
+    if (configErrors.length === 0) {
+      configErrors.push(...await proposalService.validateContent(proposalData));
+    }
+    if (configErrors.length > 0) {
+      return res.status(400).json(
+        ValidationUtils.createErrorResponse(
+          'Request validation failed',
+          configErrors,
+          400
+        )
+      );
+    }
 
-    // Generate versioned filename for this specific version
-    const versionedFilename = ProposalDatabaseService.generateVersionedFilename(
-      proposalData.Company,
-      nextVersionNumber
-    );
+    // With a callback URL, refine in the background and POST the result when done
+    if (callbackUrl) {
+      const job = await jobService.submitTask({
+        type: 'refine',
+        company: proposalData.Company,
+        createdBy: req.user.id,
+        callback: { url: callbackUrl, secret: callbackSecret },
+        payload: { proposalId: existingProposal.id, config: proposalData, linkExpiresIn }
+      });
+
+      return res.status(202).json(ValidationUtils.createSuccessResponse(
+        {
+          ...jobService.toJobSummary(job),
+          statusUrl: `/api/proposals/jobs/${job.id}`,
+          resultUrl: `/api/proposals/jobs/${job.id}/result`
+        },
+        `Proposal refinement queued. The result will be sent to ${callbackUrl}`
+      ));
+    }
 
-    // Generate the new proposal using the generator service with custom filename
-    const result = await proposalService.generateProposal(proposalData, versionedFilename);
-
-    // Create the new version in the database with the generated document path
-    const newVersion = await ProposalDatabaseService.createProposalVersion({
-      proposalId: proposalId,
-      versionNumber: nextVersionNumber,
-      versionLabel: versionLabel,
-      documentPath: versionedFilename,
-      status: 'submitted',
-      createdBy: createdBy || 'db46f7c1-a3ea-4a11-855b-4b3c3cd76562',
-      proposalData: proposalData
+    const returnPdf = wantsPdfResponse(req);
+    const { pdfBytes, ...responseData } = await proposalService.refineProposal(existingProposal, proposalData, req.user.id, {
+      linkExpiresIn,
+      includePdf: returnPdf
     });
 
-    // Prepare response data
-    const responseData = {
-      proposal: {
-        id: existingProposal.id,
-        title: existingProposal.title
-      },
-      newVersion: {
-        id: newVersion.id,
-        versionNumber: nextVersionNumber,
-        versionLabel: versionLabel,
-        documentPath: newVersion.document_path,
-        status: newVersion.status,
-        createdAt: newVersion.created_at
-      },
-      generationResult: {
-        fileName: result.fileName,
-        location: result.location,
-        fileSize: result.fileSize,
-        sectionsCount: result.sectionsCount,
-        templatesProcessed: result.templatesProcessed
-      }
-    };
+    if (returnPdf) {
+      const { newVersion, generationResult } = responseData;
+      return sendProposalPdf(req, res, pdfBytes, generationResult.fileName, {
+        'File-Name': encodeURIComponent(generationResult.fileName),
+        'File-Size': pdfBytes.length,
+        'Sections-Count': generationResult.sectionsCount,
+        'Templates-Processed': generationResult.templatesProcessed,
+        'Location': generationResult.location,
+        'Location-Expires-At': generationResult.locationExpiresAt,
+        'Id': responseData.proposal.id,
+        'Version-Id': newVersion.id,
+        'Version-Label': newVersion.versionLabel,
+        'Status': newVersion.status
+      });
+    }
 
     res.json(ValidationUtils.createSuccessResponse(
       responseData,
-      `Proposal refined successfully. Created ${versionLabel} with ${result.sectionsCount} sections.`
+      `Proposal refined successfully. Created ${responseData.newVersion.versionLabel} with ${responseData.generationResult.sectionsCount} sections.`
     ));
 
   } catch (error) {
@@ -1,12 +1,13 @@
-const path = require('path');
-const fs = require('fs');
+const DocumentStorageService = require('../../../services/documentStorageService');
+const DownloadLinkService = require('../../../services/downloadLinkService');
 const ValidationUtils = require('../../../utils/validationUtils');
+const FileUtils = require('../../../utils/fileUtils');
 
 /**
  * Vercel serverless function for downloading proposal files
  * @route   GET /api/proposals/download/[filename]
  * @desc    Download a generated proposal file
- * @access  Public
+ * @access  Signed link (expires, signature query parameters)
  * @param   filename - The filename to download
  */
 module.exports = async (req, res) => {
@@ -29,7 +30,7 @@ module.exports = async (req, res) => {
       });
     }
 
-    const { filename } = req.query;
+    const { filename, expires, signature } = req.query;
 
     if (!filename) {
       return res.status(400).json({
@@ -42,21 +43,21 @@ module.exports = async (req, res) => {
     // Validate and sanitize filename
     const sanitizedFilename = ValidationUtils.sanitizeFilename(filename);
 
-    // Use /tmp directory in serverless environments
-    const outputDir = '/tmp';
-    const filePath = path.join(outputDir, sanitizedFilename);
-
-    // Security check - ensure file is in output directory
-    if (!filePath.startsWith(outputDir)) {
+    // Only signed, unexpired links may download
+    const linkCheck = DownloadLinkService.verify(sanitizedFilename, expires, signature);
+    if (!linkCheck.valid) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied - file access outside output directory not allowed',
+        message: `Access denied - ${linkCheck.reason}`,
         statusCode: 403
       });
     }
 
+    // Read from document storage, which is shared between serverless instances
+    const fileBytes = await DocumentStorageService.getStorage().read(sanitizedFilename);
+
     // Check if file exists
-    if (!fs.existsSync(filePath)) {
+    if (!fileBytes) {
       return res.status(404).json({
         success: false,
         message: `File ${sanitizedFilename} does not exist`,
@@ -66,16 +67,11 @@ module.exports = async (req, res) => {
 
     // Set headers for PDF download
     res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="${sanitizedFilename}"`);
-    res.setHeader('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
-
-    // Get file stats for content-length
-    const stats = fs.statSync(filePath);
-    res.setHeader('Content-Length', stats.size);
+    res.setHeader('Content-Disposition', FileUtils.contentDisposition(sanitizedFilename));
+    res.setHeader('Cache-Control', 'private, no-store'); // Signed links must not be cached by shared caches
+    res.setHeader('Content-Length', fileBytes.length);
 
-    // Stream the file
-    const fileStream = fs.createReadStream(filePath);
-    fileStream.pipe(res);
+    res.end(fileBytes);
 
   } catch (error) {
     console.error('Download Error:', error);
@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const StaffDirectoryService = require('../services/staffDirectoryService');
+const AuthService = require('../services/authService');
+const ValidationUtils = require('../utils/validationUtils');
+
+const router = express.Router();
+const templatesDir = path.join(__dirname, '..', 'Templates');
+
+const requireAuth = AuthService.requireAuth();
+const requireAdmin = AuthService.requireAuth('admin');
+
+/**
+ * Check that a staff record's profile PDF and photo path exist in the templates directory
+ */
+function findMissingFiles(body) {
+  const errors = [];
+
+  if (body.profileFileName && !fs.existsSync(path.join(templatesDir, body.profileFileName))) {
+    errors.push(`Profile PDF not found in templates: ${body.profileFileName}`);
+  }
+
+  if (body.photo && !body.photo.startsWith('data:image/') && !fs.existsSync(path.join(templatesDir, body.photo))) {
+    errors.push(`Photo not found in templates: ${body.photo}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Answer 409 for a name another staff member holds (the staff table's unique name index rejected the write),
+ * naming that staff member's ID when it can be found
+ */
+async function sendNameTaken(res, name, error) {
+  let detail = error.message;
+  try {
+    const existing = await StaffDirectoryService.findStaffByName(name);
+    if (existing) {
+      detail = `${existing.name} is already in the directory with ID ${existing.id}`;
+    }
+  } catch (lookupError) {
+    // The conflict is reported either way
+  }
+
+  return res.status(409).json(
+    ValidationUtils.createErrorResponse(
+      'Staff member already exists',
+      [detail],
+      409
+    )
+  );
+}
+
+/**
+ * @route   GET /api/staff
+ * @desc    List staff directory records, ordered by name
+ * @access  Authenticated
+ * @query   active? (true or false), q? (name search)
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const { active, q } = req.query;
+
+    if (active !== undefined && !['true', 'false'].includes(active)) {
+      return res.status(400).json(
+        ValidationUtils.createErrorResponse(
+          'Invalid staff query',
+          ['active must be true or false'],
+          400
+        )
+      );
+    }
+
+    const staff = await StaffDirectoryService.listStaff({
+      active: active === undefined ? undefined : active === 'true',
+      search: typeof q === 'string' ? q : undefined
+    });
+
+    res.json(ValidationUtils.createSuccessResponse(
+      { count: staff.length, staff },
+      `Found ${staff.length} staff member(s)`
+    ));
+
+  } catch (error) {
+    console.error('API Error - List staff:', error);
+    res.status(500).json(
+      ValidationUtils.createErrorResponse(
+        'Failed to list staff',
+        [error.message],
+        500
+      )
+    );
+  }
+});
+
+/**
+ * @route   GET /api/staff/:id
+ * @desc    Get a staff directory record
+ * @access  Authenticated
+ * @param   id - The staff ID
+ */
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const staff = await StaffDirectoryService.getStaff(req.params.id);
+
+    if (!staff) {
+      return res.status(404).json(
+        ValidationUtils.createErrorResponse(
+          'Staff member not found',
+          [`Staff member with ID ${req.params.id} does not exist`],
+          404
+        )
+      );
+    }
+
+    res.json(ValidationUtils.createSuccessResponse(staff, 'Staff member retrieved successfully'));
+
+  } catch (error) {
+    console.error('API Error - Get staff:', error);
+    res.status(500).json(
+      ValidationUtils.createErrorResponse(
+        'Failed to retrieve staff member',
+        [error.message],
+        500
+      )
+    );
+  }
+});
+
+/**
+ * @route   POST /api/staff
+ * @desc    Add a staff member to the directory
+ * @access  Admin
+ * @body    { name: string, title?, phone?, email?, photo?, profileFileName?, bio?, qualifications?: string[],
+ *            regions?: string[], active?: boolean }
+ *          profileFileName is the staff member's designed profile PDF in the templates directory; without one,
+ *          proposals build their profile page from these details. Names are unique, ignoring case
+ */
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const validationErrors = ValidationUtils.validateStaffRecord(req.body);
+    if (validationErrors.length === 0) {
+      validationErrors.push(...findMissingFiles(req.body));
+    }
+    if (validationErrors.length > 0) {
+      return res.status(400).json(
+        ValidationUtils.createErrorResponse(
+          'Staff validation failed',
+          validationErrors,
+          400
+        )
+      );
+    }
+
+    const staff = await StaffDirectoryService.createStaff(req.body, req.user.id);
+    res.status(201).json(ValidationUtils.createSuccessResponse(staff, `${staff.name} added to the staff directory`));
+
+  } catch (error) {
+    if (error.code === 'ERR_STAFF_NAME_TAKEN') {
+      return await sendNameTaken(res, req.body.name, error);
+    }
+
+    console.error('API Error - Create staff:', error);
+    res.status(500).json(
+      ValidationUtils.createErrorResponse(
+        'Failed to create staff member',
+        [error.message],
+        500
+      )
+    );
+  }
+});
+
+/**
+ * @route   PUT /api/staff/:id
+ * @desc    Update a staff member's details, or deactivate them with { active: false }
+ * @access  Admin
+ * @param   id - The staff ID
+ * @body    Any of the POST /api/staff fields; null clears a field
+ */
+router.put('/:id', requireAdmin, async (req, res) => {
+  try {
+    const validationErrors = ValidationUtils.validateStaffRecord(req.body, true);
+    if (validationErrors.length === 0) {
+      validationErrors.push(...findMissingFiles(req.body));
+    }
+    if (validationErrors.length > 0) {
+      return res.status(400).json(
+        ValidationUtils.createErrorResponse(
+          'Staff validation failed',
+          validationErrors,
+          400
+        )
+      );
+    }
+
+    const staff = await StaffDirectoryService.getStaff(req.params.id);
+    if (!staff) {
+      return res.status(404).json(
+        ValidationUtils.createErrorResponse(
+          'Staff member not found',
+          [`Staff member with ID ${req.params.id} does not exist`],
+          404
+        )
+      );
+    }
+
+    const updatedStaff = await StaffDirectoryService.updateStaff(staff.id, req.body);
+    res.json(ValidationUtils.createSuccessResponse(updatedStaff, 'Staff member updated successfully'));
+
+  } catch (error) {
+    if (error.code === 'ERR_STAFF_NAME_TAKEN') {
+      return await sendNameTaken(res, req.body.name, error);
+    }
+
+    console.error('API Error - Update staff:', error);
+    res.status(500).json(
+      ValidationUtils.createErrorResponse(
+        'Failed to update staff member',
+        [error.message],
+        500
+      )
+    );
+  }
+});
+
+module.exports = router;
@@ -178,7 +178,7 @@ Examples:
       console.log(`   Service: ${status.service}`);
       console.log(`   Status: ${status.status}`);
       console.log(`   Templates Directory: ${status.templatesDirectory}`);
-      console.log(`   Output Directory: ${status.outputDirectory}`);
+      console.log(`   Document Storage: ${status.documentStorage.type} (${status.documentStorage.location})`);
       console.log(`   Last Check: ${status.timestamp}`);
       console.log('\n✅ Service is operational');
 
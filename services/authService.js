@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const ValidationUtils = require('../utils/validationUtils');
+
+/**
+ * Auth Service
+ * Authenticates API requests and scopes routes by role. A request is authenticated by either:
+ *   X-API-Key: <key>                 - keys configured in API_KEYS as comma-separated
+ *                                      "key:userId:role" entries (for server-to-server clients)
+ *   Authorization: Bearer <jwt>      - a Supabase access token, verified with Supabase Auth;
+ *                                      the role comes from the user's app_metadata.role
+ *
+ * Roles are ranked, so a higher role can do everything a lower one can:
+ *   author   - generate, refine and view proposals
+ *   reviewer - also approve or reject proposal versions
+ *   admin    - also view operational data such as webhook deliveries
+ */
+class AuthService {
+
+  static ROLES = ['author', 'reviewer', 'admin'];
+  static DEFAULT_ROLE = 'author';
+
+  static apiKeys = null;
+
+  /**
+   * Express middleware that authenticates the request and sets req.user
+   * @param {string|null} role - Minimum role required, or null for any authenticated user
+   */
+  static requireAuth(role = null) {
+    return async (req, res, next) => {
+      try {
+        const user = await this.authenticate(req);
+
+        if (!user) {
+          return res.status(401).json(
+            ValidationUtils.createErrorResponse(
+              'Authentication required',
+              ['Provide an X-API-Key header or an Authorization: Bearer token'],
+              401
+            )
+          );
+        }
+
+        if (role && !this.hasRole(user, role)) {
+          return res.status(403).json(
+            ValidationUtils.createErrorResponse(
+              'Access denied',
+              [`This action requires the ${role} role`],
+              403
+            )
+          );
+        }
+
+        req.user = user;
+        next();
+
+      } catch (error) {
+        console.error('Auth Error:', error.message);
+
+        // A configuration problem is the server's fault, and its details are not the client's business
+        if (error.code === 'ERR_AUTH_CONFIG') {
+          return res.status(500).json(
+            ValidationUtils.createErrorResponse(
+              'Authentication is not configured',
+              ['The server could not check the credentials'],
+              500
+            )
+          );
+        }
+
+        res.status(401).json(
+          ValidationUtils.createErrorResponse(
+            'Authentication failed',
+            [error.message],
+            401
+          )
+        );
+      }
+    };
+  }
+
+  /**
+   * Resolve the user making a request, or null if no credentials were sent
+   * Throws if credentials were sent but are invalid
+   * @returns {Promise<{ id: string, email: string|null, role: string, method: string }|null>}
+   */
+  static async authenticate(req) {
+    const apiKey = req.headers['x-api-key'];
+    if (apiKey) {
+      return this.verifyApiKey(apiKey);
+    }
+
+    const authorization = req.headers.authorization || '';
+    const [scheme, token] = authorization.split(' ');
+    if (scheme && scheme.toLowerCase() === 'bearer' && token) {
+      return this.verifyToken(token);
+    }
+
+    return null;
+  }
+
+  /**
+   * Look up a configured API key
+   */
+  static verifyApiKey(apiKey) {
+    const providedHash = this._hash(apiKey);
+    const entry = this._getApiKeys().find(key =>
+      crypto.timingSafeEqual(key.hash, providedHash)
+    );
+
+    if (!entry) {
+      throw new Error('Invalid API key');
+    }
+
+    return { id: entry.userId, email: null, role: entry.role, method: 'api_key' };
+  }
+
+  /**
+   * Verify a Supabase access token with Supabase Auth
+   */
+  static async verifyToken(token) {
+    const { data, error } = await supabase.auth.getUser(token);
+
+    if (error || !data || !data.user) {
+      throw new Error(`Invalid or expired token${error ? `: ${error.message}` : ''}`);
+    }
+
+    const { user } = data;
+    const role = user.app_metadata && user.app_metadata.role;
+
+    return {
+      id: user.id,
+      email: user.email || null,
+      role: this.ROLES.includes(role) ? role : this.DEFAULT_ROLE,
+      method: 'jwt'
+    };
+  }
+
+  /**
+   * Check whether a user's role is at least the given role
+   */
+  static hasRole(user, role) {
+    return this.ROLES.indexOf(user.role) >= this.ROLES.indexOf(role);
+  }
+
+  /**
+   * Throw if API_KEYS is malformed; called at startup so a bad entry stops the server
+   * instead of failing every API key request
+   */
+  static assertConfigured() {
+    this._getApiKeys();
+  }
+
+  /**
+   * Parse API_KEYS once per process
+   * @private
+   */
+  static _getApiKeys() {
+    if (!this.apiKeys) {
+      this.apiKeys = (process.env.API_KEYS || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map((entry, index) => {
+          const [key, userId, role = this.DEFAULT_ROLE, ...rest] = entry.split(':');
+          if (!key || !userId || !this.ROLES.includes(role) || rest.length > 0) {
+            const error = new Error(`Invalid API_KEYS entry ${index + 1}. Use key:userId:role with role ${this.ROLES.join(', ')}`);
+            error.code = 'ERR_AUTH_CONFIG';
+            throw error;
+          }
+          return { hash: this._hash(key), userId, role };
+        });
+    }
+    return this.apiKeys;
+  }
+
+  /**
+   * Hash a key so comparisons are constant-length
+   * @private
+   */
+  static _hash(key) {
+    return crypto.createHash('sha256').update(key).digest();
+  }
+}
+
+module.exports = AuthService;
@@ -0,0 +1,75 @@
+const path = require('path');
+const LocalDocumentStorage = require('./storage/localDocumentStorage');
+
+/**
+ * Document Storage Service
+ * Chooses where generated proposals are kept. Every storage backend implements:
+ *   save(fileName, bytes), read(fileName), exists(fileName), stat(fileName),
+ *   list(), delete(fileName) and describe()
+ *
+ * DOCUMENT_STORAGE selects the backend:
+ *   local    - OUTPUT_DIR, or the Output directory (/tmp in serverless environments)
+ *   supabase - Supabase Storage bucket DOCUMENT_STORAGE_BUCKET (default "proposals"),
+ *              under the optional DOCUMENT_STORAGE_PREFIX folder
+ * Defaults to supabase in serverless environments, where /tmp is not shared between instances
+ */
+class DocumentStorageService {
+
+  static storage = null;
+
+  /**
+   * Get the configured storage backend (created once per process)
+   */
+  static getStorage() {
+    if (!this.storage) {
+      this.storage = this.createStorage(process.env.DOCUMENT_STORAGE || this._defaultStorageType());
+    }
+    return this.storage;
+  }
+
+  /**
+   * Create a storage backend by type
+   */
+  static createStorage(type) {
+    switch (type) {
+      case 'local':
+        return new LocalDocumentStorage(process.env.OUTPUT_DIR || this.getWorkingDirectory());
+
+      case 'supabase': {
+        // Required lazily so local storage works without the Supabase client
+        const SupabaseDocumentStorage = require('./storage/supabaseDocumentStorage');
+        return new SupabaseDocumentStorage(
+          process.env.DOCUMENT_STORAGE_BUCKET || 'proposals',
+          process.env.DOCUMENT_STORAGE_PREFIX || ''
+        );
+      }
+
+      default:
+        throw new Error(`Unknown DOCUMENT_STORAGE type "${type}". Use "local" or "supabase"`);
+    }
+  }
+
+  /**
+   * Default directory for local document storage
+   */
+  static getWorkingDirectory() {
+    // Use /tmp directory in serverless environments, local Output directory otherwise
+    return this._isServerless() ? '/tmp' : path.join(__dirname, '..', 'Output');
+  }
+
+  /**
+   * @private
+   */
+  static _defaultStorageType() {
+    return this._isServerless() ? 'supabase' : 'local';
+  }
+
+  /**
+   * @private
+   */
+  static _isServerless() {
+    return Boolean(process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME);
+  }
+}
+
+module.exports = DocumentStorageService;
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+
+/**
+ * Download Link Service
+ * Creates and verifies signed, expiring proposal download URLs:
+ *   /api/proposals/download/<filename>?expires=<unix seconds>&signature=<HMAC-SHA256(secret, "<filename>:<expires>")>
+ *
+ * DOWNLOAD_LINK_SECRET signs the links. It is required, and must be the same on every instance so that a link
+ * made by one instance downloads from any other
+ * DOWNLOAD_LINK_TTL_SECONDS sets the default lifetime (24 hours)
+ */
+class DownloadLinkService {
+
+  static DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+  static MAX_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+  /**
+   * Build a signed download URL for a stored proposal
+   * @param {string} fileName - Storage filename
+   * @param {Object} options - { expiresIn?: seconds, baseUrl?: string }
+   * @returns {{ url: string, expiresAt: string }}
+   */
+  static createSignedUrl(fileName, options = {}) {
+    const expiresIn = options.expiresIn || this.getDefaultTtl();
+    const baseUrl = options.baseUrl || process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const signature = this.sign(fileName, expires);
+
+    return {
+      url: `${baseUrl}/api/proposals/download/${encodeURIComponent(fileName)}?expires=${expires}&signature=${signature}`,
+      expiresAt: new Date(expires * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Check a download request's signature and expiry
+   * @returns {{ valid: boolean, reason?: string }}
+   */
+  static verify(fileName, expires, signature) {
+    if (!expires || !signature) {
+      return { valid: false, reason: 'Download link is missing its signature' };
+    }
+
+    const expiresAt = Number(expires);
+    if (!Number.isInteger(expiresAt)) {
+      return { valid: false, reason: 'Download link expiry is invalid' };
+    }
+
+    const expected = Buffer.from(this.sign(fileName, expiresAt), 'hex');
+    const provided = Buffer.from(String(signature), 'hex');
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      return { valid: false, reason: 'Download link signature is invalid' };
+    }
+
+    if (expiresAt < Math.floor(Date.now() / 1000)) {
+      return { valid: false, reason: 'Download link has expired' };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Sign a filename and expiry timestamp
+   */
+  static sign(fileName, expires) {
+    return crypto.createHmac('sha256', this._getSecret()).update(`${fileName}:${expires}`).digest('hex');
+  }
+
+  /**
+   * Default link lifetime in seconds
+   */
+  static getDefaultTtl() {
+    const ttl = parseInt(process.env.DOWNLOAD_LINK_TTL_SECONDS, 10);
+    return Number.isInteger(ttl) && ttl > 0 ? Math.min(ttl, this.MAX_TTL_SECONDS) : this.DEFAULT_TTL_SECONDS;
+  }
+
+  /**
+   * Throw unless DOWNLOAD_LINK_SECRET is set; called at startup so a misconfigured deployment fails straight away
+   * instead of handing out links that other instances reject
+   */
+  static assertConfigured() {
+    this._getSecret();
+  }
+
+  /**
+   * @private
+   */
+  static _getSecret() {
+    if (!process.env.DOWNLOAD_LINK_SECRET) {
+      throw new Error('DOWNLOAD_LINK_SECRET is not set. Set it to the same random value on every instance to sign download links');
+    }
+    return process.env.DOWNLOAD_LINK_SECRET;
+  }
+}
+
+module.exports = DownloadLinkService;
@@ -0,0 +1,461 @@
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument, rgb, StandardFonts } = require('pdf-lib');
+const FieldValueService = require('./fieldValueService');
+
+/**
+ * Fee Schedule Service
+ * Turns a structured fee schedule into the field values of the fee structure templates, checked against
+ * the company rate card, and renders a worked example settlement
+ *
+ * The schedule is the proposal's FeeSchedule; a template's feeSchedule overrides it for that template, or is
+ * false to leave the template's fields alone. Every setting is optional:
+ *   {
+ *     commissionRate: 80,                            - service fee, as a percentage of the hammer price
+ *     buyersPremium: { rate: 2.25, minimum: 275 },   - percentage of the hammer price, with a minimum amount
+ *     charges: { detailing, advertising, riskAssessment, transport, storage },
+ *              each an amount, { amount, per: 'week' }, 'quote' or 'included' (0 is "No charge")
+ *     gst: true,                                     - amounts exclude GST; the service fee is shown "+ GST"
+ *     example: { salePrice: 50000 }                  - add an example settlement page after each fee template
+ *   }
+ *
+ * Amounts are in the rate card's currency, and must sit within the rate card limits (config/rateCard.json, or the
+ * file RATE_CARD_PATH names)
+ */
+class FeeScheduleService {
+
+  static DEFAULT_RATE_CARD_PATH = path.join(__dirname, '..', 'config', 'rateCard.json');
+
+  // Read on each load, as .env is loaded after the services are required
+  static get RATE_CARD_PATH() {
+    return process.env.RATE_CARD_PATH || this.DEFAULT_RATE_CARD_PATH;
+  }
+
+  // Fee template form fields filled from the schedule
+  static COMMISSION_FIELD = 'ServiceFee';
+
+  static BUYERS_PREMIUM_FIELD = 'BuyersPremium';
+
+  static CHARGE_FIELDS = {
+    detailing: 'Detailing',
+    advertising: 'AdvertisingCosts',
+    riskAssessment: 'RiskAssessment',
+    transport: 'Transport',
+    storage: 'Storage'
+  };
+
+  static CHARGE_LABELS = {
+    detailing: 'Detailing',
+    advertising: 'Advertising costs',
+    riskAssessment: 'Risk assessment',
+    transport: 'Transport',
+    storage: 'Storage'
+  };
+
+  static CHARGE_KEYWORDS = {
+    quote: 'By quotation',
+    included: 'Included'
+  };
+
+  // Title of the example settlement page, and its TOC entry under the fee template
+  static SETTLEMENT_TITLE = 'Example Settlement';
+
+  static SETTLEMENT_STYLE = {
+    margin: 50,
+    headingColor: [0.42, 0.73, 0.31], // Green matching the Slattery templates
+    textColor: [0, 0, 0],
+    mutedColor: [0.4, 0.4, 0.4],
+    ruleColor: [0.8, 0.8, 0.8],
+    fontSize: 11,
+    rowHeight: 20
+  };
+
+  static rateCardCache = null;
+
+  /**
+   * Check the rate card loads, so a missing or malformed one fails at startup rather than on the first fee schedule
+   */
+  static assertConfigured() {
+    this.loadRateCard();
+  }
+
+  /**
+   * The company rate card, re-read when the file changes
+   * @returns {{ currency: string, gstRate: number, limits: Object }}
+   */
+  static loadRateCard() {
+    const rateCardPath = this.RATE_CARD_PATH;
+    let mtimeMs;
+    try {
+      ({ mtimeMs } = fs.statSync(rateCardPath));
+    } catch (error) {
+      throw new Error(`Rate card not found at ${rateCardPath}. Set RATE_CARD_PATH to the company rate card`);
+    }
+    if (this.rateCardCache && this.rateCardCache.path === rateCardPath && this.rateCardCache.mtimeMs === mtimeMs) {
+      return this.rateCardCache.rateCard;
+    }
+
+    let rateCard;
+    try {
+      rateCard = JSON.parse(fs.readFileSync(rateCardPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid rate card in ${rateCardPath}: ${error.message}`);
+    }
+
+    const errors = this._validateRateCard(rateCard);
+    if (errors.length > 0) {
+      throw new Error(`Invalid rate card in ${rateCardPath}: ${errors.join('; ')}`);
+    }
+
+    this.rateCardCache = { path: rateCardPath, mtimeMs, rateCard };
+    return rateCard;
+  }
+
+  /**
+   * Check a rate card's currency, GST rate and limits; every limit is { min, max } with min <= max
+   * @private
+   * @returns {Array<string>} Problems found
+   */
+  static _validateRateCard(rateCard) {
+    if (!rateCard || typeof rateCard !== 'object' || Array.isArray(rateCard)) {
+      return ['must be an object'];
+    }
+
+    const errors = [];
+    if (typeof rateCard.currency !== 'string' || !/^[A-Z]{3}$/.test(rateCard.currency)) {
+      errors.push('currency must be a three-letter currency code, e.g. "AUD"');
+    }
+    if (typeof rateCard.gstRate !== 'number' || rateCard.gstRate < 0 || rateCard.gstRate > 100) {
+      errors.push('gstRate must be a percentage from 0 to 100');
+    }
+
+    const limits = rateCard.limits || {};
+    const checkLimit = (limit, name, maximum = Infinity) => {
+      if (limit === undefined) {
+        return;
+      }
+      if (!limit || typeof limit.min !== 'number' || typeof limit.max !== 'number' ||
+          limit.min < 0 || limit.min > limit.max || limit.max > maximum) {
+        errors.push(`limits.${name} must be { min, max } with 0 <= min <= max${maximum !== Infinity ? ` <= ${maximum}` : ''}`);
+      }
+    };
+
+    checkLimit(limits.commissionRate, 'commissionRate', 100);
+    checkLimit((limits.buyersPremium || {}).rate, 'buyersPremium.rate', 100);
+    checkLimit((limits.buyersPremium || {}).minimum, 'buyersPremium.minimum');
+    for (const [name, limit] of Object.entries(limits.charges || {})) {
+      if (!this.CHARGE_FIELDS[name]) {
+        errors.push(`limits.charges has unknown charge "${name}"`);
+      } else {
+        checkLimit(limit, `charges.${name}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * The fee schedule that applies to a template: the proposal's FeeSchedule with the template's feeSchedule over it
+   * @returns {Object|null} Merged schedule, or null if neither sets one or the template opts out
+   */
+  static resolveSchedule(config, template) {
+    if (template.feeSchedule === false || (!config.FeeSchedule && !template.feeSchedule)) {
+      return null;
+    }
+
+    const base = config.FeeSchedule || {};
+    const override = template.feeSchedule || {};
+    return {
+      ...base,
+      ...override,
+      buyersPremium: base.buyersPremium || override.buyersPremium
+        ? { ...(base.buyersPremium || {}), ...(override.buyersPremium || {}) }
+        : undefined,
+      charges: { ...(base.charges || {}), ...(override.charges || {}) }
+    };
+  }
+
+  /**
+   * Check a fee schedule (or a template's partial override) and its amounts against the rate card limits
+   * @param {Object} schedule - Fee schedule
+   * @param {string} label - Prefix for error messages, e.g. "FeeSchedule" or "Template[3] feeSchedule"
+   * @returns {Array<string>} Validation errors
+   */
+  static validateSchedule(schedule, label = 'FeeSchedule') {
+    if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+      return [`${label} must be an object`];
+    }
+
+    const { limits = {} } = this.loadRateCard();
+    const errors = [];
+    const checkAmount = (value, name, limit) => {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`${label} ${name} must be a number`);
+      } else if (limit && limit.min !== undefined && value < limit.min) {
+        errors.push(`${label} ${name} ${value} is below the rate card minimum of ${limit.min}`);
+      } else if (limit && limit.max !== undefined && value > limit.max) {
+        errors.push(`${label} ${name} ${value} is above the rate card maximum of ${limit.max}`);
+      }
+    };
+
+    if (schedule.commissionRate !== undefined) {
+      checkAmount(schedule.commissionRate, 'commissionRate', limits.commissionRate);
+    }
+
+    if (schedule.buyersPremium !== undefined) {
+      const premium = schedule.buyersPremium;
+      const premiumLimits = limits.buyersPremium || {};
+
+      if (!premium || typeof premium !== 'object' || Array.isArray(premium)) {
+        errors.push(`${label} buyersPremium must be an object with rate and minimum`);
+      } else {
+        if (premium.rate !== undefined) {
+          checkAmount(premium.rate, 'buyersPremium rate', premiumLimits.rate);
+        }
+        if (premium.minimum !== undefined) {
+          checkAmount(premium.minimum, 'buyersPremium minimum', premiumLimits.minimum);
+        }
+      }
+    }
+
+    if (schedule.charges !== undefined) {
+      if (!schedule.charges || typeof schedule.charges !== 'object' || Array.isArray(schedule.charges)) {
+        errors.push(`${label} charges must be an object`);
+      } else {
+        const chargeLimits = limits.charges || {};
+
+        for (const [name, charge] of Object.entries(schedule.charges)) {
+          if (!this.CHARGE_FIELDS[name]) {
+            errors.push(`${label} has unknown charge "${name}". Use one of: ${Object.keys(this.CHARGE_FIELDS).join(', ')}`);
+          } else if (typeof charge === 'string') {
+            if (!this.CHARGE_KEYWORDS[charge]) {
+              errors.push(`${label} charges.${name} must be an amount, { amount, per }, ${Object.keys(this.CHARGE_KEYWORDS).map(keyword => `"${keyword}"`).join(' or ')}`);
+            }
+          } else if (charge && typeof charge === 'object' && !Array.isArray(charge)) {
+            checkAmount(charge.amount, `charges.${name} amount`, chargeLimits[name]);
+            if (charge.per !== undefined && (typeof charge.per !== 'string' || !charge.per.trim())) {
+              errors.push(`${label} charges.${name} per must be a non-empty string, e.g. "week"`);
+            }
+          } else {
+            checkAmount(charge, `charges.${name}`, chargeLimits[name]);
+          }
+        }
+      }
+    }
+
+    if (schedule.gst !== undefined && typeof schedule.gst !== 'boolean') {
+      errors.push(`${label} gst must be a boolean`);
+    }
+
+    if (schedule.example !== undefined && schedule.example !== false) {
+      const { example } = schedule;
+      if (!example || typeof example !== 'object' || typeof example.salePrice !== 'number' || example.salePrice <= 0) {
+        errors.push(`${label} example must be false or { salePrice } with a positive sale price`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Field values for a fee template, for the fields it has
+   * @param {Object} schedule - Fee schedule (see resolveSchedule)
+   * @param {Array<string>} fieldNames - The template's form field names
+   * @returns {Object} Field name -> typed value (see FieldValueService)
+   */
+  static buildFieldValues(schedule, fieldNames) {
+    const { currency } = this.loadRateCard();
+    const fieldValues = {};
+    const gst = schedule.gst !== false;
+
+    if (schedule.commissionRate !== undefined) {
+      fieldValues[this.COMMISSION_FIELD] = {
+        type: 'percent',
+        value: schedule.commissionRate,
+        suffix: gst ? ' + GST' : '',
+        autoShrink: true
+      };
+    }
+
+    const premium = schedule.buyersPremium;
+    if (premium && premium.rate !== undefined) {
+      const rate = FieldValueService.formatValue({ type: 'percent', value: premium.rate });
+      const minimum = premium.minimum ? ` (minimum ${this.formatAmount(premium.minimum, currency)})` : '';
+      fieldValues[this.BUYERS_PREMIUM_FIELD] = { type: 'text', value: `${rate}${minimum}`, autoShrink: true };
+    }
+
+    for (const [name, charge] of Object.entries(schedule.charges || {})) {
+      fieldValues[this.CHARGE_FIELDS[name]] = { type: 'text', value: this.describeCharge(charge, currency), autoShrink: true };
+    }
+
+    return Object.fromEntries(Object.entries(fieldValues).filter(([fieldName]) => fieldNames.includes(fieldName)));
+  }
+
+  /**
+   * Whether a template has any of the fee fields the schedule fills
+   */
+  static isFeeTemplate(fieldNames) {
+    return [this.COMMISSION_FIELD, this.BUYERS_PREMIUM_FIELD, ...Object.values(this.CHARGE_FIELDS)]
+      .some(fieldName => fieldNames.includes(fieldName));
+  }
+
+  /**
+   * Text shown for a charge, e.g. "$300", "$300 per week", "By quotation" or "No charge"
+   */
+  static describeCharge(charge, currency) {
+    if (typeof charge === 'string') {
+      return this.CHARGE_KEYWORDS[charge];
+    }
+
+    const amount = typeof charge === 'object' ? charge.amount : charge;
+    if (amount === 0) {
+      return 'No charge';
+    }
+
+    const per = typeof charge === 'object' && charge.per ? ` per ${charge.per}` : '';
+    return `${this.formatAmount(amount, currency)}${per}`;
+  }
+
+  /**
+   * Currency amount, with cents only when the amount has them
+   */
+  static formatAmount(amount, currency) {
+    return FieldValueService.formatValue({
+      type: 'currency',
+      value: amount,
+      currency,
+      decimals: Number.isInteger(amount) ? 0 : 2
+    });
+  }
+
+  /**
+   * Work through a sale at the example sale price: what the buyer pays and what the vendor receives
+   * Charges quoted per period count once; charges by quotation or included are left out
+   * @returns {{ salePrice: number, currency: string, gstRate: number,
+   *             buyer: { rows: Array<{ label, amount }>, total: number },
+   *             vendor: { rows: Array<{ label, amount }>, total: number } }}
+   *          Vendor deductions are negative amounts
+   */
+  static computeSettlement(schedule, salePrice) {
+    const { currency, gstRate = 0 } = this.loadRateCard();
+    const gst = schedule.gst !== false ? gstRate / 100 : 0;
+    const round = amount => Math.round(amount * 100) / 100 || 0; // || 0 so a zero total is never -0
+
+    const buyerRows = [{ label: 'Hammer price', amount: salePrice }];
+    const premium = schedule.buyersPremium;
+    if (premium && premium.rate !== undefined) {
+      const premiumAmount = round(Math.max(salePrice * premium.rate / 100, premium.minimum || 0));
+      const rate = FieldValueService.formatValue({ type: 'percent', value: premium.rate });
+      buyerRows.push({ label: `Buyer's premium (${rate}${premium.minimum ? `, minimum ${this.formatAmount(premium.minimum, currency)}` : ''})`, amount: premiumAmount });
+      if (gst) {
+        buyerRows.push({ label: "GST on buyer's premium", amount: round(premiumAmount * gst) });
+      }
+    }
+
+    const vendorRows = [{ label: 'Hammer price', amount: salePrice }];
+    let taxable = 0;
+    if (schedule.commissionRate !== undefined) {
+      const commission = round(salePrice * schedule.commissionRate / 100);
+      const rate = FieldValueService.formatValue({ type: 'percent', value: schedule.commissionRate });
+      vendorRows.push({ label: `Service fee (${rate})`, amount: -commission });
+      taxable += commission;
+    }
+
+    for (const [name, charge] of Object.entries(schedule.charges || {})) {
+      const amount = typeof charge === 'object' ? charge.amount : charge;
+      if (typeof amount === 'number' && amount > 0) {
+        const per = typeof charge === 'object' && charge.per ? ` (one ${charge.per})` : '';
+        vendorRows.push({ label: `${this.CHARGE_LABELS[name]}${per}`, amount: -amount });
+        taxable += amount;
+      }
+    }
+
+    if (gst && taxable > 0) {
+      vendorRows.push({ label: 'GST on fees and charges', amount: -round(taxable * gst) });
+    }
+
+    const sum = rows => round(rows.reduce((total, row) => total + row.amount, 0));
+
+    return {
+      salePrice,
+      currency,
+      gstRate: gst ? gstRate : 0,
+      buyer: { rows: buyerRows, total: sum(buyerRows) },
+      vendor: { rows: vendorRows, total: sum(vendorRows) }
+    };
+  }
+
+  /**
+   * Render the example settlement as a one-page document
+   * @param {Object} settlement - From computeSettlement
+   * @param {{ width: number, height: number }} pageSize - Usually the fee template's page size
+   * @returns {Promise<PDFDocument>}
+   */
+  static async renderSettlementExample(settlement, pageSize) {
+    const style = this.SETTLEMENT_STYLE;
+    const pdfDoc = await PDFDocument.create();
+    const page = pdfDoc.addPage([pageSize.width, pageSize.height]);
+    const regular = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+    const money = amount => FieldValueService.formatValue({ type: 'currency', value: amount, currency: settlement.currency });
+
+    const left = style.margin;
+    const right = pageSize.width - style.margin;
+    let y = pageSize.height - style.margin - 60;
+
+    page.drawText(this.SETTLEMENT_TITLE, { x: left, y, size: 26, font: regular, color: rgb(...style.headingColor) });
+    y -= 24;
+    page.drawText(`An illustration of the fees above on a hammer price of ${money(settlement.salePrice)}`, {
+      x: left, y, size: style.fontSize, font: regular, color: rgb(...style.mutedColor)
+    });
+    y -= 40;
+
+    const drawTable = (title, rows, totalLabel, total) => {
+      page.drawText(title, { x: left, y, size: 14, font: bold, color: rgb(...style.headingColor) });
+      y -= style.rowHeight;
+
+      for (const row of rows) {
+        const amount = money(row.amount);
+        page.drawText(row.label, { x: left, y, size: style.fontSize, font: regular, color: rgb(...style.textColor) });
+        page.drawText(amount, {
+          x: right - regular.widthOfTextAtSize(amount, style.fontSize),
+          y,
+          size: style.fontSize,
+          font: regular,
+          color: rgb(...style.textColor)
+        });
+        y -= style.rowHeight;
+      }
+
+      page.drawLine({
+        start: { x: left, y: y + style.rowHeight - 6 },
+        end: { x: right, y: y + style.rowHeight - 6 },
+        thickness: 0.75,
+        color: rgb(...style.ruleColor)
+      });
+
+      const totalText = money(total);
+      page.drawText(totalLabel, { x: left, y: y - 4, size: style.fontSize, font: bold, color: rgb(...style.textColor) });
+      page.drawText(totalText, {
+        x: right - bold.widthOfTextAtSize(totalText, style.fontSize),
+        y: y - 4,
+        size: style.fontSize,
+        font: bold,
+        color: rgb(...style.textColor)
+      });
+      y -= style.rowHeight + 30;
+    };
+
+    drawTable('Vendor', settlement.vendor.rows, 'Net proceeds to vendor', settlement.vendor.total);
+    drawTable('Buyer', settlement.buyer.rows, 'Total paid by buyer', settlement.buyer.total);
+
+    const note = settlement.gstRate
+      ? `Indicative only. Amounts include GST at ${settlement.gstRate}% where shown. Charges quoted per period are counted once.`
+      : 'Indicative only. Charges quoted per period are counted once.';
+    page.drawText(note, { x: left, y, size: 9, font: regular, color: rgb(...style.mutedColor) });
+
+    return pdfDoc;
+  }
+}
+
+module.exports = FeeScheduleService;
@@ -0,0 +1,390 @@
+const { TextAlignment, layoutMultilineText } = require('pdf-lib');
+
+/**
+ * Field Value Service
+ * Formats and fills typed form field values for editable templates
+ *
+ * A template's fieldValues map field names to plain values or typed values:
+ *   "80 % + GST"                                        - plain text (numbers are converted to text)
+ *   { type: 'currency', value: 275, decimals?, prefix?, suffix? }          -> "$275.00"
+ *   { type: 'percent', value: 2.25, decimals?, prefix?, suffix? }          -> "2.25%"
+ *   { type: 'date', value: '2026-10-19', format?, locale? }                -> "19 October 2026"
+ *                                                                          (format "[Due] DD/MM" -> "Due 19/10")
+ *   { type: 'text', value: string|string[], multiline? }                   - an array is one line per item
+ *   true / { type: 'checkbox', value: boolean }                           - check boxes
+ *   "Option" / { type: 'choice', value: string|string[] }                 - radio groups, dropdowns and option lists
+ *
+ * Text-like values (text, currency, percent, date) also accept layout options:
+ *   fontSize    - font size in points (default: the field's own size)
+ *   autoShrink  - shrink the font until the text fits the field, down to minFontSize (default 6)
+ *   multiline   - wrap the text over several lines
+ *
+ * Values are checked against the template's field metadata (see TemplateFieldService) before generation
+ */
+class FieldValueService {
+
+  static VALUE_TYPES = ['text', 'currency', 'percent', 'date', 'checkbox', 'choice'];
+
+  static TEXT_TYPES = ['text', 'currency', 'percent', 'date'];
+
+  static DEFAULT_LOCALE = 'en-AU';
+
+  static DEFAULT_CURRENCY = 'AUD';
+
+  static DEFAULT_FONT_SIZE = 12;
+
+  static MIN_FONT_SIZE = 6;
+
+  // Space pdf-lib leaves between a text field's border and its text
+  static TEXT_PADDING = 2;
+
+  static DATE_FORMATS = {
+    short: { day: '2-digit', month: '2-digit', year: 'numeric' },
+    medium: { day: 'numeric', month: 'short', year: 'numeric' },
+    long: { day: 'numeric', month: 'long', year: 'numeric' },
+    full: { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }
+  };
+
+  // Bracketed text is written as-is, so words such as "Due" keep their letters
+  static DATE_PATTERN_TOKENS = /\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|dddd|ddd|DD|D/g;
+
+  /**
+   * Turn a fieldValues entry into a typed value, reading plain values according to the field's type
+   * @param {*} value - Plain or typed value
+   * @param {string} fieldType - Field type from TemplateFieldService (text, checkbox, dropdown, ...)
+   * @returns {Object} { type, value, ...options }
+   */
+  static normalizeValue(value, fieldType = 'text') {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      return { ...value, type: value.type || 'text' };
+    }
+
+    if (typeof value === 'boolean') {
+      return { type: 'checkbox', value };
+    }
+
+    if (['dropdown', 'option_list', 'radio'].includes(fieldType)) {
+      return { type: 'choice', value };
+    }
+
+    return { type: 'text', value };
+  }
+
+  /**
+   * Format a text-like value as the text written into the field
+   * @throws {Error} If the value can't be formatted
+   */
+  static formatValue(spec) {
+    const locale = spec.locale || this.DEFAULT_LOCALE;
+    const affix = text => `${spec.prefix || ''}${text}${spec.suffix || ''}`;
+
+    switch (spec.type) {
+      case 'currency': {
+        const amount = this._toNumber(spec.value, 'currency');
+        const decimals = spec.decimals ?? 2;
+        return affix(new Intl.NumberFormat(locale, {
+          style: 'currency',
+          currency: spec.currency || this.DEFAULT_CURRENCY,
+          minimumFractionDigits: decimals,
+          maximumFractionDigits: decimals
+        }).format(amount));
+      }
+
+      case 'percent': {
+        // Values are percentage points: 2.25 is "2.25%"
+        const points = this._toNumber(spec.value, 'percent');
+        const decimals = spec.decimals ?? 2;
+        const number = new Intl.NumberFormat(locale, {
+          minimumFractionDigits: spec.decimals ?? 0,
+          maximumFractionDigits: decimals
+        }).format(points);
+        return affix(`${number}%`);
+      }
+
+      case 'date':
+        return affix(this.formatDate(spec.value, spec.format, locale));
+
+      case 'text':
+        if (Array.isArray(spec.value)) {
+          return affix(spec.value.map(line => String(line)).join('\n'));
+        }
+        if (spec.value === undefined || spec.value === null) {
+          throw new Error('text value is missing');
+        }
+        return affix(String(spec.value));
+
+      default:
+        throw new Error(`${spec.type} values can't be written as text`);
+    }
+  }
+
+  /**
+   * Format a date
+   * @param {string|number|Date} value - ISO date ("2026-10-19"), timestamp or Date
+   * @param {string} format - short, medium, long (default), full, or a pattern such as "DD/MM/YYYY" or "[Due] D MMMM YYYY"
+   * @param {string} locale - Locale for month and weekday names
+   */
+  static formatDate(value, format = 'long', locale = this.DEFAULT_LOCALE) {
+    const date = this._toDate(value);
+
+    if (this.DATE_FORMATS[format]) {
+      return date.toLocaleDateString(locale, { ...this.DATE_FORMATS[format], timeZone: 'UTC' });
+    }
+
+    const parts = typeof format === 'string' ? [...format.matchAll(this.DATE_PATTERN_TOKENS)] : [];
+    if (!parts.some(([, literal]) => literal === undefined)) {
+      throw new Error(`unknown date format "${format}". Use ${Object.keys(this.DATE_FORMATS).join(', ')} or a pattern like DD/MM/YYYY`);
+    }
+
+    // A word outside brackets that isn't made of tokens would have its letters replaced
+    const strayWord = (format.replace(/\[[^\]]*\]/g, ' ').match(/\p{L}+/gu) || [])
+      .find(word => word.replace(this.DATE_PATTERN_TOKENS, '') !== '');
+    if (strayWord) {
+      throw new Error(`date format "${format}" has "${strayWord}", which isn't a date token. Put literal text in square brackets, like [Due] DD/MM`);
+    }
+
+    const name = options => date.toLocaleDateString(locale, { ...options, timeZone: 'UTC' });
+    const pad = number => String(number).padStart(2, '0');
+    const tokens = {
+      YYYY: () => String(date.getUTCFullYear()),
+      YY: () => pad(date.getUTCFullYear() % 100),
+      MMMM: () => name({ month: 'long' }),
+      MMM: () => name({ month: 'short' }),
+      MM: () => pad(date.getUTCMonth() + 1),
+      M: () => String(date.getUTCMonth() + 1),
+      dddd: () => name({ weekday: 'long' }),
+      ddd: () => name({ weekday: 'short' }),
+      DD: () => pad(date.getUTCDate()),
+      D: () => String(date.getUTCDate())
+    };
+
+    return format.replace(this.DATE_PATTERN_TOKENS, (token, literal) => (literal !== undefined ? literal : tokens[token]()));
+  }
+
+  /**
+   * Validate a template's fieldValues against its form fields
+   * @param {Object} fieldValues - Field name -> plain or typed value
+   * @param {Array<Object>} fields - Field details from TemplateFieldService.introspectFields
+   * @param {string} label - Prefix for error messages, e.g. "Template[3]"
+   * @returns {Array<string>} Validation errors
+   */
+  static validateFieldValues(fieldValues, fields, label) {
+    const errors = [];
+    const fieldsByName = new Map(fields.map(field => [field.name, field]));
+
+    for (const [fieldName, value] of Object.entries(fieldValues)) {
+      const prefix = `${label} field "${fieldName}"`;
+      const field = fieldsByName.get(fieldName);
+
+      if (!field) {
+        errors.push(`${prefix} does not exist in the template`);
+        continue;
+      }
+
+      if (field.imageSlot) {
+        errors.push(`${prefix} is an image slot and can't take a field value`);
+        continue;
+      }
+
+      const spec = this.normalizeValue(value, field.type);
+      if (!this.VALUE_TYPES.includes(spec.type)) {
+        errors.push(`${prefix} has unknown value type "${spec.type}". Use one of: ${this.VALUE_TYPES.join(', ')}`);
+        continue;
+      }
+
+      errors.push(...this._validateValue(spec, field).map(message => `${prefix} ${message}`));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Fill a form's fields with fieldValues
+   * Values should already be validated; fields that are missing or don't match are skipped with a warning
+   * @param {PDFForm} form - The template's form
+   * @param {Object} fieldValues - Field name -> plain or typed value
+   */
+  static applyFieldValues(form, fieldValues) {
+    for (const [fieldName, value] of Object.entries(fieldValues)) {
+      const field = form.getFieldMaybe(fieldName);
+      if (!field) {
+        console.warn(`     ⚠️ Field not found: ${fieldName}`);
+        continue;
+      }
+
+      try {
+        const shown = this._applyValue(form, field, value);
+        console.log(`     ✅ Filled field: ${fieldName} = ${shown}`);
+      } catch (error) {
+        console.warn(`     ⚠️ Could not fill field ${fieldName}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  static _validateValue(spec, field) {
+    if (this.TEXT_TYPES.includes(spec.type)) {
+      if (field.type !== 'text') {
+        return [`is a ${field.type} field and can't take a ${spec.type} value`];
+      }
+
+      let text;
+      try {
+        text = this.formatValue(spec);
+      } catch (error) {
+        return [error.message];
+      }
+
+      const errors = [];
+      if (field.maxLength !== null && text.length > field.maxLength) {
+        errors.push(`value "${text}" is longer than the field's ${field.maxLength} character limit`);
+      }
+      for (const option of ['fontSize', 'minFontSize']) {
+        if (spec[option] !== undefined && !(typeof spec[option] === 'number' && spec[option] > 0)) {
+          errors.push(`${option} must be a positive number`);
+        }
+      }
+      return errors;
+    }
+
+    if (spec.type === 'checkbox') {
+      if (field.type !== 'checkbox') {
+        return [`is a ${field.type} field and can't take a checkbox value`];
+      }
+      return typeof spec.value === 'boolean' ? [] : ['checkbox value must be true or false'];
+    }
+
+    // choice
+    if (!['dropdown', 'option_list', 'radio'].includes(field.type)) {
+      return [`is a ${field.type} field and can't take a choice value`];
+    }
+
+    const selected = [].concat(spec.value);
+    if (selected.length === 0 || selected.some(option => typeof option !== 'string')) {
+      return ['choice value must be a string or an array of strings'];
+    }
+    if (selected.length > 1 && field.type === 'radio') {
+      return ['radio groups take a single choice'];
+    }
+
+    const unknown = selected.filter(option => !field.options.includes(option));
+    return unknown.length > 0
+      ? [`has no option ${unknown.map(option => `"${option}"`).join(', ')}. Options: ${field.options.join(', ')}`]
+      : [];
+  }
+
+  /**
+   * Write one value into a field
+   * @returns {string} The value as written, for logging
+   * @private
+   */
+  static _applyValue(form, field, value) {
+    const fieldType = field.constructor.name;
+    const spec = this.normalizeValue(value, {
+      PDFDropdown: 'dropdown',
+      PDFOptionList: 'option_list',
+      PDFRadioGroup: 'radio'
+    }[fieldType]);
+
+    if (spec.type === 'checkbox') {
+      if (spec.value) {
+        field.check();
+      } else {
+        field.uncheck();
+      }
+      return String(spec.value);
+    }
+
+    if (spec.type === 'choice') {
+      field.select(fieldType === 'PDFRadioGroup' ? spec.value : [].concat(spec.value));
+      return [].concat(spec.value).join(', ');
+    }
+
+    const text = this.formatValue(spec);
+    if (spec.multiline || text.includes('\n')) {
+      field.enableMultiline();
+    }
+    field.setText(text);
+
+    const fontSize = spec.autoShrink ? this._fitFontSize(form, field, text, spec) : spec.fontSize;
+    if (fontSize) {
+      field.setFontSize(fontSize);
+    }
+
+    return text;
+  }
+
+  /**
+   * Largest font size, starting from the requested or field's own size, at which the text fits the field
+   * Sizes step down by half a point to minFontSize; text that still doesn't fit is left at minFontSize
+   * @private
+   */
+  static _fitFontSize(form, field, text, spec) {
+    const font = form.getDefaultFont();
+    const { width, height } = field.acroField.getWidgets()[0].getRectangle();
+    const bounds = {
+      x: 0,
+      y: 0,
+      width: width - this.TEXT_PADDING * 2,
+      height: height - this.TEXT_PADDING * 2
+    };
+    const minFontSize = spec.minFontSize || this.MIN_FONT_SIZE;
+
+    const fits = fontSize => {
+      if (field.isMultiline()) {
+        const layout = layoutMultilineText(text, { alignment: TextAlignment.Left, fontSize, font, bounds });
+        return layout.lines.length * layout.lineHeight <= bounds.height;
+      }
+      return font.widthOfTextAtSize(text, fontSize) <= bounds.width &&
+        font.heightAtSize(fontSize) <= bounds.height;
+    };
+
+    let fontSize = spec.fontSize || this._defaultFontSize(field);
+    while (fontSize > minFontSize && !fits(fontSize)) {
+      fontSize = Math.max(minFontSize, fontSize - 0.5);
+    }
+    return fontSize;
+  }
+
+  /**
+   * Font size from the field's default appearance, e.g. "/Helv 12 Tf 0 g"
+   * @private
+   */
+  static _defaultFontSize(field) {
+    const match = /([\d.]+)\s+Tf/.exec(field.acroField.getDefaultAppearance() || '');
+    const fontSize = match ? parseFloat(match[1]) : 0;
+    return fontSize > 0 ? fontSize : this.DEFAULT_FONT_SIZE;
+  }
+
+  /**
+   * @private
+   */
+  static _toNumber(value, type) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+      throw new Error(`${type} value must be a number`);
+    }
+    return number;
+  }
+
+  /**
+   * Dates without a time ("2026-10-19") are taken as that calendar day wherever the server runs
+   * @private
+   */
+  static _toDate(value) {
+    const dateOnly = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (dateOnly) {
+      return new Date(Date.UTC(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3])));
+    }
+
+    const date = value instanceof Date ? value : new Date(value);
+    if (value === undefined || value === null || Number.isNaN(date.getTime())) {
+      throw new Error(`date value "${value}" is not a valid date`);
+    }
+    return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  }
+}
+
+module.exports = FieldValueService;
@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const { PDFDocument, rgb, StandardFonts } = require('pdf-lib');
+const TemplateCacheService = require('./templateCacheService');
 
 /**
  * Front Page Service
@@ -10,41 +11,33 @@ class FrontPageService {
   
   /**
    * Generate the front page using Template Company.pdf template
+   * @returns {Promise<PDFDocument>} The front page document, ready to merge
    */
-  static async generateFrontPage(config, templatesDir, outputDir) {
+  static async generateFrontPage(config, templatesDir) {
     const companyTemplatePath = path.join(templatesDir, 'Template Company.pdf');
-    const frontPagePath = path.join(outputDir, 'temp_frontpage.pdf');
     
     if (!fs.existsSync(companyTemplatePath)) {
       console.warn('⚠️ Template Company.pdf not found, creating basic front page...');
-      return await this.createBasicFrontPage(config, frontPagePath);
+      return await this.createBasicFrontPage(config);
     }
     
     try {
-      // Load company template
-      const templateBytes = fs.readFileSync(companyTemplatePath);
-      const pdfDoc = await PDFDocument.load(templateBytes);
+      // Load a private copy of the company template
+      const pdfDoc = await TemplateCacheService.loadEditableCopy(companyTemplatePath);
       const form = pdfDoc.getForm();
       
       // Try to fill company name and date fields
       await this.fillFormFields(form, config);
       
-      // Clean up old page numbers
-      this.addPageNumberCleanup(pdfDoc);
-      
       // Flatten form to make it non-editable
       form.flatten();
       
-      // Save front page
-      const pdfBytes = await pdfDoc.save();
-      fs.writeFileSync(frontPagePath, pdfBytes);
-      
       console.log('✅ Front page generated using Template Company.pdf');
-      return frontPagePath;
+      return pdfDoc;
       
     } catch (error) {
       console.warn('⚠️ Error with Template Company.pdf, creating basic front page...');
-      return await this.createBasicFrontPage(config, frontPagePath);
+      return await this.createBasicFrontPage(config);
     }
   }
 
@@ -70,29 +63,11 @@ class FrontPageService {
     }
   }
 
-  /**
-   * Add white rectangles to clean up old page numbers
-   */
-  static addPageNumberCleanup(pdfDoc) {
-    const pages = pdfDoc.getPages();
-    for (const page of pages) {
-      const { width } = page.getSize();
-      
-      // Add white rectangle to hide old page numbers at bottom
-      page.drawRectangle({
-        x: 0,
-        y: 0,
-        width: width,
-        height: 30,
-        color: rgb(1, 1, 1),
-      });
-    }
-  }
-
   /**
    * Create a basic front page programmatically
+   * @returns {Promise<PDFDocument>}
    */
-  static async createBasicFrontPage(config, outputPath) {
+  static async createBasicFrontPage(config) {
     const pdfDoc = await PDFDocument.create();
     const page = pdfDoc.addPage([595.28, 841.89]); // A4
     const { width, height } = page.getSize();
@@ -129,11 +104,8 @@ class FrontPageService {
       color: rgb(0.5, 0.5, 0.5),
     });
     
-    const pdfBytes = await pdfDoc.save();
-    fs.writeFileSync(outputPath, pdfBytes);
-    
     console.log('✅ Basic front page created programmatically');
-    return outputPath;
+    return pdfDoc;
   }
 }
 
@@ -0,0 +1,174 @@
+const { rgb, StandardFonts } = require('pdf-lib');
+
+/**
+ * Header Footer Service
+ * Draws running headers and footers on the content pages of a merged proposal
+ *
+ * config.HeaderFooter adjusts the defaults (a centred "Page {page} of {total}" footer and no header):
+ *   {
+ *     font?, fontSize?, color?: [r, g, b], margin?,
+ *     header?: Slots | false, footer?: Slots | false,
+ *     sections?: { "<TOC title>": { header?: Slots | false, footer?: Slots | false } | false },
+ *     suppressOnFullBleed?: boolean
+ *   }
+ *   Slots    - { left?, center?, right?, offset? } text templates; offset is the baseline distance from the page edge
+ *   sections - overrides for the pages of a TOC section (a group, template or staff member title);
+ *              the most specific matching section wins, and false leaves its pages blank
+ *   suppressOnFullBleed - leave pages of templates marked fullBleed untouched (default true)
+ *
+ * Slot text may use {page}, {total}, {company}, {section}, {date} and {version}
+ */
+class HeaderFooterService {
+
+  static DEFAULT_STYLE = {
+    font: 'Helvetica',
+    fontSize: 10,
+    color: [0, 0, 0],
+    margin: 40, // Inset of the left and right slots from the page edge
+    header: false,
+    footer: { center: 'Page {page} of {total}' },
+    sections: {},
+    suppressOnFullBleed: true
+  };
+
+  static DEFAULT_OFFSETS = { header: 20, footer: 15 };
+
+  /**
+   * Merge config.HeaderFooter over the defaults
+   */
+  static resolveStyle(overrides) {
+    return { ...this.DEFAULT_STYLE, ...(overrides || {}) };
+  }
+
+  /**
+   * Draw headers and footers on the content pages of a merged proposal
+   * Content pages are numbered from 1, matching the page numbers listed in the TOC
+   * @param {PDFDocument} pdfDoc - The merged proposal
+   * @param {Object} options - { contentStartIndex: number, tocData?: Array, fullBleedPageIndices?: number[],
+   *                             style?: Object (config.HeaderFooter), values?: { company?, version?, date? } }
+   */
+  static async applyHeadersFooters(pdfDoc, options) {
+    const { contentStartIndex, tocData = [], fullBleedPageIndices = [], values = {} } = options;
+    const style = this.resolveStyle(options.style);
+
+    if (!StandardFonts[style.font]) {
+      throw new Error(`Unknown header/footer font "${style.font}". Use one of: ${Object.keys(StandardFonts).join(', ')}`);
+    }
+
+    const font = await pdfDoc.embedFont(StandardFonts[style.font]);
+    const allPages = pdfDoc.getPages();
+    const total = allPages.length - contentStartIndex; // Exclude front page and TOC pages
+    const date = values.date || this.formatDate(new Date());
+
+    for (let i = contentStartIndex; i < allPages.length; i++) {
+      if (style.suppressOnFullBleed && fullBleedPageIndices.includes(i)) {
+        continue;
+      }
+
+      const page = i - contentStartIndex + 1;
+      const sectionPath = this.findSectionPath(tocData, page);
+      const tokens = {
+        page,
+        total,
+        company: values.company || '',
+        section: sectionPath.length > 0 ? sectionPath[0] : '',
+        date,
+        version: values.version || ''
+      };
+
+      for (const position of ['header', 'footer']) {
+        const slots = this.resolveSlots(style, sectionPath, position);
+        if (slots) {
+          this.drawSlots(allPages[i], slots, position, tokens, font, style);
+        }
+      }
+    }
+  }
+
+  /**
+   * Pick the header or footer slots for a page, letting the most specific section override the defaults
+   * @returns {Object|false} Slots, or false when nothing is drawn
+   */
+  static resolveSlots(style, sectionPath, position) {
+    const sections = style.sections || {};
+
+    for (const title of [...sectionPath].reverse()) {
+      const override = sections[title];
+      if (override === false) {
+        return false;
+      }
+      if (override && override[position] !== undefined) {
+        return override[position];
+      }
+    }
+
+    return style[position];
+  }
+
+  /**
+   * Draw the left, centre and right text of a header or footer
+   */
+  static drawSlots(page, slots, position, tokens, font, style) {
+    const { width, height } = page.getSize();
+    const offset = slots.offset !== undefined ? slots.offset : this.DEFAULT_OFFSETS[position];
+    const y = position === 'header' ? height - offset - style.fontSize : offset;
+
+    for (const slot of ['left', 'center', 'right']) {
+      if (!slots[slot]) {
+        continue;
+      }
+
+      const text = this.fillTokens(slots[slot], tokens);
+      const textWidth = font.widthOfTextAtSize(text, style.fontSize);
+      const x = slot === 'left'
+        ? style.margin
+        : slot === 'center'
+          ? width / 2 - textWidth / 2
+          : width - style.margin - textWidth;
+
+      page.drawText(text, {
+        x,
+        y,
+        size: style.fontSize,
+        font,
+        color: rgb(...style.color)
+      });
+    }
+  }
+
+  /**
+   * Titles of the TOC entries containing a content page, outermost first
+   * An entry runs until the next entry at the same level starts
+   */
+  static findSectionPath(entries, page) {
+    let current = null;
+
+    for (const entry of entries || []) {
+      if (entry.page <= page) {
+        current = entry;
+      }
+    }
+
+    if (!current) {
+      return [];
+    }
+
+    return [current.title, ...this.findSectionPath(current.children, page)];
+  }
+
+  /**
+   * Replace {token} placeholders; unknown tokens are left as written
+   */
+  static fillTokens(template, tokens) {
+    return template.replace(/\{(\w+)\}/g, (token, key) => (tokens[key] !== undefined ? String(tokens[key]) : token));
+  }
+
+  /**
+   * Format the {date} token, e.g. "19 October 2026"
+   */
+  static formatDate(date) {
+    return date.toLocaleDateString('en-AU', { day: 'numeric', month: 'long', year: 'numeric' });
+  }
+}
+
+module.exports = HeaderFooterService;
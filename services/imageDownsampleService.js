@@ -0,0 +1,702 @@
+const zlib = require('zlib');
+const { PDFArray, PDFDict, PDFName, PDFNumber, PDFRawStream } = require('pdf-lib');
+
+/**
+ * Image Downsample Service
+ * Shrinks the images embedded in a PDF to thumbnail resolution, for previews. pdf-lib can only copy images,
+ * so this decodes them itself:
+ *   FlateDecode - 8-bit images (with or without PNG predictors) are inflated and averaged down
+ *   DCTDecode   - JPEGs are read at 1/8 scale from each 8x8 block's DC coefficient (the block's average colour),
+ *                 which needs no inverse DCT, then averaged down further if still too large
+ * Downsampled images are stored as FlateDecode with their colour space, Decode array and soft mask kept
+ * Other images (1-bit masks, other filters, lossless or arithmetic-coded JPEGs) are left as they are
+ */
+class ImageDownsampleService {
+
+  static MAX_IMAGE_DIMENSION = 160; // Longest side of a downsampled image, in pixels
+
+  static FLATE = PDFName.of('FlateDecode');
+  static DCT = PDFName.of('DCTDecode');
+
+  /**
+   * Downsample every image in a document whose longest side is over maxDimension pixels
+   * JPEGs are only decoded when at least twice that size, as 1/8 scale is their only step
+   * @param {PDFDocument} pdfDoc - Document to change in place
+   * @returns {{ downsampled: number, skipped: number, bytesBefore: number, bytesAfter: number }}
+   */
+  static downsampleImages(pdfDoc, maxDimension = this.MAX_IMAGE_DIMENSION) {
+    const { context } = pdfDoc;
+    const summary = { downsampled: 0, skipped: 0, bytesBefore: 0, bytesAfter: 0 };
+
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
+      if (!(object instanceof PDFRawStream) || object.dict.get(PDFName.of('Subtype')) !== PDFName.of('Image')) {
+        continue;
+      }
+
+      let image = null;
+      try {
+        image = this._decodeForDownsampling(object, context, maxDimension);
+      } catch (error) {
+        console.warn(`   ⚠️ Could not downsample image ${ref}: ${error.message}`);
+      }
+
+      if (!image) {
+        summary.skipped++;
+        continue;
+      }
+
+      const scaled = this._resample(image, maxDimension);
+      const dict = object.dict.clone(context);
+      dict.set(PDFName.of('Width'), PDFNumber.of(scaled.width));
+      dict.set(PDFName.of('Height'), PDFNumber.of(scaled.height));
+      dict.set(PDFName.of('BitsPerComponent'), PDFNumber.of(8));
+      dict.set(PDFName.of('Filter'), this.FLATE);
+      dict.set(PDFName.of('Interpolate'), context.obj(true));
+      dict.delete(PDFName.of('DecodeParms'));
+
+      const contents = zlib.deflateSync(scaled.pixels);
+      context.assign(ref, PDFRawStream.of(dict, contents));
+
+      summary.downsampled++;
+      summary.bytesBefore += object.contents.length;
+      summary.bytesAfter += contents.length;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Decode an image stream to 8-bit pixels if it is worth downsampling and in a form this service reads
+   * @returns {{ width, height, components, pixels: Uint8Array, indexed: boolean }|null}
+   * @private
+   */
+  static _decodeForDownsampling(stream, context, maxDimension) {
+    const { dict } = stream;
+    const width = this._number(dict, 'Width', context);
+    const height = this._number(dict, 'Height', context);
+
+    if (dict.get(PDFName.of('ImageMask')) || Math.max(width, height) <= maxDimension) {
+      return null;
+    }
+
+    const colorSpace = this._describeColorSpace(context.lookup(dict.get(PDFName.of('ColorSpace'))), context);
+    if (!colorSpace) {
+      return null;
+    }
+
+    const filter = this._singleFilter(context.lookup(dict.get(PDFName.of('Filter'))));
+    const decodeParms = this._singleDecodeParms(context.lookup(dict.get(PDFName.of('DecodeParms'))), context);
+
+    if (filter === this.FLATE) {
+      if (this._number(dict, 'BitsPerComponent', context) !== 8) {
+        return null;
+      }
+      const pixels = this._inflate(stream.contents, decodeParms, width, height, colorSpace.components, context);
+      return pixels && { width, height, components: colorSpace.components, pixels, indexed: colorSpace.indexed };
+    }
+
+    if (filter === this.DCT && Math.max(width, height) >= maxDimension * 2) {
+      const colorTransform = decodeParms && decodeParms.get(PDFName.of('ColorTransform'));
+      const image = this._decodeJpegDc(stream.contents, colorTransform ? context.lookup(colorTransform).asNumber() : null);
+      return image && image.components === colorSpace.components ? { ...image, indexed: false } : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Components per pixel of an image colour space, or null for one this service does not handle
+   * Indexed images are resampled by picking pixels, as palette indexes can't be averaged
+   * @private
+   */
+  static _describeColorSpace(colorSpace, context) {
+    const deviceComponents = { DeviceGray: 1, CalGray: 1, DeviceRGB: 3, CalRGB: 3, Lab: 3, DeviceCMYK: 4 };
+
+    if (colorSpace instanceof PDFName) {
+      const components = deviceComponents[colorSpace.decodeText()];
+      return components ? { components, indexed: false } : null;
+    }
+
+    if (!(colorSpace instanceof PDFArray) || !(colorSpace.get(0) instanceof PDFName)) {
+      return null;
+    }
+
+    switch (colorSpace.get(0).decodeText()) {
+      case 'CalGray':
+      case 'CalRGB':
+      case 'Lab':
+        return { components: deviceComponents[colorSpace.get(0).decodeText()], indexed: false };
+
+      case 'ICCBased': {
+        const profile = context.lookup(colorSpace.get(1));
+        const components = profile && profile.dict ? this._number(profile.dict, 'N', context) : null;
+        return [1, 3, 4].includes(components) ? { components, indexed: false } : null;
+      }
+
+      case 'Separation':
+        return { components: 1, indexed: false };
+
+      case 'DeviceN': {
+        const names = context.lookup(colorSpace.get(1));
+        return names instanceof PDFArray ? { components: names.size(), indexed: false } : null;
+      }
+
+      case 'Indexed':
+        return { components: 1, indexed: true };
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Inflate a FlateDecode image and undo its PNG predictor, if any
+   * @returns {Uint8Array|null} null for predictors this service does not read
+   * @private
+   */
+  static _inflate(contents, decodeParms, width, height, components, context) {
+    const data = zlib.inflateSync(contents);
+    const predictor = decodeParms ? this._number(decodeParms, 'Predictor', context) || 1 : 1;
+    const rowBytes = width * components;
+
+    if (predictor === 1) {
+      return data.length >= rowBytes * height ? data.subarray(0, rowBytes * height) : null;
+    }
+
+    if (predictor < 10) {
+      return null; // TIFF predictor
+    }
+
+    // PNG predictors: each row starts with its filter type byte
+    const pixels = new Uint8Array(rowBytes * height);
+    for (let y = 0; y < height; y++) {
+      const rowStart = y * (rowBytes + 1);
+      if (rowStart + rowBytes >= data.length) {
+        return null;
+      }
+
+      const type = data[rowStart];
+      const out = y * rowBytes;
+      for (let x = 0; x < rowBytes; x++) {
+        const raw = data[rowStart + 1 + x];
+        const left = x >= components ? pixels[out + x - components] : 0;
+        const up = y > 0 ? pixels[out - rowBytes + x] : 0;
+        const upLeft = y > 0 && x >= components ? pixels[out - rowBytes + x - components] : 0;
+
+        switch (type) {
+          case 0: pixels[out + x] = raw; break;
+          case 1: pixels[out + x] = raw + left; break;
+          case 2: pixels[out + x] = raw + up; break;
+          case 3: pixels[out + x] = raw + ((left + up) >> 1); break;
+          case 4: pixels[out + x] = raw + this._paeth(left, up, upLeft); break;
+          default: return null;
+        }
+      }
+    }
+    return pixels;
+  }
+
+  /**
+   * @private
+   */
+  static _paeth(left, up, upLeft) {
+    const estimate = left + up - upLeft;
+    const toLeft = Math.abs(estimate - left);
+    const toUp = Math.abs(estimate - up);
+    const toUpLeft = Math.abs(estimate - upLeft);
+
+    if (toLeft <= toUp && toLeft <= toUpLeft) {
+      return left;
+    }
+    return toUp <= toUpLeft ? up : upLeft;
+  }
+
+  /**
+   * Shrink an image so its longest side is at most maxDimension, averaging the pixels each output pixel covers
+   * (or taking the nearest one for indexed images)
+   * @private
+   */
+  static _resample({ width, height, components, pixels, indexed }, maxDimension) {
+    const scale = Math.min(1, maxDimension / Math.max(width, height));
+    const outWidth = Math.max(1, Math.round(width * scale));
+    const outHeight = Math.max(1, Math.round(height * scale));
+    const out = new Uint8Array(outWidth * outHeight * components);
+
+    for (let y = 0; y < outHeight; y++) {
+      const top = Math.floor((y * height) / outHeight);
+      const bottom = Math.max(top + 1, Math.floor(((y + 1) * height) / outHeight));
+
+      for (let x = 0; x < outWidth; x++) {
+        const left = Math.floor((x * width) / outWidth);
+        const right = Math.max(left + 1, Math.floor(((x + 1) * width) / outWidth));
+        const target = (y * outWidth + x) * components;
+
+        if (indexed) {
+          out[target] = pixels[(top * width + left) * components];
+          continue;
+        }
+
+        for (let c = 0; c < components; c++) {
+          let sum = 0;
+          for (let sy = top; sy < bottom; sy++) {
+            for (let sx = left; sx < right; sx++) {
+              sum += pixels[(sy * width + sx) * components + c];
+            }
+          }
+          out[target + c] = Math.round(sum / ((bottom - top) * (right - left)));
+        }
+      }
+    }
+
+    return { width: outWidth, height: outHeight, pixels: out };
+  }
+
+  /**
+   * Decode a baseline or progressive JPEG at 1/8 scale: one pixel per 8x8 block, from its DC coefficient
+   * The pixels are what a DCTDecode filter would output (after its YCbCr or YCCK colour transform)
+   * @param {Buffer} bytes - JPEG data
+   * @param {number|null} colorTransform - The stream's /ColorTransform, overriding the JPEG's own
+   * @returns {{ width, height, components, pixels: Uint8Array }|null} null for JPEG types this does not read
+   * @private
+   */
+  static _decodeJpegDc(bytes, colorTransform = null) {
+    const quantTables = [];
+    const huffmanTables = {};
+    let frame = null;
+    let restartInterval = 0;
+    let adobeTransform = null;
+    let pos = 2;
+
+    if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+      throw new Error('Not a JPEG image');
+    }
+
+    while (pos < bytes.length) {
+      // Markers may be padded with 0xFF fill bytes
+      if (bytes[pos] !== 0xFF) {
+        throw new Error(`Expected a JPEG marker at byte ${pos}`);
+      }
+      while (bytes[pos] === 0xFF) {
+        pos++;
+      }
+      const marker = bytes[pos++];
+
+      if (marker === 0xD9) {
+        break; // End of image
+      }
+      if (marker === 0xD8 || (marker >= 0xD0 && marker <= 0xD7)) {
+        continue;
+      }
+
+      const length = (bytes[pos] << 8) | bytes[pos + 1];
+      const segment = bytes.subarray(pos + 2, pos + length);
+      pos += length;
+
+      switch (marker) {
+        case 0xC0: // Baseline
+        case 0xC1: // Extended sequential
+        case 0xC2: // Progressive
+          frame = this._readJpegFrame(segment, marker === 0xC2);
+          if (!frame) {
+            return null;
+          }
+          break;
+
+        case 0xC3: case 0xC5: case 0xC6: case 0xC7: // Lossless and hierarchical
+        case 0xC9: case 0xCA: case 0xCB: case 0xCD: case 0xCE: case 0xCF: // Arithmetic coding
+          return null;
+
+        case 0xC4:
+          this._readJpegHuffmanTables(segment, huffmanTables);
+          break;
+
+        case 0xDB:
+          this._readJpegQuantTables(segment, quantTables);
+          break;
+
+        case 0xDD:
+          restartInterval = (segment[0] << 8) | segment[1];
+          break;
+
+        case 0xEE:
+          if (segment.length >= 12 && segment.subarray(0, 5).toString() === 'Adobe') {
+            adobeTransform = segment[11];
+          }
+          break;
+
+        case 0xDA:
+          if (!frame) {
+            throw new Error('JPEG scan before its frame header');
+          }
+          pos = this._readJpegScan(bytes, pos, segment, frame, huffmanTables, restartInterval);
+          break;
+
+        default:
+          break; // APPn, COM and other segments don't affect the DC image
+      }
+    }
+
+    if (!frame) {
+      throw new Error('JPEG has no frame header');
+    }
+
+    const transform = colorTransform !== null
+      ? colorTransform
+      : adobeTransform !== null ? adobeTransform : (frame.components.length === 3 ? 1 : 0);
+
+    return this._jpegDcPixels(frame, quantTables, transform);
+  }
+
+  /**
+   * Read a SOF segment into the frame and its components' block grids
+   * @private
+   */
+  static _readJpegFrame(segment, progressive) {
+    if (segment[0] !== 8) {
+      return null; // 12-bit samples
+    }
+
+    const height = (segment[1] << 8) | segment[2];
+    const width = (segment[3] << 8) | segment[4];
+    const components = [];
+
+    for (let i = 0; i < segment[5]; i++) {
+      const offset = 6 + i * 3;
+      components.push({
+        id: segment[offset],
+        h: segment[offset + 1] >> 4,
+        v: segment[offset + 1] & 15,
+        quantTable: segment[offset + 2]
+      });
+    }
+
+    if (!width || !height || ![1, 3, 4].includes(components.length)) {
+      return null;
+    }
+
+    const maxH = Math.max(...components.map(component => component.h));
+    const maxV = Math.max(...components.map(component => component.v));
+    const mcusPerLine = Math.ceil(width / (8 * maxH));
+    const mcusPerColumn = Math.ceil(height / (8 * maxV));
+
+    for (const component of components) {
+      component.blocksPerLine = Math.ceil(Math.ceil((width * component.h) / maxH) / 8);
+      component.blocksPerColumn = Math.ceil(Math.ceil((height * component.v) / maxV) / 8);
+      component.gridWidth = mcusPerLine * component.h; // Blocks per line including MCU padding
+      component.dc = new Int32Array(component.gridWidth * mcusPerColumn * component.v);
+    }
+
+    return { width, height, progressive, components, maxH, maxV, mcusPerLine, mcusPerColumn };
+  }
+
+  /**
+   * Read a DHT segment's tables into canonical-code lookup arrays
+   * @private
+   */
+  static _readJpegHuffmanTables(segment, tables) {
+    let offset = 0;
+
+    while (offset < segment.length) {
+      const tableClass = segment[offset] >> 4; // 0 = DC, 1 = AC
+      const tableId = segment[offset] & 15;
+      const counts = segment.subarray(offset + 1, offset + 17);
+      const total = counts.reduce((sum, count) => sum + count, 0);
+      const values = segment.subarray(offset + 17, offset + 17 + total);
+
+      // maxCode[length] is the largest code of that length; valueOffset maps a code to its index in values
+      const maxCode = new Int32Array(18).fill(-1);
+      const valueOffset = new Int32Array(17);
+      let code = 0;
+      let index = 0;
+      for (let length = 1; length <= 16; length++) {
+        valueOffset[length] = index - code;
+        code += counts[length - 1];
+        index += counts[length - 1];
+        if (counts[length - 1] > 0) {
+          maxCode[length] = code - 1;
+        }
+        code <<= 1;
+      }
+
+      tables[`${tableClass}:${tableId}`] = { maxCode, valueOffset, values };
+      offset += 17 + total;
+    }
+  }
+
+  /**
+   * Read each DQT table's DC quantiser, the only one a DC image needs
+   * @private
+   */
+  static _readJpegQuantTables(segment, quantTables) {
+    let offset = 0;
+
+    while (offset < segment.length) {
+      const precision = segment[offset] >> 4; // 0 = 8-bit, 1 = 16-bit values
+      const tableId = segment[offset] & 15;
+      quantTables[tableId] = precision ? (segment[offset + 1] << 8) | segment[offset + 2] : segment[offset + 1];
+      offset += 1 + 64 * (precision ? 2 : 1);
+    }
+  }
+
+  /**
+   * Decode a scan's DC coefficients into the frame's components
+   * Baseline scans also carry the AC coefficients, which are decoded only to step over them;
+   * progressive AC scans are skipped whole
+   * @returns {number} Position of the marker after the scan
+   * @private
+   */
+  static _readJpegScan(bytes, pos, segment, frame, huffmanTables, restartInterval) {
+    const scanComponents = [];
+    for (let i = 0; i < segment[0]; i++) {
+      const component = frame.components.find(candidate => candidate.id === segment[1 + i * 2]);
+      if (!component) {
+        throw new Error('JPEG scan refers to an unknown component');
+      }
+      scanComponents.push({
+        component,
+        dcTable: huffmanTables[`0:${segment[2 + i * 2] >> 4}`],
+        acTable: huffmanTables[`1:${segment[2 + i * 2] & 15}`]
+      });
+    }
+
+    const paramsOffset = 1 + segment[0] * 2;
+    const spectralStart = segment[paramsOffset];
+    const spectralEnd = segment[paramsOffset + 1];
+    const successiveHigh = segment[paramsOffset + 2] >> 4;
+    const successiveLow = segment[paramsOffset + 2] & 15;
+
+    if (frame.progressive && spectralStart > 0) {
+      return this._findJpegMarker(bytes, pos);
+    }
+
+    const reader = this._createJpegBitReader(bytes, pos);
+    const refining = frame.progressive && successiveHigh > 0;
+    const withAc = !frame.progressive && spectralEnd > 0;
+
+    const decodeBlock = (scanComponent, blockIndex) => {
+      const { component } = scanComponent;
+
+      if (refining) {
+        if (reader.readBit()) {
+          component.dc[blockIndex] |= 1 << successiveLow;
+        }
+        return;
+      }
+
+      const size = reader.decode(scanComponent.dcTable);
+      component.prediction += reader.receiveExtend(size);
+      component.dc[blockIndex] = component.prediction << successiveLow;
+
+      // Step over the block's AC coefficients
+      for (let k = 1; withAc && k < 64;) {
+        const runSize = reader.decode(scanComponent.acTable);
+        const run = runSize >> 4;
+        const acSize = runSize & 15;
+
+        if (acSize === 0) {
+          if (run !== 15) {
+            break; // End of block
+          }
+          k += 16;
+          continue;
+        }
+        reader.readBits(acSize);
+        k += run + 1;
+      }
+    };
+
+    // A single-component scan covers that component's blocks in raster order; otherwise the scan is in MCUs
+    const single = scanComponents.length === 1;
+    const unitsPerLine = single ? scanComponents[0].component.blocksPerLine : frame.mcusPerLine;
+    const totalUnits = single
+      ? unitsPerLine * scanComponents[0].component.blocksPerColumn
+      : frame.mcusPerLine * frame.mcusPerColumn;
+
+    const resetPredictions = () => scanComponents.forEach(({ component }) => { component.prediction = 0; });
+    resetPredictions();
+
+    for (let unit = 0; unit < totalUnits; unit++) {
+      if (restartInterval && unit > 0 && unit % restartInterval === 0) {
+        reader.restart();
+        resetPredictions();
+      }
+
+      const unitRow = Math.floor(unit / unitsPerLine);
+      const unitColumn = unit % unitsPerLine;
+
+      if (single) {
+        const { component } = scanComponents[0];
+        decodeBlock(scanComponents[0], unitRow * component.gridWidth + unitColumn);
+        continue;
+      }
+
+      for (const scanComponent of scanComponents) {
+        const { component } = scanComponent;
+        for (let v = 0; v < component.v; v++) {
+          for (let h = 0; h < component.h; h++) {
+            const blockRow = unitRow * component.v + v;
+            const blockColumn = unitColumn * component.h + h;
+            decodeBlock(scanComponent, blockRow * component.gridWidth + blockColumn);
+          }
+        }
+      }
+    }
+
+    return this._findJpegMarker(bytes, reader.position());
+  }
+
+  /**
+   * Bit reader over entropy-coded JPEG data, undoing 0xFF00 byte stuffing
+   * At a marker it reads zero bits, so a truncated scan decodes as flat blocks rather than running on
+   * @private
+   */
+  static _createJpegBitReader(bytes, start) {
+    let pos = start;
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const readBit = () => {
+      if (bitCount === 0) {
+        let byte = 0;
+        if (pos < bytes.length && !(bytes[pos] === 0xFF && bytes[pos + 1] !== 0x00)) {
+          byte = bytes[pos];
+          pos += byte === 0xFF ? 2 : 1;
+        }
+        bitBuffer = byte;
+        bitCount = 8;
+      }
+      bitCount--;
+      return (bitBuffer >> bitCount) & 1;
+    };
+
+    const readBits = count => {
+      let value = 0;
+      for (let i = 0; i < count; i++) {
+        value = (value << 1) | readBit();
+      }
+      return value;
+    };
+
+    return {
+      readBit,
+      readBits,
+      decode(table) {
+        if (!table) {
+          throw new Error('JPEG scan uses an undefined Huffman table');
+        }
+        let code = 0;
+        for (let length = 1; length <= 16; length++) {
+          code = (code << 1) | readBit();
+          if (code <= table.maxCode[length]) {
+            return table.values[table.valueOffset[length] + code];
+          }
+        }
+        throw new Error('Invalid JPEG Huffman code');
+      },
+      receiveExtend(size) {
+        if (size === 0) {
+          return 0;
+        }
+        const value = readBits(size);
+        return value < 1 << (size - 1) ? value - (1 << size) + 1 : value;
+      },
+      restart() {
+        // Skip to and past the RSTn marker
+        bitCount = 0;
+        pos = ImageDownsampleService._findJpegMarker(bytes, pos, true);
+        if (bytes[pos + 1] >= 0xD0 && bytes[pos + 1] <= 0xD7) {
+          pos += 2;
+        }
+      },
+      position: () => pos
+    };
+  }
+
+  /**
+   * Find the next marker from pos: restart markers too when includeRestarts, otherwise only those that end a scan
+   * @private
+   */
+  static _findJpegMarker(bytes, pos, includeRestarts = false) {
+    for (; pos < bytes.length - 1; pos++) {
+      const next = bytes[pos + 1];
+      if (bytes[pos] === 0xFF && next !== 0x00 && next !== 0xFF && (includeRestarts || next < 0xD0 || next > 0xD7)) {
+        return pos;
+      }
+    }
+    return bytes.length;
+  }
+
+  /**
+   * Turn the decoded DC coefficients into 1/8 scale pixels
+   * A block's DC coefficient times its quantiser is eight times the block's mean sample, less the 128 level shift
+   * @private
+   */
+  static _jpegDcPixels(frame, quantTables, transform) {
+    const { components, maxH, maxV } = frame;
+    const width = Math.ceil(frame.width / 8);
+    const height = Math.ceil(frame.height / 8);
+    const pixels = new Uint8Array(width * height * components.length);
+    const samples = new Float64Array(components.length);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        components.forEach((component, c) => {
+          const blockRow = Math.floor((y * component.v) / maxV);
+          const blockColumn = Math.floor((x * component.h) / maxH);
+          const quantiser = quantTables[component.quantTable] || 1;
+          samples[c] = (component.dc[blockRow * component.gridWidth + blockColumn] * quantiser) / 8 + 128;
+        });
+
+        if (transform && components.length >= 3) {
+          // YCbCr to RGB; for YCCK the colour part converts to RGB and then to CMY
+          const [luma, blue, red] = samples;
+          const rgb = [
+            luma + 1.402 * (red - 128),
+            luma - 0.344136 * (blue - 128) - 0.714136 * (red - 128),
+            luma + 1.772 * (blue - 128)
+          ];
+          for (let c = 0; c < 3; c++) {
+            samples[c] = components.length === 4 ? 255 - rgb[c] : rgb[c];
+          }
+        }
+
+        const target = (y * width + x) * components.length;
+        for (let c = 0; c < components.length; c++) {
+          pixels[target + c] = Math.max(0, Math.min(255, Math.round(samples[c])));
+        }
+      }
+    }
+
+    return { width, height, components: components.length, pixels };
+  }
+
+  /**
+   * @private
+   */
+  static _singleFilter(filter) {
+    if (filter instanceof PDFArray) {
+      return filter.size() === 1 ? filter.get(0) : null;
+    }
+    return filter || null;
+  }
+
+  /**
+   * @private
+   */
+  static _singleDecodeParms(decodeParms, context) {
+    if (decodeParms instanceof PDFArray) {
+      decodeParms = decodeParms.size() === 1 ? context.lookup(decodeParms.get(0)) : null;
+    }
+    return decodeParms instanceof PDFDict ? decodeParms : null;
+  }
+
+  /**
+   * @private
+   */
+  static _number(dict, key, context) {
+    const value = context.lookup(dict.get(PDFName.of(key)));
+    return value instanceof PDFNumber ? value.asNumber() : null;
+  }
+}
+
+module.exports = ImageDownsampleService;
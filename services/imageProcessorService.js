@@ -1,293 +1,363 @@
 const fs = require('fs');
 const path = require('path');
-const { PDFDocument, rgb } = require('pdf-lib');
+const {
+  pushGraphicsState,
+  popGraphicsState,
+  rectangle,
+  clip,
+  endPath
+} = require('pdf-lib');
+const TemplateMetadataService = require('./templateMetadataService');
+const TemplateFieldService = require('./templateFieldService');
 
 /**
  * Image Processor Service
- * Handles dynamic image insertion into PDF templates
+ * Fills a template's image slots (see TemplateFieldService.isImageSlot) with images
+ *
+ * A template's images either map slot names to images, or list images that fill the slots in order:
+ *   images: { "Image1_af_image": "AFIA", "Logo": { path: "Branding/logo.png", fit: "cover" } }
+ *   images: ["AFIA", "AMEA", { data: "data:image/png;base64,..." }]
+ *
+ * An image is
+ *   "<name>"                       - an image in the asset library (templates.json assets)
+ *   "data:image/...;base64,..."    - image data sent with the request
+ *   { asset | path | data, fit? }  - path is relative to the templates directory
+ * and fit is contain (default: the whole image, centred), cover (fills the slot, cropped) or stretch.
+ * imageFit on the template sets the fit for all of its images
+ *
+ * The older forms still work: members (Member Association asset names), a fieldValues array of asset names,
+ * and hasImages with an imageMapping of slot names to file paths
  */
 class ImageProcessorService {
 
+  static FIT_MODES = ['contain', 'cover', 'stretch'];
+
+  static DEFAULT_FIT = 'contain';
+
+  static IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
   /**
-   * Process template with dynamic images
-   * @param {string} templatePath - Path to the PDF template
-   * @param {Object} imageMapping - Mapping of field names to image paths
-   * @param {string} outputPath - Path where processed PDF should be saved
+   * The images a template config asks for, in either form, or null if it has none
+   * @returns {Array|Object|null}
    */
-  static async processTemplateWithImages(templatePath, imageMapping, outputPath) {
-    try {
-      // Load the PDF template
-      const templateBytes = fs.readFileSync(templatePath);
-      const pdfDoc = await PDFDocument.load(templateBytes);
-      const form = pdfDoc.getForm();
-
-      console.log(`     📸 Processing template with ${Object.keys(imageMapping).length} images`);
-
-      // Process each image mapping
-      for (const [fieldName, imagePath] of Object.entries(imageMapping)) {
-        if (imagePath && fs.existsSync(imagePath)) {
-          try {
-            await this.insertImageIntoField(pdfDoc, form, fieldName, imagePath);
-            console.log(`     ✅ Inserted image: ${fieldName} -> ${path.basename(imagePath)}`);
-          } catch (error) {
-            console.warn(`     ⚠️ Failed to insert image for ${fieldName}: ${error.message}`);
-          }
-        } else {
-          console.warn(`     ⚠️ Image not found for ${fieldName}: ${imagePath}`);
-        }
-      }
+  static getImageSources(template) {
+    if (template.images !== undefined) {
+      return template.images;
+    }
 
-      // Flatten the form to make it non-editable
-      form.flatten();
-
-      // Now draw all queued images on top of the flattened form
-      console.log(`     🎨 Drawing queued images...`);
-      const pages = pdfDoc.getPages();
-      let totalImagesDrawn = 0;
-
-      for (const page of pages) {
-        if (page._imagesToDraw && page._imagesToDraw.length > 0) {
-          for (const imageInfo of page._imagesToDraw) {
-            try {
-              // Draw the image directly
-              page.drawImage(imageInfo.image, {
-                x: imageInfo.x,
-                y: imageInfo.y,
-                width: imageInfo.width,
-                height: imageInfo.height,
-              });
-              console.log(`     ✅ Drew image for ${imageInfo.fieldName}`);
-              totalImagesDrawn++;
-            } catch (error) {
-              console.warn(`     ⚠️ Failed to draw image for ${imageInfo.fieldName}: ${error.message}`);
-            }
-          }
-          // Clean up the temporary property
-          delete page._imagesToDraw;
-        }
-      }
+    if (Array.isArray(template.members)) {
+      return template.members;
+    }
 
-      console.log(`     🖼️ Total images drawn: ${totalImagesDrawn}`);
+    if (Array.isArray(template.fieldValues)) {
+      return template.fieldValues;
+    }
 
-      // Save the processed PDF
-      const pdfBytes = await pdfDoc.save();
-      fs.writeFileSync(outputPath, pdfBytes);
+    if (template.hasImages && template.imageMapping) {
+      return Object.fromEntries(Object.entries(template.imageMapping).map(([slot, imagePath]) => [slot, { path: imagePath }]));
+    }
 
-      console.log(`     📄 Saved processed PDF: ${path.basename(outputPath)}`);
-      return outputPath;
+    return null;
+  }
 
-    } catch (error) {
-      console.error(`     ❌ Error processing template with images: ${error.message}`);
-      throw error;
+  /**
+   * Pair each image with the slot it fills
+   * @param {Array|Object} sources - From getImageSources
+   * @param {Array<string>} imageSlots - The template's image slot names, in order
+   * @returns {Array<{ slot: string, source: * }>}
+   */
+  static assignSlots(sources, imageSlots) {
+    if (Array.isArray(sources)) {
+      return sources.slice(0, imageSlots.length).map((source, index) => ({ slot: imageSlots[index], source }));
     }
+    return Object.entries(sources).map(([slot, source]) => ({ slot, source }));
   }
 
   /**
-   * Insert an image into a specific form field area
-   * @param {PDFDocument} pdfDoc - The PDF document
-   * @param {PDFForm} form - The PDF form
-   * @param {string} fieldName - Name of the form field
-   * @param {string} imagePath - Path to the image file
+   * Read an image source into { kind, value, fit }
+   * @throws {Error} If the source isn't a recognised form
    */
-  static async insertImageIntoField(pdfDoc, form, fieldName, imagePath) {
-    try {
-      // Try to get the field - it could be a text field or button field
-      let field = null;
-      let widgets = null;
+  static parseSource(source, defaultFit = this.DEFAULT_FIT) {
+    if (typeof source === 'string') {
+      return source.startsWith('data:')
+        ? { kind: 'data', value: source, fit: defaultFit }
+        : { kind: 'asset', value: source, fit: defaultFit };
+    }
 
-      try {
-        // First try as a text field
-        field = form.getTextField(fieldName);
-        widgets = field.acroField.getWidgets();
-      } catch (textFieldError) {
-        try {
-          // Then try as a button field
-          field = form.getButton(fieldName);
-          widgets = field.acroField.getWidgets();
-        } catch (buttonFieldError) {
-          // Try to find the field by iterating through all fields
-          const allFields = form.getFields();
-          for (const f of allFields) {
-            if (f.getName() === fieldName) {
-              field = f;
-              widgets = f.acroField.getWidgets();
-              break;
-            }
-          }
-          if (!field) {
-            throw new Error(`Field "${fieldName}" not found in PDF form`);
-          }
-        }
+    if (source && typeof source === 'object' && !Array.isArray(source)) {
+      const kinds = ['asset', 'path', 'data'].filter(kind => source[kind] !== undefined);
+      if (kinds.length !== 1 || typeof source[kinds[0]] !== 'string') {
+        throw new Error('must have exactly one of asset, path or data, as a string');
       }
 
-      if (widgets.length === 0) {
-        throw new Error(`No widgets found for field ${fieldName}`);
+      const fit = source.fit || defaultFit;
+      if (!this.FIT_MODES.includes(fit)) {
+        throw new Error(`has unknown fit "${fit}". Use one of: ${this.FIT_MODES.join(', ')}`);
       }
 
-      // Get the first widget (form field location)
-      const widget = widgets[0];
-      const rect = widget.getRectangle();
+      return { kind: kinds[0], value: source[kinds[0]], fit };
+    }
 
-      // For button fields, we need to find the page differently
-      let targetPage = null;
-      let pageRef = null;
+    throw new Error('must be an asset name, a data URI or { asset | path | data, fit? }');
+  }
 
-      // Try to get page reference
-      try {
-        if (typeof widget.getPageRef === 'function') {
-          pageRef = widget.getPageRef();
-        } else if (widget.P) {
-          pageRef = widget.P;
-        }
-      } catch (error) {
-        // If we can't get page reference, we'll find it another way
+  /**
+   * Load the bytes of an image source
+   * @param {{ kind, value }} parsed - From parseSource
+   * @returns {Buffer} JPEG or PNG bytes
+   * @throws {Error} If the image can't be found or isn't a JPEG or PNG
+   */
+  static loadImageBytes(parsed, templatesDir) {
+    let imageBytes;
+
+    if (parsed.kind === 'data') {
+      const match = /^data:image\/[\w.+-]+;base64,(.*)$/s.exec(parsed.value);
+      if (!match) {
+        throw new Error('data must be a base64 image data URI (data:image/png;base64,...)');
+      }
+      imageBytes = Buffer.from(match[1], 'base64');
+    } else {
+      const imagePath = parsed.kind === 'asset'
+        ? this.findAsset(templatesDir, parsed.value)
+        : this.resolveTemplatePath(templatesDir, parsed.value);
+
+      if (!imagePath) {
+        throw new Error(`asset "${parsed.value}" is not in the asset library`);
+      }
+      if (!fs.existsSync(imagePath)) {
+        throw new Error(`not found: ${parsed.value}`);
       }
+      imageBytes = fs.readFileSync(imagePath);
+    }
 
-      // Find the page that contains this field
-      const pages = pdfDoc.getPages();
+    if (!this.getImageFormat(imageBytes)) {
+      throw new Error('must be a JPEG or PNG image');
+    }
+    return imageBytes;
+  }
 
-      if (pageRef) {
-        for (const page of pages) {
-          if (page.ref === pageRef) {
-            targetPage = page;
-            break;
-          }
-        }
+  /**
+   * Path of a file under the templates directory
+   * @throws {Error} If the path leads outside the templates directory
+   */
+  static resolveTemplatePath(templatesDir, filePath) {
+    const resolvedPath = path.resolve(templatesDir, filePath);
+    if (!resolvedPath.startsWith(path.resolve(templatesDir) + path.sep)) {
+      throw new Error(`path is outside the templates directory: ${filePath}`);
+    }
+    return resolvedPath;
+  }
+
+  /**
+   * Find an asset by name, ignoring case: a named image in templates.json assets.images, or an image
+   * in one of the assets.directories named like the asset ("AFIA" is "Member Association/AFIA.jpg")
+   * @returns {string|null} The asset's path, or null if there is no such asset
+   */
+  static findAsset(templatesDir, name) {
+    const wanted = String(name).toLowerCase();
+    const library = TemplateMetadataService.getAssets(templatesDir);
+
+    const named = Object.keys(library.images).find(assetName => assetName.toLowerCase() === wanted);
+    if (named) {
+      return this.resolveTemplatePath(templatesDir, library.images[named]);
+    }
+
+    for (const directory of library.directories) {
+      const assetsDir = this.resolveTemplatePath(templatesDir, directory);
+      if (!fs.existsSync(assetsDir)) {
+        continue;
       }
 
-      // If we couldn't find the page by reference, assume it's on the first page
-      // This is a fallback for button fields that don't provide proper page references
-      if (!targetPage) {
-        console.warn(`Could not determine page for field ${fieldName}, using first page`);
-        targetPage = pages[0];
+      const fileName = fs.readdirSync(assetsDir).find(candidate =>
+        this.IMAGE_EXTENSIONS.includes(path.extname(candidate).toLowerCase()) &&
+        path.basename(candidate, path.extname(candidate)).toLowerCase() === wanted
+      );
+      if (fileName) {
+        return path.join(assetsDir, fileName);
       }
+    }
 
-      if (!targetPage) {
-        throw new Error(`Could not find any page for field ${fieldName}`);
+    return null;
+  }
+
+  /**
+   * Every asset in the library
+   * @returns {Array<{ name: string, path: string }>} Paths are relative to the templates directory
+   */
+  static listAssets(templatesDir) {
+    const library = TemplateMetadataService.getAssets(templatesDir);
+    const assets = Object.entries(library.images).map(([name, assetPath]) => ({ name, path: assetPath }));
+
+    for (const directory of library.directories) {
+      const assetsDir = this.resolveTemplatePath(templatesDir, directory);
+      if (!fs.existsSync(assetsDir)) {
+        continue;
       }
 
-      // Load and embed the image
-      const imageBytes = fs.readFileSync(imagePath);
-      let image;
-
-      const ext = path.extname(imagePath).toLowerCase();
-      if (ext === '.jpg' || ext === '.jpeg') {
-        image = await pdfDoc.embedJpg(imageBytes);
-      } else if (ext === '.png') {
-        image = await pdfDoc.embedPng(imageBytes);
-      } else {
-        throw new Error(`Unsupported image format: ${ext}`);
+      for (const fileName of fs.readdirSync(assetsDir).sort()) {
+        if (this.IMAGE_EXTENSIONS.includes(path.extname(fileName).toLowerCase())) {
+          assets.push({ name: path.basename(fileName, path.extname(fileName)), path: `${directory}/${fileName}` });
+        }
       }
+    }
+
+    return assets;
+  }
+
+  /**
+   * Check a template's images against its image slots
+   * @param {Array|Object} sources - From getImageSources
+   * @param {Array<Object>} fields - Field details from TemplateFieldService.introspectFields
+   * @param {Object} options - { label: string, templatesDir: string, defaultFit?: string }
+   * @returns {Array<string>} Validation errors
+   */
+  static validateImages(sources, fields, { label, templatesDir, defaultFit = this.DEFAULT_FIT }) {
+    const errors = [];
+    const imageSlots = fields.filter(field => field.imageSlot).map(field => field.name);
 
-      // Calculate image dimensions to fit within the field
-      const fieldWidth = rect.width;
-      const fieldHeight = rect.height;
-      const imageAspectRatio = image.width / image.height;
-      const fieldAspectRatio = fieldWidth / fieldHeight;
-
-      let drawWidth, drawHeight;
-
-      if (imageAspectRatio > fieldAspectRatio) {
-        // Image is wider, fit to width
-        drawWidth = fieldWidth;
-        drawHeight = fieldWidth / imageAspectRatio;
-      } else {
-        // Image is taller, fit to height
-        drawHeight = fieldHeight;
-        drawWidth = fieldHeight * imageAspectRatio;
+    if (Array.isArray(sources) && sources.length > imageSlots.length) {
+      errors.push(`${label} has ${sources.length} images but the template has ${imageSlots.length} image slot(s)`);
+    }
+
+    for (const { slot, source } of this.assignSlots(sources, imageSlots)) {
+      const prefix = `${label} image "${slot}"`;
+
+      if (!imageSlots.includes(slot)) {
+        errors.push(`${prefix} is not an image slot in the template. Image slots: ${imageSlots.join(', ') || 'none'}`);
+        continue;
       }
 
-      // Center the image within the field
-      const x = rect.x + (fieldWidth - drawWidth) / 2;
-      const y = rect.y + (fieldHeight - drawHeight) / 2;
+      try {
+        this.loadImageBytes(this.parseSource(source, defaultFit), templatesDir);
+      } catch (error) {
+        errors.push(`${prefix} ${error.message}`);
+      }
+    }
 
+    return errors;
+  }
 
-      // Store image info for later drawing (after form flattening)
-      if (!targetPage._imagesToDraw) {
-        targetPage._imagesToDraw = [];
+  /**
+   * Place a template's images in its image slots
+   * Call before flattening the form: the slot fields are removed so their appearances don't cover the images,
+   * and the images are drawn at the slots' positions
+   * @param {PDFDocument} pdfDoc - A private copy of the template
+   * @param {Array|Object} sources - From getImageSources
+   * @param {Object} options - { templatesDir: string, defaultFit?: string, declaredImageSlots?: string[] }
+   *                            declaredImageSlots are the template metadata's imageSlots
+   * @returns {Promise<number>} How many images were placed
+   */
+  static async fillImageSlots(pdfDoc, sources, { templatesDir, defaultFit = this.DEFAULT_FIT, declaredImageSlots = [] }) {
+    const form = pdfDoc.getForm();
+    const fields = TemplateFieldService.introspectFields(pdfDoc, declaredImageSlots);
+    const imageSlots = fields.filter(field => field.imageSlot).map(field => field.name);
+    const pages = pdfDoc.getPages();
+    let placed = 0;
+
+    for (const { slot, source } of this.assignSlots(sources, imageSlots)) {
+      const field = fields.find(candidate => candidate.name === slot && candidate.imageSlot);
+      if (!field) {
+        console.warn(`     ⚠️ Image slot not found: ${slot}`);
+        continue;
       }
 
-      // Store image info for drawing
-      targetPage._imagesToDraw.push({
-        image: image,
-        x: x,
-        y: y,
-        width: drawWidth,
-        height: drawHeight,
-        fieldName: fieldName
-      });
-
-      console.log(`     📍 Queued image for ${fieldName}: ${drawWidth.toFixed(1)}x${drawHeight.toFixed(1)} at (${x.toFixed(1)}, ${y.toFixed(1)})`);
-
-      // Clear the field if it's a text field
-      if (field.constructor.name === 'PDFTextField') {
-        field.setText('');
+      try {
+        const parsed = this.parseSource(source, defaultFit);
+        const image = await this.embedImage(pdfDoc, this.loadImageBytes(parsed, templatesDir));
+
+        for (const widget of field.widgets) {
+          this.drawImageInBox(pages[(widget.page || 1) - 1], image, widget.rect, parsed.fit);
+        }
+
+        this._removeSlotField(pdfDoc, form.getField(slot));
+        placed++;
+        console.log(`     ✅ Inserted image: ${slot} -> ${parsed.kind === 'data' ? 'data URI' : parsed.value} (${parsed.fit})`);
+      } catch (error) {
+        console.warn(`     ⚠️ Failed to insert image for ${slot}: ${error.message}`);
       }
+    }
+
+    return placed;
+  }
 
-    } catch (error) {
-      console.error(`Error inserting image for field ${fieldName}:`, error.message);
-      throw error;
+  /**
+   * Embed JPEG or PNG bytes, recognised by their signature rather than a file extension
+   */
+  static async embedImage(pdfDoc, imageBytes) {
+    switch (this.getImageFormat(imageBytes)) {
+      case 'jpeg': return await pdfDoc.embedJpg(imageBytes);
+      case 'png': return await pdfDoc.embedPng(imageBytes);
+      default: throw new Error('Unsupported image format. Use JPEG or PNG');
     }
   }
 
   /**
-   * Auto-map images from a directory to numbered field names
-   * @param {string} imagesDir - Directory containing images
-   * @param {string} fieldPrefix - Prefix for field names (e.g., 'Image')
-   * @param {number} maxFields - Maximum number of fields to map
-   * @param {string} fieldSuffix - Suffix for field names (e.g., '_af_image')
+   * @returns {'jpeg'|'png'|null}
    */
-  static autoMapImages(imagesDir, fieldPrefix = 'Image', maxFields = 7, fieldSuffix = '_af_image') {
-    const imageMapping = {};
+  static getImageFormat(imageBytes) {
+    if (imageBytes.length > 2 && imageBytes[0] === 0xff && imageBytes[1] === 0xd8) {
+      return 'jpeg';
+    }
+    if (imageBytes.subarray(0, 4).toString('hex') === '89504e47') {
+      return 'png';
+    }
+    return null;
+  }
 
-    if (!fs.existsSync(imagesDir)) {
-      console.warn(`Images directory not found: ${imagesDir}`);
-      return imageMapping;
+  /**
+   * Draw an image in a box
+   * @param {string} fit - contain: the whole image, centred; cover: fill the box, cropping the overflow;
+   *                       stretch: fill the box, ignoring the image's aspect ratio
+   */
+  static drawImageInBox(page, image, box, fit = this.DEFAULT_FIT) {
+    if (fit === 'stretch') {
+      page.drawImage(image, { x: box.x, y: box.y, width: box.width, height: box.height });
+      return;
     }
 
-    // Get all image files from the directory
-    const imageFiles = fs.readdirSync(imagesDir)
-      .filter(file => {
-        const ext = path.extname(file).toLowerCase();
-        return ['.jpg', '.jpeg', '.png'].includes(ext);
-      })
-      .sort(); // Sort alphabetically for consistent mapping
-
-    // Map images to numbered fields
-    for (let i = 0; i < Math.min(imageFiles.length, maxFields); i++) {
-      const fieldName = `${fieldPrefix}${i + 1}${fieldSuffix}`;
-      const imagePath = path.join(imagesDir, imageFiles[i]);
-      imageMapping[fieldName] = imagePath;
-
-      console.log(`     🗂️ Mapped ${fieldName} -> ${imageFiles[i]}`);
+    const widthScale = box.width / image.width;
+    const heightScale = box.height / image.height;
+    const scale = fit === 'cover' ? Math.max(widthScale, heightScale) : Math.min(widthScale, heightScale);
+    const drawWidth = image.width * scale;
+    const drawHeight = image.height * scale;
+    const placement = {
+      x: box.x + (box.width - drawWidth) / 2,
+      y: box.y + (box.height - drawHeight) / 2,
+      width: drawWidth,
+      height: drawHeight
+    };
+
+    if (fit !== 'cover') {
+      page.drawImage(image, placement);
+      return;
     }
 
-    return imageMapping;
+    page.pushOperators(
+      pushGraphicsState(),
+      rectangle(box.x, box.y, box.width, box.height),
+      clip(),
+      endPath()
+    );
+    page.drawImage(image, placement);
+    page.pushOperators(popGraphicsState());
   }
 
   /**
-   * Create a test configuration for Member Association template
+   * Remove a filled slot's field and its widgets from the form and pages
+   * PDFForm.removeField needs an appearance stream on every widget, which image buttons often lack
+   * @private
    */
-  static createMemberAssociationTestConfig() {
-    const imagesDir = path.join(__dirname, '..', 'Templates', 'Member Association');
-    const imageMapping = this.autoMapImages(imagesDir, 'Image', 7, '_af_image');
-
-    return {
-      Company: 'Test Company - Member Association',
-      Templates: [
-        {
-          name: 'Member Association',
-          fileName: 'Member Association.pdf',
-          editable: true,
-          hasImages: true,
-          imageMapping: imageMapping,
-          fieldValues: {
-            // Add any text field values if needed
-          }
-        }
-      ]
-    };
+  static _removeSlotField(pdfDoc, field) {
+    const refs = field.acroField.getWidgets()
+      .map(widget => pdfDoc.context.getObjectRef(widget.dict))
+      .concat(field.ref)
+      .filter(Boolean);
+
+    for (const page of pdfDoc.getPages()) {
+      refs.forEach(ref => page.node.removeAnnot(ref));
+    }
+    pdfDoc.getForm().acroForm.removeField(field.acroField);
   }
 }
 
-module.exports = ImageProcessorService;
\ No newline at end of file
+module.exports = ImageProcessorService;
@@ -0,0 +1,486 @@
+const {
+  PDFName,
+  PDFArray,
+  PDFRawStream,
+  decodePDFRawStream,
+  rgb,
+  grayscale,
+  cmyk
+} = require('pdf-lib');
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+const WHITESPACE = '\x00\t\n\f\r ';
+const DELIMITERS = '()<>[]{}/%';
+
+/**
+ * Page Number Mask Service
+ * Hides the page numbers printed on brochure templates, using the mask declared in the template metadata:
+ *   { type: "remove_text", region }              - delete the text drawn inside the region from the page content
+ *   { type: "rectangle", region, color? }          - paint over the region (color is [r, g, b], default white)
+ *   { type: "sample", region, samplePoint?, color? } - paint over the region in the page background colour
+ *                                                    found under samplePoint (default: the region's centre);
+ *                                                    color is the fallback when it cannot be sampled
+ * region is { x, y, width, height } in PDF points from the bottom-left corner of the page
+ *
+ * Text is matched by where its line starts, and only text drawn directly in the page content
+ * (not inside form XObjects) can be removed. Background sampling only sees vector fills; a point
+ * covered by an image falls back to color
+ */
+class PageNumberMaskService {
+
+  static MASK_TYPES = ['remove_text', 'rectangle', 'sample'];
+
+  /**
+   * Check a page number mask from the template metadata
+   * @returns {string[]} Errors, empty when the mask is valid or false/absent
+   */
+  static validateMask(mask) {
+    if (mask === undefined || mask === null || mask === false) {
+      return [];
+    }
+
+    if (typeof mask !== 'object' || Array.isArray(mask)) {
+      return ['must be false or an object'];
+    }
+
+    const errors = [];
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+    if (!this.MASK_TYPES.includes(mask.type)) {
+      errors.push(`type must be one of: ${this.MASK_TYPES.join(', ')}`);
+    }
+
+    const { region } = mask;
+    if (!region || typeof region !== 'object' || !['x', 'y', 'width', 'height'].every(key => isNumber(region[key])) ||
+        region.width < 0 || region.height < 0) {
+      errors.push('region must be { x, y, width, height } in points, with a non-negative width and height');
+    }
+
+    if (mask.color !== undefined && !(Array.isArray(mask.color) && mask.color.length === 3 &&
+        mask.color.every(value => isNumber(value) && value >= 0 && value <= 1))) {
+      errors.push('color must be an [r, g, b] array of numbers between 0 and 1');
+    }
+
+    if (mask.samplePoint !== undefined && !(mask.samplePoint && isNumber(mask.samplePoint.x) && isNumber(mask.samplePoint.y))) {
+      errors.push('samplePoint must be { x, y } in points');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Apply a template's page number mask to one page
+   * The page must belong to pdfDoc and must not be shared with other documents (e.g. a copied page)
+   */
+  static applyMask(pdfDoc, page, mask) {
+    if (!mask) {
+      return;
+    }
+
+    const { x, y, width, height } = mask.region;
+
+    switch (mask.type) {
+      case 'remove_text': {
+        const removed = this.removeTextInRegion(pdfDoc, page, mask.region);
+        if (removed === 0) {
+          console.warn('     ⚠️ No page number text found in the mask region');
+        }
+        break;
+      }
+
+      case 'rectangle':
+        page.drawRectangle({ x, y, width, height, color: rgb(...(mask.color || [1, 1, 1])) });
+        break;
+
+      case 'sample': {
+        const point = mask.samplePoint || { x: x + width / 2, y: y + height / 2 };
+        const color = this.sampleBackgroundColor(pdfDoc, page, point) || rgb(...(mask.color || [1, 1, 1]));
+        page.drawRectangle({ x, y, width, height, color });
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown page number mask type "${mask.type}". Use one of: ${this.MASK_TYPES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Delete text-showing operators whose line starts inside the region
+   * @returns {number} Number of operators removed
+   */
+  static removeTextInRegion(pdfDoc, page, region) {
+    const content = this._readContent(pdfDoc, page);
+    const edits = [];
+
+    this._walkContent(content, {
+      onText: ({ op, operands, start, end, origin }) => {
+        if (!this._contains(region, origin)) {
+          return;
+        }
+
+        // ' and " also move to the next line, which later text may depend on, so keep that part
+        let replacement = '';
+        if (op === "'") {
+          replacement = 'T*';
+        } else if (op === '"') {
+          replacement = `${operands[0]} Tw ${operands[1]} Tc T*`;
+        }
+        edits.push({ start, end, replacement });
+      }
+    });
+
+    if (edits.length > 0) {
+      let updated = '';
+      let position = 0;
+      for (const { start, end, replacement } of edits) {
+        updated += content.slice(position, start) + replacement;
+        position = end;
+      }
+      updated += content.slice(position);
+
+      this._writeContent(pdfDoc, page, updated);
+    }
+
+    return edits.length;
+  }
+
+  /**
+   * Find the colour of the last vector fill painted under a point
+   * @returns {Color|null} pdf-lib colour, or null if nothing was filled there or an image covers the point
+   */
+  static sampleBackgroundColor(pdfDoc, page, point) {
+    const content = this._readContent(pdfDoc, page);
+    const xObjects = page.node.Resources() && page.node.Resources().lookup(PDFName.of('XObject'));
+    let sampled = null;
+
+    this._walkContent(content, {
+      onFill: ({ bounds, fill }) => {
+        if (bounds && this._containsBounds(bounds, point)) {
+          sampled = fill;
+        }
+      },
+      onXObject: ({ name, ctm }) => {
+        const xObject = xObjects && xObjects.lookup(PDFName.of(name));
+        const subtype = xObject && xObject.dict.get(PDFName.of('Subtype'));
+        // Images fill the unit square in the current coordinate system
+        if (subtype === PDFName.of('Image') && this._containsBounds(this._transformBounds([0, 0, 1, 1], ctm), point)) {
+          sampled = null;
+        }
+      }
+    });
+
+    if (!sampled) {
+      return null;
+    }
+
+    const [a, b, c, d] = sampled.values;
+    switch (sampled.space) {
+      case 'gray': return grayscale(a);
+      case 'rgb': return rgb(a, b, c);
+      case 'cmyk': return cmyk(a, b, c, d);
+      default: return null;
+    }
+  }
+
+  /**
+   * Decode and join the page's content streams
+   * @private
+   */
+  static _readContent(pdfDoc, page) {
+    const contents = page.node.Contents();
+    if (!contents) {
+      return '';
+    }
+
+    const streams = contents instanceof PDFArray ? contents.asArray() : [contents];
+
+    return streams.map(ref => {
+      const stream = pdfDoc.context.lookup(ref);
+      const bytes = stream instanceof PDFRawStream
+        ? decodePDFRawStream(stream).decode()
+        : stream.getUnencodedContents();
+      return Buffer.from(bytes).toString('latin1');
+    }).join('\n');
+  }
+
+  /**
+   * Replace the page's content streams with a single stream
+   * @private
+   */
+  static _writeContent(pdfDoc, page, content) {
+    const stream = pdfDoc.context.flateStream(Buffer.from(content, 'latin1'));
+    page.node.set(PDFName.of('Contents'), pdfDoc.context.register(stream));
+  }
+
+  /**
+   * Walk a content stream, tracking the graphics and text state needed to place text and fills
+   * @param {string} content - Decoded content, one character per byte
+   * @param {Object} handlers - { onText?({ op, operands, start, end, origin }), onFill?({ bounds, fill }),
+   *                              onXObject?({ name, ctm }) }
+   *                            start/end are the offsets of the operator and its operands in content
+   * @private
+   */
+  static _walkContent(content, handlers) {
+    const stack = [];
+    let state = { ctm: IDENTITY, fill: { space: 'gray', values: [0] } };
+    let textMatrix = IDENTITY;
+    let lineMatrix = IDENTITY;
+    let leading = 0;
+    let pathBounds = null;
+
+    const numbers = (operands, count) => operands.slice(-count).map(Number);
+    const moveLine = (tx, ty) => {
+      lineMatrix = this._multiply([1, 0, 0, 1, tx, ty], lineMatrix);
+      textMatrix = lineMatrix;
+    };
+    const addToPath = points => {
+      for (let i = 0; i < points.length; i += 2) {
+        const [px, py] = this._transformPoint(points[i], points[i + 1], state.ctm);
+        pathBounds = pathBounds
+          ? [Math.min(pathBounds[0], px), Math.min(pathBounds[1], py), Math.max(pathBounds[2], px), Math.max(pathBounds[3], py)]
+          : [px, py, px, py];
+      }
+    };
+
+    for (const { op, operands, start, end } of this._tokenize(content)) {
+      switch (op) {
+        case 'q': stack.push(state); break;
+        case 'Q': state = stack.pop() || state; break;
+        case 'cm': state = { ...state, ctm: this._multiply(numbers(operands, 6), state.ctm) }; break;
+
+        case 'g': state = { ...state, fill: { space: 'gray', values: numbers(operands, 1) } }; break;
+        case 'rg': state = { ...state, fill: { space: 'rgb', values: numbers(operands, 3) } }; break;
+        case 'k': state = { ...state, fill: { space: 'cmyk', values: numbers(operands, 4) } }; break;
+        case 'sc':
+        case 'scn': {
+          const values = operands.filter(operand => !isNaN(Number(operand))).map(Number);
+          const space = { 1: 'gray', 3: 'rgb', 4: 'cmyk' }[values.length];
+          state = { ...state, fill: space ? { space, values } : { space: 'unknown', values } };
+          break;
+        }
+
+        case 'BT': textMatrix = IDENTITY; lineMatrix = IDENTITY; break;
+        case 'Tm': textMatrix = numbers(operands, 6); lineMatrix = textMatrix; break;
+        case 'Td': moveLine(...numbers(operands, 2)); break;
+        case 'TD': {
+          const [tx, ty] = numbers(operands, 2);
+          leading = -ty;
+          moveLine(tx, ty);
+          break;
+        }
+        case 'TL': [leading] = numbers(operands, 1); break;
+        case 'T*': moveLine(0, -leading); break;
+
+        case "'":
+        case '"':
+          moveLine(0, -leading);
+          // falls through
+        case 'Tj':
+        case 'TJ':
+          if (handlers.onText) {
+            const origin = this._transformPoint(textMatrix[4], textMatrix[5], state.ctm);
+            handlers.onText({ op, operands, start, end, origin: { x: origin[0], y: origin[1] } });
+          }
+          break;
+
+        case 're': {
+          const [x, y, width, height] = numbers(operands, 4);
+          addToPath([x, y, x + width, y, x + width, y + height, x, y + height]);
+          break;
+        }
+        case 'm':
+        case 'l': addToPath(numbers(operands, 2)); break;
+        case 'c': addToPath(numbers(operands, 6)); break;
+        case 'v':
+        case 'y': addToPath(numbers(operands, 4)); break;
+
+        case 'f':
+        case 'F':
+        case 'f*':
+        case 'B':
+        case 'B*':
+        case 'b':
+        case 'b*':
+          if (handlers.onFill) {
+            handlers.onFill({ bounds: pathBounds, fill: state.fill });
+          }
+          pathBounds = null;
+          break;
+        case 'n':
+        case 'S':
+        case 's':
+          pathBounds = null;
+          break;
+
+        case 'Do':
+          if (handlers.onXObject) {
+            handlers.onXObject({ name: operands[operands.length - 1].replace(/^\//, ''), ctm: state.ctm });
+          }
+          break;
+
+        default:
+          break;
+      }
+    }
+  }
+
+  /**
+   * Split content into operators, each with its operand tokens and source offsets
+   * Strings, arrays and dictionaries are kept as single raw operand tokens; inline images are skipped
+   * @private
+   */
+  static _tokenize(content) {
+    const operations = [];
+    let operands = [];
+    let operandStart = null;
+    let i = 0;
+
+    const isRegular = char => char !== undefined && !WHITESPACE.includes(char) && !DELIMITERS.includes(char);
+
+    // Skip a balanced (string), [array] or <<dictionary>> starting at i
+    const skipCompound = () => {
+      const char = content[i];
+
+      if (char === '(') {
+        let depth = 0;
+        for (; i < content.length; i++) {
+          if (content[i] === '\\') { i++; continue; }
+          if (content[i] === '(') depth++;
+          if (content[i] === ')' && --depth === 0) { i++; return; }
+        }
+        return;
+      }
+
+      if (char === '<' && content[i + 1] !== '<') {
+        i = content.indexOf('>', i) + 1 || content.length;
+        return;
+      }
+
+      const [open, close] = char === '[' ? ['[', ']'] : ['<<', '>>'];
+      i += open.length;
+      while (i < content.length && !content.startsWith(close, i)) {
+        if (WHITESPACE.includes(content[i])) {
+          i++;
+        } else if (content[i] === '%') {
+          i = this._endOfLine(content, i);
+        } else if ('(<['.includes(content[i])) {
+          skipCompound();
+        } else {
+          i++;
+        }
+      }
+      i += close.length;
+    };
+
+    while (i < content.length) {
+      const char = content[i];
+
+      if (WHITESPACE.includes(char)) {
+        i++;
+        continue;
+      }
+
+      if (char === '%') {
+        i = this._endOfLine(content, i);
+        continue;
+      }
+
+      const tokenStart = i;
+      if ('(<['.includes(char)) {
+        skipCompound();
+      } else if (char === '/') {
+        i++;
+        while (isRegular(content[i])) i++;
+      } else if (isRegular(char)) {
+        while (isRegular(content[i])) i++;
+      } else {
+        i++; // Stray delimiter
+        continue;
+      }
+
+      const token = content.slice(tokenStart, i);
+      const isOperand = !isRegular(char) || char === '/' || /^[+\-.\d]/.test(token) || token === 'true' || token === 'false' || token === 'null';
+
+      if (isOperand) {
+        if (operandStart === null) operandStart = tokenStart;
+        operands.push(token);
+        continue;
+      }
+
+      if (token === 'BI') {
+        // Inline image data is binary; it ends at the first EI surrounded by whitespace
+        const dataStart = content.indexOf('ID', i) + 3;
+        const match = /\sEI(?=\s|$)/.exec(content.slice(dataStart));
+        i = match ? dataStart + match.index + 3 : content.length;
+      }
+
+      operations.push({
+        op: token,
+        operands,
+        start: operandStart === null ? tokenStart : operandStart,
+        end: i
+      });
+      operands = [];
+      operandStart = null;
+    }
+
+    return operations;
+  }
+
+  /**
+   * @private
+   */
+  static _endOfLine(content, i) {
+    while (i < content.length && content[i] !== '\n' && content[i] !== '\r') i++;
+    return i;
+  }
+
+  /**
+   * Multiply two [a b c d e f] matrices (m1 × m2)
+   * @private
+   */
+  static _multiply(m1, m2) {
+    return [
+      m1[0] * m2[0] + m1[1] * m2[2],
+      m1[0] * m2[1] + m1[1] * m2[3],
+      m1[2] * m2[0] + m1[3] * m2[2],
+      m1[2] * m2[1] + m1[3] * m2[3],
+      m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+      m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+    ];
+  }
+
+  /**
+   * @private
+   */
+  static _transformPoint(x, y, [a, b, c, d, e, f]) {
+    return [a * x + c * y + e, b * x + d * y + f];
+  }
+
+  /**
+   * Bounds [x0, y0, x1, y1] of a transformed rectangle
+   * @private
+   */
+  static _transformBounds([x0, y0, x1, y1], matrix) {
+    const corners = [[x0, y0], [x1, y0], [x1, y1], [x0, y1]].map(([x, y]) => this._transformPoint(x, y, matrix));
+    const xs = corners.map(([x]) => x);
+    const ys = corners.map(([, y]) => y);
+    return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+  }
+
+  /**
+   * @private
+   */
+  static _contains({ x, y, width, height }, point) {
+    return point.x >= x && point.x <= x + width && point.y >= y && point.y <= y + height;
+  }
+
+  /**
+   * @private
+   */
+  static _containsBounds([x0, y0, x1, y1], point) {
+    return point.x >= x0 && point.x <= x1 && point.y >= y0 && point.y <= y1;
+  }
+}
+
+module.exports = PageNumberMaskService;
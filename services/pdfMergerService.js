@@ -1,6 +1,8 @@
-const fs = require('fs');
-const path = require('path');
-const { PDFDocument, rgb, StandardFonts } = require('pdf-lib');
+const { PDFDocument, PDFName, PDFDict, PDFNumber } = require('pdf-lib');
+const PDFOutlineService = require('./pdfOutlineService');
+const PageNumberMaskService = require('./pageNumberMaskService');
+const WatermarkService = require('./watermarkService');
+const HeaderFooterService = require('./headerFooterService');
 
 /**
  * PDF Merger Service
@@ -8,118 +10,154 @@ const { PDFDocument, rgb, StandardFonts } = require('pdf-lib');
  */
 class PDFMergerService {
 
+  // Catalog entry recording where the TOC and content start, so a stored proposal's watermark can be replaced
+  static LAYOUT_KEY = PDFName.of('ProposalLayout');
+
   /**
-   * Merge all PDFs into final proposal
+   * Merge all documents into the final proposal
+   * The first two documents are the front page and TOC; page numbers in tocData and tocLinks
+   * are resolved against the merged layout to build bookmarks and TOC links
+   * @param {Array<{ name: string, pdf: PDFDocument, fullBleed?: boolean, pageNumberMask?: Object }>} documents
+   *        Front page, TOC, then content documents in order; pageNumberMask hides each page's old page number
+   * @param {Object} options - { tocData?: Array, tocLinks?: Array, watermark?: Object, headerFooter?: Object, values?: Object }
+   *                            headerFooter is config.HeaderFooter and values fill its { company, version } tokens
+   *                            (see HeaderFooterService); fullBleed documents get no header or footer
+   *                            unless suppressOnFullBleed is turned off
+   *                            watermark is drawn diagonally over the pages:
+   *                            { text, opacity?, angle?, color?: [r, g, b], skipPages?: Array<"front_page"|"toc"|number> }
+   * @returns {Promise<PDFDocument>} The merged proposal
    */
-  static async mergeFinalProposal(pdfPaths, outputPath) {
-    console.log('\n🔍 DEBUG: PDF Merge Input Files:');
-    pdfPaths.forEach((filePath, index) => {
-      const exists = fs.existsSync(filePath);
-      const size = exists ? fs.statSync(filePath).size : 0;
-      console.log(`   ${index + 1}. ${path.basename(filePath)} - ${exists ? `${size} bytes` : 'NOT FOUND'}`);
+  static async mergeFinalProposal(documents, options = {}) {
+    const { tocData = null, tocLinks = null, watermark = null, headerFooter = null, values = {} } = options;
+    const suppressFullBleed = HeaderFooterService.resolveStyle(headerFooter).suppressOnFullBleed;
+    console.log('\n🔍 DEBUG: PDF Merge Input Documents:');
+    documents.forEach(({ name, pdf }, index) => {
+      console.log(`   ${index + 1}. ${name} - ${pdf.getPageCount()} page(s)`);
     });
 
     const mergedPdf = await PDFDocument.create();
-    const font = await mergedPdf.embedFont(StandardFonts.Helvetica);
 
     let totalPages = 0;
+    let tocStartIndex = 0;
+    let contentStartIndex = 0;
+    const fullBleedPageIndices = [];
 
-    // Copy all pages from all PDFs
-    for (const pdfPath of pdfPaths) {
-      if (fs.existsSync(pdfPath)) {
-        try {
-          const pdfBytes = fs.readFileSync(pdfPath);
-          const pdf = await PDFDocument.load(pdfBytes);
-          const pages = await mergedPdf.copyPages(pdf, pdf.getPageIndices());
-          
-          // Add white rectangle cleanup to each page before adding to merged PDF
-          pages.forEach(page => {
-            this.addPageNumberCleanup(page);
-            mergedPdf.addPage(page);
-            totalPages++;
-          });
-          
-          console.log(`   ✅ Merged: ${path.basename(pdfPath)}`);
-        } catch (error) {
-          console.error(`   ❌ Error merging ${pdfPath}: ${error.message}`);
-        }
+    // Copy all pages from all documents
+    for (const [pdfIndex, { name, pdf, fullBleed = false, pageNumberMask = null }] of documents.entries()) {
+      // The TOC follows the front page, and content page 1 follows the TOC
+      if (pdfIndex === 1) {
+        tocStartIndex = totalPages;
+      } else if (pdfIndex === 2) {
+        contentStartIndex = totalPages;
+      }
+
+      try {
+        // Fonts and images drawn on a document are only embedded on save, so write them out before copying
+        await pdf.flush();
+        const pages = await mergedPdf.copyPages(pdf, pdf.getPageIndices());
+        
+        // Hide the template's old page numbers on the copied pages, leaving the cached template untouched
+        pages.forEach(page => {
+          PageNumberMaskService.applyMask(mergedPdf, page, pageNumberMask);
+          if (fullBleed && suppressFullBleed) {
+            fullBleedPageIndices.push(totalPages);
+          }
+          mergedPdf.addPage(page);
+          totalPages++;
+        });
+        
+        console.log(`   ✅ Merged: ${name}`);
+      } catch (error) {
+        console.error(`   ❌ Error merging ${name}: ${error.message}`);
       }
     }
     
-    // Add page numbers to all pages
-    await this.addPageNumbers(mergedPdf, font, totalPages);
-    
-    // Save final merged PDF
-    const finalBytes = await mergedPdf.save();
-    fs.writeFileSync(outputPath, finalBytes);
+    // Keep the layout with the document for replaceWatermark
+    mergedPdf.catalog.set(this.LAYOUT_KEY, mergedPdf.context.obj({ TocStart: tocStartIndex, ContentStart: contentStartIndex }));
+
+    // Add running headers and footers (page numbers by default) to all content pages
+    await HeaderFooterService.applyHeadersFooters(mergedPdf, {
+      contentStartIndex,
+      tocData: tocData || [],
+      fullBleedPageIndices,
+      style: headerFooter,
+      values
+    });
+
+    // Add bookmarks pointing at the pages listed in the TOC
+    if (tocData) {
+      PDFOutlineService.addOutline(mergedPdf, tocData, contentStartIndex);
+    }
+
+    // Make TOC rows clickable now that final page indices are known
+    if (tocLinks) {
+      PDFOutlineService.addTocLinks(mergedPdf, tocLinks, tocStartIndex, contentStartIndex);
+    }
+
+    // Watermark last so it sits above page numbers and content
+    await this._applyWatermark(mergedPdf, watermark, tocStartIndex, contentStartIndex);
     
     console.log(`✅ Final proposal merged: ${totalPages} pages`);
-    return outputPath;
+    return mergedPdf;
   }
 
   /**
-   * Add white rectangle to clean up old page numbers
+   * Replace the watermark on a proposal merged by mergeFinalProposal, e.g. one loaded from storage after its
+   * version status changes; the pages themselves are left as they are
+   * @param {PDFDocument} pdfDoc - The merged proposal
+   * @param {Object|null} watermark - As for mergeFinalProposal; null just removes the current watermark
    */
-  static addPageNumberCleanup(page) {
-    const { width } = page.getSize();
-    
-    // Add white rectangle to hide old page numbers at bottom
-    page.drawRectangle({
-      x: 0,
-      y: 0,
-      width: width,
-      height: 30,
-      color: rgb(1, 1, 1),
-    });
+  static async replaceWatermark(pdfDoc, watermark) {
+    const layout = pdfDoc.catalog.lookupMaybe(this.LAYOUT_KEY, PDFDict);
+    if (!layout) {
+      throw new Error('The document does not record its page layout, so its watermark cannot be replaced. Refine the proposal to regenerate it');
+    }
+
+    WatermarkService.removeWatermark(pdfDoc);
+    await this._applyWatermark(
+      pdfDoc,
+      watermark,
+      layout.lookup(PDFName.of('TocStart'), PDFNumber).asNumber(),
+      layout.lookup(PDFName.of('ContentStart'), PDFNumber).asNumber()
+    );
   }
 
   /**
-   * Add consistent page numbers to all pages
-   * Skip page numbers for front page and table of contents
-   * Content pages start numbering from 1 (not 3)
+   * Draw the watermark, if any, leaving its skipPages unmarked
+   * @private
    */
-  static async addPageNumbers(pdfDoc, font, totalPages) {
-    const allPages = pdfDoc.getPages();
-    const contentPageCount = totalPages - 2; // Subtract front page and TOC
-    
-    for (let i = 0; i < allPages.length; i++) {
-      const page = allPages[i];
-      const { width } = page.getSize();
-      
-      // Skip page numbers for front page (index 0) and TOC (index 1)
-      if (i === 0 || i === 1) {
-        continue; // Don't add page numbers to front page and TOC
-      }
-      
-      // Content pages start numbering from 1
-      const contentPageNumber = i - 1; // i=2 becomes page 1, i=3 becomes page 2, etc.
-      const pageNumText = `Page ${contentPageNumber} of ${contentPageCount}`;
-      
-      // Page number text (the white rectangle is already applied above)
-      page.drawText(pageNumText, {
-        x: width / 2 - font.widthOfTextAtSize(pageNumText, 10) / 2,
-        y: 15,
-        size: 10,
-        font,
-        color: rgb(0, 0, 0),
-      });
+  static async _applyWatermark(pdfDoc, watermark, tocStartIndex, contentStartIndex) {
+    if (!watermark || !watermark.text) {
+      return;
     }
+
+    const { text, skipPages = [], ...style } = watermark;
+    await WatermarkService.applyWatermark(pdfDoc, text, {
+      ...style,
+      skipPageIndices: this.resolveSkipPages(skipPages, tocStartIndex, contentStartIndex)
+    });
+    console.log(`💧 Watermarked with "${text}"`);
   }
 
   /**
-   * Clean up temporary files
+   * Turn watermark skipPages ("front_page", "toc" or 1-based page numbers) into 0-based page indices
    */
-  static cleanupTempFiles(tempPaths) {
-    for (const tempPath of tempPaths) {
-      try {
-        if (fs.existsSync(tempPath) && tempPath.includes('temp_')) {
-          fs.unlinkSync(tempPath);
-        }
-      } catch (error) {
-        console.warn(`⚠️ Could not delete temp file ${tempPath}: ${error.message}`);
+  static resolveSkipPages(skipPages, tocStartIndex, contentStartIndex) {
+    const indices = [];
+
+    for (const skip of skipPages) {
+      if (skip === 'front_page') {
+        for (let i = 0; i < tocStartIndex; i++) indices.push(i);
+      } else if (skip === 'toc') {
+        for (let i = tocStartIndex; i < contentStartIndex; i++) indices.push(i);
+      } else if (Number.isInteger(skip)) {
+        indices.push(skip - 1);
       }
     }
+
+    return indices;
   }
+
 }
 
 module.exports = PDFMergerService;
\ No newline at end of file
@@ -0,0 +1,124 @@
+const { PDFName, PDFNumber, PDFHexString, PDFNull } = require('pdf-lib');
+
+/**
+ * PDF Outline Service
+ * Builds the document outline (bookmarks) shown in PDF viewer sidebars
+ * and the internal links that make TOC rows jump to their section
+ */
+class PDFOutlineService {
+
+  /**
+   * Add a nested outline to the merged proposal from TOC data
+   * @param {PDFDocument} pdfDoc - The merged proposal document
+   * @param {Array} tocData - TOC entries ({ title, page, children? }) with content page numbers
+   * @param {number} contentStartIndex - Physical index of content page 1 (pages before it are front page and TOC)
+   */
+  static addOutline(pdfDoc, tocData, contentStartIndex) {
+    if (!tocData || tocData.length === 0) {
+      return 0;
+    }
+
+    const context = pdfDoc.context;
+    const pages = pdfDoc.getPages();
+    const outlinesRef = context.nextRef();
+
+    const { first, last, count } = this._createOutlineItems(context, pages, tocData, outlinesRef, contentStartIndex);
+
+    context.assign(outlinesRef, context.obj({
+      Type: 'Outlines',
+      First: first,
+      Last: last,
+      Count: PDFNumber.of(count)
+    }));
+
+    pdfDoc.catalog.set(PDFName.of('Outlines'), outlinesRef);
+    pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+
+    console.log(`   🔖 Added ${count} bookmarks`);
+    return count;
+  }
+
+  /**
+   * Add link annotations over TOC rows that jump to their section page
+   * @param {PDFDocument} pdfDoc - The merged proposal document
+   * @param {Array} tocLinks - Row regions ({ tocPageIndex, page, rect }) reported by the TOC generator
+   * @param {number} tocStartIndex - Physical index of the first TOC page
+   * @param {number} contentStartIndex - Physical index of content page 1
+   */
+  static addTocLinks(pdfDoc, tocLinks, tocStartIndex, contentStartIndex) {
+    if (!tocLinks || tocLinks.length === 0) {
+      return 0;
+    }
+
+    const context = pdfDoc.context;
+    const pages = pdfDoc.getPages();
+    let linkCount = 0;
+
+    for (const link of tocLinks) {
+      const tocPage = pages[tocStartIndex + link.tocPageIndex];
+      if (!tocPage) {
+        continue;
+      }
+
+      const pageIndex = this.toPageIndex(link.page, contentStartIndex, pages.length);
+      const { x, y, width, height } = link.rect;
+      const annotRef = context.register(context.obj({
+        Type: 'Annot',
+        Subtype: 'Link',
+        Rect: [x, y, x + width, y + height],
+        Border: [0, 0, 0],
+        Dest: [pages[pageIndex].ref, 'XYZ', PDFNull, PDFNull, PDFNull]
+      }));
+
+      tocPage.node.addAnnot(annotRef);
+      linkCount++;
+    }
+
+    console.log(`   🔗 Linked ${linkCount} TOC entries`);
+    return linkCount;
+  }
+
+  /**
+   * Convert a content page number into a physical page index of the merged document
+   */
+  static toPageIndex(contentPage, contentStartIndex, pageCount) {
+    const index = contentStartIndex + contentPage - 1;
+    return Math.min(Math.max(index, 0), pageCount - 1);
+  }
+
+  /**
+   * Create outline item dictionaries for one level of entries (recursing into children)
+   * Returns the first/last item refs and the number of visible items, as required for the Count entry
+   * @private
+   */
+  static _createOutlineItems(context, pages, entries, parentRef, contentStartIndex) {
+    const refs = entries.map(() => context.nextRef());
+    let visibleCount = entries.length;
+
+    entries.forEach((entry, index) => {
+      const pageIndex = this.toPageIndex(entry.page, contentStartIndex, pages.length);
+      const item = {
+        Title: PDFHexString.fromText(entry.title),
+        Parent: parentRef,
+        Dest: [pages[pageIndex].ref, 'XYZ', PDFNull, PDFNull, PDFNull]
+      };
+
+      if (index > 0) item.Prev = refs[index - 1];
+      if (index < refs.length - 1) item.Next = refs[index + 1];
+
+      if (entry.children && entry.children.length > 0) {
+        const children = this._createOutlineItems(context, pages, entry.children, refs[index], contentStartIndex);
+        item.First = children.first;
+        item.Last = children.last;
+        item.Count = PDFNumber.of(children.count);
+        visibleCount += children.count;
+      }
+
+      context.assign(refs[index], context.obj(item));
+    });
+
+    return { first: refs[0], last: refs[refs.length - 1], count: visibleCount };
+  }
+}
+
+module.exports = PDFOutlineService;
@@ -2,16 +2,52 @@ const supabase = require('../config/supabase');
 
 /**
  * Proposal Database Service
- * Handles database operations for proposals and proposal_versions tables
+ * Handles database operations for proposals, proposal_versions and proposal_version_status_history tables
+ *
+ * proposal_version_status_history records every status change of a version, from its creation (the
+ * proposal_versions_record_creation trigger) through update_proposal_version_status()
+ * (supabase/migrations/20261019000300_create_proposal_version_status_history.sql and 20261019000500):
+ *   id, version_id, from_status (null when the version was created), to_status, changed_by, comment, changed_at
  */
 class ProposalDatabaseService {
 
-  static DEFAULT_CREATED_BY = 'db46f7c1-a3ea-4a11-855b-4b3c3cd76562';
+  // Legal version status transitions; approved is final and rejected versions can be reopened as drafts
+  static STATUS_TRANSITIONS = {
+    draft: ['submitted'],
+    submitted: ['under_review', 'draft'],
+    under_review: ['approved', 'rejected'],
+    approved: [],
+    rejected: ['draft']
+  };
+
+  // Transitions that must include a comment explaining them
+  static COMMENT_REQUIRED_STATUSES = ['rejected'];
+
+  /**
+   * Check SYSTEM_USER_ID is set, so a missing one fails at startup rather than on the first proposal generated
+   * outside the API
+   */
+  static assertConfigured() {
+    this.getSystemUserId();
+  }
+
+  /**
+   * The user recorded for proposals generated outside the API (CLI and scripts): SYSTEM_USER_ID
+   * API requests record the authenticated user instead
+   * @throws {Error} If SYSTEM_USER_ID is not set
+   */
+  static getSystemUserId() {
+    const systemUserId = (process.env.SYSTEM_USER_ID || '').trim();
+    if (!systemUserId) {
+      throw new Error('SYSTEM_USER_ID must be set to the user recorded for proposals generated outside the API');
+    }
+    return systemUserId;
+  }
 
   /**
    * Create a new proposal record
    */
-  static async createProposal(title, createdBy = this.DEFAULT_CREATED_BY) {
+  static async createProposal(title, createdBy = this.getSystemUserId()) {
     try {
       const { data, error } = await supabase
         .from('proposals')
@@ -36,6 +72,7 @@ class ProposalDatabaseService {
 
   /**
    * Create a new proposal version
+   * The proposal_versions_record_creation trigger adds its first status history entry in the same transaction
    */
   static async createProposalVersion({
     proposalId,
@@ -43,7 +80,7 @@ class ProposalDatabaseService {
     versionLabel = 'v1',
     documentPath,
     status = 'submitted',
-    createdBy = this.DEFAULT_CREATED_BY,
+    createdBy = this.getSystemUserId(),
     proposalData
   }) {
     try {
@@ -133,12 +170,12 @@ class ProposalDatabaseService {
   /**
    * Create complete proposal with version (main method)
    */
-  static async createProposalWithVersion(config, documentPath) {
+  static async createProposalWithVersion(config, documentPath, createdBy = this.getSystemUserId()) {
     try {
       const companyName = config.Company;
 
       // Always create a new proposal instead of checking for existing ones
-      const proposal = await this.createProposal(companyName);
+      const proposal = await this.createProposal(companyName, createdBy);
 
       // Always start with version 1 for new proposals
       const versionNumber = 1;
@@ -150,6 +187,7 @@ class ProposalDatabaseService {
         versionNumber,
         versionLabel,
         documentPath,
+        createdBy,
         proposalData: config
       });
 
@@ -201,27 +239,109 @@ class ProposalDatabaseService {
   }
 
   /**
-   * Update proposal version status
+   * Get a single proposal version, or null if it does not exist
    */
-  static async updateVersionStatus(versionId, status) {
+  static async getVersion(versionId) {
     try {
       const { data, error } = await supabase
         .from('proposal_versions')
-        .update({ status })
+        .select('*')
         .eq('id', versionId)
-        .select()
-        .single();
+        .maybeSingle();
 
       if (error) {
-        throw new Error(`Failed to update version status: ${error.message}`);
+        throw new Error(`Failed to get proposal version: ${error.message}`);
       }
 
       return data;
+    } catch (error) {
+      console.error('Database error getting proposal version:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Storage filenames of the documents of the versions a user created
+   * @returns {Promise<Set<string>>}
+   */
+  static async getDocumentPathsCreatedBy(userId) {
+    try {
+      const { data, error } = await supabase
+        .from('proposal_versions')
+        .select('document_path')
+        .eq('created_by', userId);
+
+      if (error) {
+        throw new Error(`Failed to get proposal documents: ${error.message}`);
+      }
+
+      return new Set(data.map(version => version.document_path).filter(Boolean));
+    } catch (error) {
+      console.error('Database error getting proposal documents:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Statuses a version can move to from its current status
+   */
+  static getAllowedTransitions(fromStatus) {
+    return Object.prototype.hasOwnProperty.call(this.STATUS_TRANSITIONS, fromStatus) ? this.STATUS_TRANSITIONS[fromStatus] : [];
+  }
+
+  /**
+   * Move a version to a new status and record the change in its history
+   * Both happen in one transaction in the update_proposal_version_status() database function (supabase/migrations)
+   * The caller must check the transition with getAllowedTransitions first
+   * @param {Object} version - Current version row
+   * @param {string} toStatus - New status
+   * @param {Object} change - { changedBy: string, comment?: string }
+   * @returns {Promise<Object|null>} Updated version, or null if its status changed since it was read
+   */
+  static async updateVersionStatus(version, toStatus, { changedBy, comment = null }) {
+    try {
+      // Only updates if the status is unchanged since it was read, so concurrent reviews can't both apply
+      const { data, error } = await supabase.rpc('update_proposal_version_status', {
+        target_version_id: version.id,
+        from_status: version.status,
+        to_status: toStatus,
+        changed_by: changedBy,
+        change_comment: comment
+      });
+
+      if (error) {
+        throw new Error(`Failed to update version status: ${error.message}`);
+      }
+
+      const updated = Array.isArray(data) ? data[0] : data;
+      return updated || null;
     } catch (error) {
       console.error('Database error updating version status:', error);
       throw error;
     }
   }
+
+  /**
+   * Get a version's status history, oldest first
+   */
+  static async getVersionStatusHistory(versionId) {
+    try {
+      const { data, error } = await supabase
+        .from('proposal_version_status_history')
+        .select('*')
+        .eq('version_id', versionId)
+        .order('changed_at', { ascending: true });
+
+      if (error) {
+        throw new Error(`Failed to get status history: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Database error getting status history:', error);
+      throw error;
+    }
+  }
 }
 
 module.exports = ProposalDatabaseService;
\ No newline at end of file
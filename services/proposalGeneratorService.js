@@ -1,10 +1,23 @@
+const fs = require('fs');
 const path = require('path');
+const { PDFDocument } = require('pdf-lib');
 const FrontPageService = require('./frontPageService');
 const TemplateProcessorService = require('./templateProcessorService');
 const PDFMergerService = require('./pdfMergerService');
 const ProposalDatabaseService = require('./proposalDatabaseService');
+const DocumentStorageService = require('./documentStorageService');
+const DownloadLinkService = require('./downloadLinkService');
+const TemplateCacheService = require('./templateCacheService');
+const ProposalPreviewService = require('./proposalPreviewService');
+const WatermarkService = require('./watermarkService');
+const TemplateRegistryService = require('./templateRegistryService');
+const FieldValueService = require('./fieldValueService');
+const ImageProcessorService = require('./imageProcessorService');
+const FeeScheduleService = require('./feeScheduleService');
+const StaffDirectoryService = require('./staffDirectoryService');
+const StaffProfileService = require('./staffProfileService');
 const supabase = require('../config/supabase');
-const { generateTOCProgrammatically } = require('../tableOfContent');
+const { generateTOCProgrammatically, generateTOCFromTemplate, resolveTOCStyle } = require('../tableOfContent');
 const FileUtils = require('../utils/fileUtils');
 const ValidationUtils = require('../utils/validationUtils');
 
@@ -14,21 +27,40 @@ const ValidationUtils = require('../utils/validationUtils');
  */
 class ProposalGeneratorService {
 
+  // Steps reported to generateProposal's onProgress callback, in order
+  static GENERATION_STEPS = ['database', 'front_page', 'templates', 'toc', 'merge', 'upload'];
+
   constructor() {
     this.templatesDir = path.join(__dirname, '..', 'Templates');
-    // Use /tmp directory in serverless environments, local Output directory otherwise
-    this.outputDir = process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME
-      ? '/tmp'
-      : path.join(__dirname, '..', 'Output');
+    // Documents are built in memory; only finished proposals are written, to document storage
+    this.storage = DocumentStorageService.getStorage();
   }
 
   /**
    * Generate a complete proposal PDF based on configuration
+   * @param {Object} config - Proposal configuration
+   * @param {string|null} outputFileName - Fixed filename (refine operations); otherwise a new proposal is created
+   * @param {Object} options - { onProgress?: (step, message) => void, linkExpiresIn?: number, createdBy?: string,
+   *                              includePdf?: boolean, status?: string, versionLabel?: string }
+   *                            onProgress is called as each step in GENERATION_STEPS starts;
+   *                            linkExpiresIn is the download link lifetime in seconds;
+   *                            createdBy is the user recorded on a new proposal (system user if omitted);
+   *                            includePdf adds the merged PDF bytes to the result as pdfBytes;
+   *                            status is the version status that decides the watermark (a new proposal uses its version's status);
+   *                            versionLabel fills the {version} header/footer token (a new proposal uses its version's label)
    */
-  async generateProposal(config, outputFileName = null) {
+  async generateProposal(config, outputFileName = null, options = {}) {
+    const { onProgress = null, linkExpiresIn = null, createdBy = null, includePdf = false } = options;
+
     try {
+      // Links to the result are signed, so fail before any work if they can't be
+      DownloadLinkService.assertConfigured();
+
       // Validate configuration
       const validationErrors = ValidationUtils.validateProposalConfig(config);
+      if (validationErrors.length === 0) {
+        validationErrors.push(...await this.validateContent(config));
+      }
       if (validationErrors.length > 0) {
         throw new Error(`Configuration validation failed: ${validationErrors.join(', ')}`);
       }
@@ -36,77 +68,58 @@ class ProposalGeneratorService {
       console.log('🚀 Starting proposal generation...');
       console.log(`📊 Company: ${config.Company}`);
       console.log(`📄 Templates to process: ${config.Templates.length}`);
-      
-      // Setup paths
-      FileUtils.ensureDirectoryExists(this.outputDir);
 
-      let finalOutputPath;
+      let finalFileName;
       let dbResult = null;
 
       if (outputFileName) {
         // Use provided filename (for refine operations)
-        console.log(`\n📁 Using provided filename: ${outputFileName}`);
-        finalOutputPath = path.join(this.outputDir, outputFileName);
+        finalFileName = ValidationUtils.sanitizeFilename(outputFileName);
+        console.log(`\n📁 Using provided filename: ${finalFileName}`);
       } else {
         // Create or find proposal in database first to get version info
-        console.log('\n🗄️ Creating/updating proposal in database...');
-        dbResult = await ProposalDatabaseService.createProposalWithVersion(config, null);
+        this._reportProgress(onProgress, 'database', '\n🗄️ Creating/updating proposal in database...');
+        dbResult = await ProposalDatabaseService.createProposalWithVersion(
+          config,
+          null,
+          createdBy || ProposalDatabaseService.getSystemUserId()
+        );
 
         // Generate versioned filename
-        const versionedFilename = ProposalDatabaseService.generateVersionedFilename(
+        finalFileName = ProposalDatabaseService.generateVersionedFilename(
           config.Company,
           dbResult.versionNumber
         );
-        finalOutputPath = path.join(this.outputDir, versionedFilename);
       }
+
+      // Steps 1-4: Build the proposal in memory, watermarked for its version status
+      const status = options.status || (dbResult ? dbResult.version.status : null);
+      const watermark = WatermarkService.resolveForStatus(config, status);
+      const versionLabel = options.versionLabel || (dbResult ? dbResult.versionLabel : null);
+      const { proposalDoc, tocData } = await this._buildProposal(config, onProgress, { watermark, versionLabel });
+      const pdfBytes = Buffer.from(await proposalDoc.save());
       
-      // Step 1: Generate Front Page
-      console.log('\n1️⃣ Generating front page...');
-      const frontPagePath = await FrontPageService.generateFrontPage(
-        config, 
-        this.templatesDir, 
-        this.outputDir
-      );
-      
-      // Step 2: Process templates and build TOC data
-      console.log('\n2️⃣ Processing templates...');
-      const { processedTemplates, tocData } = await TemplateProcessorService.processTemplates(
-        config, 
-        this.templatesDir, 
-        this.outputDir
-      );
-      
-      // Step 3: Generate Table of Contents
-      console.log('\n3️⃣ Generating table of contents...');
-      const tocPath = await this._generateTableOfContents(tocData);
-      
-      // Step 4: Merge all PDFs
-      console.log('\n4️⃣ Merging final proposal...');
-      await PDFMergerService.mergeFinalProposal(
-        [frontPagePath, tocPath, ...processedTemplates], 
-        finalOutputPath
-      );
-      
-      // Step 5: Update database with final document path (only for new proposals)
+      // Step 5: Save to document storage and record the storage key (only for new proposals)
+      this._reportProgress(onProgress, 'upload', `\n☁️ Saving proposal to ${this.storage.type} storage...`);
+      const { size: fileSize } = await this.storage.save(finalFileName, pdfBytes);
+
       if (dbResult) {
-        console.log('\n🗄️ Updating database with document path...');
-        const documentPath = path.basename(finalOutputPath); // Just the filename, not the full path
+        console.log('🗄️ Updating database with document path...');
         await supabase
           .from('proposal_versions')
-          .update({ document_path: documentPath })
+          .update({ document_path: finalFileName })
           .eq('id', dbResult.version.id);
       }
 
-      // Step 6: Cleanup temporary files
-      console.log('\n🧹 Cleaning up temporary files...');
-      const allTempFiles = [frontPagePath, tocPath, ...processedTemplates];
-      PDFMergerService.cleanupTempFiles(allTempFiles);
-
       // Generate result summary
-      const result = this._generateResultSummary(finalOutputPath, tocData, config, dbResult);
+      const result = this._generateResultSummary(finalFileName, fileSize, tocData, config, dbResult, linkExpiresIn);
+      result.watermark = watermark ? watermark.text : null;
+      if (includePdf) {
+        result.pdfBytes = pdfBytes;
+      }
 
-      const versionInfo = dbResult ? dbResult.versionLabel : path.basename(outputFileName || finalOutputPath);
-      console.log(`\n✅ Proposal ${versionInfo} generated successfully: ${finalOutputPath}`);
+      const versionInfo = dbResult ? dbResult.versionLabel : finalFileName;
+      console.log(`\n✅ Proposal ${versionInfo} generated successfully: ${result.outputPath}`);
       return result;
       
     } catch (error) {
@@ -115,6 +128,161 @@ class ProposalGeneratorService {
     }
   }
 
+  /**
+   * Build a watermarked preview of a proposal without creating database records or storing anything
+   * @param {Object} config - Proposal configuration
+   * @returns {Promise<Object>} Section page ranges, page counts and the preview PDF bytes (pdfBytes)
+   */
+  async previewProposal(config) {
+    const validationErrors = ValidationUtils.validateProposalConfig(config);
+    if (validationErrors.length === 0) {
+      validationErrors.push(...await this.validateContent(config));
+    }
+    if (validationErrors.length > 0) {
+      throw new Error(`Configuration validation failed: ${validationErrors.join(', ')}`);
+    }
+
+    console.log(`🔍 Building preview for ${config.Company}...`);
+    const { proposalDoc, tocData, contentPageCount } = await this._buildProposal(config);
+    const frontMatterPageCount = proposalDoc.getPageCount() - contentPageCount;
+
+    const previewDoc = await ProposalPreviewService.createPreviewDocument(proposalDoc);
+    const pdfBytes = Buffer.from(await previewDoc.save());
+
+    console.log(`✅ Preview built: ${proposalDoc.getPageCount()} pages, ${FileUtils.formatFileSize(pdfBytes.length)}`);
+
+    return {
+      company: config.Company,
+      pageCount: proposalDoc.getPageCount(),
+      frontMatterPageCount,
+      contentPageCount,
+      sectionsCount: tocData.length,
+      sections: ProposalPreviewService.computeSectionRanges(tocData, contentPageCount, frontMatterPageCount),
+      previewSize: FileUtils.formatFileSize(pdfBytes.length),
+      previewSizeBytes: pdfBytes.length,
+      generatedAt: new Date().toISOString(),
+      pdfBytes
+    };
+  }
+
+  /**
+   * Refine an existing proposal by generating and recording its next version
+   * @param {Object} existingProposal - Proposal with versions, from ProposalDatabaseService.getProposalWithVersions
+   * @param {Object} proposalData - Normalized proposal configuration for the new version
+   * @param {string} createdBy - User creating the version
+   * @param {Object} options - Same as generateProposal; with includePdf the PDF bytes are returned as pdfBytes
+   */
+  async refineProposal(existingProposal, proposalData, createdBy, options = {}) {
+    // Get the next version number
+    const nextVersionNumber = await ProposalDatabaseService.getNextVersionNumber(existingProposal.id);
+    const versionLabel = `v${nextVersionNumber}`;
+
+    // Generate versioned filename for this specific version
+    const versionedFilename = ProposalDatabaseService.generateVersionedFilename(
+      proposalData.Company,
+      nextVersionNumber
+    );
+
+    // Generate the new proposal with the versioned filename
+    const status = 'submitted';
+    const result = await this.generateProposal(proposalData, versionedFilename, { ...options, status, versionLabel });
+
+    // Create the new version in the database with the generated document path
+    this._reportProgress(options.onProgress, 'upload', `\n🗄️ Saving ${versionLabel} to database...`);
+    const newVersion = await ProposalDatabaseService.createProposalVersion({
+      proposalId: existingProposal.id,
+      versionNumber: nextVersionNumber,
+      versionLabel: versionLabel,
+      documentPath: versionedFilename,
+      status,
+      createdBy,
+      proposalData: proposalData
+    });
+
+    return {
+      proposal: {
+        id: existingProposal.id,
+        title: existingProposal.title
+      },
+      newVersion: {
+        id: newVersion.id,
+        versionNumber: nextVersionNumber,
+        versionLabel: versionLabel,
+        documentPath: newVersion.document_path,
+        status: newVersion.status,
+        createdAt: newVersion.created_at
+      },
+      generationResult: {
+        fileName: result.fileName,
+        location: result.location,
+        locationExpiresAt: result.locationExpiresAt,
+        fileSize: result.fileSize,
+        sectionsCount: result.sectionsCount,
+        templatesProcessed: result.templatesProcessed
+      },
+      ...(result.pdfBytes && { pdfBytes: result.pdfBytes })
+    };
+  }
+
+  /**
+   * Replace the watermark on a stored version's document with the one for its status, e.g. after its status changes
+   * Only the watermark changes: the pages stay as generated, not rebuilt from the current templates, staff or rate card
+   * @param {Object} version - proposal_versions row
+   * @param {Object} options - { status?: string, linkExpiresIn?: number, onProgress?: (step, message) => void }
+   */
+  async restampVersion(version, options = {}) {
+    if (!version.document_path || !version.proposal_data) {
+      throw new Error(`Version ${version.id} has no stored document or proposal data to re-stamp`);
+    }
+
+    const status = options.status || version.status;
+    console.log(`\n💧 Re-stamping ${version.version_label} (${status})...`);
+
+    const storedBytes = await this.storage.read(version.document_path);
+    if (!storedBytes) {
+      throw new Error(`Document ${version.document_path} of version ${version.id} not found in ${this.storage.type} storage`);
+    }
+
+    const watermark = WatermarkService.resolveForStatus(version.proposal_data, status);
+    const pdfDoc = await PDFDocument.load(storedBytes);
+    await PDFMergerService.replaceWatermark(pdfDoc, watermark);
+    const pdfBytes = Buffer.from(await pdfDoc.save());
+
+    this._reportProgress(options.onProgress, 'upload', `\n☁️ Saving ${version.version_label} to ${this.storage.type} storage...`);
+    const { size: fileSize } = await this.storage.save(version.document_path, pdfBytes);
+    const { url, expiresAt } = DownloadLinkService.createSignedUrl(version.document_path, { expiresIn: options.linkExpiresIn });
+
+    return {
+      success: true,
+      storage: this.storage.type,
+      fileName: version.document_path,
+      location: url,
+      locationExpiresAt: expiresAt,
+      fileSize: FileUtils.formatFileSize(fileSize),
+      fileSizeBytes: fileSize,
+      company: version.proposal_data.Company,
+      versionId: version.id,
+      status,
+      watermark: watermark ? watermark.text : null
+    };
+  }
+
+  /**
+   * Whether a version's stored document must be re-stamped after a status change, because the change
+   * alters its watermark (the re-stamp itself runs as a background job, see ProposalJobService)
+   * @param {Object} version - proposal_versions row with its new status
+   * @param {string} previousStatus - Status before the change
+   */
+  needsWatermarkRefresh(version, previousStatus) {
+    if (!version.document_path || !version.proposal_data) {
+      return false;
+    }
+
+    const previousWatermark = WatermarkService.resolveForStatus(version.proposal_data, previousStatus);
+    const watermark = WatermarkService.resolveForStatus(version.proposal_data, version.status);
+    return JSON.stringify(previousWatermark) !== JSON.stringify(watermark);
+  }
+
   /**
    * Generate proposal with custom configuration object
    */
@@ -125,10 +293,10 @@ class ProposalGeneratorService {
   /**
    * Generate proposal from configuration file
    */
-  async generateFromConfigFile(configFilePath = null, outputFileName = null) {
+  async generateFromConfigFile(configFilePath = null, outputFileName = null, options = {}) {
     const configPath = configFilePath || path.join(__dirname, '..', 'data.json');
     const config = FileUtils.loadConfig(configPath);
-    return await this.generateProposal(config, outputFileName);
+    return await this.generateProposal(config, outputFileName, options);
   }
 
   /**
@@ -136,15 +304,14 @@ class ProposalGeneratorService {
    */
   async getStatus() {
     const templatesDir = this.templatesDir;
-    const outputDir = this.outputDir;
     
     return {
       service: 'Proposal Generator',
       status: 'operational',
       templatesDirectory: templatesDir,
-      outputDirectory: outputDir,
       templatesDirectoryExists: FileUtils.ensureDirectoryExists(templatesDir),
-      outputDirectoryExists: FileUtils.ensureDirectoryExists(outputDir),
+      documentStorage: this.storage.describe(),
+      templateCache: TemplateCacheService.getStats(),
       timestamp: new Date().toISOString()
     };
   }
@@ -158,44 +325,368 @@ class ProposalGeneratorService {
     requiredTemplates.push(...templateFiles);
     
     const missingTemplates = FileUtils.validateTemplatesExist(this.templatesDir, requiredTemplates);
+    const fieldErrors = await this.validateFieldValues(config);
+    const staffErrors = await this.validateStaff(config);
     
     return {
-      valid: missingTemplates.length === 0,
+      valid: missingTemplates.length === 0 && fieldErrors.length === 0 && staffErrors.length === 0,
       missingTemplates,
+      fieldErrors,
+      staffErrors,
       totalTemplates: requiredTemplates.length,
       availableTemplates: requiredTemplates.length - missingTemplates.length
     };
   }
 
+  /**
+   * Check everything in a config that depends on templates or the database: field values, fee schedules,
+   * images and staff directory references
+   * @returns {Promise<Array<string>>} Validation errors
+   */
+  async validateContent(config) {
+    return [
+      ...await this.validateFieldValues(config),
+      ...await this.validateImages(config),
+      ...await this.validateStaff(config)
+    ];
+  }
+
+  /**
+   * Check templates' images against their image slots and the asset library (see ImageProcessorService)
+   * Missing templates are skipped
+   * @returns {Promise<Array<string>>} Validation errors
+   */
+  async validateImages(config) {
+    const errors = [];
+
+    for (const [index, template] of (config.Templates || []).entries()) {
+      const sources = ImageProcessorService.getImageSources(template);
+      if (!sources) {
+        continue;
+      }
+
+      const label = `Template[${index}]`;
+      if (template.imageFit !== undefined && !ImageProcessorService.FIT_MODES.includes(template.imageFit)) {
+        errors.push(`${label} imageFit must be one of: ${ImageProcessorService.FIT_MODES.join(', ')}`);
+        continue;
+      }
+
+      if (!fs.existsSync(path.join(this.templatesDir, template.fileName))) {
+        continue;
+      }
+
+      const fields = await TemplateRegistryService.getTemplateFields(this.templatesDir, template.fileName);
+      errors.push(...ImageProcessorService.validateImages(sources, fields, {
+        label,
+        templatesDir: this.templatesDir,
+        defaultFit: template.imageFit
+      }));
+    }
+
+    return errors;
+  }
 
   /**
-   * Generate table of contents PDF
+   * Check the Staff Profiles template's staff: every staff directory reference must exist and be active, and
+   * profiles built from staff data (those without a designed profile PDF) must render (see StaffProfileService)
+   * @returns {Promise<Array<string>>} Validation errors
+   */
+  async validateStaff(config) {
+    const references = this._staffReferences(config);
+    const staffById = references.length > 0
+      ? await StaffDirectoryService.getStaffByIds([...new Set(references.map(reference => reference.id))])
+      : new Map();
+    const errors = [];
+
+    for (const { templateIndex, staffIndex, id } of references) {
+      const label = `Staff[${staffIndex}] in template[${templateIndex}]`;
+      const staff = staffById.get(id);
+
+      if (!staff) {
+        errors.push(`${label} references unknown staff ID ${id}`);
+      } else if (!staff.active) {
+        errors.push(`${label} references inactive staff member ${staff.name} (${id})`);
+      }
+    }
+
+    for (const [templateIndex, template] of (config.Templates || []).entries()) {
+      if (template.name !== 'Staff Profiles' || !Array.isArray(template.staffs)) {
+        continue;
+      }
+
+      for (const [staffIndex, entry] of template.staffs.entries()) {
+        const id = StaffDirectoryService.getReferenceId(entry);
+        const staff = id === null ? entry : staffById.get(id);
+        if (!staff || (id !== null && !staff.active) || typeof staff.name !== 'string') {
+          continue;
+        }
+
+        const profile = id === null ? staff : StaffDirectoryService.toProfile(staff);
+        if (TemplateProcessorService.findStaffProfilePath(profile, this.templatesDir) || !StaffProfileService.hasProfileData(profile)) {
+          continue;
+        }
+
+        const label = `Staff[${staffIndex}] in template[${templateIndex}]`;
+        const profileErrors = await StaffProfileService.validateProfile(profile, this.templatesDir);
+        errors.push(...profileErrors.map(error => `${label} ${error}`));
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Replace staff directory references in the Staff Profiles template with the staff members' current details
+   * Unknown and inactive staff are left out
+   * @returns {Promise<Object>} A copy of the config with the staff resolved
+   */
+  async resolveStaff(config) {
+    const references = this._staffReferences(config);
+    if (references.length === 0) {
+      return config;
+    }
+
+    const staffById = await StaffDirectoryService.getStaffByIds([...new Set(references.map(reference => reference.id))]);
+
+    return {
+      ...config,
+      Templates: config.Templates.map(template => {
+        if (template.name !== 'Staff Profiles' || !Array.isArray(template.staffs)) {
+          return template;
+        }
+
+        const staffs = [];
+        for (const entry of template.staffs) {
+          const id = StaffDirectoryService.getReferenceId(entry);
+          if (id === null) {
+            staffs.push(entry);
+            continue;
+          }
+
+          const staff = staffById.get(id);
+          if (staff && staff.active) {
+            staffs.push(StaffDirectoryService.toProfile(staff));
+          } else {
+            console.warn(`   ⚠️ Skipping ${staff ? 'inactive' : 'unknown'} staff member ${staff ? staff.name : id}`);
+          }
+        }
+
+        return { ...template, staffs };
+      })
+    };
+  }
+
+  /**
+   * Check the fee schedules against the rate card (see FeeScheduleService), then editable templates' fieldValues,
+   * including those the fee schedule fills, against the templates' form fields (see FieldValueService)
+   * Templates that are missing or use fieldValues for images (a list of asset names) are skipped
+   * @returns {Promise<Array<string>>} Validation errors
+   */
+  async validateFieldValues(config) {
+    const errors = [];
+
+    if (config.FeeSchedule !== undefined) {
+      errors.push(...FeeScheduleService.validateSchedule(config.FeeSchedule, 'FeeSchedule'));
+    }
+    for (const [index, template] of (config.Templates || []).entries()) {
+      if (template.feeSchedule !== undefined && template.feeSchedule !== false) {
+        errors.push(...FeeScheduleService.validateSchedule(template.feeSchedule, `Template[${index}] feeSchedule`));
+      }
+    }
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    const { Templates: templates = [] } = await this.applyFeeSchedule(config);
+    for (const [index, template] of templates.entries()) {
+      const { fieldValues } = template;
+      if (template.editable !== true || !fieldValues || typeof fieldValues !== 'object' || Array.isArray(fieldValues)) {
+        continue;
+      }
+
+      if (!fs.existsSync(path.join(this.templatesDir, template.fileName))) {
+        continue;
+      }
+
+      const fields = await TemplateRegistryService.getTemplateFields(this.templatesDir, template.fileName);
+      errors.push(...FieldValueService.validateFieldValues(fieldValues, fields, `Template[${index}]`));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Fill the fee templates' fieldValues from the fee schedule (see FeeScheduleService)
+   * Values a template sets in its own fieldValues win over the schedule's
+   * @returns {Promise<Object>} A copy of the config with the fee templates' fieldValues filled in
+   */
+  async applyFeeSchedule(config) {
+    if (!config.FeeSchedule && !(config.Templates || []).some(template => template.feeSchedule)) {
+      return config;
+    }
+
+    const templates = [];
+    for (const template of config.Templates) {
+      const schedule = FeeScheduleService.resolveSchedule(config, template);
+      const templatePath = path.join(this.templatesDir, template.fileName);
+
+      if (!schedule || template.editable !== true || Array.isArray(template.fieldValues) || !fs.existsSync(templatePath)) {
+        templates.push(template);
+        continue;
+      }
+
+      const fields = await TemplateRegistryService.getTemplateFields(this.templatesDir, template.fileName);
+      const fieldNames = fields.map(field => field.name);
+      if (!FeeScheduleService.isFeeTemplate(fieldNames)) {
+        templates.push(template);
+        continue;
+      }
+
+      templates.push({
+        ...template,
+        fieldValues: { ...FeeScheduleService.buildFieldValues(schedule, fieldNames), ...(template.fieldValues || {}) }
+      });
+    }
+
+    return { ...config, Templates: templates };
+  }
+
+  /**
+   * Staff directory references in the config's Staff Profiles templates
+   * @returns {Array<{ templateIndex: number, staffIndex: number, id: string }>}
+   * @private
+   */
+  _staffReferences(config) {
+    const references = [];
+
+    (config.Templates || []).forEach((template, templateIndex) => {
+      if (template.name !== 'Staff Profiles' || !Array.isArray(template.staffs)) {
+        return;
+      }
+
+      template.staffs.forEach((entry, staffIndex) => {
+        const id = StaffDirectoryService.getReferenceId(entry);
+        if (id !== null) {
+          references.push({ templateIndex, staffIndex, id });
+        }
+      });
+    });
+
+    return references;
+  }
+
+  /**
+   * Run the generation pipeline in memory: front page, templates, table of contents and merge
+   * Every stage passes PDFDocuments, so concurrent generations share no files
+   * @param {Object} options - { watermark?: Object, versionLabel?: string }
+   *                            watermark is the layer from WatermarkService.resolveForStatus;
+   *                            versionLabel fills the {version} header/footer token
+   * @returns {Promise<{ proposalDoc: PDFDocument, tocData: Array, contentPageCount: number }>}
+   * @private
+   */
+  async _buildProposal(config, onProgress = null, options = {}) {
+    const { watermark = null, versionLabel = null } = options;
+    config = await this.resolveStaff(await this.applyFeeSchedule(config));
+
+    // Step 1: Generate Front Page
+    this._reportProgress(onProgress, 'front_page', '\n1️⃣ Generating front page...');
+    const frontPageDoc = await FrontPageService.generateFrontPage(config, this.templatesDir);
+    
+    // Step 2: Process templates and build TOC data
+    this._reportProgress(onProgress, 'templates', '\n2️⃣ Processing templates...');
+    const { processedTemplates, tocData } = await TemplateProcessorService.processTemplates(
+      config, 
+      this.templatesDir
+    );
+    
+    // Step 3: Generate Table of Contents
+    this._reportProgress(onProgress, 'toc', '\n3️⃣ Generating table of contents...');
+    const { tocDoc, tocLinks } = await this._generateTableOfContents(tocData, config.TocStyle);
+    
+    // Step 4: Merge all documents
+    this._reportProgress(onProgress, 'merge', '\n4️⃣ Merging final proposal...');
+    const proposalDoc = await PDFMergerService.mergeFinalProposal(
+      [
+        { name: 'Front page', pdf: frontPageDoc },
+        { name: 'Table of contents', pdf: tocDoc },
+        ...processedTemplates
+      ],
+      {
+        tocData,
+        tocLinks,
+        watermark,
+        headerFooter: config.HeaderFooter,
+        values: { company: config.Company, version: versionLabel }
+      }
+    );
+
+    const contentPageCount = processedTemplates.reduce((count, { pdf }) => count + pdf.getPageCount(), 0);
+    return { proposalDoc, tocData, contentPageCount };
+  }
+
+  /**
+   * Log a generation step and pass it to the progress callback, if any
    * @private
    */
-  async _generateTableOfContents(tocData) {
-    const tocPath = path.join(this.outputDir, 'temp_toc.pdf');
-    await generateTOCProgrammatically(tocPath, tocData);
+  _reportProgress(onProgress, step, message) {
+    console.log(message);
+
+    if (onProgress) {
+      try {
+        onProgress(step, message.trim());
+      } catch (error) {
+        console.warn(`⚠️ Progress callback failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Generate table of contents document in the style chosen by config.TocStyle
+   * Returns the TOC document and the row regions to turn into links after merging
+   * @private
+   */
+  async _generateTableOfContents(tocData, tocStyle) {
+    const style = resolveTOCStyle(tocStyle);
+    let toc = null;
+
+    if (style.type === 'template') {
+      const templatePath = path.join(this.templatesDir, style.template);
+
+      if (fs.existsSync(templatePath)) {
+        toc = await generateTOCFromTemplate(templatePath, tocData, style);
+      } else {
+        console.warn(`⚠️ TOC template ${style.template} not found, generating table of contents programmatically...`);
+      }
+    }
+
+    if (!toc) {
+      toc = await generateTOCProgrammatically(tocData, style);
+    }
+
     console.log(`✅ Table of contents generated with ${tocData.length} entries`);
-    return tocPath;
+    return { tocDoc: toc.pdfDoc, tocLinks: toc.links };
   }
 
   /**
    * Generate result summary
    * @private
    */
-  _generateResultSummary(outputPath, tocData, config, dbResult = null) {
-    const fileSize = FileUtils.getFileSize(outputPath);
-    const fileName = path.basename(outputPath);
+  _generateResultSummary(fileName, fileSize, tocData, config, dbResult = null, linkExpiresIn = null) {
+    const { type: storageType, location: storageLocation } = this.storage.describe();
+    const outputPath = storageType === 'local'
+      ? path.join(storageLocation, fileName)
+      : `${storageType}://${storageLocation.replace(/\/$/, '')}/${fileName}`;
 
-    // Generate URL for the file (base_url/output/filename)
-    const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
-    const fileUrl = `${baseUrl}/api/proposals/download/${fileName}`;
+    // Generate a signed, expiring download URL for the file
+    const { url: fileUrl, expiresAt } = DownloadLinkService.createSignedUrl(fileName, { expiresIn: linkExpiresIn });
 
     const result = {
       success: true,
       outputPath,
+      storage: storageType,
       fileName: fileName,
       location: fileUrl,
+      locationExpiresAt: expiresAt,
       fileSize: FileUtils.formatFileSize(fileSize),
       fileSizeBytes: fileSize,
       company: config.Company,
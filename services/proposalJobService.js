@@ -0,0 +1,376 @@
+const ProposalGeneratorService = require('./proposalGeneratorService');
+const ProposalDatabaseService = require('./proposalDatabaseService');
+const WebhookService = require('./webhookService');
+const ValidationUtils = require('../utils/validationUtils');
+const supabase = require('../config/supabase');
+
+/**
+ * Proposal Job Service
+ * Runs proposal generation in the background and tracks each job's progress in the proposal_jobs table
+ * (supabase/migrations), so any API instance can report on a job wherever it runs
+ *
+ * The API only queues jobs. A worker claims them one at a time, in submission order, and records progress on the
+ * job as it goes: run `npm run worker`, or let a long-running server start one in-process (see startWorker).
+ * A job whose worker stops mid-run is picked up again by another worker once its progress goes stale
+ *
+ * Job payloads are plain JSON, so each job type has a handler that rebuilds the work from it (see _runTask)
+ * When a job has a callback, its result (or error) is delivered by WebhookService once it finishes
+ */
+class ProposalJobService {
+
+  static TABLE = 'proposal_jobs';
+
+  static TASK_TYPES = ['generate', 'refine', 'watermark'];
+
+  static JOB_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Keep finished jobs for 7 days
+
+  static POLL_INTERVAL_MS = 5000;
+
+  static UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+  constructor(proposalService) {
+    this.proposalService = proposalService;
+    this.worker = null;
+  }
+
+  /**
+   * Queue a generation job and return it
+   * @param {Object} config - Proposal configuration
+   * @param {string|null} outputFileName - Optional fixed filename
+   * @param {Object} options - { callback?: { url, secret? }, linkExpiresIn?: number, createdBy?: string }
+   */
+  async submitJob(config, outputFileName = null, options = {}) {
+    const { callback = null, linkExpiresIn = null, createdBy = null } = options;
+
+    return await this.submitTask({
+      type: 'generate',
+      company: config.Company,
+      createdBy,
+      callback,
+      payload: { config, outputFileName, linkExpiresIn }
+    });
+  }
+
+  /**
+   * Queue a re-stamp of a stored version's document with its status watermark, after a status change alters it
+   * The job stamps the version's status when the job runs, so it picks up any later status change too
+   * @param {Object} version - proposal_versions row
+   * @param {string|null} createdBy - User who caused the re-stamp
+   */
+  async submitWatermarkJob(version, createdBy = null) {
+    return await this.submitTask({
+      type: 'watermark',
+      company: version.proposal_data && version.proposal_data.Company,
+      createdBy,
+      payload: { versionId: version.id }
+    });
+  }
+
+  /**
+   * Queue any proposal task and return its job
+   * @param {Object} task - { type: one of TASK_TYPES, company: string, payload: Object (JSON),
+   *                          createdBy?: string, callback?: { url, secret? } }
+   */
+  async submitTask({ type, company, payload, createdBy = null, callback = null }) {
+    if (!ProposalJobService.TASK_TYPES.includes(type)) {
+      throw new Error(`Unknown job type "${type}"`);
+    }
+
+    try {
+      const now = new Date().toISOString();
+      const { data, error } = await supabase
+        .from(ProposalJobService.TABLE)
+        .insert({
+          type,
+          status: 'queued',
+          company,
+          created_by: createdBy,
+          payload,
+          progress: { step: null, message: 'Waiting to start', percent: 0 },
+          steps: [],
+          callback: callback ? { url: callback.url, signed: Boolean(callback.secret), status: 'pending', deliveryId: null } : null,
+          callback_secret: callback ? callback.secret || null : null,
+          attempts: 0,
+          created_at: now,
+          updated_at: now
+        })
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to queue job: ${error.message}`);
+      }
+
+      console.log(`📥 Queued proposal ${type} job ${data.id} for ${company}`);
+      return data;
+    } catch (error) {
+      console.error('Database error queueing job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a job by ID, or null if there is no such job
+   */
+  async getJob(jobId) {
+    if (!ProposalJobService.UUID_PATTERN.test(String(jobId))) {
+      return null;
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from(ProposalJobService.TABLE)
+        .select('*')
+        .eq('id', jobId)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to get job: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Database error getting job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Public view of a job, as returned by the API
+   */
+  toJobSummary(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      company: job.company,
+      createdBy: job.created_by,
+      progress: job.progress,
+      steps: job.steps,
+      result: job.result,
+      error: job.error,
+      callback: job.callback,
+      attempts: job.attempts,
+      createdAt: job.created_at,
+      updatedAt: job.updated_at,
+      startedAt: job.started_at,
+      completedAt: job.completed_at
+    };
+  }
+
+  /**
+   * Poll for queued jobs and run them one after another until stopped
+   * @param {Object} options - { pollIntervalMs?: number }
+   * @returns {{ stop: () => Promise<void> }} stop waits for the job in progress to finish
+   */
+  startWorker({ pollIntervalMs = ProposalJobService.POLL_INTERVAL_MS } = {}) {
+    if (this.worker) {
+      return this.worker;
+    }
+
+    let stopped = false;
+    let timer = null;
+    let current = Promise.resolve();
+
+    const poll = async () => {
+      let ranJob = false;
+      try {
+        ranJob = await this.runNextJob();
+      } catch (error) {
+        console.error(`❌ Job worker error: ${error.message}`);
+      }
+
+      if (!stopped) {
+        // Look for the next job straight away after finishing one
+        timer = setTimeout(() => { current = poll(); }, ranJob ? 0 : pollIntervalMs);
+      }
+    };
+
+    console.log(`👷 Proposal job worker started (polling every ${pollIntervalMs / 1000}s)`);
+    current = poll();
+
+    this.worker = {
+      stop: async () => {
+        stopped = true;
+        clearTimeout(timer);
+        await current;
+        this.worker = null;
+      }
+    };
+    return this.worker;
+  }
+
+  /**
+   * Claim and run the oldest queued job
+   * @returns {Promise<boolean>} false if there was no job to run
+   */
+  async runNextJob() {
+    const { data, error } = await supabase.rpc('claim_proposal_job');
+
+    if (error) {
+      throw new Error(`Failed to claim job: ${error.message}`);
+    }
+
+    const job = Array.isArray(data) ? data[0] : data;
+    if (!job) {
+      await this._pruneExpiredJobs();
+      return false;
+    }
+
+    const finishedJob = await this._runJob(job);
+
+    if (finishedJob.callback) {
+      // Deliver in the background so retries don't hold up the next job
+      this._deliverCallback(finishedJob, job.callback_secret);
+    }
+    return true;
+  }
+
+  /**
+   * Run a claimed job's task, recording progress on the job as each generation step starts
+   * @private
+   */
+  async _runJob(job) {
+    const steps = ProposalGeneratorService.GENERATION_STEPS;
+    const jobSteps = [...(job.steps || [])];
+    let progressWrites = Promise.resolve();
+
+    console.log(`▶️ Running proposal ${job.type} job ${job.id} (attempt ${job.attempts})`);
+
+    const onProgress = (step, message) => {
+      const now = new Date().toISOString();
+      jobSteps.push({ step, message, startedAt: now });
+      const fields = {
+        progress: { step, message, percent: Math.round((steps.indexOf(step) / steps.length) * 100) },
+        steps: [...jobSteps],
+        locked_at: now // Progress doubles as the worker's heartbeat
+      };
+
+      // Write progress in order, without holding up generation
+      progressWrites = progressWrites
+        .then(() => this._updateJob(job.id, fields))
+        .catch(error => console.warn(`   ⚠️ Could not record progress for job ${job.id}: ${error.message}`));
+    };
+
+    let outcome;
+    try {
+      const result = await this._runTask(job, onProgress);
+      outcome = {
+        status: 'completed',
+        result,
+        error: null,
+        progress: { step: 'complete', message: 'Proposal generated successfully', percent: 100 }
+      };
+      console.log(`✅ Proposal job ${job.id} completed`);
+
+    } catch (error) {
+      outcome = { status: 'failed', result: null, error: error.message };
+      console.error(`❌ Proposal job ${job.id} failed: ${error.message}`);
+    }
+
+    await progressWrites;
+    return await this._updateJob(job.id, { ...outcome, completed_at: new Date().toISOString() });
+  }
+
+  /**
+   * Rebuild and run a job's work from its payload
+   * @private
+   */
+  async _runTask(job, onProgress) {
+    const { payload, created_by: createdBy } = job;
+
+    switch (job.type) {
+      case 'generate':
+        return await this.proposalService.generateProposal(payload.config, payload.outputFileName, {
+          onProgress,
+          linkExpiresIn: payload.linkExpiresIn,
+          createdBy
+        });
+
+      case 'refine': {
+        const existingProposal = await ProposalDatabaseService.getProposalWithVersions(payload.proposalId);
+        if (!existingProposal) {
+          throw new Error(`Proposal with ID ${payload.proposalId} does not exist`);
+        }
+        return await this.proposalService.refineProposal(existingProposal, payload.config, createdBy, {
+          onProgress,
+          linkExpiresIn: payload.linkExpiresIn
+        });
+      }
+
+      case 'watermark': {
+        const version = await ProposalDatabaseService.getVersion(payload.versionId);
+        if (!version) {
+          throw new Error(`Version with ID ${payload.versionId} does not exist`);
+        }
+        return await this.proposalService.restampVersion(version, { onProgress });
+      }
+
+      default:
+        throw new Error(`Unknown job type "${job.type}"`);
+    }
+  }
+
+  /**
+   * POST the job's result, or its error, to the job's callback URL
+   * @private
+   */
+  async _deliverCallback(job, secret) {
+    const succeeded = job.status === 'completed';
+    const event = `proposal.${job.type}.${succeeded ? 'completed' : 'failed'}`;
+    const payload = {
+      event,
+      jobId: job.id,
+      ...(succeeded
+        ? ValidationUtils.createSuccessResponse(job.result, 'Proposal generated successfully')
+        : ValidationUtils.createErrorResponse('Failed to generate proposal', [job.error], 500))
+    };
+
+    const callback = { ...job.callback, status: 'delivering' };
+
+    try {
+      await this._updateJob(job.id, { callback });
+      const delivery = await WebhookService.deliver(callback.url, payload, { secret, event });
+      await this._updateJob(job.id, { callback: { ...callback, status: delivery.status, deliveryId: delivery.id } });
+    } catch (error) {
+      console.error(`❌ Could not deliver callback for job ${job.id}: ${error.message}`);
+      await this._updateJob(job.id, { callback: { ...callback, status: 'failed' } }).catch(() => {});
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _updateJob(jobId, fields) {
+    const { data, error } = await supabase
+      .from(ProposalJobService.TABLE)
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', jobId)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update job: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Delete finished jobs older than JOB_TTL_MS
+   * @private
+   */
+  async _pruneExpiredJobs() {
+    const cutoff = new Date(Date.now() - ProposalJobService.JOB_TTL_MS).toISOString();
+
+    const { error } = await supabase
+      .from(ProposalJobService.TABLE)
+      .delete()
+      .lt('completed_at', cutoff);
+
+    if (error) {
+      console.warn(`   ⚠️ Could not prune expired jobs: ${error.message}`);
+    }
+  }
+}
+
+module.exports = ProposalJobService;
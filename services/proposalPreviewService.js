@@ -0,0 +1,81 @@
+const { PDFDocument } = require('pdf-lib');
+const FileUtils = require('../utils/fileUtils');
+const WatermarkService = require('./watermarkService');
+const ImageDownsampleService = require('./imageDownsampleService');
+
+/**
+ * Proposal Preview Service
+ * Turns a generated proposal into a lightweight, watermarked preview with its section page ranges
+ */
+class ProposalPreviewService {
+
+  static PREVIEW_SCALE = 0.4;
+  static WATERMARK_TEXT = 'DRAFT / PREVIEW';
+
+  /**
+   * Build the preview PDF: every page scaled down to thumbnail size, with its images downsampled
+   * to match (see ImageDownsampleService), and watermarked
+   * @param {PDFDocument} proposalDoc - The merged proposal
+   * @returns {Promise<PDFDocument>}
+   */
+  static async createPreviewDocument(proposalDoc, scale = this.PREVIEW_SCALE) {
+    // Fonts drawn on the proposal (page numbers, TOC) are only embedded on flush
+    await proposalDoc.flush();
+
+    const previewDoc = await PDFDocument.create();
+    const embeddedPages = await previewDoc.embedPages(proposalDoc.getPages());
+
+    for (const embeddedPage of embeddedPages) {
+      const { width, height } = embeddedPage.scale(scale);
+      const page = previewDoc.addPage([width, height]);
+      page.drawPage(embeddedPage, { x: 0, y: 0, width, height });
+    }
+
+    // Embedding copied the proposal's images at full resolution, which is most of a preview's size
+    const images = ImageDownsampleService.downsampleImages(previewDoc);
+    console.log(`   🖼️ Downsampled ${images.downsampled} images (${FileUtils.formatFileSize(images.bytesBefore)} to ${FileUtils.formatFileSize(images.bytesAfter)})`);
+
+    await WatermarkService.applyWatermark(previewDoc, this.WATERMARK_TEXT);
+    return previewDoc;
+  }
+
+  /**
+   * Work out the page range of every TOC section
+   * A section runs until the next section at the same level starts; nested sections stay inside their parent
+   * @param {Array} tocData - TOC entries ({ title, page, children? }) with content page numbers
+   * @param {number} contentPageCount - Number of content pages
+   * @param {number} frontMatterPageCount - Front page and TOC pages before content page 1
+   * @returns {Array<{ title, startPage, endPage, pageCount, pdfStartPage, pdfEndPage, children? }>}
+   *          startPage/endPage are printed content page numbers; pdfStartPage/pdfEndPage count from the front page
+   */
+  static computeSectionRanges(tocData, contentPageCount, frontMatterPageCount) {
+    return this._rangesFor(tocData, contentPageCount, frontMatterPageCount);
+  }
+
+  /**
+   * @private
+   */
+  static _rangesFor(entries, lastPage, frontMatterPageCount) {
+    return entries.map((entry, index) => {
+      const nextEntry = entries[index + 1];
+      const endPage = Math.max(entry.page, nextEntry ? nextEntry.page - 1 : lastPage);
+
+      const section = {
+        title: entry.title,
+        startPage: entry.page,
+        endPage,
+        pageCount: endPage - entry.page + 1,
+        pdfStartPage: entry.page + frontMatterPageCount,
+        pdfEndPage: endPage + frontMatterPageCount
+      };
+
+      if (Array.isArray(entry.children) && entry.children.length > 0) {
+        section.children = this._rangesFor(entry.children, endPage, frontMatterPageCount);
+      }
+
+      return section;
+    });
+  }
+}
+
+module.exports = ProposalPreviewService;
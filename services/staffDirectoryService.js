@@ -0,0 +1,253 @@
+const supabase = require('../config/supabase');
+const ValidationUtils = require('../utils/validationUtils');
+
+/**
+ * Staff Directory Service
+ * Handles database operations for the staff table, the canonical record of every staff member:
+ *   id, name, title, phone, email, photo_path, profile_path, bio, qualifications (json array),
+ *   regions (json array), active, created_by, created_at, updated_at
+ *
+ * profile_path is the staff member's designed profile PDF in the templates directory; without one their profile
+ * page is built from the record (see StaffProfileService). photo_path is relative to the templates directory.
+ *
+ * Proposal configs reference staff by ID in the Staff Profiles template: staffs: [{ id }] or staffs: ["<id>"]
+ *
+ * Names are unique ignoring case (the staff_name_key index); creating or renaming a staff member to a name that is
+ * taken throws an error with code ERR_STAFF_NAME_TAKEN
+ */
+class StaffDirectoryService {
+
+  static UNIQUE_VIOLATION = '23505'; // Postgres error code
+
+  // API field -> staff column
+  static COLUMNS = {
+    name: 'name',
+    title: 'title',
+    phone: 'phone',
+    email: 'email',
+    photo: 'photo_path',
+    profileFileName: 'profile_path',
+    bio: 'bio',
+    qualifications: 'qualifications',
+    regions: 'regions',
+    active: 'active'
+  };
+
+  /**
+   * List staff records ordered by name
+   * @param {Object} filters - { active?: boolean, search?: string } - search matches the name, ignoring case
+   */
+  static async listStaff(filters = {}) {
+    try {
+      let query = supabase
+        .from('staff')
+        .select('*')
+        .order('name', { ascending: true });
+
+      if (filters.active !== undefined) {
+        query = query.eq('active', filters.active);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw new Error(`Failed to list staff: ${error.message}`);
+      }
+
+      const search = filters.search ? filters.search.toLowerCase() : null;
+      return search ? data.filter(staff => staff.name.toLowerCase().includes(search)) : data;
+    } catch (error) {
+      console.error('Database error listing staff:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a staff record, or null if it does not exist
+   */
+  static async getStaff(staffId) {
+    if (!ValidationUtils.isUuid(staffId)) {
+      return null;
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('staff')
+        .select('*')
+        .eq('id', staffId)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to get staff: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Database error getting staff:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get several staff records at once
+   * @returns {Promise<Map<string, Object>>} Records by ID; IDs without a record, or that aren't UUIDs, are left out
+   */
+  static async getStaffByIds(staffIds) {
+    staffIds = staffIds.filter(staffId => ValidationUtils.isUuid(staffId));
+    if (staffIds.length === 0) {
+      return new Map();
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('staff')
+        .select('*')
+        .in('id', staffIds);
+
+      if (error) {
+        throw new Error(`Failed to get staff: ${error.message}`);
+      }
+
+      return new Map(data.map(staff => [String(staff.id).toLowerCase(), staff]));
+    } catch (error) {
+      console.error('Database error getting staff:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a staff record by name, ignoring case and extra spaces, or null
+   * For reporting which record holds a name; the staff_name_key index is what keeps names unique
+   */
+  static async findStaffByName(name) {
+    const wanted = this.canonicalName(name).toLowerCase();
+    const staff = await this.listStaff();
+    return staff.find(record => record.name.toLowerCase() === wanted) || null;
+  }
+
+  /**
+   * Create a staff record (active unless the fields say otherwise)
+   * @param {Object} fields - API fields (see COLUMNS), already validated
+   */
+  static async createStaff(fields, createdBy) {
+    try {
+      const now = new Date().toISOString();
+      const { data, error } = await supabase
+        .from('staff')
+        .insert({
+          active: true,
+          ...this._toColumns(fields),
+          created_by: createdBy,
+          created_at: now,
+          updated_at: now
+        })
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === this.UNIQUE_VIOLATION) {
+          throw this._nameTakenError(fields.name);
+        }
+        throw new Error(`Failed to create staff: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      if (error.code !== 'ERR_STAFF_NAME_TAKEN') {
+        console.error('Database error creating staff:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update a staff record's fields
+   * @param {Object} fields - API fields to change (see COLUMNS), already validated
+   */
+  static async updateStaff(staffId, fields) {
+    try {
+      const { data, error } = await supabase
+        .from('staff')
+        .update({
+          ...this._toColumns(fields),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', staffId)
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === this.UNIQUE_VIOLATION) {
+          throw this._nameTakenError(fields.name);
+        }
+        throw new Error(`Failed to update staff: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      if (error.code !== 'ERR_STAFF_NAME_TAKEN') {
+        console.error('Database error updating staff:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Trim a name and collapse its spaces; the casing given is kept as the canonical one
+   */
+  static canonicalName(name) {
+    return String(name).trim().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * The staff ID an entry of the Staff Profiles template's staffs references, or null for an inline entry
+   */
+  static getReferenceId(entry) {
+    if (typeof entry === 'string' || typeof entry === 'number') {
+      return String(entry).toLowerCase();
+    }
+    return entry && entry.id !== undefined ? String(entry.id).toLowerCase() : null;
+  }
+
+  /**
+   * Staff data for the profile renderer and TOC from a staff record (see StaffProfileService)
+   */
+  static toProfile(staff) {
+    return {
+      id: staff.id,
+      name: staff.name,
+      fileName: staff.profile_path || undefined,
+      title: staff.title || undefined,
+      phone: staff.phone || undefined,
+      email: staff.email || undefined,
+      photo: staff.photo_path || undefined,
+      bio: staff.bio || undefined,
+      qualifications: staff.qualifications || undefined,
+      regions: staff.regions || undefined
+    };
+  }
+
+  /**
+   * @private
+   */
+  static _nameTakenError(name) {
+    const error = new Error(`A staff member named ${this.canonicalName(name)} is already in the directory`);
+    error.code = 'ERR_STAFF_NAME_TAKEN';
+    return error;
+  }
+
+  /**
+   * @private
+   */
+  static _toColumns(fields) {
+    const columns = {};
+    for (const [field, column] of Object.entries(this.COLUMNS)) {
+      if (fields[field] !== undefined) {
+        columns[column] = field === 'name' ? this.canonicalName(fields[field]) : fields[field];
+      }
+    }
+    return columns;
+  }
+}
+
+module.exports = StaffDirectoryService;
@@ -0,0 +1,320 @@
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const ImageProcessorService = require('./imageProcessorService');
+
+/**
+ * Staff Profile Service
+ * Builds a branded one-page staff profile from structured staff data, for staff without a designed profile PDF:
+ *   { name, title?, phone?, email?, photo?, bio?, qualifications?: string[], regions?: string[] }
+ *
+ * photo is an image path relative to the templates directory, or a data URI (data:image/jpeg;base64,...)
+ * bio paragraphs are separated by blank lines
+ */
+class StaffProfileService {
+
+  static PAGE_SIZE = [595.276, 841.89]; // A4, like the designed profiles
+
+  static STYLE = {
+    margin: 34,
+    columnGap: 16,
+    photoHeight: 192,
+    headingColor: [0.42, 0.73, 0.31], // Green matching the Slattery templates
+    textColor: [0.2, 0.2, 0.2],
+    ruleColor: [0.85, 0.85, 0.85],
+    photoBackground: [0.93, 0.93, 0.93],
+    nameSize: 18,
+    titleSize: 11,
+    headingSize: 10,
+    bodySize: 8.5,
+    lineHeight: 12
+  };
+
+  static HEADER = { left: 'Slattery Asset Advisory', right: 'Proposal', size: 7 };
+
+  static BULLET = '›'; // As in the designed profiles
+
+  /**
+   * Whether staff data has anything to render beyond a name
+   */
+  static hasProfileData(staff) {
+    return ['title', 'phone', 'email', 'photo', 'bio', 'qualifications', 'regions']
+      .some(key => staff[key] !== undefined && staff[key] !== null && staff[key] !== '');
+  }
+
+  /**
+   * Check that a profile will render: the photo loads as a JPEG or PNG, the text uses only characters
+   * the profile's standard fonts can encode (WinAnsi), and each column's text fits on the one page
+   * @param {Object} staff - Staff data (see above)
+   * @param {string} templatesDir - Directory photo paths are relative to
+   * @returns {Promise<Array<string>>} Problems found, each starting with the field name
+   */
+  static async validateProfile(staff, templatesDir) {
+    const errors = [];
+    const pdfDoc = await PDFDocument.create();
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const fonts = { regular: font, bold: await pdfDoc.embedFont(StandardFonts.HelveticaBold) };
+
+    const texts = [
+      ['name', staff.name.toUpperCase()],
+      ['title', staff.title && staff.title.toUpperCase()],
+      ['phone', staff.phone],
+      ['email', staff.email],
+      ...this._paragraphs(staff.bio).map(paragraph => ['bio', paragraph]),
+      ...(staff.qualifications || []).map(qualification => ['qualifications', qualification]),
+      ...(staff.regions || []).map(region => ['regions', region])
+    ];
+    for (const [field, text] of texts) {
+      const unsupported = text ? [...new Set([...text].filter(character => !this._canEncode(font, character)))] : [];
+      if (unsupported.length > 0) {
+        errors.push(`${field} has characters the profile font can't show: ${unsupported.join(' ')}`);
+      }
+    }
+
+    if (errors.length === 0) {
+      const [left, right] = this._fillColumns(staff, this._layout(staff), null, fonts);
+      const overflows = [
+        [left, ['bio', 'qualifications']],
+        [right, ['phone', 'email', 'regions']]
+      ];
+      for (const [column, fields] of overflows) {
+        if (column.droppedLines > 0) {
+          const given = fields.filter(field => staff[field] && staff[field].length > 0);
+          errors.push(`${given.join(' and ')} ${given.length > 1 ? 'are' : 'is'} too long for the profile page by ${column.droppedLines} line${column.droppedLines === 1 ? '' : 's'}`);
+        }
+      }
+    }
+
+    if (staff.photo) {
+      try {
+        await this.embedPhoto(pdfDoc, staff.photo, templatesDir);
+      } catch (error) {
+        errors.push(error.message.startsWith('Photo ') ? `photo ${error.message.slice(6)}` : `photo can't be read: ${error.message}`);
+      }
+    }
+
+    return [...new Set(errors)];
+  }
+
+  /**
+   * Render a staff member's profile page
+   * @param {Object} staff - Staff data (see above)
+   * @param {string} templatesDir - Directory photo paths are relative to
+   * @returns {Promise<PDFDocument>}
+   */
+  static async renderProfile(staff, templatesDir) {
+    const style = this.STYLE;
+    const pdfDoc = await PDFDocument.create();
+    const page = pdfDoc.addPage(this.PAGE_SIZE);
+    const { width } = page.getSize();
+    const layout = this._layout(staff);
+    const fonts = {
+      regular: await pdfDoc.embedFont(StandardFonts.Helvetica),
+      bold: await pdfDoc.embedFont(StandardFonts.HelveticaBold)
+    };
+
+    pdfDoc.setTitle(`${staff.name} - Profile`);
+
+    // Running header, as printed on the designed profiles
+    const header = this.HEADER;
+    const headerY = layout.headerY;
+    page.drawText(header.left, { x: style.margin, y: headerY, size: header.size, font: fonts.regular, color: rgb(...style.textColor) });
+    page.drawText(header.right, {
+      x: width - style.margin - fonts.regular.widthOfTextAtSize(header.right, header.size),
+      y: headerY,
+      size: header.size,
+      font: fonts.regular,
+      color: rgb(...style.textColor)
+    });
+    page.drawLine({
+      start: { x: 0, y: headerY - 12 },
+      end: { x: width, y: headerY - 12 },
+      thickness: 0.5,
+      color: rgb(...style.ruleColor)
+    });
+
+    // Photo across the left half, cropped to fill its box
+    const photoBox = layout.photoBox;
+    if (staff.photo) {
+      const image = await this.embedPhoto(pdfDoc, staff.photo, templatesDir);
+      ImageProcessorService.drawImageInBox(page, image, photoBox, 'cover');
+    } else {
+      page.drawRectangle({ ...photoBox, color: rgb(...style.photoBackground) });
+    }
+
+    // Name and title
+    page.drawText(staff.name.toUpperCase(), { x: style.margin, y: layout.nameY, size: style.nameSize, font: fonts.bold, color: rgb(...style.headingColor) });
+    if (staff.title) {
+      page.drawText(staff.title.toUpperCase(), { x: style.margin, y: layout.titleY, size: style.titleSize, font: fonts.regular, color: rgb(...style.textColor) });
+    }
+
+    this._fillColumns(staff, layout, page, fonts);
+
+    return pdfDoc;
+  }
+
+  /**
+   * Where the header, photo, name and text columns sit on the page
+   * @private
+   */
+  static _layout(staff) {
+    const style = this.STYLE;
+    const [width, height] = this.PAGE_SIZE;
+    const headerY = height - 24;
+    const columnWidth = (width - style.margin * 2 - style.columnGap) / 2;
+    const photoBox = { x: style.margin, y: headerY - 30 - style.photoHeight, width: columnWidth, height: style.photoHeight };
+    const nameY = photoBox.y - 30;
+    const titleY = staff.title ? nameY - 20 : nameY;
+
+    return { headerY, columnWidth, photoBox, nameY, titleY, top: titleY - 28, bottom: 60 };
+  }
+
+  /**
+   * Lay out the two text columns, drawing them when given a page
+   * @returns {Array<Object>} The left and right columns; droppedLines counts the lines that didn't fit
+   * @private
+   */
+  static _fillColumns(staff, layout, page, fonts) {
+    const style = this.STYLE;
+    const { columnWidth, top, bottom } = layout;
+
+    // Left column: bio and qualifications
+    const left = { page, fonts, x: style.margin, y: top, width: columnWidth, bottom, name: staff.name, droppedLines: 0 };
+    for (const paragraph of this._paragraphs(staff.bio)) {
+      this._drawParagraph(left, paragraph);
+      left.y -= style.lineHeight * 0.5;
+    }
+    if (staff.qualifications && staff.qualifications.length > 0) {
+      this._drawHeading(left, 'Qualifications');
+      staff.qualifications.forEach(qualification => this._drawParagraph(left, qualification, { bullet: true }));
+    }
+
+    // Right column: contact details and regions
+    const right = { page, fonts, x: style.margin + columnWidth + style.columnGap, y: top, width: columnWidth, bottom, name: staff.name, droppedLines: 0 };
+    if (staff.phone || staff.email) {
+      this._drawHeading(right, 'Contact');
+      if (staff.phone) {
+        this._drawParagraph(right, `Phone: ${staff.phone}`);
+      }
+      if (staff.email) {
+        this._drawParagraph(right, `Email: ${staff.email}`);
+      }
+      right.y -= style.lineHeight * 0.5;
+    }
+    if (staff.regions && staff.regions.length > 0) {
+      this._drawHeading(right, 'Regions');
+      staff.regions.forEach(region => this._drawParagraph(right, region, { bullet: true }));
+    }
+
+    return [left, right];
+  }
+
+  /**
+   * Embed a JPEG or PNG photo from a path under the templates directory or a data URI
+   */
+  static async embedPhoto(pdfDoc, photo, templatesDir) {
+    const source = { kind: photo.startsWith('data:') ? 'data' : 'path', value: photo };
+    let imageBytes;
+    try {
+      imageBytes = ImageProcessorService.loadImageBytes(source, templatesDir);
+    } catch (error) {
+      throw new Error(`Photo ${error.message}`);
+    }
+    return await ImageProcessorService.embedImage(pdfDoc, imageBytes);
+  }
+
+  /**
+   * Split text into lines no wider than maxWidth
+   */
+  static wrapText(text, font, fontSize, maxWidth) {
+    const lines = [];
+    let line = '';
+
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && font.widthOfTextAtSize(candidate, fontSize) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+
+    if (line) {
+      lines.push(line);
+    }
+    return lines;
+  }
+
+  /**
+   * @private
+   */
+  static _canEncode(font, character) {
+    if (/\s/.test(character)) {
+      return true; // Whitespace only separates words; wrapText never draws it
+    }
+    try {
+      font.encodeText(character);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * @private
+   */
+  static _paragraphs(bio) {
+    if (!bio) {
+      return [];
+    }
+    return [].concat(bio).flatMap(text => String(text).split(/\n\s*\n/)).map(text => text.trim()).filter(Boolean);
+  }
+
+  /**
+   * @private
+   */
+  static _drawHeading(column, text) {
+    const style = this.STYLE;
+    if (column.y - style.lineHeight < column.bottom) {
+      column.droppedLines++;
+      return;
+    }
+
+    if (column.page) {
+      column.page.drawText(text, { x: column.x, y: column.y, size: style.headingSize, font: column.fonts.bold, color: rgb(...style.headingColor) });
+    }
+    column.y -= style.lineHeight + 4;
+  }
+
+  /**
+   * Draw wrapped text at the column's cursor, or only measure it when the column has no page;
+   * lines that don't fit above the bottom margin are dropped and counted
+   * @private
+   */
+  static _drawParagraph(column, text, { bullet = false } = {}) {
+    const style = this.STYLE;
+    const indent = bullet ? 10 : 0;
+    const lines = this.wrapText(String(text), column.fonts.regular, style.bodySize, column.width - indent);
+
+    lines.forEach((line, index) => {
+      if (column.y < column.bottom) {
+        column.droppedLines++;
+        return;
+      }
+
+      if (column.page) {
+        if (bullet && index === 0) {
+          column.page.drawText(this.BULLET, { x: column.x, y: column.y, size: style.bodySize, font: column.fonts.regular, color: rgb(...style.textColor) });
+        }
+        column.page.drawText(line, { x: column.x + indent, y: column.y, size: style.bodySize, font: column.fonts.regular, color: rgb(...style.textColor) });
+      }
+      column.y -= style.lineHeight;
+    });
+
+    if (column.page && column.droppedLines > 0 && !column.warned) {
+      column.warned = true;
+      console.warn(`     ⚠️ Profile text for ${column.name} doesn't fit on the page and was cut short`);
+    }
+  }
+}
+
+module.exports = StaffProfileService;
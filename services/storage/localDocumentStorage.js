@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const FileUtils = require('../../utils/fileUtils');
+
+/**
+ * Local Document Storage
+ * Stores generated proposals in a directory on local disk
+ */
+class LocalDocumentStorage {
+
+  constructor(directory) {
+    this.type = 'local';
+    this.directory = path.resolve(directory);
+  }
+
+  /**
+   * Save document bytes under a filename, replacing any existing document
+   */
+  async save(fileName, bytes) {
+    FileUtils.ensureDirectoryExists(this.directory);
+    fs.writeFileSync(this._resolve(fileName), bytes);
+    return { fileName, size: bytes.length };
+  }
+
+  /**
+   * Read a document, or return null if it does not exist
+   */
+  async read(fileName) {
+    const filePath = this._resolve(fileName);
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+  }
+
+  /**
+   * Check whether a document exists
+   */
+  async exists(fileName) {
+    return fs.existsSync(this._resolve(fileName));
+  }
+
+  /**
+   * Get a document's size and timestamps, or null if it does not exist
+   */
+  async stat(fileName) {
+    const filePath = this._resolve(fileName);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    const stats = fs.statSync(filePath);
+    return {
+      filename: fileName,
+      size: stats.size,
+      createdAt: stats.birthtime.toISOString(),
+      modifiedAt: stats.mtime.toISOString()
+    };
+  }
+
+  /**
+   * List stored PDF documents
+   */
+  async list() {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+
+    const pdfFiles = fs.readdirSync(this.directory)
+      .filter(file => file.toLowerCase().endsWith('.pdf') && !file.startsWith('temp_'));
+
+    return Promise.all(pdfFiles.map(file => this.stat(file)));
+  }
+
+  /**
+   * Delete a document, returning whether it existed
+   */
+  async delete(fileName) {
+    return FileUtils.safeDelete(this._resolve(fileName));
+  }
+
+  /**
+   * Describe where documents are stored, for status reporting
+   */
+  describe() {
+    return { type: this.type, location: this.directory };
+  }
+
+  /**
+   * Resolve a filename inside the storage directory, rejecting path traversal
+   * @private
+   */
+  _resolve(fileName) {
+    const filePath = path.resolve(this.directory, fileName);
+    if (path.dirname(filePath) !== this.directory) {
+      throw new Error(`Invalid document filename: ${fileName}`);
+    }
+    return filePath;
+  }
+}
+
+module.exports = LocalDocumentStorage;
@@ -0,0 +1,142 @@
+const supabase = require('../../config/supabase');
+
+/**
+ * Supabase Document Storage
+ * Stores generated proposals in a Supabase Storage (S3-compatible) bucket, so every
+ * serverless instance sees the same documents
+ */
+class SupabaseDocumentStorage {
+
+  constructor(bucket, prefix = '') {
+    this.type = 'supabase';
+    this.bucket = bucket;
+    this.prefix = prefix.replace(/^\/+|\/+$/g, '');
+  }
+
+  /**
+   * Save document bytes under a filename, replacing any existing document
+   */
+  async save(fileName, bytes) {
+    const { error } = await supabase.storage
+      .from(this.bucket)
+      .upload(this._key(fileName), bytes, { contentType: 'application/pdf', upsert: true });
+
+    if (error) {
+      throw new Error(`Failed to upload ${fileName} to storage: ${error.message}`);
+    }
+
+    return { fileName, size: bytes.length };
+  }
+
+  /**
+   * Read a document, or return null if it does not exist
+   */
+  async read(fileName) {
+    if (!(await this.exists(fileName))) {
+      return null;
+    }
+
+    const { data, error } = await supabase.storage
+      .from(this.bucket)
+      .download(this._key(fileName));
+
+    if (error) {
+      throw new Error(`Failed to download ${fileName} from storage: ${error.message}`);
+    }
+
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  /**
+   * Check whether a document exists
+   */
+  async exists(fileName) {
+    // A missing object resolves with data: false; other failures are thrown by the client
+    const { data } = await supabase.storage
+      .from(this.bucket)
+      .exists(this._key(fileName));
+
+    return Boolean(data);
+  }
+
+  /**
+   * Get a document's size and timestamps, or null if it does not exist
+   */
+  async stat(fileName) {
+    if (!(await this.exists(fileName))) {
+      return null;
+    }
+
+    const { data, error } = await supabase.storage
+      .from(this.bucket)
+      .info(this._key(fileName));
+
+    if (error) {
+      throw new Error(`Failed to get ${fileName} details from storage: ${error.message}`);
+    }
+
+    return {
+      filename: fileName,
+      size: data.size,
+      createdAt: data.createdAt,
+      modifiedAt: data.lastModified || data.updatedAt || data.createdAt
+    };
+  }
+
+  /**
+   * List stored PDF documents
+   */
+  async list() {
+    const { data, error } = await supabase.storage
+      .from(this.bucket)
+      .list(this.prefix, { limit: 1000, sortBy: { column: 'created_at', order: 'desc' } });
+
+    if (error) {
+      throw new Error(`Failed to list documents in storage: ${error.message}`);
+    }
+
+    return data
+      .filter(item => item.id && item.name.toLowerCase().endsWith('.pdf'))
+      .map(item => ({
+        filename: item.name,
+        size: item.metadata ? item.metadata.size : 0,
+        createdAt: item.created_at,
+        modifiedAt: item.updated_at || item.created_at
+      }));
+  }
+
+  /**
+   * Delete a document, returning whether it existed
+   */
+  async delete(fileName) {
+    const { data, error } = await supabase.storage
+      .from(this.bucket)
+      .remove([this._key(fileName)]);
+
+    if (error) {
+      throw new Error(`Failed to delete ${fileName} from storage: ${error.message}`);
+    }
+
+    return data.length > 0;
+  }
+
+  /**
+   * Describe where documents are stored, for status reporting
+   */
+  describe() {
+    return { type: this.type, location: `${this.bucket}/${this.prefix}` };
+  }
+
+  /**
+   * Build the object key for a filename, rejecting anything that is not a plain filename
+   * @private
+   */
+  _key(fileName) {
+    if (!fileName || /[\\/]/.test(fileName) || fileName.includes('..')) {
+      throw new Error(`Invalid document filename: ${fileName}`);
+    }
+    return this.prefix ? `${this.prefix}/${fileName}` : fileName;
+  }
+}
+
+module.exports = SupabaseDocumentStorage;
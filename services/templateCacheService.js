@@ -0,0 +1,164 @@
+const fs = require('fs');
+const { PDFDocument, PDFRawStream } = require('pdf-lib');
+
+/**
+ * Template Cache Service
+ * Keeps parsed template PDFs in memory across requests, keyed by file path and modification time,
+ * so brochure pages are read and parsed once per process instead of once per proposal
+ *
+ * Cached documents are shared between generations and must not be modified; templates that are
+ * filled or drawn on are loaded with loadEditableCopy, which parses a fresh copy of the cached bytes
+ *
+ * TEMPLATE_CACHE_MAX_MB caps the cache's estimated memory use (default 200); the least recently used
+ * templates are evicted first. A parsed template holds its file bytes, a copy of every stream's contents
+ * and a few kilobytes of heap per PDF object, so an entry is sized from all three (see _estimateSize)
+ */
+class TemplateCacheService {
+
+  static DEFAULT_MAX_MB = 200;
+
+  // Approximate heap used by each parsed PDF object (dictionaries, arrays, names and references)
+  static OBJECT_OVERHEAD_BYTES = 2.5 * 1024;
+
+  static entries = new Map();
+  static totalBytes = 0;
+  static stats = { hits: 0, misses: 0, evictions: 0 };
+
+  /**
+   * Get the shared, read-only parsed document for a template
+   * @returns {Promise<PDFDocument>}
+   */
+  static async getDocument(templatePath) {
+    const entry = await this._getEntry(templatePath);
+    return entry.pdf;
+  }
+
+  /**
+   * Get a template's page count
+   */
+  static async getPageCount(templatePath) {
+    const entry = await this._getEntry(templatePath);
+    return entry.pageCount;
+  }
+
+  /**
+   * Parse a private copy of a template that the caller may fill, draw on or flatten
+   * @returns {Promise<PDFDocument>}
+   */
+  static async loadEditableCopy(templatePath) {
+    const entry = await this._getEntry(templatePath);
+    return await PDFDocument.load(entry.bytes);
+  }
+
+  /**
+   * Cache statistics, for status reporting
+   */
+  static getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      entries: this.entries.size,
+      sizeBytes: this.totalBytes,
+      maxBytes: this._getMaxBytes(),
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : null,
+      evictions: this.stats.evictions
+    };
+  }
+
+  /**
+   * Drop every cached template
+   */
+  static clear() {
+    this.entries.clear();
+    this.totalBytes = 0;
+  }
+
+  /**
+   * Return the cache entry for a template, loading it if it is missing or the file has changed
+   * @private
+   */
+  static async _getEntry(templatePath) {
+    const { mtimeMs } = fs.statSync(templatePath);
+    const cached = this.entries.get(templatePath);
+
+    if (cached && cached.mtimeMs === mtimeMs) {
+      this.stats.hits++;
+      // Move to the end so the Map stays in least-recently-used order
+      this.entries.delete(templatePath);
+      this.entries.set(templatePath, cached);
+      return cached;
+    }
+
+    this.stats.misses++;
+
+    const bytes = fs.readFileSync(templatePath);
+    const pdf = await PDFDocument.load(bytes);
+    const entry = { bytes, pdf, pageCount: pdf.getPageCount(), mtimeMs, sizeBytes: this._estimateSize(bytes, pdf) };
+
+    // Replace the stale entry, or one added by a concurrent load of the same template
+    this._remove(templatePath);
+    this.entries.set(templatePath, entry);
+    this.totalBytes += entry.sizeBytes;
+    this._evict();
+
+    return entry;
+  }
+
+  /**
+   * Evict least recently used templates until the cache is within its size cap
+   * A single template larger than the cap is still returned, but not kept
+   * @private
+   */
+  static _evict() {
+    const maxBytes = this._getMaxBytes();
+
+    for (const templatePath of this.entries.keys()) {
+      if (this.totalBytes <= maxBytes) {
+        break;
+      }
+      this._remove(templatePath);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * @private
+   */
+  static _remove(templatePath) {
+    const entry = this.entries.get(templatePath);
+    if (entry) {
+      this.totalBytes -= entry.sizeBytes;
+      this.entries.delete(templatePath);
+    }
+  }
+
+  /**
+   * Estimate the memory a cached template holds: its file bytes, the parsed copies of its streams
+   * and the heap taken by its other objects
+   * @private
+   */
+  static _estimateSize(bytes, pdf) {
+    let size = bytes.length;
+
+    for (const [, object] of pdf.context.enumerateIndirectObjects()) {
+      size += this.OBJECT_OVERHEAD_BYTES;
+      if (object instanceof PDFRawStream) {
+        size += object.contents.length;
+      }
+    }
+
+    return Math.round(size);
+  }
+
+  /**
+   * @private
+   */
+  static _getMaxBytes() {
+    const maxMb = parseFloat(process.env.TEMPLATE_CACHE_MAX_MB);
+    return (Number.isFinite(maxMb) && maxMb >= 0 ? maxMb : this.DEFAULT_MAX_MB) * 1024 * 1024;
+  }
+}
+
+module.exports = TemplateCacheService;
@@ -0,0 +1,150 @@
+const {
+  PDFName,
+  PDFArray,
+  PDFTextField,
+  PDFCheckBox,
+  PDFDropdown,
+  PDFOptionList,
+  PDFRadioGroup,
+  PDFButton,
+  PDFSignature
+} = require('pdf-lib');
+
+/**
+ * Template Field Service
+ * Reads the form fields of a template PDF: names, types, default values, limits and where each field sits
+ */
+class TemplateFieldService {
+
+  // Image fields are push buttons named like "Image1_af_image"
+  static IMAGE_SLOT_PATTERN = /_af_image$/;
+
+  static FIELD_TYPES = [
+    [PDFTextField, 'text'],
+    [PDFCheckBox, 'checkbox'],
+    [PDFDropdown, 'dropdown'],
+    [PDFOptionList, 'option_list'],
+    [PDFRadioGroup, 'radio'],
+    [PDFButton, 'button'],
+    [PDFSignature, 'signature']
+  ];
+
+  /**
+   * Describe every form field in a document
+   * The document's form is read, which can add an AcroForm to it, so pass a private copy
+   * @param {Array<string>} declaredImageSlots - Fields the template metadata declares as image slots
+   * @returns {Array<{ name, type, imageSlot, defaultValue, value, options, maxLength, multiline, required, readOnly,
+   *                   page, rect, widgets }>}
+   *          page is 1-based and rect is { x, y, width, height } in PDF points, both from the field's first widget;
+   *          widgets lists every placement of the field
+   */
+  static introspectFields(pdfDoc, declaredImageSlots = []) {
+    if (!pdfDoc.catalog.getAcroForm()) {
+      return [];
+    }
+
+    const pageIndexByRef = this._mapAnnotationPages(pdfDoc);
+
+    return pdfDoc.getForm().getFields().map(field => {
+      const type = this.getFieldType(field);
+      const widgets = field.acroField.getWidgets().map(widget => {
+        const { x, y, width, height } = widget.getRectangle();
+        const widgetRef = pdfDoc.context.getObjectRef(widget.dict);
+        const pageIndex = widgetRef ? pageIndexByRef.get(widgetRef.toString()) : undefined;
+
+        return {
+          page: pageIndex !== undefined ? pageIndex + 1 : null,
+          rect: { x, y, width, height }
+        };
+      });
+
+      return {
+        name: field.getName(),
+        type,
+        imageSlot: this.isImageSlot(field.getName(), type, declaredImageSlots),
+        defaultValue: this._decodeValue(field.acroField.dict.lookup(PDFName.of('DV'))),
+        value: this._currentValue(field, type),
+        options: ['dropdown', 'option_list', 'radio'].includes(type) ? field.getOptions() : null,
+        maxLength: type === 'text' ? (field.getMaxLength() ?? null) : null,
+        multiline: type === 'text' ? field.isMultiline() : null,
+        required: field.isRequired(),
+        readOnly: field.isReadOnly(),
+        page: widgets.length > 0 ? widgets[0].page : null,
+        rect: widgets.length > 0 ? widgets[0].rect : null,
+        widgets
+      };
+    });
+  }
+
+  /**
+   * Short type name for a pdf-lib form field
+   */
+  static getFieldType(field) {
+    const match = this.FIELD_TYPES.find(([FieldClass]) => field instanceof FieldClass);
+    return match ? match[1] : 'unknown';
+  }
+
+  /**
+   * Whether a field is an image placeholder: a button or text field named like one, or declared as one
+   * in the template metadata (imageSlots)
+   */
+  static isImageSlot(name, type, declaredImageSlots = []) {
+    return ['button', 'text'].includes(type) && (this.IMAGE_SLOT_PATTERN.test(name) || declaredImageSlots.includes(name));
+  }
+
+  /**
+   * Map each annotation reference to the index of the page listing it
+   * Widgets don't always carry a /P page reference, so the pages' /Annots are the reliable source
+   * @private
+   */
+  static _mapAnnotationPages(pdfDoc) {
+    const pageIndexByRef = new Map();
+
+    pdfDoc.getPages().forEach((page, pageIndex) => {
+      const annots = page.node.Annots();
+      if (annots) {
+        for (const ref of annots.asArray()) {
+          pageIndexByRef.set(ref.toString(), pageIndex);
+        }
+      }
+    });
+
+    return pageIndexByRef;
+  }
+
+  /**
+   * @private
+   */
+  static _currentValue(field, type) {
+    switch (type) {
+      case 'text': return field.getText() ?? null;
+      case 'checkbox': return field.isChecked();
+      case 'dropdown':
+      case 'option_list': return field.getSelected();
+      case 'radio': return field.getSelected() ?? null;
+      default: return null;
+    }
+  }
+
+  /**
+   * Convert a PDF string, name or array value to plain JSON
+   * @private
+   */
+  static _decodeValue(value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+
+    if (value instanceof PDFArray) {
+      return value.asArray().map(item => this._decodeValue(item));
+    }
+
+    if (typeof value.decodeText === 'function') {
+      return value.decodeText();
+    }
+
+    return value.toString();
+  }
+}
+
+module.exports = TemplateFieldService;
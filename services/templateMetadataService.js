@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const PageNumberMaskService = require('./pageNumberMaskService');
+
+/**
+ * Template Metadata Service
+ * Reads per-template settings from templates.json in the templates directory:
+ *   {
+ *     "defaults":   { ...settings applied to every template },
+ *     "categories": [{ name, prefix?: string|string[], templates?: string[], tagFromSuffix?: boolean }],
+ *     "templates":  { "<fileName>": { ...settings for that file, overriding the defaults } },
+ *     "assets":     { directories?: string[], images?: { "<name>": "<path>" } }
+ *   }
+ *
+ * Settings:
+ *   pageNumberMask - how the template's printed page number is hidden before the proposal's own
+ *                    page numbers are drawn (see PageNumberMaskService), or false to leave it untouched
+ *   name           - display name (default: the file name without .pdf)
+ *   category       - catalog category, overriding the categories rules
+ *   tags           - catalog tags
+ *   internal       - used by the generator itself (front page, TOC), so left out of the catalog
+ *   imageSlots     - names of form fields that take images, besides those named like "Image1_af_image"
+ *
+ * The assets are the image library configs refer to by name (see ImageProcessorService): every image in the
+ * directories, named by its file name without the extension, and the named images; paths are relative to
+ * the templates directory
+ *
+ * A template belongs to the first category listing it in templates or whose prefix its file name starts with
+ */
+class TemplateMetadataService {
+
+  static METADATA_FILE = 'templates.json';
+
+  static cache = new Map();
+
+  /**
+   * Settings for one template file, with the defaults filled in
+   */
+  static getTemplateMetadata(templatesDir, fileName) {
+    const metadata = this._load(templatesDir);
+    return { ...metadata.defaults, ...(metadata.templates[fileName] || {}) };
+  }
+
+  /**
+   * Category rules, in priority order
+   */
+  static getCategories(templatesDir) {
+    return this._load(templatesDir).categories;
+  }
+
+  /**
+   * The image asset library: { directories: string[], images: { name: path } }
+   */
+  static getAssets(templatesDir) {
+    const { directories = [], images = {} } = this._load(templatesDir).assets;
+    return { directories, images };
+  }
+
+  /**
+   * The page number mask declared for a template, or null if its pages are left untouched
+   */
+  static getPageNumberMask(templatesDir, fileName) {
+    return this.getTemplateMetadata(templatesDir, fileName).pageNumberMask || null;
+  }
+
+  /**
+   * Read templates.json, re-reading it when the file changes
+   * A missing file means no template has metadata
+   * @private
+   */
+  static _load(templatesDir) {
+    const metadataPath = path.join(templatesDir, this.METADATA_FILE);
+
+    if (!fs.existsSync(metadataPath)) {
+      return { defaults: {}, categories: [], templates: {}, assets: {} };
+    }
+
+    const { mtimeMs } = fs.statSync(metadataPath);
+    const cached = this.cache.get(metadataPath);
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return cached.metadata;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid template metadata in ${metadataPath}: ${error.message}`);
+    }
+
+    const metadata = {
+      defaults: parsed.defaults || {},
+      categories: parsed.categories || [],
+      templates: parsed.templates || {},
+      assets: parsed.assets || {}
+    };
+
+    // Check the masks here, so a bad one fails with the file's name rather than partway through a merge
+    const maskErrors = this._validateMasks(metadata);
+    if (maskErrors.length > 0) {
+      throw new Error(`Invalid template metadata in ${metadataPath}: ${maskErrors.join('; ')}`);
+    }
+
+    this.cache.set(metadataPath, { mtimeMs, metadata });
+    return metadata;
+  }
+
+  /**
+   * Check the default and per-template page number masks
+   * @private
+   */
+  static _validateMasks(metadata) {
+    const masks = [
+      ['defaults.pageNumberMask', metadata.defaults.pageNumberMask],
+      ...Object.entries(metadata.templates).map(([fileName, settings]) => [
+        `templates["${fileName}"].pageNumberMask`,
+        settings && settings.pageNumberMask
+      ])
+    ];
+
+    return masks.flatMap(([label, mask]) =>
+      PageNumberMaskService.validateMask(mask).map(error => `${label} ${error}`)
+    );
+  }
+}
+
+module.exports = TemplateMetadataService;
@@ -1,7 +1,11 @@
 const fs = require('fs');
 const path = require('path');
-const { PDFDocument, rgb } = require('pdf-lib');
 const ImageProcessorService = require('./imageProcessorService');
+const TemplateCacheService = require('./templateCacheService');
+const TemplateMetadataService = require('./templateMetadataService');
+const FieldValueService = require('./fieldValueService');
+const FeeScheduleService = require('./feeScheduleService');
+const StaffProfileService = require('./staffProfileService');
 
 /**
  * Template Processor Service
@@ -11,8 +15,13 @@ class TemplateProcessorService {
 
   /**
    * Process all templates and handle different types
+   * @returns {Promise<{ processedTemplates: Array<{ name: string, pdf: PDFDocument, pageNumberMask: Object|null,
+   *                                                   fullBleed?: boolean }>, tocData: Array }>}
+   *          processedTemplates are the content documents in merge order; pageNumberMask comes from the template
+   *          metadata (templates.json), and fullBleed marks templates configured with fullBleed: true,
+   *          whose pages are left without headers and footers
    */
-  static async processTemplates(config, templatesDir, outputDir) {
+  static async processTemplates(config, templatesDir) {
     const fs = require('fs');
     console.log(`\n🔍 DEBUG: Processing ${config.Templates.length} templates:`);
     config.Templates.forEach((template, index) => {
@@ -21,64 +30,58 @@ class TemplateProcessorService {
 
     const processedTemplates = [];
     const tocData = [];
-    let pageCounter = 1; // Content pages start numbering from 1
+    let pageCounter = 1; // Content pages start numbering from 1, independent of how many pages the front page and TOC take
 
     for (const template of config.Templates) {
       console.log(`   Processing: ${template.name}`);
+      const firstDocumentIndex = processedTemplates.length;
       
       try {
         if (template.name === 'Staff Profiles' && template.staffs && template.staffs.length > 0) {
           // Handle staff profiles specially
-          const staffResults = await this.processStaffProfiles(template, templatesDir, outputDir);
-          processedTemplates.push(...staffResults.paths);
+          const staffResults = await this.processStaffProfiles(template, templatesDir);
+          processedTemplates.push(...staffResults.documents);
           
-          // Add TOC entries for staff profiles
-          tocData.push({ title: 'Staff Profiles', page: pageCounter });
+          // Add TOC entries for staff profiles, with one child per staff member
+          tocData.push({
+            title: 'Staff Profiles',
+            page: pageCounter,
+            children: staffResults.entries.map(entry => ({
+              title: entry.name,
+              page: pageCounter + entry.pageOffset
+            }))
+          });
           pageCounter += staffResults.totalPages;
           
-        } else if (template.name === 'Member Association' && template.members) {
-          // Handle Member Association template with dynamic images based on members array
-          const processedPath = await this.processMemberAssociationTemplate(template, templatesDir, outputDir);
-          if (processedPath) {
-            processedTemplates.push(processedPath);
-            tocData.push({ title: template.name, page: pageCounter });
-            pageCounter += await this.getPageCount(processedPath);
-          }
-
-        } else if (template.editable === true && template.name === 'Member Association' && Array.isArray(template.fieldValues)) {
-          // Handle Member Association template with fieldValues array for dynamic images
-          // Convert fieldValues to members format for processing
-          const convertedTemplate = {
-            name: template.name,
-            fileName: template.fileName,
-            editable: false, // Use the working path
-            members: template.fieldValues // Convert fieldValues to members
-          };
-
-          console.log(`     🔄 Converting fieldValues to members format for processing...`);
-          const processedPath = await this.processMemberAssociationTemplate(convertedTemplate, templatesDir, outputDir);
-          if (processedPath) {
-            processedTemplates.push(processedPath);
-            tocData.push({ title: template.name, page: pageCounter });
-            pageCounter += await this.getPageCount(processedPath);
-          }
-
-        } else if (template.editable === true && (template.fieldValues || template.hasImages)) {
+        } else if ((template.editable === true && template.fieldValues) || ImageProcessorService.getImageSources(template)) {
           // Handle editable templates with form fields and/or images
-          const processedPath = await this.processEditableTemplate(template, templatesDir, outputDir);
-          if (processedPath) {
-            processedTemplates.push(processedPath);
-            tocData.push({ title: template.name, page: pageCounter });
-            pageCounter += await this.getPageCount(processedPath);
+          const processedDoc = await this.processEditableTemplate(template, templatesDir);
+          if (processedDoc) {
+            processedTemplates.push({ name: template.fileName, pdf: processedDoc });
+            const tocEntry = { title: template.name, page: pageCounter };
+            tocData.push(tocEntry);
+            pageCounter += processedDoc.getPageCount();
+
+            // Follow a fee template with a worked example settlement when the fee schedule asks for one,
+            // listed under the template in the TOC and bookmarks
+            const schedule = FeeScheduleService.resolveSchedule(config, template);
+            if (schedule && schedule.example && FeeScheduleService.isFeeTemplate(Object.keys(template.fieldValues || {}))) {
+              const settlement = FeeScheduleService.computeSettlement(schedule, schedule.example.salePrice);
+              const exampleDoc = await FeeScheduleService.renderSettlementExample(settlement, processedDoc.getPage(0).getSize());
+              processedTemplates.push({ name: `${template.fileName} (example settlement)`, pdf: exampleDoc, pageNumberMask: null });
+              tocEntry.children = [{ title: FeeScheduleService.SETTLEMENT_TITLE, page: pageCounter }];
+              pageCounter += exampleDoc.getPageCount();
+            }
           }
           
         } else {
           // Handle non-editable templates
           const templatePath = path.join(templatesDir, template.fileName);
           if (fs.existsSync(templatePath)) {
-            processedTemplates.push(templatePath);
+            const templateDoc = await this.loadTemplate(templatePath);
+            processedTemplates.push({ name: template.fileName, pdf: templateDoc });
             tocData.push({ title: template.name, page: pageCounter });
-            pageCounter += await this.getPageCount(templatePath);
+            pageCounter += templateDoc.getPageCount();
           } else {
             console.warn(`   ⚠️ Template not found: ${template.fileName}`);
           }
@@ -87,184 +90,144 @@ class TemplateProcessorService {
       } catch (error) {
         console.warn(`   ⚠️ Error processing ${template.name}: ${error.message}`);
       }
-    }
-    
-    return { processedTemplates, tocData };
-  }
 
-  /**
-   * Process staff profiles section
-   */
-  static async processStaffProfiles(template, templatesDir, outputDir) {
-    const staffPaths = [];
-    let totalPages = 0;
-    
-    // Add main staff profiles page if it exists
-    const mainStaffPath = path.join(templatesDir, template.fileName);
-    if (fs.existsSync(mainStaffPath)) {
-      staffPaths.push(mainStaffPath);
-      totalPages += await this.getPageCount(mainStaffPath);
-    }
-    
-    // Add individual staff profile PDFs
-    for (const staff of template.staffs) {
-      const staffPath = path.join(templatesDir, staff.fileName);
-      if (fs.existsSync(staffPath)) {
-        staffPaths.push(staffPath);
-        totalPages += await this.getPageCount(staffPath);
-        console.log(`     Added: ${staff.name}`);
-      } else {
-        console.warn(`     ⚠️ Staff profile not found: ${staff.fileName}`);
+      // Tag the template's documents with their page number masks from the template metadata; generated pages have none
+      for (const document of processedTemplates.slice(firstDocumentIndex)) {
+        if (document.pageNumberMask === undefined) {
+          document.pageNumberMask = TemplateMetadataService.getPageNumberMask(templatesDir, document.name);
+        }
+        if (template.fullBleed === true) {
+          document.fullBleed = true;
+        }
       }
     }
     
-    return { paths: staffPaths, totalPages };
+    return { processedTemplates, tocData: this.groupTocEntries(tocData, config.TocGroups) };
   }
 
   /**
-   * Process Member Association template with dynamic images based on members array
+   * Nest TOC entries under the section groups declared in config.TocGroups
+   * A group ({ title, prefix?, templates? }) collects consecutive entries whose title starts
+   * with its prefix or is listed in its templates; an entry titled exactly like the group
+   * (e.g. the "Our Fee Structure" overview page) becomes the group heading itself
    */
-  static async processMemberAssociationTemplate(template, templatesDir, outputDir) {
-    const templatePath = path.join(templatesDir, template.fileName);
-
-    if (!fs.existsSync(templatePath)) {
-      console.warn(`     ⚠️ Member Association template not found: ${template.fileName}`);
-      return null;
+  static groupTocEntries(tocData, tocGroups) {
+    if (!Array.isArray(tocGroups) || tocGroups.length === 0) {
+      return tocData;
     }
 
-    console.log(`     📋 Processing Member Association with ${template.members.length} members`);
+    const findGroup = title => tocGroups.find(group =>
+      (Array.isArray(group.templates) && group.templates.includes(title)) ||
+      (group.prefix && title.startsWith(group.prefix))
+    );
 
-    // Create image mapping from members array
-    const imagesDir = path.join(templatesDir, 'Member Association');
-    const imageMapping = {};
+    const groupedData = [];
+    let currentGroup = null;
+    let groupEntry = null;
 
-    for (let i = 0; i < template.members.length && i < 7; i++) {
-      const memberName = template.members[i];
-      const fieldName = `Image${i + 1}_af_image`;
+    for (const entry of tocData) {
+      const group = findGroup(entry.title);
 
-      // Try different image formats
-      const possibleExtensions = ['.jpg', '.jpeg', '.png'];
-      let imagePath = null;
-
-      for (const ext of possibleExtensions) {
-        const testPath = path.join(imagesDir, memberName + ext);
-        if (fs.existsSync(testPath)) {
-          imagePath = testPath;
-          break;
-        }
+      if (!group) {
+        groupedData.push(entry);
+        currentGroup = null;
+        continue;
       }
 
-      if (imagePath) {
-        imageMapping[fieldName] = imagePath;
-        console.log(`     🔗 Mapped ${fieldName} -> ${memberName}${path.extname(imagePath)}`);
-      } else {
-        console.warn(`     ⚠️ Image not found for member: ${memberName}`);
+      if (group !== currentGroup) {
+        currentGroup = group;
+        groupEntry = { title: group.title, page: entry.page, children: [] };
+        groupedData.push(groupEntry);
+
+        if (entry.title === group.title) {
+          groupEntry.children.push(...(entry.children || []));
+          continue; // The group's own overview page is the heading
+        }
       }
-    }
 
-    if (Object.keys(imageMapping).length === 0) {
-      console.warn(`     ⚠️ No images found for Member Association`);
-      // Return original template if no images found
-      return templatePath;
+      groupEntry.children.push({ ...entry, title: this._groupChildTitle(entry.title, group) });
     }
 
-    // Create a modified template object that follows the working format
-    const modifiedTemplate = {
-      name: template.name,
-      fileName: template.fileName,
-      editable: true,
-      hasImages: true,
-      imageMapping: imageMapping,
-      fieldValues: {} // Empty field values
-    };
-
-    // Use the existing processEditableTemplate method which handles images correctly
-    console.log(`     🔄 Processing as editable template with images...`);
-    const processedPath = await this.processEditableTemplate(modifiedTemplate, templatesDir, outputDir);
-
-    if (processedPath) {
-      console.log(`     ✅ Member Association processed with ${Object.keys(imageMapping).length} images`);
-      return processedPath;
-    } else {
-      console.error(`     ❌ Failed to process Member Association template`);
-      return templatePath; // Return original if processing fails
-    }
+    return groupedData;
   }
 
   /**
-   * Process Member Association template with fieldValues array for dynamic images
+   * Shorten a grouped entry's title by removing the group prefix ("Our Expertise - Marine" -> "Marine")
+   * @private
    */
-  static async processMemberAssociationWithFieldValues(template, templatesDir, outputDir) {
-    const templatePath = path.join(templatesDir, template.fileName);
-
-    if (!fs.existsSync(templatePath)) {
-      console.warn(`     ⚠️ Member Association template not found: ${template.fileName}`);
-      return null;
+  static _groupChildTitle(title, group) {
+    if (!group.prefix || !title.startsWith(group.prefix)) {
+      return title;
     }
 
-    console.log(`     📋 Processing Member Association with ${template.fieldValues.length} field values`);
-
-    // Create image mapping from fieldValues array (treating it as members)
-    const imagesDir = path.join(templatesDir, 'Member Association');
-    const imageMapping = {};
-
-    for (let i = 0; i < template.fieldValues.length && i < 7; i++) {
-      const memberName = template.fieldValues[i];
-      const fieldName = `Image${i + 1}_af_image`;
-
-      // Try different image formats
-      const possibleExtensions = ['.jpg', '.jpeg', '.png'];
-      let imagePath = null;
+    const shortTitle = title.slice(group.prefix.length).replace(/^[\s\-–:]+/, '');
+    return shortTitle || title;
+  }
 
-      for (const ext of possibleExtensions) {
-        const testPath = path.join(imagesDir, memberName + ext);
-        if (fs.existsSync(testPath)) {
-          imagePath = testPath;
-          break;
+  /**
+   * Process staff profiles section
+   * Entries record each staff member's page offset from the start of the section
+   */
+  static async processStaffProfiles(template, templatesDir) {
+    const documents = [];
+    const entries = [];
+    let totalPages = 0;
+    
+    // Add main staff profiles page if it exists
+    const mainStaffPath = path.join(templatesDir, template.fileName);
+    if (fs.existsSync(mainStaffPath)) {
+      const mainStaffDoc = await this.loadTemplate(mainStaffPath);
+      documents.push({ name: template.fileName, pdf: mainStaffDoc });
+      totalPages += mainStaffDoc.getPageCount();
+    }
+    
+    // Add individual staff profiles: the designed PDF when there is one, otherwise a page built from the staff data
+    for (const staff of template.staffs) {
+      const staffPath = this.findStaffProfilePath(staff, templatesDir);
+      if (staffPath) {
+        const staffDoc = await this.loadTemplate(staffPath);
+        documents.push({ name: path.basename(staffPath), pdf: staffDoc });
+        entries.push({ name: staff.name, pageOffset: totalPages });
+        totalPages += staffDoc.getPageCount();
+        console.log(`     Added: ${staff.name}`);
+      } else if (StaffProfileService.hasProfileData(staff)) {
+        try {
+          const staffDoc = await StaffProfileService.renderProfile(staff, templatesDir);
+          documents.push({ name: `Profiles - ${staff.name}.pdf`, pdf: staffDoc, pageNumberMask: null });
+          entries.push({ name: staff.name, pageOffset: totalPages });
+          totalPages += staffDoc.getPageCount();
+          console.log(`     Rendered profile: ${staff.name}`);
+        } catch (error) {
+          console.warn(`     ⚠️ Could not render profile for ${staff.name}: ${error.message}`);
         }
-      }
-
-      if (imagePath) {
-        imageMapping[fieldName] = imagePath;
-        console.log(`     🔗 Mapped ${fieldName} -> ${memberName}${path.extname(imagePath)}`);
       } else {
-        console.warn(`     ⚠️ Image not found for field value: ${memberName}`);
+        console.warn(`     ⚠️ Staff profile not found: ${staff.fileName || staff.name}`);
       }
     }
+    
+    return { documents, totalPages, entries };
+  }
 
-    if (Object.keys(imageMapping).length === 0) {
-      console.warn(`     ⚠️ No images found for Member Association field values`);
-      // Return original template if no images found
-      return templatePath;
+  /**
+   * Path of a staff member's designed profile PDF: their fileName, or "Profiles - <Name>.pdf" matched ignoring case
+   * @returns {string|null} null if there is no designed profile
+   */
+  static findStaffProfilePath(staff, templatesDir) {
+    if (staff.fileName) {
+      const staffPath = path.join(templatesDir, staff.fileName);
+      return fs.existsSync(staffPath) ? staffPath : null;
     }
 
-    // Create a modified template object that follows the working format
-    const modifiedTemplate = {
-      name: template.name,
-      fileName: template.fileName,
-      editable: true,
-      hasImages: true,
-      imageMapping: imageMapping,
-      fieldValues: {} // Empty text field values since we're using images
-    };
-
-    // Use the existing processEditableTemplate method which handles images correctly
-    console.log(`     🔄 Processing as editable template with images (from fieldValues)...`);
-    const processedPath = await this.processEditableTemplate(modifiedTemplate, templatesDir, outputDir);
-
-    if (processedPath) {
-      console.log(`     ✅ Member Association processed with ${Object.keys(imageMapping).length} images from fieldValues`);
-      return processedPath;
-    } else {
-      console.error(`     ❌ Failed to process Member Association template with fieldValues`);
-      return templatePath; // Return original if processing fails
-    }
+    const wanted = `profiles - ${staff.name}.pdf`.toLowerCase();
+    const fileName = fs.readdirSync(templatesDir).find(candidate => candidate.toLowerCase() === wanted);
+    return fileName ? path.join(templatesDir, fileName) : null;
   }
 
   /**
    * Process editable template with form field values and/or images
+   * @returns {Promise<PDFDocument|null>} The filled document, or null if the template is missing
    */
-  static async processEditableTemplate(template, templatesDir, outputDir) {
+  static async processEditableTemplate(template, templatesDir) {
     const templatePath = path.join(templatesDir, template.fileName);
 
     if (!fs.existsSync(templatePath)) {
@@ -272,86 +235,45 @@ class TemplateProcessorService {
       return null;
     }
 
-    const outputPath = path.join(outputDir, `temp_${template.fileName}`);
-
     try {
-      // Check if template has images to process
-      if (template.hasImages && template.imageMapping) {
-        console.log(`     🖼️ Processing template with images: ${template.name}`);
-        return await ImageProcessorService.processTemplateWithImages(
-          templatePath,
-          template.imageMapping,
-          outputPath
-        );
-      }
-
-      // Load template for text field processing
-      const templateBytes = fs.readFileSync(templatePath);
-      const pdfDoc = await PDFDocument.load(templateBytes);
+      // Load a private copy of the template for field and image processing
+      const pdfDoc = await TemplateCacheService.loadEditableCopy(templatePath);
       const form = pdfDoc.getForm();
 
-      // Fill form fields with provided values
-      if (template.fieldValues) {
-        for (const [fieldName, value] of Object.entries(template.fieldValues)) {
-          try {
-            const field = form.getTextField(fieldName);
-            field.setText(value.toString());
-            console.log(`     ✅ Filled field: ${fieldName} = ${value}`);
-          } catch (error) {
-            console.warn(`     ⚠️ Field not found: ${fieldName}`);
-          }
-        }
+      // Fill form fields with provided values, formatted by their types (an array of fieldValues lists images)
+      if (template.fieldValues && !Array.isArray(template.fieldValues)) {
+        FieldValueService.applyFieldValues(form, template.fieldValues);
       }
 
-      // Add white rectangles to hide old page numbers on all pages
-      this.addPageNumberCleanup(pdfDoc);
+      // Place images in the template's image slots
+      const sources = ImageProcessorService.getImageSources(template);
+      if (sources) {
+        const metadata = TemplateMetadataService.getTemplateMetadata(templatesDir, template.fileName);
+        const placed = await ImageProcessorService.fillImageSlots(pdfDoc, sources, {
+          templatesDir,
+          defaultFit: template.imageFit,
+          declaredImageSlots: metadata.imageSlots
+        });
+        console.log(`     🖼️ Placed ${placed} image(s) in ${template.name}`);
+      }
 
       // Flatten form to make fields non-editable
       form.flatten();
 
-      // Save processed template
-      const pdfBytes = await pdfDoc.save();
-      fs.writeFileSync(outputPath, pdfBytes);
-
-      return outputPath;
+      return pdfDoc;
 
     } catch (error) {
       console.error(`     ❌ Error processing editable template: ${error.message}`);
-      return templatePath; // Return original if processing fails
-    }
-  }
-
-  /**
-   * Add white rectangles to clean up old page numbers
-   */
-  static addPageNumberCleanup(pdfDoc) {
-    const pages = pdfDoc.getPages();
-    for (const page of pages) {
-      const { width } = page.getSize();
-      
-      // Add white rectangle to hide old page numbers at bottom
-      page.drawRectangle({
-        x: 0,
-        y: 0,
-        width: width,
-        height: 30,
-        color: rgb(1, 1, 1),
-      });
+      return await this.loadTemplate(templatePath); // Return original if processing fails
     }
   }
 
   /**
-   * Get page count of a PDF file
+   * Load a template PDF that is merged as-is
+   * The document comes from the template cache and is shared between generations, so it must not be modified
    */
-  static async getPageCount(pdfPath) {
-    try {
-      const pdfBytes = fs.readFileSync(pdfPath);
-      const pdf = await PDFDocument.load(pdfBytes);
-      return pdf.getPageCount();
-    } catch (error) {
-      console.warn(`⚠️ Could not get page count for ${pdfPath}: ${error.message}`);
-      return 1; // Assume 1 page if can't read
-    }
+  static async loadTemplate(templatePath) {
+    return await TemplateCacheService.getDocument(templatePath);
   }
 }
 
@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+const TemplateCacheService = require('./templateCacheService');
+const TemplateMetadataService = require('./templateMetadataService');
+const TemplateFieldService = require('./templateFieldService');
+
+/**
+ * Template Registry Service
+ * Describes every template PDF in the templates directory for the catalog: its category, tags,
+ * page count, form fields, image slots and page number mask
+ *
+ * Categories, tags and masks come from the template metadata (see TemplateMetadataService);
+ * page counts and fields are read from the PDF itself and cached until the file changes
+ */
+class TemplateRegistryService {
+
+  static DEFAULT_CATEGORY = 'Other';
+
+  static contentCache = new Map();
+
+  /**
+   * List catalog templates, optionally filtered
+   * @param {string} templatesDir - Templates directory
+   * @param {Object} filters - { category?: string, tags?: string[], editable?: boolean, hasImages?: boolean,
+   *                             search?: string, includeInternal?: boolean }
+   *                            category and tags match case-insensitively; every tag must be present;
+   *                            search matches the name or file name
+   * @returns {Promise<Array<Object>>} Registry entries sorted by category, then name
+   */
+  static async listTemplates(templatesDir, filters = {}) {
+    const fileNames = fs.readdirSync(templatesDir)
+      .filter(fileName => path.extname(fileName).toLowerCase() === '.pdf');
+
+    const entries = [];
+    for (const fileName of fileNames) {
+      try {
+        entries.push(await this.describeTemplate(templatesDir, fileName));
+      } catch (error) {
+        console.warn(`⚠️ Could not read template ${fileName}: ${error.message}`);
+      }
+    }
+
+    const categoryOrder = TemplateMetadataService.getCategories(templatesDir).map(category => category.name);
+    const rank = category => (categoryOrder.includes(category) ? categoryOrder.indexOf(category) : categoryOrder.length);
+
+    return entries
+      .filter(entry => this._matchesFilters(entry, filters))
+      .sort((a, b) => rank(a.category) - rank(b.category) || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Registry entry for one template file
+   * @returns {Promise<{ fileName, name, category, tags, internal, editable, pageCount, fields, imageSlots,
+   *                     pageNumberMask, sizeBytes, updatedAt }>}
+   */
+  static async describeTemplate(templatesDir, fileName) {
+    const templatePath = path.join(templatesDir, fileName);
+    const metadata = TemplateMetadataService.getTemplateMetadata(templatesDir, fileName);
+    const { category, tags } = this.resolveCategory(fileName, metadata, TemplateMetadataService.getCategories(templatesDir));
+    const content = await this._readContent(templatePath);
+    const fields = this._markDeclaredImageSlots(content.fields, metadata);
+    const imageSlots = fields.filter(field => field.imageSlot).map(field => field.name);
+
+    return {
+      fileName,
+      name: metadata.name || path.basename(fileName, path.extname(fileName)),
+      category,
+      tags,
+      internal: metadata.internal === true,
+      editable: fields.length > imageSlots.length,
+      pageCount: content.pageCount,
+      fields: fields.map(({ name, type }) => ({ name, type })),
+      imageSlots,
+      pageNumberMask: metadata.pageNumberMask || null,
+      sizeBytes: content.sizeBytes,
+      updatedAt: content.updatedAt
+    };
+  }
+
+  /**
+   * Find a catalog template by file name (with or without .pdf) or display name, ignoring case
+   * @returns {Promise<Object|null>} Registry entry, or null if no template matches
+   */
+  static async findTemplate(templatesDir, name) {
+    const wanted = String(name).toLowerCase();
+    const fileNames = fs.readdirSync(templatesDir)
+      .filter(fileName => path.extname(fileName).toLowerCase() === '.pdf');
+
+    const fileName = fileNames.find(candidate => {
+      const lower = candidate.toLowerCase();
+      const displayName = TemplateMetadataService.getTemplateMetadata(templatesDir, candidate).name;
+      return lower === wanted ||
+        lower === `${wanted}.pdf` ||
+        (displayName && displayName.toLowerCase() === wanted);
+    });
+
+    return fileName ? await this.describeTemplate(templatesDir, fileName) : null;
+  }
+
+  /**
+   * Full form field details for a template (see TemplateFieldService.introspectFields)
+   */
+  static async getTemplateFields(templatesDir, fileName) {
+    const content = await this._readContent(path.join(templatesDir, fileName));
+    return this._markDeclaredImageSlots(content.fields, TemplateMetadataService.getTemplateMetadata(templatesDir, fileName));
+  }
+
+  /**
+   * Work out a template's category and tags from its metadata and the category rules
+   * @returns {{ category: string, tags: string[] }}
+   */
+  static resolveCategory(fileName, metadata, categories) {
+    const tags = [...(metadata.tags || [])];
+    let category = metadata.category || null;
+
+    if (!category) {
+      const baseName = path.basename(fileName, path.extname(fileName));
+
+      for (const rule of categories) {
+        if ((rule.templates || []).includes(fileName)) {
+          category = rule.name;
+          break;
+        }
+
+        const prefixes = [].concat(rule.prefix || []);
+        const prefix = prefixes.find(candidate => baseName.startsWith(candidate));
+        if (prefix) {
+          category = rule.name;
+
+          // e.g. "Our Expertise - Aviation" is tagged "Aviation"
+          const suffix = baseName.slice(prefix.length).replace(/^[\s-]+/, '').trim();
+          if (rule.tagFromSuffix && suffix && !tags.includes(suffix)) {
+            tags.push(suffix);
+          }
+          break;
+        }
+      }
+    }
+
+    return { category: category || this.DEFAULT_CATEGORY, tags };
+  }
+
+  /**
+   * Categories with their template counts, in catalog order
+   */
+  static summarizeCategories(entries) {
+    const counts = new Map();
+    for (const entry of entries) {
+      counts.set(entry.category, (counts.get(entry.category) || 0) + 1);
+    }
+    return [...counts].map(([name, count]) => ({ name, count }));
+  }
+
+  /**
+   * Page count and form fields of a template PDF, cached until the file changes
+   * @private
+   */
+  static async _readContent(templatePath) {
+    const { mtimeMs, size } = fs.statSync(templatePath);
+    const cached = this.contentCache.get(templatePath);
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return cached.content;
+    }
+
+    // Reading the form can add an AcroForm to the document, so use a private copy
+    const pdfDoc = await TemplateCacheService.loadEditableCopy(templatePath);
+    const fields = TemplateFieldService.introspectFields(pdfDoc);
+
+    const content = {
+      pageCount: pdfDoc.getPageCount(),
+      fields,
+      sizeBytes: size,
+      updatedAt: new Date(mtimeMs).toISOString()
+    };
+
+    this.contentCache.set(templatePath, { mtimeMs, content });
+    return content;
+  }
+
+  /**
+   * Mark the fields the template metadata declares in imageSlots as image slots
+   * The metadata can change without the PDF changing, so this is applied after the content cache
+   * @private
+   */
+  static _markDeclaredImageSlots(fields, metadata) {
+    const declared = metadata.imageSlots || [];
+    if (declared.length === 0) {
+      return fields;
+    }
+
+    return fields.map(field => ({
+      ...field,
+      imageSlot: TemplateFieldService.isImageSlot(field.name, field.type, declared)
+    }));
+  }
+
+  /**
+   * @private
+   */
+  static _matchesFilters(entry, filters) {
+    const { category, tags, editable, hasImages, search, includeInternal = false } = filters;
+    const lower = value => String(value).toLowerCase();
+
+    if (entry.internal && !includeInternal) {
+      return false;
+    }
+
+    if (category && lower(entry.category) !== lower(category)) {
+      return false;
+    }
+
+    if (tags && tags.length > 0) {
+      const entryTags = entry.tags.map(lower);
+      if (!tags.every(tag => entryTags.includes(lower(tag)))) {
+        return false;
+      }
+    }
+
+    if (editable !== undefined && entry.editable !== editable) {
+      return false;
+    }
+
+    if (hasImages !== undefined && (entry.imageSlots.length > 0) !== hasImages) {
+      return false;
+    }
+
+    if (search) {
+      const term = lower(search);
+      if (!lower(entry.name).includes(term) && !lower(entry.fileName).includes(term)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+}
+
+module.exports = TemplateRegistryService;
@@ -0,0 +1,143 @@
+const { rgb, degrees, StandardFonts, PDFName, PDFArray } = require('pdf-lib');
+
+/**
+ * Watermark Service
+ * Stamps large, semi-transparent diagonal text across PDF pages, and decides which
+ * watermark a proposal gets from its version status
+ *
+ * config.Watermark adjusts the status watermarks:
+ *   false - never watermark
+ *   { text?, opacity?, angle?, color?, skipPages?, statuses? }
+ *     text      - replaces the status text; {Company} and {Status} are filled in
+ *     skipPages - pages left unmarked: "front_page", "toc" or 1-based page numbers in the merged PDF
+ *     statuses  - which version statuses are watermarked (default: those in STATUS_WATERMARKS)
+ *
+ * Each page's watermark is drawn in a content stream of its own and recorded on the page, so a stored
+ * proposal's watermark can be taken off again when its status changes
+ */
+class WatermarkService {
+
+  static DEFAULT_OPTIONS = {
+    color: [0.75, 0.1, 0.1],
+    opacity: 0.2,
+    angle: 45,
+    widthRatio: 0.7 // Fraction of the page diagonal the text spans
+  };
+
+  // Default watermark text for versions that are not ready to go to the client
+  static STATUS_WATERMARKS = {
+    draft: 'DRAFT',
+    under_review: 'CONFIDENTIAL – Prepared for {Company}'
+  };
+
+  static FONT = StandardFonts.HelveticaBold;
+
+  // Page dictionary entry holding the watermark's content stream
+  static PAGE_KEY = PDFName.of('ProposalWatermark');
+
+  /**
+   * Work out the watermark for a proposal in a given version status
+   * @param {Object} config - Proposal configuration (Company, optional Watermark)
+   * @param {string|null} status - Version status
+   * @returns {Object|null} { text, color?, opacity?, angle?, skipPages? }, or null for no watermark
+   */
+  static resolveForStatus(config, status) {
+    const overrides = config.Watermark;
+    if (overrides === false || !status) {
+      return null;
+    }
+
+    const { statuses = Object.keys(this.STATUS_WATERMARKS), text, ...style } = overrides || {};
+    if (!statuses.includes(status)) {
+      return null;
+    }
+
+    const template = text || this.STATUS_WATERMARKS[status] || status.replace(/_/g, ' ').toUpperCase();
+    const values = { Company: config.Company, Status: status.replace(/_/g, ' ') };
+
+    return {
+      ...style,
+      text: template.replace(/\{(\w+)\}/g, (token, key) => (values[key] !== undefined ? values[key] : token))
+    };
+  }
+
+  /**
+   * Draw a watermark across the pages of a document
+   * @param {PDFDocument} pdfDoc - Document to stamp
+   * @param {string} text - Watermark text; "\n" starts a new line
+   * @param {Object} options - { color?: [r, g, b], opacity?: number, angle?: number, widthRatio?: number,
+   *                             skipPageIndices?: number[] (0-based pages to leave unmarked) }
+   */
+  static async applyWatermark(pdfDoc, text, options = {}) {
+    const { color, opacity, angle, widthRatio, skipPageIndices = [] } = { ...this.DEFAULT_OPTIONS, ...options };
+    const font = await pdfDoc.embedFont(this.FONT);
+    const lines = text.split('\n');
+    const radians = (angle * Math.PI) / 180;
+
+    for (const [pageIndex, page] of pdfDoc.getPages().entries()) {
+      if (skipPageIndices.includes(pageIndex)) {
+        continue;
+      }
+
+      // Start a content stream for the watermark alone, so removeWatermark can drop it without touching the page
+      page.resetPosition();
+      const contents = page.node.Contents();
+      page.node.set(this.PAGE_KEY, contents.get(contents.size() - 1));
+
+      const { width, height } = page.getSize();
+      const diagonal = Math.sqrt(width * width + height * height);
+
+      // Size the longest line to span the requested share of the diagonal
+      const widestLine = Math.max(...lines.map(line => font.widthOfTextAtSize(line, 1)));
+      const fontSize = (diagonal * widthRatio) / widestLine;
+      const lineHeight = fontSize * 1.1;
+      const blockHeight = lineHeight * lines.length;
+
+      lines.forEach((line, index) => {
+        const lineWidth = font.widthOfTextAtSize(line, fontSize);
+        // Offset of this line's start from the page centre, in the rotated text direction
+        const along = -lineWidth / 2;
+        const across = blockHeight / 2 - lineHeight * (index + 1) + (lineHeight - fontSize) / 2;
+
+        page.drawText(line, {
+          x: width / 2 + along * Math.cos(radians) - across * Math.sin(radians),
+          y: height / 2 + along * Math.sin(radians) + across * Math.cos(radians),
+          size: fontSize,
+          font,
+          color: rgb(...color),
+          opacity,
+          rotate: degrees(angle)
+        });
+      });
+    }
+  }
+
+  /**
+   * Take the watermark drawn by applyWatermark off a document's pages, e.g. a proposal loaded from storage
+   * @param {PDFDocument} pdfDoc - Document to clear
+   * @returns {number} Number of pages the watermark was removed from
+   */
+  static removeWatermark(pdfDoc) {
+    let removed = 0;
+
+    for (const page of pdfDoc.getPages()) {
+      const streamRef = page.node.get(this.PAGE_KEY);
+      if (!streamRef) {
+        continue;
+      }
+
+      const contents = page.node.Contents();
+      const index = contents instanceof PDFArray ? contents.indexOf(streamRef) : undefined;
+      if (index !== undefined) {
+        contents.remove(index);
+      }
+      page.node.delete(this.PAGE_KEY);
+      pdfDoc.context.delete(streamRef);
+      removed++;
+    }
+
+    return removed;
+  }
+}
+
+module.exports = WatermarkService;
@@ -0,0 +1,364 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const supabase = require('../config/supabase');
+
+/**
+ * Webhook Service
+ * Delivers proposal results to callback URLs with optional HMAC signing, retries and a delivery log
+ * (the webhook_deliveries table, see supabase/migrations)
+ *
+ * Callback URLs come from API callers, so they may not reach the server's own network: hosts that resolve to
+ * loopback, link-local (cloud metadata), private or other reserved addresses are refused, when the request is
+ * validated and again when each connection is made. WEBHOOK_ALLOW_PRIVATE_NETWORKS=true lifts this for
+ * deployments whose receivers are on a private network
+ */
+class WebhookService {
+
+  static MAX_ATTEMPTS = 5;
+  static RETRY_BASE_DELAY_MS = 1000; // Doubles after each failed attempt
+  static REQUEST_TIMEOUT_MS = 10000;
+  static MAX_LOGGED_DELIVERIES = 200;
+  static DELIVERY_TTL_MS = 30 * 24 * 60 * 60 * 1000; // Keep the delivery log for 30 days
+
+  static TABLE = 'webhook_deliveries';
+
+  // Addresses callbacks may not reach: [network, prefix length, family]
+  static BLOCKED_RANGES = [
+    ['0.0.0.0', 8, 'ipv4'], // "This" network
+    ['10.0.0.0', 8, 'ipv4'], // Private
+    ['100.64.0.0', 10, 'ipv4'], // Carrier-grade NAT
+    ['127.0.0.0', 8, 'ipv4'], // Loopback
+    ['169.254.0.0', 16, 'ipv4'], // Link-local, including cloud metadata services
+    ['172.16.0.0', 12, 'ipv4'], // Private
+    ['192.0.0.0', 24, 'ipv4'], // IETF protocol assignments
+    ['192.168.0.0', 16, 'ipv4'], // Private
+    ['198.18.0.0', 15, 'ipv4'], // Benchmarking
+    ['224.0.0.0', 4, 'ipv4'], // Multicast
+    ['240.0.0.0', 4, 'ipv4'], // Reserved and broadcast
+    ['::', 128, 'ipv6'], // Unspecified
+    ['::1', 128, 'ipv6'], // Loopback
+    ['fc00::', 7, 'ipv6'], // Unique local
+    ['fe80::', 10, 'ipv6'], // Link-local
+    ['ff00::', 8, 'ipv6'] // Multicast
+  ];
+
+  static blockList = null;
+
+  /**
+   * Deliver a payload to a callback URL, retrying failed attempts with exponential backoff
+   * Signed requests carry X-Slattery-Timestamp and X-Slattery-Signature: sha256=HMAC(secret, "<timestamp>.<body>")
+   * @param {string} callbackUrl - http(s) URL to POST to
+   * @param {Object} payload - JSON body
+   * @param {Object} options - { secret?: string, event?: string, maxAttempts?: number, retryBaseDelayMs?: number }
+   * @returns {Object} The delivery log entry
+   */
+  static async deliver(callbackUrl, payload, options = {}) {
+    const {
+      secret = null,
+      event = payload.event || 'proposal.generated',
+      maxAttempts = this.MAX_ATTEMPTS,
+      retryBaseDelayMs = this.RETRY_BASE_DELAY_MS,
+      allowPrivateNetworks = this.allowsPrivateNetworks()
+    } = options;
+
+    const delivery = {
+      id: crypto.randomUUID(),
+      event,
+      url: callbackUrl,
+      signed: Boolean(secret),
+      status: 'pending',
+      attempts: [],
+      createdAt: new Date().toISOString(),
+      deliveredAt: null
+    };
+    await this._logDelivery(delivery);
+
+    const body = JSON.stringify(payload);
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const attemptLog = { attempt, startedAt: new Date().toISOString(), statusCode: null, error: null };
+      delivery.attempts.push(attemptLog);
+
+      try {
+        const headers = this._buildHeaders(body, event, delivery.id, secret);
+        attemptLog.statusCode = await this._post(callbackUrl, body, headers, { allowPrivateNetworks });
+
+        if (attemptLog.statusCode >= 200 && attemptLog.statusCode < 300) {
+          delivery.status = 'delivered';
+          delivery.deliveredAt = new Date().toISOString();
+          await this._updateDelivery(delivery);
+          console.log(`📬 Webhook ${event} delivered to ${callbackUrl} (attempt ${attempt})`);
+          return delivery;
+        }
+
+        attemptLog.error = `Receiver responded with HTTP ${attemptLog.statusCode}`;
+
+        if (!this._isRetryableStatus(attemptLog.statusCode)) {
+          break;
+        }
+      } catch (error) {
+        attemptLog.error = error.message;
+
+        if (error.code === 'ERR_WEBHOOK_BLOCKED_ADDRESS') {
+          break; // The address won't change between attempts
+        }
+      }
+
+      await this._updateDelivery(delivery);
+
+      console.warn(`⚠️ Webhook ${event} attempt ${attempt}/${maxAttempts} to ${callbackUrl} failed: ${attemptLog.error}`);
+
+      if (attempt < maxAttempts) {
+        await new Promise(resolve => setTimeout(resolve, retryBaseDelayMs * Math.pow(2, attempt - 1)));
+      }
+    }
+
+    delivery.status = 'failed';
+    await this._updateDelivery(delivery);
+    console.error(`❌ Webhook ${event} to ${callbackUrl} failed after ${delivery.attempts.length} attempt(s)`);
+    return delivery;
+  }
+
+  /**
+   * Compute the signature a receiver should expect for a request body
+   */
+  static sign(body, timestamp, secret) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Get logged deliveries, newest first
+   */
+  static async getDeliveries(limit = 50) {
+    const { data, error } = await supabase
+      .from(this.TABLE)
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to list webhook deliveries: ${error.message}`);
+    }
+    return data.map(row => this._toDelivery(row));
+  }
+
+  /**
+   * Get a logged delivery by ID, or null
+   */
+  static async getDelivery(deliveryId) {
+    const { data, error } = await supabase
+      .from(this.TABLE)
+      .select('*')
+      .eq('id', deliveryId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to get webhook delivery: ${error.message}`);
+    }
+    return data ? this._toDelivery(data) : null;
+  }
+
+  /**
+   * Whether callbacks may reach private and local addresses (WEBHOOK_ALLOW_PRIVATE_NETWORKS=true)
+   */
+  static allowsPrivateNetworks() {
+    return process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true';
+  }
+
+  /**
+   * Whether an IP address is loopback, link-local, private or otherwise reserved (see BLOCKED_RANGES)
+   * IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+   */
+  static isBlockedAddress(address) {
+    if (!this.blockList) {
+      this.blockList = new net.BlockList();
+      this.BLOCKED_RANGES.forEach(([network, prefix, family]) => this.blockList.addSubnet(network, prefix, family));
+    }
+
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) {
+      return this.blockList.check(mapped[1], 'ipv4');
+    }
+
+    const family = net.isIP(address);
+    return family === 0 || this.blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+  }
+
+  /**
+   * Check that a callback URL's host resolves only to addresses callbacks may reach
+   * @returns {Promise<Array<string>>} Validation errors
+   */
+  static async checkCallbackUrl(callbackUrl, { allowPrivateNetworks = this.allowsPrivateNetworks() } = {}) {
+    if (allowPrivateNetworks) {
+      return [];
+    }
+
+    try {
+      await this._resolveAllowedAddresses(new URL(callbackUrl).hostname);
+      return [];
+    } catch (error) {
+      return [`callbackUrl ${error.message}`];
+    }
+  }
+
+  /**
+   * Resolve a host name, refusing it if any of its addresses is blocked
+   * @returns {Promise<Array<{ address: string, family: number }>>}
+   * @private
+   */
+  static async _resolveAllowedAddresses(hostname) {
+    const host = hostname.replace(/^\[(.*)\]$/, '$1'); // IPv6 literals are bracketed in URLs
+
+    let addresses;
+    if (net.isIP(host)) {
+      addresses = [{ address: host, family: net.isIP(host) }];
+    } else {
+      try {
+        addresses = await dns.promises.lookup(host, { all: true });
+      } catch (error) {
+        throw new Error(`host ${host} could not be resolved (${error.code || error.message})`);
+      }
+    }
+
+    const blocked = addresses.find(({ address }) => this.isBlockedAddress(address));
+    if (blocked) {
+      const where = host === blocked.address ? host : `${host} is ${blocked.address}`;
+      const error = new Error(`must not point to a private, loopback or link-local address (${where})`);
+      error.code = 'ERR_WEBHOOK_BLOCKED_ADDRESS';
+      throw error;
+    }
+
+    return addresses;
+  }
+
+  /**
+   * Build request headers, signing the body when a secret is given
+   * @private
+   */
+  static _buildHeaders(body, event, deliveryId, secret) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'User-Agent': 'Slattery-Proposal-Generator-Webhook',
+      'X-Slattery-Event': event,
+      'X-Slattery-Delivery': deliveryId
+    };
+
+    if (secret) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      headers['X-Slattery-Timestamp'] = timestamp;
+      headers['X-Slattery-Signature'] = `sha256=${this.sign(body, timestamp, secret)}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * POST a body and resolve with the response status code
+   * @private
+   */
+  static async _post(callbackUrl, body, headers, { allowPrivateNetworks = false } = {}) {
+    const url = new URL(callbackUrl);
+    const client = url.protocol === 'https:' ? https : http;
+
+    // Connect to the checked addresses, so the host can't resolve somewhere else in between
+    const addresses = allowPrivateNetworks ? null : await this._resolveAllowedAddresses(url.hostname);
+    const lookup = addresses && ((hostname, options, callback) => {
+      if (options && options.all) {
+        callback(null, addresses);
+      } else {
+        callback(null, addresses[0].address, addresses[0].family);
+      }
+    });
+
+    return await new Promise((resolve, reject) => {
+      const request = client.request(url, { method: 'POST', headers, timeout: this.REQUEST_TIMEOUT_MS, lookup: lookup || undefined }, response => {
+        response.resume(); // The response body is not needed
+        response.on('end', () => resolve(response.statusCode));
+      });
+
+      request.on('timeout', () => request.destroy(new Error(`Request timed out after ${this.REQUEST_TIMEOUT_MS}ms`)));
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  /**
+   * Server errors, timeouts and rate limiting are worth retrying; other client errors are not
+   * @private
+   */
+  static _isRetryableStatus(statusCode) {
+    return statusCode >= 500 || statusCode === 408 || statusCode === 429;
+  }
+
+  /**
+   * Record a new delivery, and drop deliveries older than DELIVERY_TTL_MS
+   * The log is best effort: a database problem doesn't stop the delivery
+   * @private
+   */
+  static async _logDelivery(delivery) {
+    try {
+      const { error } = await supabase.from(this.TABLE).insert(this._toRow(delivery));
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      const cutoff = new Date(Date.now() - this.DELIVERY_TTL_MS).toISOString();
+      await supabase.from(this.TABLE).delete().lt('created_at', cutoff);
+    } catch (error) {
+      console.warn(`   ⚠️ Could not log webhook delivery ${delivery.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  static async _updateDelivery(delivery) {
+    try {
+      const { id, ...fields } = this._toRow(delivery);
+      const { error } = await supabase.from(this.TABLE).update(fields).eq('id', id);
+      if (error) {
+        throw new Error(error.message);
+      }
+    } catch (error) {
+      console.warn(`   ⚠️ Could not update webhook delivery ${delivery.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  static _toRow(delivery) {
+    return {
+      id: delivery.id,
+      event: delivery.event,
+      url: delivery.url,
+      signed: delivery.signed,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      created_at: delivery.createdAt,
+      delivered_at: delivery.deliveredAt
+    };
+  }
+
+  /**
+   * @private
+   */
+  static _toDelivery(row) {
+    return {
+      id: row.id,
+      event: row.event,
+      url: row.url,
+      signed: row.signed,
+      status: row.status,
+      attempts: row.attempts,
+      createdAt: row.created_at,
+      deliveredAt: row.delivered_at
+    };
+  }
+}
+
+module.exports = WebhookService;
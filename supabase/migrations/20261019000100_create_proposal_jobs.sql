@@ -0,0 +1,63 @@
+-- Background proposal jobs (see services/proposalJobService.js)
+-- The API inserts queued jobs; a worker (npm run worker) claims them with claim_proposal_job() and records
+-- progress on the row, so any API instance can report a job's status
+
+create table if not exists proposal_jobs (
+  id uuid primary key default gen_random_uuid(),
+  type text not null,
+  status text not null default 'queued' check (status in ('queued', 'running', 'completed', 'failed')),
+  company text,
+  created_by text,
+  payload jsonb not null,
+  progress jsonb not null default '{"step": null, "message": "Waiting to start", "percent": 0}',
+  steps jsonb not null default '[]',
+  result jsonb,
+  error text,
+  callback jsonb,
+  callback_secret text,
+  attempts integer not null default 0,
+  locked_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  started_at timestamptz,
+  completed_at timestamptz
+);
+
+create index if not exists proposal_jobs_queue_idx on proposal_jobs (status, created_at);
+create index if not exists proposal_jobs_completed_at_idx on proposal_jobs (completed_at);
+
+-- Claim the oldest queued job for a worker, or a running job whose worker stopped sending progress
+-- (locked_at older than stale_after_seconds). Jobs interrupted max_attempts times are failed instead
+create or replace function claim_proposal_job(stale_after_seconds integer default 900, max_attempts integer default 3)
+returns setof proposal_jobs
+language plpgsql
+as $$
+begin
+  update proposal_jobs
+     set status = 'failed',
+         error = 'The job was interrupted ' || attempts || ' times and was abandoned',
+         completed_at = now(),
+         updated_at = now()
+   where status = 'running'
+     and locked_at < now() - make_interval(secs => stale_after_seconds)
+     and attempts >= max_attempts;
+
+  return query
+  update proposal_jobs
+     set status = 'running',
+         attempts = attempts + 1,
+         started_at = coalesce(started_at, now()),
+         locked_at = now(),
+         updated_at = now()
+   where id = (
+     select id
+       from proposal_jobs
+      where status = 'queued'
+         or (status = 'running' and locked_at < now() - make_interval(secs => stale_after_seconds))
+      order by created_at
+      limit 1
+        for update skip locked
+   )
+  returning *;
+end;
+$$;
@@ -0,0 +1,15 @@
+-- Webhook callback delivery log (see services/webhookService.js)
+-- attempts is a JSON array of { attempt, startedAt, statusCode, error }
+
+create table if not exists webhook_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  event text not null,
+  url text not null,
+  signed boolean not null default false,
+  status text not null default 'pending' check (status in ('pending', 'delivered', 'failed')),
+  attempts jsonb not null default '[]',
+  created_at timestamptz not null default now(),
+  delivered_at timestamptz
+);
+
+create index if not exists webhook_deliveries_created_at_idx on webhook_deliveries (created_at desc);
@@ -0,0 +1,53 @@
+-- Proposal version status timeline (see services/proposalDatabaseService.js)
+-- from_status is null for the entry recorded when a version is created
+
+create table if not exists proposal_version_status_history (
+  id uuid primary key default gen_random_uuid(),
+  version_id uuid not null references proposal_versions (id) on delete cascade,
+  from_status text,
+  to_status text not null,
+  changed_by text not null,
+  comment text,
+  changed_at timestamptz not null default now()
+);
+
+create index if not exists proposal_version_status_history_version_idx
+  on proposal_version_status_history (version_id, changed_at);
+
+-- Move a version from from_status to to_status and record the change, in one transaction.
+-- Returns the updated version, or no row if its status is no longer from_status (a concurrent change won)
+create or replace function update_proposal_version_status(
+  target_version_id uuid,
+  from_status text,
+  to_status text,
+  changed_by text,
+  change_comment text default null
+)
+returns setof proposal_versions
+language plpgsql
+as $$
+declare
+  updated proposal_versions;
+begin
+  update proposal_versions
+     set status = update_proposal_version_status.to_status
+   where id = target_version_id
+     and status = update_proposal_version_status.from_status
+  returning * into updated;
+
+  if not found then
+    return;
+  end if;
+
+  insert into proposal_version_status_history (version_id, from_status, to_status, changed_by, comment)
+  values (
+    target_version_id,
+    update_proposal_version_status.from_status,
+    update_proposal_version_status.to_status,
+    update_proposal_version_status.changed_by,
+    change_comment
+  );
+
+  return next updated;
+end;
+$$;
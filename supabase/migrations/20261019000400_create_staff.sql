@@ -0,0 +1,24 @@
+-- Staff directory (see services/staffDirectoryService.js)
+-- qualifications and regions are JSON arrays of strings; photo_path and profile_path are relative to the
+-- templates directory
+
+create table if not exists staff (
+  id uuid primary key default gen_random_uuid(),
+  name text not null check (name <> ''),
+  title text,
+  phone text,
+  email text,
+  photo_path text,
+  profile_path text,
+  bio text,
+  qualifications jsonb,
+  regions jsonb,
+  active boolean not null default true,
+  created_by text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Names are unique ignoring case; the API stores them trimmed with single spaces, and reports a clash as 409.
+-- On an existing staff table, merge any duplicate names before applying this
+create unique index if not exists staff_name_key on staff (lower(name));
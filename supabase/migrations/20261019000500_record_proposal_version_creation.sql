@@ -0,0 +1,21 @@
+-- Record each new proposal version's first status in proposal_version_status_history
+-- The trigger runs in the insert's transaction, so a version never exists without the start of its timeline
+
+create or replace function record_proposal_version_creation()
+returns trigger
+language plpgsql
+as $$
+begin
+  insert into proposal_version_status_history (version_id, from_status, to_status, changed_by, comment)
+  values (new.id, null, new.status, new.created_by, new.version_label || ' created');
+
+  return new;
+end;
+$$;
+
+drop trigger if exists proposal_versions_record_creation on proposal_versions;
+
+create trigger proposal_versions_record_creation
+  after insert on proposal_versions
+  for each row
+  execute function record_proposal_version_creation();
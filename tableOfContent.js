@@ -57,202 +57,286 @@ const SLATTERY_TOC_DATA = [
   { title: "Member Association", page: 116 },
 ];
 
+// Default TOC appearance; the proposal config's TocStyle overrides any of these
+// The template style places rows inside the template's TableOfContents field unless a region is given
+const DEFAULT_TOC_STYLE = {
+  type: 'programmatic', // 'programmatic' or 'template'
+  template: 'Table of Contents.pdf',
+  region: null, // { x, y, width, height } in PDF points
+  font: 'Helvetica', // StandardFonts name
+  boldFont: 'HelveticaBold',
+  fontSize: 11,
+  lineHeight: 16,
+  columns: 2,
+  columnGap: 40,
+  indentWidth: 14,
+  colors: {
+    heading: '#6BBA4F', // Green matching the Slattery template
+    text: '#000000',
+    dots: '#808080',
+    pageNumber: '#000000'
+  }
+};
+
 /**
- * Generate a Table of Contents PDF programmatically using pdf-lib
- * Mimics the Slattery template design with 2-column layout
+ * Merge a TocStyle value from the proposal config ("template", "programmatic" or an object) with the defaults
  */
-async function generateTOCProgrammatically(outputPath, tocData = SLATTERY_TOC_DATA) {
-  const pdfDoc = await PDFDocument.create();
-  const page = pdfDoc.addPage([595.28, 841.89]); // A4 size
-  const { width, height } = page.getSize();
-  
-  // Load fonts
-  const regularFont = await pdfDoc.embedFont(StandardFonts.Helvetica);
-  const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
-  
-  // Header styling - matching the template
-  const headerY = height - 100;
-  const headerText = "TABLE OF\nCONTENTS";
-  
-  // Draw green "TABLE OF CONTENTS" header
-  page.drawText(headerText, {
-    x: 50,
-    y: headerY,
-    size: 42,
-    font: boldFont,
-    color: rgb(0.42, 0.73, 0.31), // Green color matching template
-    lineHeight: 45,
-  });
-  
-  // Content area setup
-  const contentStartY = headerY - 100;
-  const leftColumnX = 50;
-  const rightColumnX = width / 2 + 20;
-  const columnWidth = (width / 2) - 70;
-  
-  let leftY = contentStartY;
-  let rightY = contentStartY;
-  let useLeftColumn = true;
-  
-  // Draw TOC entries in 2-column layout
-  for (let i = 0; i < tocData.length; i++) {
-    const entry = tocData[i];
-    const currentX = useLeftColumn ? leftColumnX : rightColumnX;
-    const currentY = useLeftColumn ? leftY : rightY;
-    
-    // Check if we need to move to next column or page
-    if (currentY < 100) {
-      if (useLeftColumn) {
-        useLeftColumn = false;
-        continue; // Try right column
-      } else {
-        // Need new page (not implemented in this example)
-        break;
+function resolveTOCStyle(tocStyle) {
+  const overrides = typeof tocStyle === 'string' ? { type: tocStyle } : (tocStyle || {});
+  return {
+    ...DEFAULT_TOC_STYLE,
+    ...overrides,
+    colors: { ...DEFAULT_TOC_STYLE.colors, ...(overrides.colors || {}) }
+  };
+}
+
+/**
+ * Convert a "#RRGGBB" string or [r, g, b] array (0-1) into a pdf-lib colour
+ */
+function parseColor(value) {
+  if (Array.isArray(value) && value.length === 3) {
+    return rgb(value[0], value[1], value[2]);
+  }
+
+  const hex = typeof value === 'string' ? value.replace(/^#/, '') : '';
+  if (!/^[0-9a-f]{6}$/i.test(hex)) {
+    throw new Error(`Invalid TOC colour: ${JSON.stringify(value)}`);
+  }
+
+  return rgb(
+    parseInt(hex.slice(0, 2), 16) / 255,
+    parseInt(hex.slice(2, 4), 16) / 255,
+    parseInt(hex.slice(4, 6), 16) / 255
+  );
+}
+
+/**
+ * Embed the regular and bold fonts named by the style
+ */
+async function embedTOCFonts(pdfDoc, style) {
+  for (const fontName of [style.font, style.boldFont]) {
+    if (!StandardFonts[fontName]) {
+      throw new Error(`Unknown TOC font "${fontName}". Use one of: ${Object.keys(StandardFonts).join(', ')}`);
+    }
+  }
+
+  return {
+    regular: await pdfDoc.embedFont(StandardFonts[style.font]),
+    bold: await pdfDoc.embedFont(StandardFonts[style.boldFont])
+  };
+}
+
+/**
+ * Flatten hierarchical TOC entries into rows, depth-first, recording each row's level
+ */
+function flattenTOCEntries(entries, level = 0) {
+  const rows = [];
+  for (const entry of entries) {
+    const hasChildren = Array.isArray(entry.children) && entry.children.length > 0;
+    rows.push({ title: entry.title, page: entry.page, level, hasChildren });
+    if (hasChildren) {
+      rows.push(...flattenTOCEntries(entry.children, level + 1));
+    }
+  }
+  return rows;
+}
+
+/**
+ * TOC layout engine
+ * Draws rows (title, dot leader, page number) into a region, flowing down each column,
+ * then across the columns, then onto a fresh page from addPage()
+ * Child rows are indented beneath their parent, and group headings are bold
+ * Returns the clickable region of each drawn row so links can be added once the proposal is merged
+ */
+function layoutTOCRows(rows, { addPage, region, style, fonts }) {
+  const colors = {
+    text: parseColor(style.colors.text),
+    dots: parseColor(style.colors.dots),
+    pageNumber: parseColor(style.colors.pageNumber)
+  };
+  const { fontSize, lineHeight } = style;
+  const columnWidth = (region.width - style.columnGap * (style.columns - 1)) / style.columns;
+  const firstBaseline = region.y + region.height - fontSize;
+  const dotWidth = fonts.regular.widthOfTextAtSize('.', fontSize);
+
+  let page = addPage();
+  let pageIndex = 0;
+  let columnIndex = 0;
+  let currentY = firstBaseline;
+  const links = [];
+
+  for (const row of rows) {
+    // Move to the next column, then to a new page, once a column is full
+    if (currentY < region.y) {
+      columnIndex++;
+      if (columnIndex >= style.columns) {
+        page = addPage();
+        pageIndex++;
+        columnIndex = 0;
       }
+      currentY = firstBaseline;
     }
-    
+
+    const indent = row.level * style.indentWidth;
+    const currentX = region.x + columnIndex * (columnWidth + style.columnGap) + indent;
+    const rowWidth = columnWidth - indent;
+    const titleFont = row.level === 0 && row.hasChildren ? fonts.bold : fonts.regular;
+
     // Text truncation and alignment setup
-    const maxTitleWidth = columnWidth - 50; // Reserve space for page numbers and dots
-    const pageText = entry.page.toString();
-    const pageWidth = regularFont.widthOfTextAtSize(pageText, 11);
-    
+    const maxTitleWidth = rowWidth - 50; // Reserve space for page numbers and dots
+    const pageText = row.page.toString();
+    const pageWidth = fonts.regular.widthOfTextAtSize(pageText, fontSize);
+
     // Truncate title if too long
-    let titleText = entry.title;
-    let titleWidth = regularFont.widthOfTextAtSize(titleText, 11);
-    
+    let titleText = row.title;
+    let titleWidth = titleFont.widthOfTextAtSize(titleText, fontSize);
+
     if (titleWidth > maxTitleWidth) {
       // Find the maximum characters that fit with "..."
       let truncatedTitle = titleText;
       while (titleWidth > maxTitleWidth - 20 && truncatedTitle.length > 10) {
         truncatedTitle = truncatedTitle.slice(0, -1);
-        titleWidth = regularFont.widthOfTextAtSize(truncatedTitle + '...', 11);
+        titleWidth = titleFont.widthOfTextAtSize(truncatedTitle + '...', fontSize);
       }
       titleText = truncatedTitle + '...';
-      titleWidth = regularFont.widthOfTextAtSize(titleText, 11);
+      titleWidth = titleFont.widthOfTextAtSize(titleText, fontSize);
     }
-    
+
     // Draw title
     page.drawText(titleText, {
       x: currentX,
       y: currentY,
-      size: 11,
-      font: regularFont,
-      color: rgb(0, 0, 0),
+      size: fontSize,
+      font: titleFont,
+      color: colors.text,
     });
-    
+
     // Calculate dot leader position and count
     const dotsStartX = currentX + titleWidth + 5;
-    const pageNumberX = currentX + columnWidth - pageWidth;
-    const dotsEndX = pageNumberX - 5;
-    const dotsWidth = dotsEndX - dotsStartX;
-    const dotCount = Math.max(0, Math.floor(dotsWidth / 4));
-    const dots = '.'.repeat(dotCount);
-    
+    const pageNumberX = currentX + rowWidth - pageWidth;
+    const dotsWidth = pageNumberX - 5 - dotsStartX;
+
     // Draw dots if there's space
     if (dotsWidth > 10) {
-      page.drawText(dots, {
+      page.drawText('.'.repeat(Math.floor(dotsWidth / dotWidth)), {
         x: dotsStartX,
         y: currentY,
-        size: 11,
-        font: regularFont,
-        color: rgb(0.5, 0.5, 0.5), // Lighter gray for dots
+        size: fontSize,
+        font: fonts.regular,
+        color: colors.dots,
       });
     }
-    
+
     // Draw page number (right-aligned within column)
     page.drawText(pageText, {
       x: pageNumberX,
       y: currentY,
-      size: 11,
-      font: regularFont,
-      color: rgb(0, 0, 0),
+      size: fontSize,
+      font: fonts.regular,
+      color: colors.pageNumber,
     });
-    
-    // Update Y position
-    if (useLeftColumn) {
-      leftY -= 16;
-    } else {
-      rightY -= 16;
-    }
-    
-    // Switch columns after each entry
-    useLeftColumn = !useLeftColumn;
+
+    // Record the row area so it can link to its section (most of the leading sits below the baseline)
+    links.push({
+      tocPageIndex: pageIndex,
+      page: row.page,
+      rect: { x: currentX, y: currentY - (lineHeight - fontSize) * 0.8, width: rowWidth, height: lineHeight }
+    });
+
+    currentY -= lineHeight;
   }
+
+  return links;
+}
+
+/**
+ * Generate a Table of Contents PDF programmatically using pdf-lib
+ * Mimics the Slattery template design with a "TABLE OF CONTENTS" header on every page
+ * and the entries laid out below it by the TOC layout engine
+ * Returns the TOC document and the clickable region of each drawn row, so links can be added once the proposal is merged
+ * @returns {Promise<{ pdfDoc: PDFDocument, links: Array }>}
+ */
+async function generateTOCProgrammatically(tocData = SLATTERY_TOC_DATA, tocStyle = {}) {
+  const style = resolveTOCStyle(tocStyle);
+  const pdfDoc = await PDFDocument.create();
+  const pageSize = [595.28, 841.89]; // A4 size
+  const [width, height] = pageSize;
+  
+  // Load fonts
+  const fonts = await embedTOCFonts(pdfDoc, style);
+  const headingColor = parseColor(style.colors.heading);
+  
+  // Header styling - matching the template
+  const headerY = height - 100;
+  const headerText = "TABLE OF\nCONTENTS";
+  
+  // Add a TOC page with the "TABLE OF CONTENTS" header
+  const addTOCPage = () => {
+    const newPage = pdfDoc.addPage(pageSize);
+    newPage.drawText(headerText, {
+      x: 50,
+      y: headerY,
+      size: 42,
+      font: fonts.bold,
+      color: headingColor,
+      lineHeight: 45,
+    });
+    return newPage;
+  };
+  
+  // Content area below the header, with the first row 100pt under it
+  const contentStartY = headerY - 100;
+  const region = style.region || {
+    x: 50,
+    y: 100,
+    width: width - 100,
+    height: contentStartY + style.fontSize - 100
+  };
+  
+  const rows = flattenTOCEntries(tocData);
+  const links = layoutTOCRows(rows, { addPage: addTOCPage, region, style, fonts });
   
-  // Note: No page number added to TOC page as per requirements
+  // Note: No page numbers added to TOC pages as per requirements
   
-  // Save the PDF
-  const pdfBytes = await pdfDoc.save();
-  fs.writeFileSync(outputPath, pdfBytes);
+  console.log(` Programmatic TOC PDF generated`);
+  console.log(`=� Entries: ${rows.length} on ${pdfDoc.getPageCount()} page(s)`);
   
-  console.log(` Programmatic TOC PDF generated: ${outputPath}`);
-  console.log(`=� Entries: ${tocData.length}`);
+  return { pdfDoc, links };
 }
 
 /**
- * Use the existing PDF template and fill form fields with TOC data
- * This approach uses the actual Slattery template design
+ * Use the existing PDF template design as the background of every TOC page
+ * and lay the entries out inside its TableOfContents field area (or style.region)
+ * Returns the TOC document and the clickable region of each drawn row, so links can be added once the proposal is merged
+ * @returns {Promise<{ pdfDoc: PDFDocument, links: Array }>}
  */
-async function generateTOCFromTemplate(templatePath, outputPath, tocData = SLATTERY_TOC_DATA) {
+async function generateTOCFromTemplate(templatePath, tocData = SLATTERY_TOC_DATA, tocStyle = {}) {
   try {
+    const style = resolveTOCStyle({ ...(typeof tocStyle === 'string' ? {} : tocStyle), type: 'template' });
+    
     // Read the template PDF
     const templateBytes = fs.readFileSync(templatePath);
-    const pdfDoc = await PDFDocument.load(templateBytes);
+    const templateDoc = await PDFDocument.load(templateBytes);
+    const region = style.region || getTemplateTOCRegion(templateDoc);
     
-    // Get the form from the template
-    const form = pdfDoc.getForm();
-    const fields = form.getFields();
+    // Every TOC page draws the template's first page as its background
+    const pdfDoc = await PDFDocument.create();
+    const [background] = await pdfDoc.embedPdf(templateDoc, [0]);
+    const fonts = await embedTOCFonts(pdfDoc, style);
     
-    console.log('=� Available form fields in template:');
-    fields.forEach(field => {
-      const fieldName = field.getName();
-      const fieldType = field.constructor.name;
-      console.log(`  - ${fieldName} (${fieldType})`);
-    });
-    
-    // Check if TableOfContents field exists
-    try {
-      const tocField = form.getTextField('TableOfContents');
-      
-      // Format TOC data as text for the form field
-      const tocText = tocData.map(entry => {
-        const dots = '.'.repeat(Math.max(0, 50 - entry.title.length - entry.page.toString().length));
-        return `${entry.title} ${dots} ${entry.page}`;
-      }).join('\n');
-      
-      // Fill the form field
-      tocField.setText(tocText);
-      
-      console.log(' Filled TableOfContents form field with TOC data');
-      
-    } catch (error) {
-      console.warn('�  TableOfContents field not found in template, trying alternative approach...');
-      
-      // Alternative: Try to find and fill any text fields
-      const textFields = form.getFields().filter(field => field.constructor.name === 'PDFTextField');
-      
-      if (textFields.length > 0) {
-        const firstTextField = textFields[0];
-        const tocText = tocData.map(entry => 
-          `${entry.title} ............................ ${entry.page}`
-        ).join('\n');
-        
-        firstTextField.setText(tocText);
-        console.log(` Filled field "${firstTextField.getName()}" with TOC data`);
-      } else {
-        console.warn('�  No suitable text fields found in template');
-      }
-    }
+    const addTOCPage = () => {
+      const newPage = pdfDoc.addPage([background.width, background.height]);
+      newPage.drawPage(background);
+      return newPage;
+    };
     
-    // Flatten the form to make fields non-editable
-    form.flatten();
+    const rows = flattenTOCEntries(tocData);
+    const links = layoutTOCRows(rows, { addPage: addTOCPage, region, style, fonts });
     
-    // Save the filled PDF
-    const pdfBytes = await pdfDoc.save();
-    fs.writeFileSync(outputPath, pdfBytes);
+    console.log(` Template-based TOC PDF generated`);
+    console.log(`=� Entries: ${rows.length} on ${pdfDoc.getPageCount()} page(s)`);
     
-    console.log(` Template-based TOC PDF generated: ${outputPath}`);
-    console.log(`=� Entries: ${tocData.length}`);
+    return { pdfDoc, links };
     
   } catch (error) {
     console.error('L Error generating TOC from template:', error.message);
@@ -260,6 +344,27 @@ async function generateTOCFromTemplate(templatePath, outputPath, tocData = SLATT
   }
 }
 
+/**
+ * Find the area reserved for entries in the TOC template
+ * Uses the TableOfContents field (or the first text field), falling back to the page margins
+ */
+function getTemplateTOCRegion(templateDoc) {
+  const form = templateDoc.getForm();
+  const textFields = form.getFields().filter(field => field.constructor.name === 'PDFTextField');
+  const tocField = textFields.find(field => field.getName() === 'TableOfContents') || textFields[0];
+  
+  if (tocField) {
+    const widgets = tocField.acroField.getWidgets();
+    if (widgets.length > 0) {
+      return widgets[0].getRectangle();
+    }
+  }
+  
+  console.warn('�  No TableOfContents field found in template, using page margins');
+  const { width, height } = templateDoc.getPage(0).getSize();
+  return { x: 50, y: 100, width: width - 100, height: height - 300 };
+}
+
 /**
  * Test function to generate both versions
  */
@@ -282,10 +387,12 @@ async function testTOCGeneration() {
   
   // Test programmatic generation
   console.log('1. Generating programmatic TOC...');
-  await generateTOCProgrammatically(programmaticOutput);
+  const programmatic = await generateTOCProgrammatically();
+  fs.writeFileSync(programmaticOutput, await programmatic.pdfDoc.save());
   
   console.log('\n2. Generating template-based TOC...');
-  await generateTOCFromTemplate(templatePath, templateOutput);
+  const fromTemplate = await generateTOCFromTemplate(templatePath);
+  fs.writeFileSync(templateOutput, await fromTemplate.pdfDoc.save());
   
   console.log('\n Test complete! Check the Output folder for results.');
 }
@@ -298,6 +405,10 @@ if (require.main === module) {
 module.exports = {
   generateTOCProgrammatically,
   generateTOCFromTemplate,
+  layoutTOCRows,
+  flattenTOCEntries,
+  resolveTOCStyle,
+  DEFAULT_TOC_STYLE,
   SLATTERY_TOC_DATA,
   testTOCGeneration
 };
\ No newline at end of file
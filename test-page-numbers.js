@@ -2,8 +2,8 @@ const ProposalGeneratorService = require('./services/proposalGeneratorService');
 
 /**
  * Test script to verify page numbering behavior
- * Front page and TOC should not have page numbers
- * Content pages should have page numbers starting from page 3
+ * Front page and TOC pages should not have page numbers
+ * Content pages should have page numbers starting from page 1
  */
 async function testPageNumbers() {
   console.log('🧪 Testing page numbering behavior...\n');
@@ -39,8 +39,8 @@ async function testPageNumbers() {
     
     console.log('\n📋 Expected page numbering:');
     console.log('   Physical Page 1: Front Page (NO page number displayed)');
-    console.log('   Physical Page 2: Table of Contents (NO page number displayed)');
-    console.log('   Physical Page 3+: Content pages (WITH page numbers: "Page 1 of X", "Page 2 of X", etc.)');
+    console.log('   Next page(s): Table of Contents, one or more pages (NO page number displayed)');
+    console.log('   Remaining pages: Content pages (WITH page numbers: "Page 1 of X", "Page 2 of X", etc.)');
     
     console.log('\n🎯 Please check the generated PDF to verify page numbering!');
     
@@ -0,0 +1,132 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fakeSupabase = require('./helpers/fakeSupabase').install();
+const AuthService = require('../services/authService');
+
+['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+
+/**
+ * Set API_KEYS for a test; the keys are parsed again on next use
+ */
+function useApiKeys(value) {
+  if (value === undefined) {
+    delete process.env.API_KEYS;
+  } else {
+    process.env.API_KEYS = value;
+  }
+  AuthService.apiKeys = null;
+}
+
+/**
+ * Run the requireAuth middleware on a request with the given headers
+ * @returns {Promise<{ status: number|null, body: Object|null, user: Object|null }>}
+ */
+function runMiddleware(role, headers) {
+  return new Promise(resolve => {
+    const req = { headers };
+    const res = {
+      statusCode: null,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { resolve({ status: this.statusCode, body, user: null }); }
+    };
+    AuthService.requireAuth(role)(req, res, () => resolve({ status: null, body: null, user: req.user }));
+  });
+}
+
+describe('AuthService API keys', () => {
+  const previousKeys = process.env.API_KEYS;
+
+  beforeEach(() => useApiKeys('alpha-key:service-a:admin, beta-key:service-b'));
+  afterEach(() => useApiKeys(previousKeys));
+
+  test('resolves each key to its user and role, defaulting to author', () => {
+    assert.deepEqual(AuthService.verifyApiKey('alpha-key'), { id: 'service-a', email: null, role: 'admin', method: 'api_key' });
+    assert.deepEqual(AuthService.verifyApiKey('beta-key'), { id: 'service-b', email: null, role: 'author', method: 'api_key' });
+  });
+
+  test('keeps only SHA-256 hashes of the keys, so keys of any length compare in constant time', () => {
+    const keys = AuthService._getApiKeys();
+
+    assert.deepEqual(keys.map(key => key.hash), ['alpha-key', 'beta-key'].map(key => crypto.createHash('sha256').update(key).digest()));
+    assert.ok(keys.every(key => !JSON.stringify(key).includes('alpha-key') && !JSON.stringify(key).includes('beta-key')));
+
+    for (const wrongKey of ['alpha', 'alpha-key-2', 'x'.repeat(1000), 'ALPHA-KEY']) {
+      assert.throws(() => AuthService.verifyApiKey(wrongKey), /^Error: Invalid API key$/);
+    }
+  });
+
+  test('rejects malformed API_KEYS entries at startup', () => {
+    for (const value of ['key-only', 'key:user:superuser', 'key:user:admin:extra', ':user']) {
+      useApiKeys(value);
+      assert.throws(() => AuthService.assertConfigured(), error => error.code === 'ERR_AUTH_CONFIG' && /entry 1/.test(error.message), value);
+    }
+
+    useApiKeys('');
+    assert.doesNotThrow(() => AuthService.assertConfigured());
+  });
+});
+
+describe('AuthService JWTs', () => {
+  beforeEach(() => {
+    fakeSupabase.users['reviewer-token'] = { id: 'user-r', email: 'r@example.com', app_metadata: { role: 'reviewer' } };
+    fakeSupabase.users['plain-token'] = { id: 'user-p', email: 'p@example.com', app_metadata: {} };
+    fakeSupabase.users['odd-role-token'] = { id: 'user-o', app_metadata: { role: 'owner' } };
+  });
+
+  test('takes the role from app_metadata, and the default role when it is missing or unknown', async () => {
+    assert.deepEqual(await AuthService.verifyToken('reviewer-token'), { id: 'user-r', email: 'r@example.com', role: 'reviewer', method: 'jwt' });
+    assert.equal((await AuthService.verifyToken('plain-token')).role, 'author');
+    assert.deepEqual(await AuthService.verifyToken('odd-role-token'), { id: 'user-o', email: null, role: 'author', method: 'jwt' });
+  });
+
+  test('rejects tokens Supabase Auth does not accept', async () => {
+    await assert.rejects(AuthService.verifyToken('forged-token'), /^Error: Invalid or expired token: invalid JWT$/);
+  });
+});
+
+describe('AuthService roles', () => {
+  test('ranks roles, so higher roles pass checks for lower ones', () => {
+    const user = role => ({ role });
+
+    assert.ok(AuthService.hasRole(user('admin'), 'reviewer'));
+    assert.ok(AuthService.hasRole(user('reviewer'), 'reviewer'));
+    assert.ok(AuthService.hasRole(user('reviewer'), 'author'));
+    assert.ok(!AuthService.hasRole(user('author'), 'reviewer'));
+    assert.ok(!AuthService.hasRole(user('reviewer'), 'admin'));
+  });
+});
+
+describe('AuthService.requireAuth', () => {
+  const previousKeys = process.env.API_KEYS;
+
+  beforeEach(() => {
+    useApiKeys('author-key:user-a:author');
+    fakeSupabase.users['admin-token'] = { id: 'user-admin', email: null, app_metadata: { role: 'admin' } };
+  });
+  afterEach(() => useApiKeys(previousKeys));
+
+  test('sets req.user from either kind of credential', async () => {
+    assert.equal((await runMiddleware(null, { 'x-api-key': 'author-key' })).user.id, 'user-a');
+    assert.equal((await runMiddleware('reviewer', { authorization: 'Bearer admin-token' })).user.id, 'user-admin');
+  });
+
+  test('answers 401 without or with bad credentials, and 403 below the required role', async () => {
+    assert.equal((await runMiddleware(null, {})).status, 401);
+    assert.equal((await runMiddleware(null, { authorization: 'Basic abc' })).status, 401);
+    assert.equal((await runMiddleware(null, { 'x-api-key': 'wrong' })).status, 401);
+    assert.equal((await runMiddleware(null, { authorization: 'Bearer forged-token' })).status, 401);
+
+    const { status, body } = await runMiddleware('reviewer', { 'x-api-key': 'author-key' });
+    assert.equal(status, 403);
+    assert.deepEqual(body.errors, ['This action requires the reviewer role']);
+  });
+
+  test('answers 500 without the details when API_KEYS is malformed', async () => {
+    useApiKeys('broken');
+
+    const { status, body } = await runMiddleware(null, { 'x-api-key': 'broken' });
+    assert.equal(status, 500);
+    assert.deepEqual(body.errors, ['The server could not check the credentials']);
+  });
+});
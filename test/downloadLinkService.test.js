@@ -0,0 +1,116 @@
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const DownloadLinkService = require('../services/downloadLinkService');
+
+/**
+ * The fileName, expires and signature a download request for a signed URL carries
+ */
+function parseLink(url) {
+  const { pathname, searchParams } = new URL(url);
+  return {
+    fileName: decodeURIComponent(pathname.replace('/api/proposals/download/', '')),
+    expires: searchParams.get('expires'),
+    signature: searchParams.get('signature')
+  };
+}
+
+describe('DownloadLinkService.verify', () => {
+  const previousSecret = process.env.DOWNLOAD_LINK_SECRET;
+  const now = Date.parse('2026-10-19T00:00:00Z');
+
+  before(() => {
+    process.env.DOWNLOAD_LINK_SECRET = 'test-secret';
+    mock.method(Date, 'now', () => now);
+  });
+
+  after(() => {
+    if (previousSecret === undefined) {
+      delete process.env.DOWNLOAD_LINK_SECRET;
+    } else {
+      process.env.DOWNLOAD_LINK_SECRET = previousSecret;
+    }
+    mock.restoreAll();
+  });
+
+  test('accepts the links createSignedUrl makes, until they expire', () => {
+    const { url, expiresAt } = DownloadLinkService.createSignedUrl('Acme Pty Ltd_v2.pdf', { expiresIn: 3600, baseUrl: 'https://proposals.example.com' });
+    const { fileName, expires, signature } = parseLink(url);
+
+    assert.equal(fileName, 'Acme Pty Ltd_v2.pdf');
+    assert.equal(expiresAt, '2026-10-19T01:00:00.000Z');
+    assert.deepEqual(DownloadLinkService.verify(fileName, expires, signature), { valid: true });
+
+    // Still valid in its last second, expired the second after
+    Date.now.mock.mockImplementation(() => now + 3600 * 1000);
+    assert.deepEqual(DownloadLinkService.verify(fileName, expires, signature), { valid: true });
+    Date.now.mock.mockImplementation(() => now + 3601 * 1000);
+    assert.deepEqual(DownloadLinkService.verify(fileName, expires, signature), { valid: false, reason: 'Download link has expired' });
+    Date.now.mock.mockImplementation(() => now);
+  });
+
+  test('rejects links whose file, expiry or signature was changed', () => {
+    const { fileName, expires, signature } = parseLink(DownloadLinkService.createSignedUrl('Acme_v1.pdf').url);
+    const invalid = { valid: false, reason: 'Download link signature is invalid' };
+
+    assert.deepEqual(DownloadLinkService.verify('Acme_v2.pdf', expires, signature), invalid);
+    assert.deepEqual(DownloadLinkService.verify(fileName, String(Number(expires) + 86400), signature), invalid);
+    assert.deepEqual(DownloadLinkService.verify(fileName, expires, `${signature.slice(0, -1)}${signature.endsWith('0') ? '1' : '0'}`), invalid);
+    assert.deepEqual(DownloadLinkService.verify(fileName, expires, signature.slice(0, 32)), invalid);
+    assert.deepEqual(DownloadLinkService.verify(fileName, expires, 'not hex'), invalid);
+  });
+
+  test('rejects links signed with another secret', () => {
+    const { fileName, expires, signature } = parseLink(DownloadLinkService.createSignedUrl('Acme_v1.pdf').url);
+
+    process.env.DOWNLOAD_LINK_SECRET = 'rotated-secret';
+    try {
+      assert.deepEqual(DownloadLinkService.verify(fileName, expires, signature), { valid: false, reason: 'Download link signature is invalid' });
+    } finally {
+      process.env.DOWNLOAD_LINK_SECRET = 'test-secret';
+    }
+  });
+
+  test('rejects links missing their signature or with a malformed expiry', () => {
+    const { fileName, signature } = parseLink(DownloadLinkService.createSignedUrl('Acme_v1.pdf').url);
+
+    assert.deepEqual(DownloadLinkService.verify(fileName, undefined, signature), { valid: false, reason: 'Download link is missing its signature' });
+    assert.deepEqual(DownloadLinkService.verify(fileName, '1760832000', ''), { valid: false, reason: 'Download link is missing its signature' });
+    assert.deepEqual(DownloadLinkService.verify(fileName, 'tomorrow', signature), { valid: false, reason: 'Download link expiry is invalid' });
+    assert.deepEqual(DownloadLinkService.verify(fileName, '1760832000.5', signature), { valid: false, reason: 'Download link expiry is invalid' });
+  });
+});
+
+describe('DownloadLinkService configuration', () => {
+  test('defaults links to 24 hours, capping DOWNLOAD_LINK_TTL_SECONDS at 30 days', () => {
+    const previousTtl = process.env.DOWNLOAD_LINK_TTL_SECONDS;
+    try {
+      delete process.env.DOWNLOAD_LINK_TTL_SECONDS;
+      assert.equal(DownloadLinkService.getDefaultTtl(), 24 * 60 * 60);
+      process.env.DOWNLOAD_LINK_TTL_SECONDS = '600';
+      assert.equal(DownloadLinkService.getDefaultTtl(), 600);
+      process.env.DOWNLOAD_LINK_TTL_SECONDS = String(365 * 24 * 60 * 60);
+      assert.equal(DownloadLinkService.getDefaultTtl(), 30 * 24 * 60 * 60);
+      process.env.DOWNLOAD_LINK_TTL_SECONDS = '-5';
+      assert.equal(DownloadLinkService.getDefaultTtl(), 24 * 60 * 60);
+    } finally {
+      if (previousTtl === undefined) {
+        delete process.env.DOWNLOAD_LINK_TTL_SECONDS;
+      } else {
+        process.env.DOWNLOAD_LINK_TTL_SECONDS = previousTtl;
+      }
+    }
+  });
+
+  test('refuses to sign without DOWNLOAD_LINK_SECRET', () => {
+    const previousSecret = process.env.DOWNLOAD_LINK_SECRET;
+    delete process.env.DOWNLOAD_LINK_SECRET;
+    try {
+      assert.throws(() => DownloadLinkService.assertConfigured(), /DOWNLOAD_LINK_SECRET is not set/);
+      assert.throws(() => DownloadLinkService.createSignedUrl('Acme_v1.pdf'), /DOWNLOAD_LINK_SECRET is not set/);
+    } finally {
+      if (previousSecret !== undefined) {
+        process.env.DOWNLOAD_LINK_SECRET = previousSecret;
+      }
+    }
+  });
+});
@@ -0,0 +1,173 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FeeScheduleService = require('../services/feeScheduleService');
+const TemplateProcessorService = require('../services/templateProcessorService');
+
+const RATE_CARD = {
+  currency: 'AUD',
+  gstRate: 10,
+  limits: {
+    commissionRate: { min: 0, max: 20 },
+    buyersPremium: { rate: { min: 0, max: 15 }, minimum: { min: 0, max: 1000 } },
+    charges: { detailing: { min: 0, max: 1500 }, storage: { min: 0, max: 500 } }
+  }
+};
+
+/**
+ * Point RATE_CARD_PATH at a rate card written to a temporary directory for the tests in a describe block
+ */
+function useRateCard(rateCard) {
+  let directory;
+  let previousPath;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-card-'));
+    previousPath = process.env.RATE_CARD_PATH;
+    process.env.RATE_CARD_PATH = path.join(directory, 'rateCard.json');
+    fs.writeFileSync(process.env.RATE_CARD_PATH, JSON.stringify(rateCard));
+  });
+
+  after(() => {
+    if (previousPath === undefined) {
+      delete process.env.RATE_CARD_PATH;
+    } else {
+      process.env.RATE_CARD_PATH = previousPath;
+    }
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+}
+
+const amounts = rows => rows.map(row => row.amount);
+
+describe('FeeScheduleService.computeSettlement', () => {
+  useRateCard(RATE_CARD);
+
+  test('adds GST on the buyer\'s premium and on the vendor\'s fees and charges', () => {
+    const settlement = FeeScheduleService.computeSettlement({
+      commissionRate: 10,
+      buyersPremium: { rate: 5 },
+      charges: { detailing: 300, storage: { amount: 50, per: 'week' } }
+    }, 20000);
+
+    assert.equal(settlement.gstRate, 10);
+    assert.deepEqual(amounts(settlement.buyer.rows), [20000, 1000, 100]);
+    assert.equal(settlement.buyer.total, 21100);
+    assert.deepEqual(amounts(settlement.vendor.rows), [20000, -2000, -300, -50, -235]);
+    assert.equal(settlement.vendor.total, 17415);
+    assert.equal(settlement.vendor.rows[3].label, 'Storage (one week)');
+  });
+
+  test('leaves GST out when the schedule turns it off', () => {
+    const settlement = FeeScheduleService.computeSettlement({ commissionRate: 10, buyersPremium: { rate: 5 }, gst: false }, 20000);
+
+    assert.equal(settlement.gstRate, 0);
+    assert.deepEqual(amounts(settlement.buyer.rows), [20000, 1000]);
+    assert.deepEqual(amounts(settlement.vendor.rows), [20000, -2000]);
+  });
+
+  test('charges the buyer\'s premium minimum when the rate comes to less', () => {
+    const settlement = FeeScheduleService.computeSettlement({ buyersPremium: { rate: 2.25, minimum: 275 } }, 10000);
+
+    assert.deepEqual(amounts(settlement.buyer.rows), [10000, 275, 27.5]);
+    assert.match(settlement.buyer.rows[1].label, /2\.25%, minimum \$275/);
+  });
+
+  test('rounds each fee and its GST to the cent', () => {
+    const settlement = FeeScheduleService.computeSettlement({
+      commissionRate: 7.5,
+      buyersPremium: { rate: 2.25 }
+    }, 12345.67);
+
+    // 2.25% of 12345.67 is 277.777575; GST on 277.78 is 27.778
+    assert.deepEqual(amounts(settlement.buyer.rows), [12345.67, 277.78, 27.78]);
+    assert.equal(settlement.buyer.total, 12651.23);
+    // 7.5% of 12345.67 is 925.92525; GST on 925.93 is 92.593
+    assert.deepEqual(amounts(settlement.vendor.rows), [12345.67, -925.93, -92.59]);
+    assert.equal(settlement.vendor.total, 11327.15);
+  });
+
+  test('keeps totals to the cent where the floating point sum is not', () => {
+    const settlement = FeeScheduleService.computeSettlement({ charges: { detailing: 0.1, storage: 0.2 }, gst: false }, 0.3);
+
+    assert.equal(settlement.vendor.total, 0);
+  });
+
+  test('leaves out charges by quotation, included or of no charge', () => {
+    const settlement = FeeScheduleService.computeSettlement({
+      charges: { detailing: 'quote', storage: 'included', transport: 0 }
+    }, 5000);
+
+    assert.deepEqual(amounts(settlement.vendor.rows), [5000]);
+    assert.equal(settlement.vendor.total, 5000);
+  });
+});
+
+describe('FeeScheduleService.validateSchedule', () => {
+  useRateCard(RATE_CARD);
+
+  test('checks amounts against the rate card limits', () => {
+    assert.deepEqual(FeeScheduleService.validateSchedule({ commissionRate: 12, charges: { storage: 100 } }), []);
+    assert.deepEqual(FeeScheduleService.validateSchedule({ commissionRate: 25, charges: { storage: { amount: 600, per: 'week' } } }), [
+      'FeeSchedule commissionRate 25 is above the rate card maximum of 20',
+      'FeeSchedule charges.storage amount 600 is above the rate card maximum of 500'
+    ]);
+  });
+});
+
+describe('FeeScheduleService.loadRateCard', () => {
+  const rateCardPath = () => process.env.RATE_CARD_PATH;
+
+  useRateCard(RATE_CARD);
+
+  test('reads the rate card RATE_CARD_PATH names', () => {
+    assert.deepEqual(FeeScheduleService.loadRateCard(), RATE_CARD);
+  });
+
+  test('rejects rate cards with bad limits, currency or GST rate', () => {
+    fs.writeFileSync(rateCardPath(), JSON.stringify({
+      currency: 'dollars',
+      gstRate: 10,
+      limits: { commissionRate: { min: 0, max: 150 }, charges: { storage: { min: 10, max: 5 }, parking: { min: 0, max: 1 } } }
+    }));
+    // Make sure the rewrite is seen even on file systems with coarse modification times
+    fs.utimesSync(rateCardPath(), new Date(), new Date(Date.now() + 5000));
+
+    assert.throws(() => FeeScheduleService.loadRateCard(), error => {
+      assert.match(error.message, /^Invalid rate card in /);
+      assert.match(error.message, /currency must be a three-letter currency code/);
+      assert.match(error.message, /limits\.commissionRate must be \{ min, max \} with 0 <= min <= max <= 100/);
+      assert.match(error.message, /limits\.charges\.storage must be/);
+      assert.match(error.message, /unknown charge "parking"/);
+      return true;
+    });
+  });
+
+  test('names RATE_CARD_PATH when the rate card is missing', () => {
+    fs.rmSync(rateCardPath());
+
+    assert.throws(() => FeeScheduleService.assertConfigured(), /Rate card not found at .*Set RATE_CARD_PATH/);
+  });
+});
+
+describe('TemplateProcessorService.groupTocEntries with an example settlement', () => {
+  test('keeps the settlement entry under its fee template, including when the template heads the group', () => {
+    const tocData = [
+      { title: 'Our Fee Structure', page: 4, children: [{ title: 'Example Settlement', page: 5 }] },
+      { title: 'Our Fee Structure - Vehicles', page: 6, children: [{ title: 'Example Settlement', page: 7 }] }
+    ];
+
+    assert.deepEqual(TemplateProcessorService.groupTocEntries(tocData, [{ title: 'Our Fee Structure', prefix: 'Our Fee Structure' }]), [
+      {
+        title: 'Our Fee Structure',
+        page: 4,
+        children: [
+          { title: 'Example Settlement', page: 5 },
+          { title: 'Vehicles', page: 6, children: [{ title: 'Example Settlement', page: 7 }] }
+        ]
+      }
+    ]);
+  });
+});
@@ -0,0 +1,132 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const FieldValueService = require('../services/fieldValueService');
+
+describe('FieldValueService.formatValue', () => {
+  test('formats currency in Australian dollars by default', () => {
+    assert.equal(FieldValueService.formatValue({ type: 'currency', value: 1234.5 }), '$1,234.50');
+    assert.equal(FieldValueService.formatValue({ type: 'currency', value: '275', decimals: 0, suffix: ' + GST' }), '$275 + GST');
+    assert.match(FieldValueService.formatValue({ type: 'currency', value: 99, currency: 'USD' }), /^USD\s99\.00$/);
+  });
+
+  test('formats percentage points, dropping trailing zeros unless decimals are given', () => {
+    assert.equal(FieldValueService.formatValue({ type: 'percent', value: 2.25 }), '2.25%');
+    assert.equal(FieldValueService.formatValue({ type: 'percent', value: 10 }), '10%');
+    assert.equal(FieldValueService.formatValue({ type: 'percent', value: 2.25, decimals: 1 }), '2.3%');
+    assert.equal(FieldValueService.formatValue({ type: 'percent', value: 80, prefix: 'Up to ', suffix: ' + GST' }), 'Up to 80% + GST');
+  });
+
+  test('writes text, one line per array item', () => {
+    assert.equal(FieldValueService.formatValue({ type: 'text', value: 42 }), '42');
+    assert.equal(FieldValueService.formatValue({ type: 'text', value: ['Line one', 2] }), 'Line one\n2');
+  });
+
+  test('rejects values that are not numbers, missing text, and types that are not text', () => {
+    assert.throws(() => FieldValueService.formatValue({ type: 'currency', value: '12 dollars' }), /^Error: currency value must be a number$/);
+    assert.throws(() => FieldValueService.formatValue({ type: 'percent', value: '' }), /^Error: percent value must be a number$/);
+    assert.throws(() => FieldValueService.formatValue({ type: 'currency', value: Infinity }), /^Error: currency value must be a number$/);
+    assert.throws(() => FieldValueService.formatValue({ type: 'text' }), /^Error: text value is missing$/);
+    assert.throws(() => FieldValueService.formatValue({ type: 'checkbox', value: true }), /^Error: checkbox values can't be written as text$/);
+  });
+});
+
+describe('FieldValueService.formatDate', () => {
+  test('formats with the named styles', () => {
+    assert.equal(FieldValueService.formatDate('2026-10-19'), '19 October 2026');
+    assert.equal(FieldValueService.formatDate('2026-10-19', 'short'), '19/10/2026');
+    assert.equal(FieldValueService.formatDate('2026-10-19', 'medium'), '19 Oct 2026');
+    assert.equal(FieldValueService.formatDate('2026-10-19', 'full'), 'Monday 19 October 2026');
+  });
+
+  test('fills pattern tokens, longest first', () => {
+    assert.equal(FieldValueService.formatDate('2026-03-05', 'DD/MM/YYYY'), '05/03/2026');
+    assert.equal(FieldValueService.formatDate('2026-03-05', 'D/M/YY'), '5/3/26');
+    assert.equal(FieldValueService.formatDate('2026-10-19', 'dddd, D MMMM YYYY'), 'Monday, 19 October 2026');
+    assert.equal(FieldValueService.formatDate('2026-10-19', 'ddd D MMM'), 'Mon 19 Oct');
+  });
+
+  test('writes bracketed text as-is, and rejects words that would be read as tokens', () => {
+    assert.equal(FieldValueService.formatDate('2026-10-19', '[Due] DD/MM'), 'Due 19/10');
+    assert.equal(FieldValueService.formatDate('2026-10-19', 'D MMMM[, Monday] YYYY'), '19 October, Monday 2026');
+    assert.equal(FieldValueService.formatDate('2026-10-19', '[]DD[]'), '19');
+    assert.throws(() => FieldValueService.formatDate('2026-10-19', 'Due DD/MM'), /^Error: date format "Due DD\/MM" has "Due", which isn't a date token\. Put literal text in square brackets/);
+    assert.throws(() => FieldValueService.formatDate('2026-10-19', '[Due DD/MM'), /has "Due"/);
+    assert.throws(() => FieldValueService.formatDate('2026-10-19', '[Due]'), /^Error: unknown date format "\[Due\]"/);
+  });
+
+  test('keeps a date-only value on its calendar day, and takes timestamps and Dates', () => {
+    assert.equal(FieldValueService.formatDate('2026-01-01', 'DD/MM/YYYY'), '01/01/2026');
+    assert.equal(FieldValueService.formatDate(new Date(2026, 9, 19, 23, 30), 'DD/MM/YYYY'), '19/10/2026');
+    assert.equal(FieldValueService.formatDate(new Date(2026, 9, 19).getTime(), 'DD/MM/YYYY'), '19/10/2026');
+  });
+
+  test('rejects invalid dates and formats without tokens', () => {
+    assert.throws(() => FieldValueService.formatDate('next Tuesday'), /^Error: date value "next Tuesday" is not a valid date$/);
+    assert.throws(() => FieldValueService.formatDate(null), /is not a valid date/);
+    assert.throws(() => FieldValueService.formatDate('2026-10-19', 'tomorrow'), /^Error: unknown date format "tomorrow"/);
+    assert.throws(() => FieldValueService.formatDate('2026-10-19', 5), /unknown date format "5"/);
+  });
+});
+
+describe('FieldValueService.validateFieldValues', () => {
+  const fields = [
+    { name: 'Fee', type: 'text', maxLength: 8 },
+    { name: 'Notes', type: 'text', maxLength: null },
+    { name: 'Agree', type: 'checkbox' },
+    { name: 'State', type: 'dropdown', options: ['QLD', 'NSW'] },
+    { name: 'Areas', type: 'option_list', options: ['North', 'South'] },
+    { name: 'Method', type: 'radio', options: ['Auction', 'Tender'] },
+    { name: 'Logo', type: 'button', imageSlot: true }
+  ];
+
+  test('accepts values that suit their fields', () => {
+    assert.deepEqual(FieldValueService.validateFieldValues({
+      Fee: { type: 'currency', value: 275 },
+      Notes: { type: 'date', value: '2026-10-19', format: 'full', fontSize: 9, autoShrink: true },
+      Agree: true,
+      State: 'QLD',
+      Areas: ['North', 'South'],
+      Method: { type: 'choice', value: 'Tender' }
+    }, fields, 'Template[0]'), []);
+  });
+
+  test('reports unknown fields, image slots and unknown types', () => {
+    assert.deepEqual(FieldValueService.validateFieldValues({
+      Missing: 'x',
+      Logo: 'logo.png',
+      Notes: { type: 'money', value: 5 }
+    }, fields, 'Template[1]'), [
+      'Template[1] field "Missing" does not exist in the template',
+      'Template[1] field "Logo" is an image slot and can\'t take a field value',
+      'Template[1] field "Notes" has unknown value type "money". Use one of: text, currency, percent, date, checkbox, choice'
+    ]);
+  });
+
+  test('reports values that don\'t format, overflow the field or don\'t match its type', () => {
+    assert.deepEqual(FieldValueService.validateFieldValues({
+      Fee: { type: 'currency', value: 123456 },
+      Notes: { type: 'date', value: 'soon', fontSize: 0 },
+      Agree: { type: 'checkbox', value: 'yes' },
+      State: { type: 'currency', value: 5 }
+    }, fields, 'Template[2]'), [
+      'Template[2] field "Fee" value "$123,456.00" is longer than the field\'s 8 character limit',
+      'Template[2] field "Notes" date value "soon" is not a valid date',
+      'Template[2] field "Agree" checkbox value must be true or false',
+      'Template[2] field "State" is a dropdown field and can\'t take a currency value'
+    ]);
+  });
+
+  test('checks choices against the field\'s options', () => {
+    assert.deepEqual(FieldValueService.validateFieldValues({
+      State: 'VIC',
+      Areas: [],
+      Method: ['Auction', 'Tender'],
+      Agree: 'QLD'
+    }, fields, 'Template[3]'), [
+      'Template[3] field "State" has no option "VIC". Options: QLD, NSW',
+      'Template[3] field "Areas" choice value must be a string or an array of strings',
+      'Template[3] field "Method" radio groups take a single choice',
+      'Template[3] field "Agree" is a checkbox field and can\'t take a text value'
+    ]);
+  });
+});
@@ -0,0 +1,56 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+const HeaderFooterService = require('../services/headerFooterService');
+const ValidationUtils = require('../utils/validationUtils');
+
+const config = {
+  Company: 'Zoë & Müller Pty Ltd',
+  Templates: [{ name: 'Über uns', fileName: 'about.pdf' }, { name: 'Our Fee Structure', fileName: 'fees.pdf' }],
+  TocGroups: [{ title: 'Café Services', prefix: 'Our ' }]
+};
+
+describe('ValidationUtils.validateHeaderFooter', () => {
+  test('accepts slot text the font can draw with {company} and every {section} filled in', async () => {
+    const headerFooter = { header: { left: '{company}', right: '{section}' }, footer: { center: 'Page {page} of {total} · {date}' } };
+
+    assert.deepEqual(ValidationUtils.validateHeaderFooter(headerFooter, config), []);
+
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.addPage();
+    await HeaderFooterService.applyHeadersFooters(pdfDoc, {
+      contentStartIndex: 0,
+      tocData: [{ title: 'Café Services', page: 1 }],
+      style: headerFooter,
+      values: { company: config.Company, version: 'v1' }
+    });
+  });
+
+  test('reports the company and section titles the font can\'t draw, naming where they come from', () => {
+    const errors = ValidationUtils.validateHeaderFooter({
+      footer: { left: '{company}', right: '{section}' },
+      sections: { 'Café Services': { header: { center: 'Kraków ✓' } } }
+    }, {
+      ...config,
+      Company: 'Łódź Pty Ltd',
+      TocGroups: [{ title: 'Usługi', prefix: 'Our ' }]
+    });
+
+    assert.deepEqual(errors, [
+      "HeaderFooter footer left has characters the Helvetica font can't show in {company}: Ł ź",
+      'HeaderFooter footer right has characters the Helvetica font can\'t show in {section} "Usługi": ł',
+      'HeaderFooter sections["Café Services"] header center has characters the Helvetica font can\'t show: ✓'
+    ]);
+  });
+
+  test('checks the text against the chosen font, tokens filled in', () => {
+    assert.deepEqual(ValidationUtils.validateHeaderFooter({ font: 'ZapfDingbats', footer: { center: '{page}' } }, config), [
+      "HeaderFooter footer center has characters the ZapfDingbats font can't show: 1"
+    ]);
+    assert.deepEqual(ValidationUtils.validateHeaderFooter({ font: 'Courier', footer: { center: '{section}' } }, config), []);
+  });
+
+  test('only checks {company} and {section} in slots that use them', () => {
+    assert.deepEqual(ValidationUtils.validateHeaderFooter({ footer: { center: 'Page {page}' } }, { ...config, Company: 'Łódź' }), []);
+  });
+});
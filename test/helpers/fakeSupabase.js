@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const path = require('path');
+
+/**
+ * In-memory stand-in for the Supabase client, covering the query builder calls the services make
+ * install() puts it in place of config/supabase, so require it before the services under test
+ * users maps access tokens to the Supabase Auth users auth.getUser returns for them
+ */
+function createFakeSupabase() {
+  const tables = {};
+  const users = {};
+
+  const from = table => {
+    const rows = tables[table] = tables[table] || [];
+    const filters = [];
+    let operation = 'select';
+    let values = null;
+    let order = null;
+    let limit = null;
+    let mode = 'many';
+
+    const builder = {
+      select() { return builder; },
+      insert(row) { operation = 'insert'; values = row; return builder; },
+      update(fields) { operation = 'update'; values = fields; return builder; },
+      delete() { operation = 'delete'; return builder; },
+      eq(column, value) { filters.push(row => row[column] === value); return builder; },
+      in(column, list) { filters.push(row => list.includes(row[column])); return builder; },
+      lt(column, value) { filters.push(row => row[column] !== null && row[column] !== undefined && row[column] < value); return builder; },
+      order(column, { ascending = true } = {}) { order = { column, ascending }; return builder; },
+      limit(count) { limit = count; return builder; },
+      single() { mode = 'single'; return builder; },
+      maybeSingle() { mode = 'maybeSingle'; return builder; },
+      then(resolve, reject) {
+        return Promise.resolve(run()).then(resolve, reject);
+      }
+    };
+
+    const run = () => {
+      let result;
+      if (operation === 'insert') {
+        const row = { id: crypto.randomUUID(), ...values };
+        rows.push(row);
+        result = [row];
+      } else {
+        result = rows.filter(row => filters.every(filter => filter(row)));
+        if (operation === 'update') {
+          result.forEach(row => Object.assign(row, values));
+        }
+        if (operation === 'delete') {
+          result.forEach(row => rows.splice(rows.indexOf(row), 1));
+        }
+      }
+
+      if (order) {
+        const direction = order.ascending ? 1 : -1;
+        result = [...result].sort((a, b) => (a[order.column] > b[order.column] ? 1 : -1) * direction);
+      }
+      if (limit !== null) {
+        result = result.slice(0, limit);
+      }
+
+      const data = JSON.parse(JSON.stringify(result));
+      if (mode === 'single') {
+        return data.length === 1 ? { data: data[0], error: null } : { data: null, error: { message: 'expected one row' } };
+      }
+      if (mode === 'maybeSingle') {
+        return { data: data[0] || null, error: null };
+      }
+      return { data, error: null };
+    };
+
+    return builder;
+  };
+
+  const auth = {
+    async getUser(token) {
+      return users[token]
+        ? { data: { user: users[token] }, error: null }
+        : { data: { user: null }, error: { message: 'invalid JWT' } };
+    }
+  };
+
+  return { tables, users, from, auth, rpc: async () => ({ data: null, error: { message: 'rpc is not faked' } }) };
+}
+
+function install() {
+  const fake = createFakeSupabase();
+  const modulePath = path.join(__dirname, '..', '..', 'config', 'supabase.js');
+  require.cache[modulePath] = { id: modulePath, filename: modulePath, loaded: true, exports: fake };
+  return fake;
+}
+
+module.exports = { createFakeSupabase, install };
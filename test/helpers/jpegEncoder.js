@@ -0,0 +1,205 @@
+/**
+ * Minimal JPEG writer for tests: every 8x8 block is a flat colour, so only DC coefficients are coded
+ * Writes baseline or progressive JPEGs (with DC successive approximation), restart markers, chroma subsampling
+ * on the first component, and the Adobe marker that sets the colour transform of 3- and 4-component images
+ *
+ * Samples are what a decoder outputs before any colour transform: the caller converts to YCbCr itself
+ */
+
+// One quantiser for every coefficient; 8 makes a block's DC coefficient exactly its level-shifted sample, odd ones included
+const QUANTISER = 8;
+
+// DC sizes 0-11 as 4-bit codes; the AC table only has end-of-block (EOB, or EOB0 in progressive AC scans)
+const DC_TABLE = { lengths: { 4: 12 }, values: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] };
+const AC_TABLE = { lengths: { 1: 1 }, values: [0x00] };
+
+/**
+ * Canonical Huffman codes for a table: symbol -> { code, length }
+ */
+function huffmanCodes({ lengths, values }) {
+  const codes = new Map();
+  let code = 0;
+  let index = 0;
+  for (let length = 1; length <= 16; length++) {
+    for (let i = 0; i < (lengths[length] || 0); i++) {
+      codes.set(values[index++], { code: code++, length });
+    }
+    code <<= 1;
+  }
+  return codes;
+}
+
+function createBitWriter() {
+  const bytes = [];
+  let buffer = 0;
+  let count = 0;
+
+  const writeBits = (value, length) => {
+    for (let bit = length - 1; bit >= 0; bit--) {
+      buffer = (buffer << 1) | ((value >> bit) & 1);
+      if (++count === 8) {
+        bytes.push(buffer);
+        if (buffer === 0xFF) {
+          bytes.push(0x00); // Byte stuffing
+        }
+        buffer = 0;
+        count = 0;
+      }
+    }
+  };
+
+  return {
+    writeBits,
+    // Pad the last byte with 1 bits, as before a marker
+    flush() {
+      if (count > 0) {
+        writeBits(0xFF, 8 - count);
+      }
+      return bytes.splice(0);
+    }
+  };
+}
+
+function segment(marker, data) {
+  const length = data.length + 2;
+  return [0xFF, marker, length >> 8, length & 0xFF, ...data];
+}
+
+function huffmanSegment(tableClass, tableId, table) {
+  const counts = Array.from({ length: 16 }, (_, i) => table.lengths[i + 1] || 0);
+  return segment(0xC4, [(tableClass << 4) | tableId, ...counts, ...table.values]);
+}
+
+/**
+ * Write a JPEG
+ * @param {Object} options
+ * @param {number} options.width - Multiple of 8 times the first component's sampling factors
+ * @param {number} options.height
+ * @param {number} options.components - 1, 3 or 4
+ * @param {Function} options.sample - (component, blockX, blockY) -> sample 0-255 of that block of that component
+ * @param {Array<number>} [options.sampling] - [h, v] of the first component; the others are 1x1
+ * @param {boolean} [options.progressive] - DC first scan at half precision, DC refinement, then AC scans
+ * @param {number} [options.restartInterval] - MCUs (or blocks, in single-component scans) between RST markers
+ * @param {number} [options.adobeTransform] - Write an Adobe APP14 marker with this transform (0, 1 or 2)
+ * @param {number} [options.frameMarker] - Override the SOF marker, e.g. 0xC3 for a lossless frame header
+ * @param {number} [options.precision] - Sample precision written in the frame header (8 unless testing 12)
+ * @returns {Buffer}
+ */
+function encodeJpeg({
+  width,
+  height,
+  components,
+  sample,
+  sampling = [1, 1],
+  progressive = false,
+  restartInterval = 0,
+  adobeTransform = null,
+  frameMarker = null,
+  precision = 8
+}) {
+  const [maxH, maxV] = sampling;
+  const mcusPerLine = Math.ceil(width / (8 * maxH));
+  const mcusPerColumn = Math.ceil(height / (8 * maxV));
+  const frameComponents = Array.from({ length: components }, (_, c) => ({
+    id: c + 1,
+    h: c === 0 ? maxH : 1,
+    v: c === 0 ? maxV : 1
+  }));
+
+  const dc = (c, blockX, blockY) => Math.round((8 * (sample(c, blockX, blockY) - 128)) / QUANTISER);
+  const dcCodes = huffmanCodes(DC_TABLE);
+  const acCodes = huffmanCodes(AC_TABLE);
+
+  const bytes = [0xFF, 0xD8];
+  if (adobeTransform !== null) {
+    bytes.push(...segment(0xEE, [...Buffer.from('Adobe'), 0, 100, 0, 0, 0, 0, adobeTransform]));
+  }
+  bytes.push(...segment(0xDB, [0, ...new Array(64).fill(QUANTISER)]));
+  bytes.push(...segment(frameMarker || (progressive ? 0xC2 : 0xC0), [
+    precision, height >> 8, height & 0xFF, width >> 8, width & 0xFF, components,
+    ...frameComponents.flatMap(component => [component.id, (component.h << 4) | component.v, 0])
+  ]));
+  bytes.push(...huffmanSegment(0, 0, DC_TABLE), ...huffmanSegment(1, 0, AC_TABLE));
+  if (restartInterval) {
+    bytes.push(...segment(0xDD, [restartInterval >> 8, restartInterval & 0xFF]));
+  }
+
+  /**
+   * Write one scan over every MCU of the given components, calling codeBlock for each block in order
+   */
+  const writeScan = (scanComponents, spectral, approximation, codeBlock) => {
+    bytes.push(...segment(0xDA, [
+      scanComponents.length,
+      ...scanComponents.flatMap(component => [component.id, 0x00]),
+      ...spectral,
+      approximation
+    ]));
+
+    const writer = createBitWriter();
+    const single = scanComponents.length === 1;
+    const units = single
+      ? Math.ceil((width * scanComponents[0].h) / maxH / 8) * Math.ceil((height * scanComponents[0].v) / maxV / 8)
+      : mcusPerLine * mcusPerColumn;
+    const unitsPerLine = single ? Math.ceil((width * scanComponents[0].h) / maxH / 8) : mcusPerLine;
+    let restarts = 0;
+    const predictions = new Map();
+
+    for (let unit = 0; unit < units; unit++) {
+      if (restartInterval && unit > 0 && unit % restartInterval === 0) {
+        bytes.push(...writer.flush(), 0xFF, 0xD0 + (restarts++ % 8));
+        predictions.clear();
+      }
+
+      const unitX = unit % unitsPerLine;
+      const unitY = Math.floor(unit / unitsPerLine);
+      for (const component of scanComponents) {
+        const blocksH = single ? 1 : component.h;
+        const blocksV = single ? 1 : component.v;
+        for (let v = 0; v < blocksV; v++) {
+          for (let h = 0; h < blocksH; h++) {
+            const blockX = unitX * blocksH + h;
+            const blockY = unitY * blocksV + v;
+            codeBlock(writer, component, dc(component.id - 1, blockX, blockY), predictions);
+          }
+        }
+      }
+    }
+    bytes.push(...writer.flush());
+  };
+
+  const writeDc = (writer, component, value, predictions) => {
+    const diff = value - (predictions.get(component.id) || 0);
+    predictions.set(component.id, value);
+
+    const size = diff === 0 ? 0 : Math.floor(Math.log2(Math.abs(diff))) + 1;
+    const { code, length } = dcCodes.get(size);
+    writer.writeBits(code, length);
+    writer.writeBits(diff < 0 ? diff + (1 << size) - 1 : diff, size);
+  };
+
+  const writeEob = writer => {
+    const { code, length } = acCodes.get(0x00);
+    writer.writeBits(code, length);
+  };
+
+  if (!progressive) {
+    writeScan(frameComponents, [0, 63], 0, (writer, component, value, predictions) => {
+      writeDc(writer, component, value, predictions);
+      writeEob(writer);
+    });
+  } else {
+    // DC at half precision (arithmetic shift, as the point transform), its low bit, then empty AC bands
+    writeScan(frameComponents, [0, 0], 0x01, (writer, component, value, predictions) => {
+      writeDc(writer, component, value >> 1, predictions);
+    });
+    writeScan(frameComponents, [0, 0], 0x10, (writer, component, value) => writer.writeBits(value & 1, 1));
+    for (const component of frameComponents) {
+      writeScan([component], [1, 63], 0, writer => writeEob(writer));
+    }
+  }
+
+  bytes.push(0xFF, 0xD9);
+  return Buffer.from(bytes);
+}
+
+module.exports = { encodeJpeg };
@@ -0,0 +1,306 @@
+const { test, describe, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { PDFDocument, PDFName, PDFRawStream } = require('pdf-lib');
+const ImageDownsampleService = require('../services/imageDownsampleService');
+const { encodeJpeg } = require('./helpers/jpegEncoder');
+
+// Keep the skipped-image warnings out of the test report
+['log', 'warn'].forEach(method => mock.method(console, method, () => {}));
+
+/**
+ * Check each value is within tolerance of the expected one (colour conversions round)
+ */
+function assertNear(actual, expected, tolerance = 1) {
+  assert.equal(actual.length, expected.length);
+  expected.forEach((value, index) => {
+    assert.ok(Math.abs(actual[index] - value) <= tolerance, `value ${index} is ${actual[index]}, expected ${value}`);
+  });
+}
+
+/**
+ * Add an image XObject to a document
+ * @returns {PDFRef}
+ */
+function addImage(pdfDoc, contents, entries) {
+  const { context } = pdfDoc;
+  const dict = context.obj({ Type: 'XObject', Subtype: 'Image', BitsPerComponent: 8, ...entries });
+  return context.register(PDFRawStream.of(dict, contents));
+}
+
+/**
+ * An image stream's dictionary entries and inflated pixels after downsampling
+ */
+function readImage(pdfDoc, ref) {
+  const stream = pdfDoc.context.lookup(ref);
+  const entry = key => stream.dict.get(PDFName.of(key));
+  return {
+    width: entry('Width').asNumber(),
+    height: entry('Height').asNumber(),
+    filter: entry('Filter'),
+    decodeParms: entry('DecodeParms'),
+    colorSpace: entry('ColorSpace'),
+    sMask: entry('SMask'),
+    pixels: entry('Filter') === PDFName.of('FlateDecode') ? [...zlib.inflateSync(stream.contents)] : null
+  };
+}
+
+/**
+ * Apply a PNG filter to each row of raw pixels, the row's filter type first
+ */
+function pngFilter(pixels, width, height, components, typeOfRow) {
+  const rowBytes = width * components;
+  const out = [];
+  for (let y = 0; y < height; y++) {
+    const type = typeOfRow(y);
+    out.push(type);
+    for (let x = 0; x < rowBytes; x++) {
+      const at = y * rowBytes + x;
+      const left = x >= components ? pixels[at - components] : 0;
+      const up = y > 0 ? pixels[at - rowBytes] : 0;
+      const upLeft = y > 0 && x >= components ? pixels[at - rowBytes - components] : 0;
+      const predicted = [0, left, up, (left + up) >> 1, ImageDownsampleService._paeth(left, up, upLeft)][type];
+      out.push((pixels[at] - predicted + 256) & 0xFF);
+    }
+  }
+  return Buffer.from(out);
+}
+
+// Block samples with negative and odd DC coefficients, to exercise the sign handling and DC refinement
+const graySample = (c, x, y) => [20, 127, 128, 255, 3, 200, 90, 161][(x + y * 4) % 8];
+
+describe('ImageDownsampleService._decodeJpegDc', () => {
+  test('reads a baseline greyscale JPEG at 1/8 scale, one pixel per block', () => {
+    const jpeg = encodeJpeg({ width: 32, height: 16, components: 1, sample: graySample });
+
+    const image = ImageDownsampleService._decodeJpegDc(jpeg);
+
+    assert.deepEqual({ width: image.width, height: image.height, components: image.components }, { width: 4, height: 2, components: 1 });
+    assert.deepEqual([...image.pixels], [20, 127, 128, 255, 3, 200, 90, 161]);
+  });
+
+  test('converts YCbCr to RGB, as a DCTDecode filter does for 3-component JPEGs', () => {
+    // Grey, then red (Y 76, Cb 85, Cr 255)
+    const ycbcr = [[128, 128, 128], [76, 85, 255]];
+    const jpeg = encodeJpeg({ width: 16, height: 8, components: 3, sample: (c, x) => ycbcr[x][c] });
+
+    const image = ImageDownsampleService._decodeJpegDc(jpeg);
+
+    assertNear([...image.pixels], [128, 128, 128, 254, 0, 0]);
+  });
+
+  test('follows the Adobe marker and the stream\'s ColorTransform over the default', () => {
+    const samples = [[76, 85, 255]];
+    const sample = (c, x) => samples[x][c];
+
+    const adobeUntransformed = encodeJpeg({ width: 8, height: 8, components: 3, sample, adobeTransform: 0 });
+    assert.deepEqual([...ImageDownsampleService._decodeJpegDc(adobeUntransformed).pixels], [76, 85, 255]);
+
+    const defaultTransform = encodeJpeg({ width: 8, height: 8, components: 3, sample });
+    assert.deepEqual([...ImageDownsampleService._decodeJpegDc(defaultTransform, 0).pixels], [76, 85, 255]);
+  });
+
+  test('reads CMYK JPEGs as they are, and converts YCCK ones to CMYK', () => {
+    const cmyk = encodeJpeg({ width: 8, height: 8, components: 4, sample: c => [10, 120, 200, 40][c], adobeTransform: 0 });
+    assert.deepEqual([...ImageDownsampleService._decodeJpegDc(cmyk).pixels], [10, 120, 200, 40]);
+
+    // YCbCr of red is CMY 1, 255, 255; K is not transformed
+    const ycck = encodeJpeg({ width: 8, height: 8, components: 4, sample: c => [76, 85, 255, 40][c], adobeTransform: 2 });
+    assertNear([...ImageDownsampleService._decodeJpegDc(ycck).pixels], [1, 255, 255, 40]);
+  });
+
+  test('maps subsampled chroma blocks over the luma blocks they cover', () => {
+    // 4:2:0: each 16x16 MCU has four luma blocks and one Cb and Cr block
+    const jpeg = encodeJpeg({
+      width: 32,
+      height: 16,
+      components: 3,
+      sampling: [2, 2],
+      adobeTransform: 0,
+      sample: (c, x, y) => (c === 0 ? 10 * (x + 4 * y) + 50 : c === 1 ? 100 + 50 * x : 200)
+    });
+
+    const image = ImageDownsampleService._decodeJpegDc(jpeg);
+
+    assert.equal(image.width, 4);
+    assert.equal(image.height, 2);
+    assert.deepEqual([...image.pixels], [
+      50, 100, 200, 60, 100, 200, 70, 150, 200, 80, 150, 200,
+      90, 100, 200, 100, 100, 200, 110, 150, 200, 120, 150, 200
+    ]);
+  });
+
+  test('reads progressive JPEGs, including DC successive approximation, as baseline ones', () => {
+    const baseline = encodeJpeg({ width: 32, height: 16, components: 1, sample: graySample });
+    const progressive = encodeJpeg({ width: 32, height: 16, components: 1, sample: graySample, progressive: true });
+
+    assert.deepEqual(
+      [...ImageDownsampleService._decodeJpegDc(progressive).pixels],
+      [...ImageDownsampleService._decodeJpegDc(baseline).pixels]
+    );
+
+    const colour = { width: 32, height: 32, components: 3, sampling: [2, 2], sample: (c, x, y) => graySample(c, x + c, y) };
+    assert.deepEqual(
+      [...ImageDownsampleService._decodeJpegDc(encodeJpeg({ ...colour, progressive: true })).pixels],
+      [...ImageDownsampleService._decodeJpegDc(encodeJpeg(colour)).pixels]
+    );
+  });
+
+  test('resets the DC predictions at restart markers', () => {
+    const options = { width: 32, height: 16, components: 3, sample: (c, x, y) => graySample(c, x + c, y) };
+    const expected = [...ImageDownsampleService._decodeJpegDc(encodeJpeg(options)).pixels];
+
+    for (const restartInterval of [1, 3]) {
+      for (const progressive of [false, true]) {
+        const jpeg = encodeJpeg({ ...options, restartInterval, progressive });
+        assert.deepEqual([...ImageDownsampleService._decodeJpegDc(jpeg).pixels], expected, `interval ${restartInterval}, progressive ${progressive}`);
+      }
+    }
+  });
+
+  test('returns null for lossless and 12-bit JPEGs, and throws on data that is not a JPEG', () => {
+    const options = { width: 8, height: 8, components: 1, sample: () => 128 };
+
+    assert.equal(ImageDownsampleService._decodeJpegDc(encodeJpeg({ ...options, frameMarker: 0xC3 })), null);
+    assert.equal(ImageDownsampleService._decodeJpegDc(encodeJpeg({ ...options, precision: 12 })), null);
+    assert.throws(() => ImageDownsampleService._decodeJpegDc(Buffer.from('not a jpeg')), /Not a JPEG image/);
+  });
+
+  test('reads a JPEG from the asset library', async () => {
+    const bytes = fs.readFileSync(path.join(__dirname, '..', 'Templates', 'Member Association', 'AVAA.jpg'));
+    const { width, height } = await (await PDFDocument.create()).embedJpg(bytes);
+
+    const image = ImageDownsampleService._decodeJpegDc(bytes);
+
+    assert.equal(image.width, Math.ceil(width / 8));
+    assert.equal(image.height, Math.ceil(height / 8));
+    assert.ok(new Set(image.pixels).size > 1, 'the image is not flat');
+  });
+});
+
+describe('ImageDownsampleService._inflate', () => {
+  const width = 5;
+  const height = 6;
+  const components = 3;
+  const pixels = Uint8Array.from({ length: width * height * components }, (_, i) => (i * 37 + (i % 7) * 11) & 0xFF);
+
+  test('undoes each PNG predictor, and a different one on every row', async () => {
+    const { context } = await PDFDocument.create();
+    const decodeParms = context.obj({ Predictor: 15, Colors: components, Columns: width });
+
+    for (const [name, typeOfRow] of [
+      ['None', () => 0], ['Sub', () => 1], ['Up', () => 2], ['Average', () => 3], ['Paeth', () => 4], ['mixed', y => y % 5]
+    ]) {
+      const contents = zlib.deflateSync(pngFilter(pixels, width, height, components, typeOfRow));
+      assert.deepEqual([...ImageDownsampleService._inflate(contents, decodeParms, width, height, components, context)], [...pixels], name);
+    }
+  });
+
+  test('reads unpredicted data, and returns null for TIFF predictors, unknown filter types and short data', async () => {
+    const { context } = await PDFDocument.create();
+    const contents = zlib.deflateSync(pixels);
+
+    assert.deepEqual([...ImageDownsampleService._inflate(contents, null, width, height, components, context)], [...pixels]);
+    assert.equal(ImageDownsampleService._inflate(contents, context.obj({ Predictor: 2 }), width, height, components, context), null);
+
+    const badType = zlib.deflateSync(pngFilter(pixels, width, height, components, () => 5));
+    assert.equal(ImageDownsampleService._inflate(badType, context.obj({ Predictor: 15 }), width, height, components, context), null);
+    assert.equal(ImageDownsampleService._inflate(contents, null, width, height + 1, components, context), null);
+  });
+});
+
+describe('ImageDownsampleService.downsampleImages', () => {
+  test('averages Flate images down to the maximum dimension and stores them unpredicted', async () => {
+    const pdfDoc = await PDFDocument.create();
+    // Columns alternate black and light grey, so each output pixel averages one of each
+    const width = 32;
+    const height = 8;
+    const pixels = Buffer.from(Array.from({ length: width * height }, (_, i) => (i % 2 ? 200 : 0)));
+    const ref = addImage(pdfDoc, zlib.deflateSync(pngFilter(pixels, width, height, 1, y => y % 5)), {
+      Width: width,
+      Height: height,
+      ColorSpace: 'DeviceGray',
+      Filter: 'FlateDecode',
+      DecodeParms: { Predictor: 15, Columns: width }
+    });
+
+    const summary = ImageDownsampleService.downsampleImages(pdfDoc, 16);
+
+    assert.equal(summary.downsampled, 1);
+    const image = readImage(pdfDoc, ref);
+    assert.deepEqual([image.width, image.height, image.decodeParms], [16, 4, undefined]);
+    assert.deepEqual(image.pixels, new Array(16 * 4).fill(100));
+  });
+
+  test('picks pixels of indexed images rather than averaging palette indexes, keeping the palette', async () => {
+    const pdfDoc = await PDFDocument.create();
+    const indexes = Buffer.from(Array.from({ length: 32 * 4 }, (_, i) => i % 2));
+    const palette = pdfDoc.context.obj(['Indexed', 'DeviceRGB', 1, pdfDoc.context.obj([])]);
+    const ref = addImage(pdfDoc, zlib.deflateSync(indexes), { Width: 32, Height: 4, ColorSpace: palette, Filter: 'FlateDecode' });
+
+    ImageDownsampleService.downsampleImages(pdfDoc, 16);
+
+    const image = readImage(pdfDoc, ref);
+    assert.deepEqual([image.width, image.height], [16, 2]);
+    assert.deepEqual(image.pixels, new Array(16 * 2).fill(0));
+    assert.equal(image.colorSpace, palette);
+  });
+
+  test('downsamples an image\'s soft mask along with it', async () => {
+    const pdfDoc = await PDFDocument.create();
+    const alpha = addImage(pdfDoc, zlib.deflateSync(Buffer.alloc(40 * 20, 255)), { Width: 40, Height: 20, ColorSpace: 'DeviceGray', Filter: 'FlateDecode' });
+    const ref = addImage(pdfDoc, zlib.deflateSync(Buffer.alloc(40 * 20 * 3, 60)), {
+      Width: 40, Height: 20, ColorSpace: 'DeviceRGB', Filter: 'FlateDecode', SMask: alpha
+    });
+
+    const summary = ImageDownsampleService.downsampleImages(pdfDoc, 10);
+
+    assert.equal(summary.downsampled, 2);
+    const image = readImage(pdfDoc, ref);
+    const mask = readImage(pdfDoc, alpha);
+    assert.equal(image.sMask, alpha);
+    assert.deepEqual([image.width, image.height, mask.width, mask.height], [10, 5, 10, 5]);
+    assert.deepEqual(mask.pixels, new Array(50).fill(255));
+  });
+
+  test('decodes JPEGs at least twice the maximum dimension into Flate images', async () => {
+    const pdfDoc = await PDFDocument.create();
+    const gray = addImage(pdfDoc, encodeJpeg({ width: 32, height: 16, components: 1, sample: graySample }), {
+      Width: 32, Height: 16, ColorSpace: 'DeviceGray', Filter: 'DCTDecode'
+    });
+    const cmyk = addImage(pdfDoc, encodeJpeg({ width: 16, height: 16, components: 4, sample: c => 50 * c, adobeTransform: 0 }), {
+      Width: 16, Height: 16, ColorSpace: 'DeviceCMYK', Filter: 'DCTDecode'
+    });
+
+    const summary = ImageDownsampleService.downsampleImages(pdfDoc, 8);
+
+    assert.equal(summary.downsampled, 2);
+    const grayImage = readImage(pdfDoc, gray);
+    assert.deepEqual([grayImage.width, grayImage.height, grayImage.filter], [4, 2, PDFName.of('FlateDecode')]);
+    assert.deepEqual(grayImage.pixels, [20, 127, 128, 255, 3, 200, 90, 161]);
+    assert.deepEqual(readImage(pdfDoc, cmyk).pixels, [0, 50, 100, 150, 0, 50, 100, 150, 0, 50, 100, 150, 0, 50, 100, 150]);
+  });
+
+  test('leaves small, 1-bit, mask, mislabelled, undecodable and other-filter images alone', async () => {
+    const pdfDoc = await PDFDocument.create();
+    const jpeg = encodeJpeg({ width: 16, height: 16, components: 4, sample: () => 128, adobeTransform: 0 });
+    const refs = [
+      addImage(pdfDoc, zlib.deflateSync(Buffer.alloc(8 * 8)), { Width: 8, Height: 8, ColorSpace: 'DeviceGray', Filter: 'FlateDecode' }),
+      addImage(pdfDoc, zlib.deflateSync(Buffer.alloc(4 * 32)), { Width: 32, Height: 32, ColorSpace: 'DeviceGray', Filter: 'FlateDecode', BitsPerComponent: 1 }),
+      addImage(pdfDoc, zlib.deflateSync(Buffer.alloc(4 * 32)), { Width: 32, Height: 32, ImageMask: true, Filter: 'FlateDecode', BitsPerComponent: 1 }),
+      // A CMYK JPEG labelled RGB, and a JPEG under twice the maximum dimension
+      addImage(pdfDoc, jpeg, { Width: 16, Height: 16, ColorSpace: 'DeviceRGB', Filter: 'DCTDecode' }),
+      addImage(pdfDoc, jpeg, { Width: 16, Height: 16, ColorSpace: 'DeviceCMYK', Filter: 'DCTDecode' }),
+      addImage(pdfDoc, Buffer.from('not a jpeg'), { Width: 32, Height: 32, ColorSpace: 'DeviceRGB', Filter: 'DCTDecode' }),
+      addImage(pdfDoc, Buffer.alloc(32 * 32), { Width: 32, Height: 32, ColorSpace: 'DeviceGray', Filter: 'LZWDecode' })
+    ];
+    const before = refs.map(ref => pdfDoc.context.lookup(ref));
+
+    const summary = ImageDownsampleService.downsampleImages(pdfDoc, 10);
+
+    assert.deepEqual([summary.downsampled, summary.skipped], [0, refs.length]);
+    refs.forEach((ref, index) => assert.equal(pdfDoc.context.lookup(ref), before[index], `image ${index}`));
+  });
+});
@@ -0,0 +1,177 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+const PageNumberMaskService = require('../services/pageNumberMaskService');
+
+/**
+ * Operators and operands of a content stream, without offsets
+ */
+function operations(content) {
+  return PageNumberMaskService._tokenize(content).map(({ op, operands }) => [op, ...operands]);
+}
+
+/**
+ * Record what _walkContent reports for a content stream
+ */
+function walk(content) {
+  const events = { text: [], fills: [], xObjects: [] };
+  PageNumberMaskService._walkContent(content, {
+    onText: ({ op, origin }) => events.text.push({ op, ...origin }),
+    onFill: ({ bounds, fill }) => events.fills.push({ bounds, fill }),
+    onXObject: ({ name, ctm }) => events.xObjects.push({ name, ctm })
+  });
+  return events;
+}
+
+describe('PageNumberMaskService._tokenize', () => {
+  test('splits operators from their operands', () => {
+    assert.deepEqual(operations('BT /F1 12 Tf 1 0 0 1 72 720 Tm ET'), [
+      ['BT'],
+      ['Tf', '/F1', '12'],
+      ['Tm', '1', '0', '0', '1', '72', '720'],
+      ['ET']
+    ]);
+  });
+
+  test('keeps strings with escapes and nested parentheses as one operand', () => {
+    assert.deepEqual(operations('(a \\) b \\( c) Tj (x\\\\) Tj (outer (inner) text) Tj <48656C6C6F> Tj'), [
+      ['Tj', '(a \\) b \\( c)'],
+      ['Tj', '(x\\\\)'],
+      ['Tj', '(outer (inner) text)'],
+      ['Tj', '<48656C6C6F>']
+    ]);
+  });
+
+  test('keeps arrays and dictionaries as one operand', () => {
+    assert.deepEqual(operations('[(Pa) -120 (ge 3\\])] TJ /P <</MCID 0 /Alt (a >> b)>> BDC EMC'), [
+      ['TJ', '[(Pa) -120 (ge 3\\])]'],
+      ['BDC', '/P', '<</MCID 0 /Alt (a >> b)>>'],
+      ['EMC']
+    ]);
+  });
+
+  test("reads the ' and \" text operators", () => {
+    assert.deepEqual(operations("(one) ' 2 1 (two) \""), [
+      ["'", '(one)'],
+      ['"', '2', '1', '(two)']
+    ]);
+  });
+
+  test('skips comments', () => {
+    assert.deepEqual(operations('% a comment with (unbalanced\n0 g % trailing ) comment\r1 0 0 RG'), [
+      ['g', '0'],
+      ['RG', '1', '0', '0']
+    ]);
+  });
+
+  test('skips inline image data, even when it contains EI', () => {
+    const content = 'q BI /W 2 /H 1 /BPC 8 /CS /G ID \x00EI\xffQ\nEI Q 10 10 m';
+
+    assert.deepEqual(operations(content).map(([op]) => op), ['q', 'BI', 'Q', 'm']);
+  });
+
+  test('gives each operation the source offsets of its operands and operator', () => {
+    const content = 'BT  /F1 9 Tf\n(Page 3) Tj ET';
+    const [, tf, tj] = PageNumberMaskService._tokenize(content);
+
+    assert.equal(content.slice(tf.start, tf.end), '/F1 9 Tf');
+    assert.equal(content.slice(tj.start, tj.end), '(Page 3) Tj');
+  });
+});
+
+describe('PageNumberMaskService._walkContent', () => {
+  test('places text by its line start, through Tm, Td, TL, T* and the ctm', () => {
+    const { text } = walk([
+      '1 0 0 1 10 20 cm',
+      'BT 14 TL 1 0 0 1 100 700 Tm (a) Tj',
+      '(b) Tj T* (c) Tj',
+      '0 -10 Td (d) Tj',
+      '5 -20 TD (e) Tj T* (f) Tj ET'
+    ].join('\n'));
+
+    assert.deepEqual(text.map(({ x, y }) => [x, y]), [
+      [110, 720],
+      [110, 720], // Tj does not move the line start
+      [110, 706],
+      [110, 696],
+      [115, 676],
+      [115, 656] // TD sets the leading to 20
+    ]);
+  });
+
+  test("moves to the next line for ' and \"", () => {
+    const { text } = walk("BT 12 TL 1 0 0 1 50 500 Tm (a) ' 1 0 (b) \" ET");
+
+    assert.deepEqual(text, [
+      { op: "'", x: 50, y: 488 },
+      { op: '"', x: 50, y: 476 }
+    ]);
+  });
+
+  test('reports fills with their bounds and colour, restoring the colour on Q', () => {
+    const { fills } = walk('q 0 0 1 rg 2 0 0 2 0 0 cm 10 10 50 20 re f Q 100 100 m 120 100 l 120 140 l f');
+
+    assert.deepEqual(fills, [
+      { bounds: [20, 20, 120, 60], fill: { space: 'rgb', values: [0, 0, 1] } },
+      { bounds: [100, 100, 120, 140], fill: { space: 'gray', values: [0] } }
+    ]);
+  });
+
+  test('reports XObjects with the ctm they are drawn in', () => {
+    const { xObjects } = walk('q 200 0 0 100 50 60 cm /Im1 Do Q /Fm2 Do');
+
+    assert.deepEqual(xObjects, [
+      { name: 'Im1', ctm: [200, 0, 0, 100, 50, 60] },
+      { name: 'Fm2', ctm: [1, 0, 0, 1, 0, 0] }
+    ]);
+  });
+
+  test('ignores text inside inline image data', () => {
+    const { text } = walk('BT 1 0 0 1 10 10 Tm BI /W 1 /H 1 ID (x) Tj EI (y) Tj ET');
+
+    assert.equal(text.length, 1);
+  });
+});
+
+describe('PageNumberMaskService.removeTextInRegion', () => {
+  test("removes text in the region and keeps the line moves of ' and \"", async () => {
+    const pdfDoc = await PDFDocument.create();
+    const page = pdfDoc.addPage([200, 200]);
+    const content = "BT 12 TL 1 0 0 1 20 40 Tm (Body) Tj 1 0 0 1 90 20 Tm (3) ' 1 2 (4) \" ET";
+    PageNumberMaskService._writeContent(pdfDoc, page, content);
+
+    const removed = PageNumberMaskService.removeTextInRegion(pdfDoc, page, { x: 80, y: -10, width: 40, height: 25 });
+
+    assert.equal(removed, 2);
+    assert.equal(
+      PageNumberMaskService._readContent(pdfDoc, page),
+      'BT 12 TL 1 0 0 1 20 40 Tm (Body) Tj 1 0 0 1 90 20 Tm T* 1 Tw 2 Tc T* ET'
+    );
+  });
+});
+
+describe('PageNumberMaskService.validateMask', () => {
+  test('accepts each mask type, and no mask', () => {
+    const region = { x: 0, y: 0, width: 100, height: 40 };
+
+    for (const mask of [
+      { type: 'remove_text', region },
+      { type: 'rectangle', region, color: [1, 1, 1] },
+      { type: 'sample', region, samplePoint: { x: 5, y: 5 } },
+      false,
+      undefined
+    ]) {
+      assert.deepEqual(PageNumberMaskService.validateMask(mask), [], JSON.stringify(mask));
+    }
+  });
+
+  test('rejects unknown types, missing regions and bad colours', () => {
+    assert.deepEqual(PageNumberMaskService.validateMask({ type: 'blur', region: { x: 0, y: 0, width: 10, height: 10 } }), [
+      'type must be one of: remove_text, rectangle, sample'
+    ]);
+    assert.match(PageNumberMaskService.validateMask({ type: 'rectangle' })[0], /^region must be/);
+    assert.match(PageNumberMaskService.validateMask({ type: 'rectangle', region: { x: 0, y: 0, width: '10', height: 10 } })[0], /^region must be/);
+    assert.match(PageNumberMaskService.validateMask({ type: 'sample', region: { x: 0, y: 0, width: 1, height: 1 }, color: '#fff' })[0], /^color must be/);
+    assert.deepEqual(PageNumberMaskService.validateMask('remove_text'), ['must be false or an object']);
+  });
+});
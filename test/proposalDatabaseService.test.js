@@ -0,0 +1,91 @@
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fakeSupabase = require('./helpers/fakeSupabase').install();
+const ProposalDatabaseService = require('../services/proposalDatabaseService');
+
+['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+
+describe('ProposalDatabaseService.getAllowedTransitions', () => {
+  test('follows the review workflow', () => {
+    assert.deepEqual(ProposalDatabaseService.getAllowedTransitions('draft'), ['submitted']);
+    assert.deepEqual(ProposalDatabaseService.getAllowedTransitions('submitted'), ['under_review', 'draft']);
+    assert.deepEqual(ProposalDatabaseService.getAllowedTransitions('under_review'), ['approved', 'rejected']);
+    assert.deepEqual(ProposalDatabaseService.getAllowedTransitions('rejected'), ['draft']);
+  });
+
+  test('lets nothing leave approved, or an unknown status', () => {
+    assert.deepEqual(ProposalDatabaseService.getAllowedTransitions('approved'), []);
+    assert.deepEqual(ProposalDatabaseService.getAllowedTransitions('archived'), []);
+    assert.deepEqual(ProposalDatabaseService.getAllowedTransitions(undefined), []);
+    assert.deepEqual(ProposalDatabaseService.getAllowedTransitions('constructor'), []);
+  });
+
+  test('only moves to known statuses, and every status can be reached from draft', () => {
+    const statuses = Object.keys(ProposalDatabaseService.STATUS_TRANSITIONS);
+    const reached = new Set(['draft']);
+    const queue = ['draft'];
+
+    while (queue.length > 0) {
+      for (const next of ProposalDatabaseService.getAllowedTransitions(queue.shift())) {
+        assert.ok(statuses.includes(next), `${next} is a known status`);
+        if (!reached.has(next)) {
+          reached.add(next);
+          queue.push(next);
+        }
+      }
+    }
+
+    assert.deepEqual([...reached].sort(), [...statuses].sort());
+    assert.ok(ProposalDatabaseService.COMMENT_REQUIRED_STATUSES.every(status => statuses.includes(status)));
+  });
+});
+
+describe('ProposalDatabaseService.updateVersionStatus', () => {
+  const rpc = fakeSupabase.rpc;
+  afterEach(() => { fakeSupabase.rpc = rpc; });
+
+  test('moves the version only from the status it was read with, returning null when that has changed', async () => {
+    const calls = [];
+    fakeSupabase.rpc = async (name, args) => {
+      calls.push({ name, args });
+      return { data: args.from_status === 'submitted' ? [{ id: args.target_version_id, status: args.to_status }] : [], error: null };
+    };
+
+    const updated = await ProposalDatabaseService.updateVersionStatus({ id: 'v1', status: 'submitted' }, 'under_review', { changedBy: 'user-r' });
+    assert.deepEqual(updated, { id: 'v1', status: 'under_review' });
+    assert.deepEqual(calls[0], {
+      name: 'update_proposal_version_status',
+      args: { target_version_id: 'v1', from_status: 'submitted', to_status: 'under_review', changed_by: 'user-r', change_comment: null }
+    });
+
+    assert.equal(await ProposalDatabaseService.updateVersionStatus({ id: 'v1', status: 'draft' }, 'submitted', { changedBy: 'user-a' }), null);
+  });
+
+  test('passes database errors on', async () => {
+    fakeSupabase.rpc = async () => ({ data: null, error: { message: 'permission denied' } });
+
+    await assert.rejects(
+      ProposalDatabaseService.updateVersionStatus({ id: 'v1', status: 'draft' }, 'submitted', { changedBy: 'user-a' }),
+      /^Error: Failed to update version status: permission denied$/
+    );
+  });
+});
+
+describe('ProposalDatabaseService.getSystemUserId', () => {
+  test('requires SYSTEM_USER_ID', () => {
+    const previous = process.env.SYSTEM_USER_ID;
+    try {
+      process.env.SYSTEM_USER_ID = '  9f0c2a52-4a3f-4c7e-9d0e-3f1b2c4d5e6f ';
+      assert.equal(ProposalDatabaseService.getSystemUserId(), '9f0c2a52-4a3f-4c7e-9d0e-3f1b2c4d5e6f');
+
+      process.env.SYSTEM_USER_ID = ' ';
+      assert.throws(() => ProposalDatabaseService.assertConfigured(), /SYSTEM_USER_ID must be set/);
+    } finally {
+      if (previous === undefined) {
+        delete process.env.SYSTEM_USER_ID;
+      } else {
+        process.env.SYSTEM_USER_ID = previous;
+      }
+    }
+  });
+});
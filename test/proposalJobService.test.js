@@ -0,0 +1,119 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fakeSupabase = require('./helpers/fakeSupabase').install();
+const ProposalJobService = require('../services/proposalJobService');
+
+['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+
+/**
+ * Let claim_proposal_job hand out queued jobs oldest first, as the database function does
+ */
+function fakeClaims() {
+  fakeSupabase.rpc = async name => {
+    assert.equal(name, 'claim_proposal_job');
+    const job = (fakeSupabase.tables[ProposalJobService.TABLE] || []).find(row => row.status === 'queued');
+    if (!job) {
+      return { data: [], error: null };
+    }
+    Object.assign(job, { status: 'running', attempts: job.attempts + 1, started_at: new Date().toISOString() });
+    return { data: [JSON.parse(JSON.stringify(job))], error: null };
+  };
+}
+
+describe('ProposalJobService', () => {
+  const rpc = fakeSupabase.rpc;
+  let proposalService;
+  let jobs;
+
+  beforeEach(() => {
+    fakeSupabase.tables[ProposalJobService.TABLE] = [];
+    fakeClaims();
+    proposalService = {};
+    jobs = new ProposalJobService(proposalService);
+  });
+
+  afterEach(() => { fakeSupabase.rpc = rpc; });
+
+  test('queues a generation job, keeping the callback secret out of the job summary', async () => {
+    const job = await jobs.submitJob({ Company: 'Acme' }, 'Acme.pdf', {
+      callback: { url: 'https://hooks.example.com/proposals', secret: 'shh' },
+      createdBy: 'user-a'
+    });
+
+    assert.equal(job.type, 'generate');
+    assert.equal(job.status, 'queued');
+    assert.deepEqual(job.payload, { config: { Company: 'Acme' }, outputFileName: 'Acme.pdf', linkExpiresIn: null });
+    assert.deepEqual(job.progress, { step: null, message: 'Waiting to start', percent: 0 });
+    assert.equal(job.callback_secret, 'shh');
+
+    const summary = jobs.toJobSummary(await jobs.getJob(job.id));
+    assert.deepEqual(summary.callback, { url: 'https://hooks.example.com/proposals', signed: true, status: 'pending', deliveryId: null });
+    assert.ok(!JSON.stringify(summary).includes('shh'));
+  });
+
+  test('rejects unknown job types, and finds no job for IDs that are not UUIDs', async () => {
+    await assert.rejects(jobs.submitTask({ type: 'delete', company: 'Acme', payload: {} }), /^Error: Unknown job type "delete"$/);
+    assert.equal(await jobs.getJob('1 or 1=1'), null);
+    assert.equal(await jobs.getJob('9f0c2a52-4a3f-4c7e-9d0e-3f1b2c4d5e6f'), null);
+  });
+
+  test('runs queued jobs in order, recording each step and the result', async () => {
+    proposalService.generateProposal = async (config, outputFileName, { onProgress, createdBy }) => {
+      onProgress('database', 'Saving proposal');
+      onProgress('merge', 'Merging PDFs');
+      return { company: config.Company, fileName: outputFileName, createdBy };
+    };
+    const first = await jobs.submitJob({ Company: 'Acme' }, 'Acme.pdf', { createdBy: 'user-a' });
+    const second = await jobs.submitJob({ Company: 'Beta' });
+
+    assert.equal(await jobs.runNextJob(), true);
+
+    const job = await jobs.getJob(first.id);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.attempts, 1);
+    assert.deepEqual(job.result, { company: 'Acme', fileName: 'Acme.pdf', createdBy: 'user-a' });
+    assert.deepEqual(job.steps.map(({ step, message }) => ({ step, message })), [
+      { step: 'database', message: 'Saving proposal' },
+      { step: 'merge', message: 'Merging PDFs' }
+    ]);
+    assert.deepEqual(job.progress, { step: 'complete', message: 'Proposal generated successfully', percent: 100 });
+    assert.ok(job.completed_at);
+    assert.equal((await jobs.getJob(second.id)).status, 'queued');
+  });
+
+  test('reports progress as the share of generation steps already started', async () => {
+    const percents = [];
+    proposalService.generateProposal = async (config, outputFileName, { onProgress }) => {
+      for (const step of ['database', 'templates', 'upload']) {
+        onProgress(step, step);
+        await new Promise(resolve => setImmediate(resolve));
+        percents.push(fakeSupabase.tables[ProposalJobService.TABLE][0].progress.percent);
+      }
+      return {};
+    };
+    await jobs.submitJob({ Company: 'Acme' });
+
+    await jobs.runNextJob();
+
+    assert.deepEqual(percents, [0, 33, 83]);
+  });
+
+  test('records a failed task\'s error, and does nothing when no job is queued', async () => {
+    proposalService.generateProposal = async () => { throw new Error('Template file not found: Missing.pdf'); };
+    const job = await jobs.submitJob({ Company: 'Acme' });
+
+    assert.equal(await jobs.runNextJob(), true);
+    const failed = await jobs.getJob(job.id);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.result, null);
+    assert.equal(failed.error, 'Template file not found: Missing.pdf');
+
+    assert.equal(await jobs.runNextJob(), false);
+  });
+
+  test('passes claim errors on', async () => {
+    fakeSupabase.rpc = async () => ({ data: null, error: { message: 'connection refused' } });
+
+    await assert.rejects(jobs.runNextJob(), /^Error: Failed to claim job: connection refused$/);
+  });
+});
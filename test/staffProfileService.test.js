@@ -0,0 +1,96 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const StaffProfileService = require('../services/staffProfileService');
+
+/**
+ * A 1x1 PNG
+ */
+const PNG_BYTES = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGP4z8AAAAMBAQDJ/pLvAAAAAElFTkSuQmCC',
+  'base64'
+);
+
+describe('StaffProfileService.validateProfile', () => {
+  let templatesDir;
+
+  before(() => {
+    templatesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'staff-profiles-'));
+    fs.mkdirSync(path.join(templatesDir, 'photos'));
+    fs.writeFileSync(path.join(templatesDir, 'photos', 'jane.png'), PNG_BYTES);
+    fs.writeFileSync(path.join(templatesDir, 'photos', 'notes.png'), 'not an image');
+  });
+
+  after(() => fs.rmSync(templatesDir, { recursive: true, force: true }));
+
+  test('accepts a profile with a photo path or data URI and accented Latin text', async () => {
+    const staff = {
+      name: 'Zoë Müller',
+      title: 'Senior Valuer',
+      bio: 'Based in Brisbane.\n\nWorks on “heavy” plant — cranes, graders and the like.',
+      regions: ['Québec'],
+      photo: 'photos/jane.png'
+    };
+
+    assert.deepEqual(await StaffProfileService.validateProfile(staff, templatesDir), []);
+    assert.deepEqual(await StaffProfileService.validateProfile({
+      ...staff,
+      photo: `data:image/png;base64,${PNG_BYTES.toString('base64')}`
+    }, templatesDir), []);
+  });
+
+  test('reports missing and unreadable photos', async () => {
+    assert.deepEqual(await StaffProfileService.validateProfile({ name: 'Jane', photo: 'photos/missing.jpg' }, templatesDir), [
+      'photo not found: photos/missing.jpg'
+    ]);
+    assert.deepEqual(await StaffProfileService.validateProfile({ name: 'Jane', photo: 'photos/notes.png' }, templatesDir), [
+      'photo must be a JPEG or PNG image'
+    ]);
+
+    const truncated = `data:image/png;base64,${PNG_BYTES.subarray(0, 20).toString('base64')}`;
+    const [error] = await StaffProfileService.validateProfile({ name: 'Jane', photo: truncated }, templatesDir);
+    assert.match(error, /^photo can't be read: /);
+  });
+
+  test('reports each field with characters the standard fonts cannot encode, once per character', async () => {
+    const errors = await StaffProfileService.validateProfile({
+      name: 'Łukasz Nowak',
+      bio: ['First paragraph ✓', 'Second paragraph ✓'],
+      qualifications: ['Diploma', '資格']
+    }, templatesDir);
+
+    assert.deepEqual(errors, [
+      "name has characters the profile font can't show: Ł",
+      "bio has characters the profile font can't show: ✓",
+      "qualifications has characters the profile font can't show: 資 格"
+    ]);
+  });
+
+  test('reports text too long for its column, and how many lines would be cut', async () => {
+    const sentence = 'Leads valuations of heavy plant and equipment across regional Queensland. ';
+    const staff = { name: 'Jane', title: 'Valuer', bio: sentence.repeat(3), qualifications: ['Diploma of Valuation'], regions: ['Brisbane'] };
+
+    assert.deepEqual(await StaffProfileService.validateProfile(staff, templatesDir), []);
+
+    const errors = await StaffProfileService.validateProfile({ ...staff, bio: sentence.repeat(80) }, templatesDir);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /^bio and qualifications are too long for the profile page by \d+ lines$/);
+
+    // The right column has room for 39 one-line regions under its heading
+    assert.deepEqual(await StaffProfileService.validateProfile({ name: 'Jane', regions: Array(39).fill('Brisbane') }, templatesDir), []);
+    assert.deepEqual(await StaffProfileService.validateProfile({ name: 'Jane', regions: Array(40).fill('Brisbane') }, templatesDir), [
+      'regions is too long for the profile page by 1 line'
+    ]);
+  });
+
+  test('renders the profiles it accepts', async () => {
+    const staff = { name: 'Zoë Müller', title: 'Valuer', bio: 'Café “owner”', photo: 'photos/jane.png' };
+
+    assert.deepEqual(await StaffProfileService.validateProfile(staff, templatesDir), []);
+    const pdfDoc = await StaffProfileService.renderProfile(staff, templatesDir);
+    assert.equal((await PDFDocument.load(await pdfDoc.save())).getPageCount(), 1);
+  });
+});
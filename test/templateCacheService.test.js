@@ -0,0 +1,134 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const TemplateCacheService = require('../services/templateCacheService');
+
+describe('TemplateCacheService', () => {
+  const previousMaxMb = process.env.TEMPLATE_CACHE_MAX_MB;
+  let directory;
+  const templates = {};
+
+  /**
+   * Cap the cache at a number of bytes
+   */
+  const setMaxBytes = bytes => {
+    process.env.TEMPLATE_CACHE_MAX_MB = String(bytes / (1024 * 1024));
+  };
+
+  const sizeOf = name => TemplateCacheService.entries.get(templates[name]).sizeBytes;
+  const cachedNames = () => [...TemplateCacheService.entries.keys()].map(templatePath => path.basename(templatePath, '.pdf'));
+
+  before(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'template-cache-'));
+    for (const [name, pageCount] of [['a', 1], ['b', 2], ['c', 3], ['large', 40]]) {
+      const pdfDoc = await PDFDocument.create();
+      for (let i = 0; i < pageCount; i++) {
+        pdfDoc.addPage().drawText(`${name} page ${i + 1}`);
+      }
+      templates[name] = path.join(directory, `${name}.pdf`);
+      fs.writeFileSync(templates[name], await pdfDoc.save());
+    }
+  });
+
+  after(() => {
+    if (previousMaxMb === undefined) {
+      delete process.env.TEMPLATE_CACHE_MAX_MB;
+    } else {
+      process.env.TEMPLATE_CACHE_MAX_MB = previousMaxMb;
+    }
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    TemplateCacheService.clear();
+    TemplateCacheService.stats = { hits: 0, misses: 0, evictions: 0 };
+    delete process.env.TEMPLATE_CACHE_MAX_MB;
+  });
+
+  test('parses a template once, then serves the shared document', async () => {
+    const first = await TemplateCacheService.getDocument(templates.b);
+    const second = await TemplateCacheService.getDocument(templates.b);
+
+    assert.equal(first, second);
+    assert.equal(await TemplateCacheService.getPageCount(templates.b), 2);
+    assert.deepEqual(
+      (({ entries, hits, misses, hitRate, evictions }) => ({ entries, hits, misses, hitRate, evictions }))(TemplateCacheService.getStats()),
+      { entries: 1, hits: 2, misses: 1, hitRate: 0.667, evictions: 0 }
+    );
+  });
+
+  test('sizes entries by more than their file bytes, and totals them', async () => {
+    await TemplateCacheService.getDocument(templates.a);
+    await TemplateCacheService.getDocument(templates.c);
+
+    assert.ok(sizeOf('a') > fs.statSync(templates.a).size);
+    assert.ok(sizeOf('c') > sizeOf('a'));
+    assert.equal(TemplateCacheService.getStats().sizeBytes, sizeOf('a') + sizeOf('c'));
+  });
+
+  test('evicts the least recently used templates once over the cap', async () => {
+    for (const name of ['a', 'b', 'c']) {
+      await TemplateCacheService.getDocument(templates[name]);
+    }
+    const sizes = { a: sizeOf('a'), b: sizeOf('b'), c: sizeOf('c') };
+
+    // Room for b and c, but not a as well; using b makes c the least recently used
+    TemplateCacheService.clear();
+    setMaxBytes(sizes.b + sizes.c + 1);
+    await TemplateCacheService.getDocument(templates.c);
+    await TemplateCacheService.getDocument(templates.b);
+    await TemplateCacheService.getDocument(templates.c);
+    assert.deepEqual(cachedNames(), ['b', 'c']);
+
+    await TemplateCacheService.getDocument(templates.a);
+    assert.deepEqual(cachedNames(), ['c', 'a']);
+    assert.equal(TemplateCacheService.getStats().evictions, 1);
+    assert.equal(TemplateCacheService.totalBytes, sizes.c + sizes.a);
+    assert.ok(TemplateCacheService.totalBytes <= TemplateCacheService._getMaxBytes());
+  });
+
+  test('returns a template larger than the cap without keeping it', async () => {
+    await TemplateCacheService.getDocument(templates.a);
+    setMaxBytes(sizeOf('a') * 2);
+
+    const large = await TemplateCacheService.getDocument(templates.large);
+
+    assert.equal(large.getPageCount(), 40);
+    assert.deepEqual(cachedNames(), []);
+    assert.equal(TemplateCacheService.totalBytes, 0);
+  });
+
+  test('keeps nothing when the cap is 0', async () => {
+    setMaxBytes(0);
+
+    assert.equal(await TemplateCacheService.getPageCount(templates.a), 1);
+    assert.equal(TemplateCacheService.getStats().entries, 0);
+  });
+
+  test('reloads a template whose file has changed, replacing its entry', async () => {
+    const before = await TemplateCacheService.getDocument(templates.a);
+    const size = TemplateCacheService.totalBytes;
+    fs.utimesSync(templates.a, new Date(), new Date(Date.now() + 5000));
+
+    const after = await TemplateCacheService.getDocument(templates.a);
+
+    assert.notEqual(after, before);
+    assert.equal(TemplateCacheService.getStats().misses, 2);
+    assert.equal(TemplateCacheService.entries.size, 1);
+    assert.equal(TemplateCacheService.totalBytes, size);
+  });
+
+  test('hands out editable copies that leave the cached document untouched', async () => {
+    const shared = await TemplateCacheService.getDocument(templates.a);
+    const copy = await TemplateCacheService.loadEditableCopy(templates.a);
+
+    copy.addPage();
+
+    assert.notEqual(copy, shared);
+    assert.equal(shared.getPageCount(), 1);
+    assert.equal((await TemplateCacheService.loadEditableCopy(templates.a)).getPageCount(), 1);
+  });
+});
@@ -0,0 +1,40 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const ValidationUtils = require('../utils/validationUtils');
+
+const config = tocGroups => ({
+  Company: 'Acme',
+  Templates: [{ name: 'Our Expertise - Marine', fileName: 'marine.pdf', editable: false }],
+  TocGroups: tocGroups
+});
+
+describe('ValidationUtils.validateProposalConfig TocGroups', () => {
+  test('accepts groups with a prefix or a list of templates', () => {
+    assert.deepEqual(ValidationUtils.validateProposalConfig(config([
+      { title: 'Our Expertise', prefix: 'Our Expertise - ' },
+      { title: 'About Us', templates: ['Company Profile', 'Our Team'] }
+    ])), []);
+  });
+
+  test('reports entries that are not objects instead of throwing', () => {
+    assert.deepEqual(ValidationUtils.validateProposalConfig(config([null, 'Our Expertise', ['About Us'], { title: 'About Us', prefix: 'About' }])), [
+      'TocGroups[0] must be an object',
+      'TocGroups[1] must be an object',
+      'TocGroups[2] must be an object'
+    ]);
+  });
+
+  test('reports missing titles and malformed prefixes and template lists', () => {
+    assert.deepEqual(ValidationUtils.validateProposalConfig(config([
+      { prefix: 'Our ' },
+      { title: 'About Us', prefix: 5 },
+      { title: 'Services', templates: 'Marine' },
+      { title: 'Staff' }
+    ])), [
+      'TocGroups[0] missing required field: title',
+      'TocGroups[1] prefix must be a string',
+      'TocGroups[2] templates must be an array of template names',
+      'TocGroups[3] requires a prefix or a templates array'
+    ]);
+  });
+});
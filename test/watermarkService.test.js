@@ -0,0 +1,128 @@
+const { test, describe, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument, PDFName, PDFRawStream, decodePDFRawStream } = require('pdf-lib');
+const PDFMergerService = require('../services/pdfMergerService');
+const WatermarkService = require('../services/watermarkService');
+const ValidationUtils = require('../utils/validationUtils');
+
+['log', 'warn'].forEach(method => mock.method(console, method, () => {}));
+
+/**
+ * A document of blank A4 pages
+ */
+async function blankDocument(pageCount) {
+  const pdfDoc = await PDFDocument.create();
+  for (let i = 0; i < pageCount; i++) {
+    pdfDoc.addPage([595, 842]);
+  }
+  return pdfDoc;
+}
+
+/**
+ * Merge a one-page front page and TOC with two content pages, then save and reload it as storage would
+ */
+async function storedProposal(watermark) {
+  const merged = await PDFMergerService.mergeFinalProposal([
+    { name: 'Front page', pdf: await blankDocument(1) },
+    { name: 'Table of contents', pdf: await blankDocument(1) },
+    { name: 'Content', pdf: await blankDocument(2) }
+  ], { watermark });
+  return await PDFDocument.load(await merged.save());
+}
+
+/**
+ * The text drawn in each page's watermark content stream, or null for unmarked pages
+ */
+function watermarkTexts(pdfDoc) {
+  return pdfDoc.getPages().map(page => {
+    const streamRef = page.node.get(WatermarkService.PAGE_KEY);
+    if (!streamRef) {
+      return null;
+    }
+    const stream = pdfDoc.context.lookup(streamRef);
+    const bytes = stream instanceof PDFRawStream ? decodePDFRawStream(stream).decode() : stream.getUnencodedContents();
+    const operators = Buffer.from(bytes).toString('latin1');
+    const hex = [...operators.matchAll(/<([0-9A-F]+)> Tj/g)].map(match => match[1]).join('');
+    return Buffer.from(hex, 'hex').toString('latin1');
+  });
+}
+
+/**
+ * Each page's content streams, leaving out the q/Q pair pdf-lib wraps around a loaded page's content
+ */
+function contentStreams(pdfDoc) {
+  const { context } = pdfDoc;
+  const wrappers = [context.getPushGraphicsStateContentStream(), context.getPopGraphicsStateContentStream()];
+  return pdfDoc.getPages().map(page => (page.node.Contents() ? page.node.Contents().asArray() : [])
+    .filter(streamRef => !wrappers.includes(streamRef)));
+}
+
+describe('PDFMergerService.replaceWatermark', () => {
+  test('swaps a stored proposal\'s watermark, still skipping the pages its skipPages name', async () => {
+    const pdfDoc = await storedProposal({ text: 'DRAFT', skipPages: ['front_page'] });
+    assert.deepEqual(watermarkTexts(pdfDoc), [null, 'DRAFT', 'DRAFT', 'DRAFT']);
+
+    await PDFMergerService.replaceWatermark(pdfDoc, { text: 'CONFIDENTIAL', skipPages: ['front_page', 'toc'] });
+    const restamped = await PDFDocument.load(await pdfDoc.save());
+
+    assert.deepEqual(watermarkTexts(restamped), [null, null, 'CONFIDENTIAL', 'CONFIDENTIAL']);
+  });
+
+  test('takes the watermark off, leaving the rest of each page as it was', async () => {
+    const pdfDoc = await storedProposal({ text: 'DRAFT' });
+    const pageStreams = contentStreams(pdfDoc).map((streams, index) => streams.filter(
+      streamRef => streamRef !== pdfDoc.getPage(index).node.get(WatermarkService.PAGE_KEY)
+    ));
+
+    await PDFMergerService.replaceWatermark(pdfDoc, null);
+
+    assert.deepEqual(watermarkTexts(pdfDoc), [null, null, null, null]);
+    assert.deepEqual(contentStreams(pdfDoc), pageStreams);
+  });
+
+  test('watermarks a proposal stored without one', async () => {
+    const pdfDoc = await storedProposal(null);
+
+    await PDFMergerService.replaceWatermark(pdfDoc, { text: 'DRAFT' });
+
+    assert.deepEqual(watermarkTexts(pdfDoc), ['DRAFT', 'DRAFT', 'DRAFT', 'DRAFT']);
+  });
+
+  test('refuses documents that do not record their layout', async () => {
+    const pdfDoc = await blankDocument(2);
+    await WatermarkService.applyWatermark(pdfDoc, 'DRAFT');
+
+    await assert.rejects(PDFMergerService.replaceWatermark(pdfDoc, null), /does not record its page layout/);
+    assert.ok(pdfDoc.catalog.get(PDFName.of('ProposalLayout')) === undefined);
+    assert.deepEqual(watermarkTexts(pdfDoc), ['DRAFT', 'DRAFT']);
+  });
+});
+
+describe('ValidationUtils.validateWatermark', () => {
+  test('accepts company names the watermark font can draw', () => {
+    assert.deepEqual(ValidationUtils.validateWatermark({ Company: 'Zoë & Müller – Café Pty Ltd' }), []);
+  });
+
+  test('reports a company name the confidential watermark can\'t draw, unless its text or the watermark is replaced', () => {
+    const config = { Company: 'Łódź Pty Ltd' };
+
+    assert.deepEqual(ValidationUtils.validateWatermark(config), [
+      "Watermark text for under_review versions has characters the watermark font can't show: Ł ź. Set Watermark text, or Watermark to false"
+    ]);
+    assert.deepEqual(ValidationUtils.validateWatermark({ ...config, Watermark: { text: 'CONFIDENTIAL' } }), []);
+    assert.deepEqual(ValidationUtils.validateWatermark({ ...config, Watermark: { statuses: ['draft'] } }), []);
+    assert.deepEqual(ValidationUtils.validateWatermark({ ...config, Watermark: false }), []);
+  });
+
+  test('checks custom text for every watermarked status', () => {
+    const errors = ValidationUtils.validateWatermark({
+      Company: 'Acme',
+      Watermark: { text: '{Status} ✓\n資料', statuses: ['draft', 'submitted'] }
+    });
+
+    assert.deepEqual(errors, [
+      "Watermark text for draft versions has characters the watermark font can't show: ✓ 資 料. Set Watermark text, or Watermark to false",
+      "Watermark text for submitted versions has characters the watermark font can't show: ✓ 資 料. Set Watermark text, or Watermark to false"
+    ]);
+  });
+});
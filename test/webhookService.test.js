@@ -0,0 +1,175 @@
+const { test, describe, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fakeSupabase = require('./helpers/fakeSupabase').install();
+const WebhookService = require('../services/webhookService');
+
+// Keep the services' progress logging out of the test report
+['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+
+/**
+ * Start a local HTTP receiver that answers with the given status codes in turn and records every request
+ */
+function startReceiver(statusCodes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body, receivedAt: Date.now() });
+      res.statusCode = statusCodes[Math.min(requests.length, statusCodes.length) - 1];
+      res.end();
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ url: `http://127.0.0.1:${server.address().port}/callback`, requests, close: () => server.close() });
+    });
+  });
+}
+
+describe('WebhookService.deliver', () => {
+  let receiver;
+
+  beforeEach(() => {
+    fakeSupabase.tables.webhook_deliveries = [];
+  });
+
+  after(() => receiver && receiver.close());
+
+  test('signs the body with HMAC-SHA256 over "<timestamp>.<body>"', async () => {
+    receiver = await startReceiver([200]);
+    const payload = { event: 'proposal.generate.completed', jobId: 'job-1' };
+
+    const delivery = await WebhookService.deliver(receiver.url, payload, { secret: 's3cret', allowPrivateNetworks: true });
+
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(receiver.requests.length, 1);
+
+    const { headers, body } = receiver.requests[0];
+    assert.deepEqual(JSON.parse(body), payload);
+    assert.equal(headers['x-slattery-event'], 'proposal.generate.completed');
+    assert.equal(headers['x-slattery-delivery'], delivery.id);
+    assert.equal(headers['x-slattery-signature'], `sha256=${WebhookService.sign(body, headers['x-slattery-timestamp'], 's3cret')}`);
+    receiver.close();
+  });
+
+  test('sends unsigned requests without a secret', async () => {
+    receiver = await startReceiver([204]);
+
+    const delivery = await WebhookService.deliver(receiver.url, { event: 'test' }, { allowPrivateNetworks: true });
+
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(receiver.requests[0].headers['x-slattery-signature'], undefined);
+    receiver.close();
+  });
+
+  test('retries server errors with exponential backoff until delivered', async () => {
+    receiver = await startReceiver([500, 503, 200]);
+
+    const delivery = await WebhookService.deliver(receiver.url, { event: 'test' }, {
+      retryBaseDelayMs: 40,
+      allowPrivateNetworks: true
+    });
+
+    assert.equal(delivery.status, 'delivered');
+    assert.deepEqual(delivery.attempts.map(attempt => attempt.statusCode), [500, 503, 200]);
+
+    const [first, second, third] = receiver.requests.map(request => request.receivedAt);
+    assert.ok(second - first >= 40, `first retry waited ${second - first}ms`);
+    assert.ok(third - second >= 80, `second retry waited ${third - second}ms`);
+    receiver.close();
+  });
+
+  test('stops at the attempt limit and at client errors', async () => {
+    receiver = await startReceiver([500]);
+    const exhausted = await WebhookService.deliver(receiver.url, { event: 'test' }, {
+      maxAttempts: 3,
+      retryBaseDelayMs: 1,
+      allowPrivateNetworks: true
+    });
+    assert.equal(exhausted.status, 'failed');
+    assert.equal(receiver.requests.length, 3);
+    receiver.close();
+
+    receiver = await startReceiver([400]);
+    const rejected = await WebhookService.deliver(receiver.url, { event: 'test' }, { retryBaseDelayMs: 1, allowPrivateNetworks: true });
+    assert.equal(rejected.status, 'failed');
+    assert.equal(receiver.requests.length, 1);
+    assert.equal(rejected.attempts[0].error, 'Receiver responded with HTTP 400');
+    receiver.close();
+  });
+
+  test('records each delivery and its attempts in the delivery log', async () => {
+    receiver = await startReceiver([502, 200]);
+
+    const delivery = await WebhookService.deliver(receiver.url, { event: 'proposal.refine.completed' }, {
+      retryBaseDelayMs: 1,
+      allowPrivateNetworks: true
+    });
+
+    const logged = await WebhookService.getDelivery(delivery.id);
+    assert.equal(logged.status, 'delivered');
+    assert.equal(logged.event, 'proposal.refine.completed');
+    assert.equal(logged.url, receiver.url);
+    assert.deepEqual(logged.attempts.map(attempt => attempt.statusCode), [502, 200]);
+    assert.ok(logged.deliveredAt);
+
+    const deliveries = await WebhookService.getDeliveries(10);
+    assert.deepEqual(deliveries.map(entry => entry.id), [delivery.id]);
+    receiver.close();
+  });
+
+  test('refuses to connect to private addresses', async () => {
+    receiver = await startReceiver([200]);
+
+    const delivery = await WebhookService.deliver(receiver.url, { event: 'test' }, { retryBaseDelayMs: 1, allowPrivateNetworks: false });
+
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts.length, 1);
+    assert.match(delivery.attempts[0].error, /private, loopback or link-local/);
+    assert.equal(receiver.requests.length, 0);
+    receiver.close();
+  });
+});
+
+describe('WebhookService callback URL checks', () => {
+  let allowPrivate;
+
+  before(() => {
+    allowPrivate = process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS;
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS;
+  });
+
+  after(() => {
+    if (allowPrivate !== undefined) {
+      process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS = allowPrivate;
+    }
+  });
+
+  test('blocks loopback, link-local, private and reserved addresses', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1',
+      '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:10.0.0.1']) {
+      assert.equal(WebhookService.isBlockedAddress(address), true, address);
+    }
+
+    for (const address of ['8.8.8.8', '203.0.113.10', '172.32.0.1', '2606:4700::1111', '::ffff:8.8.8.8']) {
+      assert.equal(WebhookService.isBlockedAddress(address), false, address);
+    }
+  });
+
+  test('rejects callback URLs that point at blocked addresses', async () => {
+    for (const url of ['http://127.0.0.1:8080/hook', 'http://169.254.169.254/latest/meta-data', 'https://[::1]/hook',
+      'http://10.0.0.5/hook', 'http://localhost/hook']) {
+      const errors = await WebhookService.checkCallbackUrl(url);
+      assert.equal(errors.length, 1, url);
+      assert.match(errors[0], /^callbackUrl must not point to a private, loopback or link-local address/);
+    }
+  });
+
+  test('allows public addresses, and private ones when configured', async () => {
+    assert.deepEqual(await WebhookService.checkCallbackUrl('https://203.0.113.10/hook'), []);
+    assert.deepEqual(await WebhookService.checkCallbackUrl('http://127.0.0.1/hook', { allowPrivateNetworks: true }), []);
+  });
+});
@@ -115,6 +115,22 @@ class FileUtils {
     
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   }
+
+  /**
+   * Build a Content-Disposition header for a download of any filename
+   * Header values must be Latin-1, so the name goes in filename* percent-encoded as UTF-8 (RFC 6266),
+   * with an ASCII fallback in filename for clients that don't read filename*
+   */
+  static contentDisposition(fileName, disposition = 'attachment') {
+    const asciiName = fileName
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '') // Drop accents left as combining marks, so "é" falls back to "e"
+      .replace(/[^\x20-\x7e]|["\\]/g, '_');
+    const encodedName = encodeURIComponent(fileName)
+      .replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+    return `${disposition}; filename="${asciiName}"; filename*=UTF-8''${encodedName}`;
+  }
 }
 
 module.exports = FileUtils;
\ No newline at end of file
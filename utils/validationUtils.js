@@ -1,3 +1,8 @@
+const { StandardFonts, StandardFontEmbedder } = require('pdf-lib');
+const DownloadLinkService = require('../services/downloadLinkService');
+const WatermarkService = require('../services/watermarkService');
+const HeaderFooterService = require('../services/headerFooterService');
+
 /**
  * Validation Utilities
  * Input validation and error handling utilities
@@ -36,28 +41,36 @@ class ValidationUtils {
       // Try to find Company and Templates at any level with cycle detection
       const findInObject = (obj, key, visited = new Set()) => {
         // Prevent infinite recursion by checking if we've already visited this object
-        if (visited.has(obj)) return null;
+        if (visited.has(obj)) return undefined;
         visited.add(obj);
 
-        if (obj && typeof obj === 'object' && obj[key]) return obj[key];
+        // Compare with undefined so settings such as Watermark: false are found
+        if (obj && typeof obj === 'object' && obj[key] !== undefined) return obj[key];
 
         for (let prop in obj) {
           if (typeof obj[prop] === 'object' && obj[prop] !== null) {
             const result = findInObject(obj[prop], key, visited);
-            if (result) return result;
+            if (result !== undefined) return result;
           }
         }
-        return null;
+        return undefined;
       };
 
       const company = findInObject(inputData, 'Company');
       const templates = findInObject(inputData, 'Templates');
-
       if (company || templates) {
         config = {
           Company: company,
           Templates: templates || []
         };
+
+        // Carry over optional proposal-level settings
+        for (const key of ['TocGroups', 'TocStyle', 'Watermark', 'HeaderFooter', 'FeeSchedule']) {
+          const value = findInObject(inputData, key);
+          if (value !== undefined) {
+            config[key] = value;
+          }
+        }
       }
     }
 
@@ -92,6 +105,10 @@ class ValidationUtils {
           errors.push(`Template[${index}] editable must be a boolean`);
         }
 
+        if (template.fullBleed !== undefined && typeof template.fullBleed !== 'boolean') {
+          errors.push(`Template[${index}] fullBleed must be a boolean`);
+        }
+
         // Validate editable template fields
         if (template.editable === true) {
           if (template.fieldValues && typeof template.fieldValues !== 'object' && !Array.isArray(template.fieldValues)) {
@@ -99,14 +116,61 @@ class ValidationUtils {
           }
         }
 
+        // Images for the template's image slots: a list filling them in order, or slot names mapped to images
+        if (template.images !== undefined && (!template.images || typeof template.images !== 'object')) {
+          errors.push(`Template[${index}] images must be an array or an object of slot names to images`);
+        }
+
+        if (template.imageFit !== undefined && typeof template.imageFit !== 'string') {
+          errors.push(`Template[${index}] imageFit must be a string`);
+        }
+
         // Validate staff profiles
         if (template.name === 'Staff Profiles' && template.staffs) {
           if (!Array.isArray(template.staffs)) {
             errors.push(`Staff Profiles template[${index}] staffs must be an array`);
           } else {
             template.staffs.forEach((staff, staffIndex) => {
-              if (!staff.name || !staff.fileName) {
-                errors.push(`Staff[${staffIndex}] in template[${index}] missing name or fileName`);
+              const label = `Staff[${staffIndex}] in template[${index}]`;
+
+              // A staff directory reference: "<id>" or { id }, checked against the directory before generation
+              if (typeof staff === 'string' || typeof staff === 'number') {
+                if (!this.isUuid(staff)) {
+                  errors.push(`${label} must be a staff ID (a UUID) or an object`);
+                }
+                return;
+              }
+              if (!staff || typeof staff !== 'object') {
+                errors.push(`${label} must be a staff ID or an object`);
+                return;
+              }
+              if (staff.id !== undefined) {
+                if (!this.isUuid(staff.id)) {
+                  errors.push(`${label} id must be a staff ID (a UUID)`);
+                }
+                return;
+              }
+
+              if (!staff.name || typeof staff.name !== 'string') {
+                errors.push(`${label} missing name`);
+              }
+
+              // Without a profile PDF, the profile page is built from the staff data
+              for (const key of ['fileName', 'title', 'phone', 'email', 'photo']) {
+                if (staff[key] !== undefined && typeof staff[key] !== 'string') {
+                  errors.push(`${label} ${key} must be a string`);
+                }
+              }
+
+              if (staff.bio !== undefined && typeof staff.bio !== 'string' &&
+                  !(Array.isArray(staff.bio) && staff.bio.every(paragraph => typeof paragraph === 'string'))) {
+                errors.push(`${label} bio must be a string or an array of paragraphs`);
+              }
+
+              for (const key of ['qualifications', 'regions']) {
+                if (staff[key] !== undefined && !(Array.isArray(staff[key]) && staff[key].every(item => typeof item === 'string'))) {
+                  errors.push(`${label} ${key} must be an array of strings`);
+                }
               }
             });
           }
@@ -114,6 +178,317 @@ class ValidationUtils {
       });
     }
 
+    // Validate optional TOC section groups
+    if (config.TocGroups !== undefined) {
+      if (!Array.isArray(config.TocGroups)) {
+        errors.push('TocGroups must be an array');
+      } else {
+        config.TocGroups.forEach((group, index) => {
+          if (!group || typeof group !== 'object' || Array.isArray(group)) {
+            errors.push(`TocGroups[${index}] must be an object`);
+            return;
+          }
+
+          if (!group.title || typeof group.title !== 'string') {
+            errors.push(`TocGroups[${index}] missing required field: title`);
+          }
+
+          if (group.prefix !== undefined && typeof group.prefix !== 'string') {
+            errors.push(`TocGroups[${index}] prefix must be a string`);
+          }
+
+          if (group.templates !== undefined && !(Array.isArray(group.templates) && group.templates.every(name => typeof name === 'string'))) {
+            errors.push(`TocGroups[${index}] templates must be an array of template names`);
+          } else if (!group.prefix && !Array.isArray(group.templates)) {
+            errors.push(`TocGroups[${index}] requires a prefix or a templates array`);
+          }
+        });
+      }
+    }
+
+    // Validate optional TOC style: "programmatic", "template" or an object of overrides
+    if (config.TocStyle !== undefined) {
+      const tocStyle = typeof config.TocStyle === 'string' ? { type: config.TocStyle } : config.TocStyle;
+
+      if (!tocStyle || typeof tocStyle !== 'object' || Array.isArray(tocStyle)) {
+        errors.push('TocStyle must be "programmatic", "template" or an object');
+      } else {
+        if (tocStyle.type !== undefined && !['programmatic', 'template'].includes(tocStyle.type)) {
+          errors.push('TocStyle type must be "programmatic" or "template"');
+        }
+
+        if (tocStyle.columns !== undefined && (!Number.isInteger(tocStyle.columns) || tocStyle.columns < 1)) {
+          errors.push('TocStyle columns must be a positive integer');
+        }
+
+        for (const key of ['font', 'boldFont']) {
+          if (tocStyle[key] !== undefined && !this.isStandardFont(tocStyle[key])) {
+            errors.push(`TocStyle ${key} must be one of: ${Object.keys(StandardFonts).join(', ')}`);
+          }
+        }
+
+        for (const key of ['fontSize', 'lineHeight']) {
+          if (tocStyle[key] !== undefined && (typeof tocStyle[key] !== 'number' || tocStyle[key] <= 0)) {
+            errors.push(`TocStyle ${key} must be a positive number`);
+          }
+        }
+
+        for (const key of ['columnGap', 'indentWidth']) {
+          if (tocStyle[key] !== undefined && (typeof tocStyle[key] !== 'number' || tocStyle[key] < 0)) {
+            errors.push(`TocStyle ${key} must be a non-negative number`);
+          }
+        }
+
+        if (tocStyle.colors !== undefined) {
+          if (!tocStyle.colors || typeof tocStyle.colors !== 'object' || Array.isArray(tocStyle.colors)) {
+            errors.push('TocStyle colors must be an object of heading, text, dots and pageNumber colours');
+          } else {
+            for (const [key, color] of Object.entries(tocStyle.colors)) {
+              if (!['heading', 'text', 'dots', 'pageNumber'].includes(key)) {
+                errors.push(`TocStyle colors has unknown colour "${key}". Use heading, text, dots or pageNumber`);
+              } else if (!this.isColor(color)) {
+                errors.push(`TocStyle colors ${key} must be "#RRGGBB" or an [r, g, b] array of numbers between 0 and 1`);
+              }
+            }
+          }
+        }
+
+        if (tocStyle.region !== undefined && tocStyle.region !== null) {
+          const { x, y, width, height } = tocStyle.region;
+          if (![x, y, width, height].every(value => typeof value === 'number') || width <= 0 || height <= 0) {
+            errors.push('TocStyle region must have numeric x, y and positive width, height');
+          }
+        }
+      }
+    }
+
+    // Validate optional watermark settings, and the status watermarks' text
+    errors.push(...this.validateWatermark(config));
+
+    // Validate optional running header and footer settings
+    if (config.HeaderFooter !== undefined) {
+      errors.push(...this.validateHeaderFooter(config.HeaderFooter, config));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate config.Watermark (false, or an object of overrides; see WatermarkService) and the text of each
+   * status watermark, which is drawn in a standard font and so must be WinAnsi, {Company} included
+   */
+  static validateWatermark(config) {
+    const errors = [];
+
+    if (config.Watermark !== undefined && config.Watermark !== false) {
+      const watermark = config.Watermark;
+
+      if (!watermark || typeof watermark !== 'object' || Array.isArray(watermark)) {
+        errors.push('Watermark must be false or an object');
+      } else {
+        if (watermark.text !== undefined && (typeof watermark.text !== 'string' || !watermark.text.trim())) {
+          errors.push('Watermark text must be a non-empty string');
+        }
+
+        if (watermark.opacity !== undefined && (typeof watermark.opacity !== 'number' || watermark.opacity < 0 || watermark.opacity > 1)) {
+          errors.push('Watermark opacity must be a number between 0 and 1');
+        }
+
+        if (watermark.angle !== undefined && typeof watermark.angle !== 'number') {
+          errors.push('Watermark angle must be a number of degrees');
+        }
+
+        if (watermark.color !== undefined && !(Array.isArray(watermark.color) && watermark.color.length === 3 &&
+            watermark.color.every(value => typeof value === 'number' && value >= 0 && value <= 1))) {
+          errors.push('Watermark color must be an [r, g, b] array of numbers between 0 and 1');
+        }
+
+        if (watermark.skipPages !== undefined && !(Array.isArray(watermark.skipPages) &&
+            watermark.skipPages.every(page => page === 'front_page' || page === 'toc' || (Number.isInteger(page) && page > 0)))) {
+          errors.push('Watermark skipPages must be an array of "front_page", "toc" or page numbers');
+        }
+
+        if (watermark.statuses !== undefined && !(Array.isArray(watermark.statuses) &&
+            watermark.statuses.every(status => typeof status === 'string'))) {
+          errors.push('Watermark statuses must be an array of version statuses');
+        }
+      }
+    }
+
+    if (errors.length > 0 || config.Watermark === false) {
+      return errors;
+    }
+
+    const statuses = (config.Watermark && config.Watermark.statuses) || Object.keys(WatermarkService.STATUS_WATERMARKS);
+    for (const status of statuses) {
+      const watermark = WatermarkService.resolveForStatus(config, status);
+      const unsupported = watermark ? this.unencodableCharacters(watermark.text, WatermarkService.FONT) : [];
+      if (unsupported.length > 0) {
+        errors.push(`Watermark text for ${status} versions has characters the watermark font can't show: ${unsupported.join(' ')}. ` +
+          'Set Watermark text, or Watermark to false');
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Whether a value names one of pdf-lib's standard fonts (Helvetica, TimesRoman, Courier, ...)
+   */
+  static isStandardFont(value) {
+    return typeof value === 'string' && Object.prototype.hasOwnProperty.call(StandardFonts, value);
+  }
+
+  /**
+   * Characters of a text that a standard font can't encode, each listed once
+   * pdf-lib's standard fonts only cover WinAnsi; line breaks are skipped, as text is drawn a line at a time
+   * @param {string} text
+   * @param {string} fontName - A StandardFonts value, e.g. StandardFonts.Helvetica
+   * @returns {Array<string>}
+   */
+  static unencodableCharacters(text, fontName) {
+    const embedder = StandardFontEmbedder.for(fontName);
+    return [...new Set([...text].filter(character => {
+      if (character === '\n') {
+        return false;
+      }
+      try {
+        embedder.encodeText(character);
+        return false;
+      } catch (error) {
+        return true;
+      }
+    }))];
+  }
+
+  /**
+   * Whether a value is a UUID, the format of the database's record IDs
+   */
+  static isUuid(value) {
+    return typeof value === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+  }
+
+  /**
+   * Whether a value is a colour the TOC renderer reads: "#RRGGBB" or an [r, g, b] array of numbers between 0 and 1
+   */
+  static isColor(value) {
+    if (Array.isArray(value)) {
+      return value.length === 3 && value.every(component => typeof component === 'number' && component >= 0 && component <= 1);
+    }
+    return typeof value === 'string' && /^#?[0-9a-f]{6}$/i.test(value);
+  }
+
+  /**
+   * Validate config.HeaderFooter (see HeaderFooterService)
+   * Slot text is drawn in a standard font, so it is checked with {company} and each possible {section} filled in
+   * @param {Object} headerFooter - config.HeaderFooter
+   * @param {Object} config - The proposal configuration, for the Company and the titles a {section} can be
+   */
+  static validateHeaderFooter(headerFooter, config = {}) {
+    const errors = [];
+    const slotTexts = [];
+
+    if (!headerFooter || typeof headerFooter !== 'object' || Array.isArray(headerFooter)) {
+      return ['HeaderFooter must be an object'];
+    }
+
+    if (headerFooter.font !== undefined && !this.isStandardFont(headerFooter.font)) {
+      errors.push(`HeaderFooter font must be one of: ${Object.keys(StandardFonts).join(', ')}`);
+    }
+
+    for (const key of ['fontSize', 'margin']) {
+      if (headerFooter[key] !== undefined && (typeof headerFooter[key] !== 'number' || headerFooter[key] < 0)) {
+        errors.push(`HeaderFooter ${key} must be a non-negative number`);
+      }
+    }
+
+    if (headerFooter.color !== undefined && !(Array.isArray(headerFooter.color) && headerFooter.color.length === 3 &&
+        headerFooter.color.every(value => typeof value === 'number' && value >= 0 && value <= 1))) {
+      errors.push('HeaderFooter color must be an [r, g, b] array of numbers between 0 and 1');
+    }
+
+    if (headerFooter.suppressOnFullBleed !== undefined && typeof headerFooter.suppressOnFullBleed !== 'boolean') {
+      errors.push('HeaderFooter suppressOnFullBleed must be a boolean');
+    }
+
+    // Header and footer slots: false, or { left?, center?, right?, offset? }
+    const validateSlots = (slots, label) => {
+      if (slots === undefined || slots === false) {
+        return;
+      }
+
+      if (!slots || typeof slots !== 'object' || Array.isArray(slots)) {
+        errors.push(`${label} must be false or an object of left, center and right text`);
+        return;
+      }
+
+      for (const slot of ['left', 'center', 'right']) {
+        if (slots[slot] !== undefined && typeof slots[slot] !== 'string') {
+          errors.push(`${label} ${slot} must be a string`);
+        } else if (slots[slot]) {
+          slotTexts.push({ label: `${label} ${slot}`, text: slots[slot] });
+        }
+      }
+
+      if (slots.offset !== undefined && (typeof slots.offset !== 'number' || slots.offset < 0)) {
+        errors.push(`${label} offset must be a non-negative number`);
+      }
+    };
+
+    validateSlots(headerFooter.header, 'HeaderFooter header');
+    validateSlots(headerFooter.footer, 'HeaderFooter footer');
+
+    if (headerFooter.sections !== undefined) {
+      if (!headerFooter.sections || typeof headerFooter.sections !== 'object' || Array.isArray(headerFooter.sections)) {
+        errors.push('HeaderFooter sections must be an object keyed by TOC section title');
+      } else {
+        for (const [title, override] of Object.entries(headerFooter.sections)) {
+          if (override === false) {
+            continue;
+          }
+
+          if (!override || typeof override !== 'object' || Array.isArray(override)) {
+            errors.push(`HeaderFooter sections["${title}"] must be false or an object`);
+            continue;
+          }
+
+          validateSlots(override.header, `HeaderFooter sections["${title}"] header`);
+          validateSlots(override.footer, `HeaderFooter sections["${title}"] footer`);
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    // {section} is a top-level TOC title: a template's name, or the title of the TocGroup it falls in
+    const fontKey = HeaderFooterService.resolveStyle(headerFooter).font;
+    const sectionTitles = [
+      ...(Array.isArray(config.Templates) ? config.Templates : []).map(template => template && template.name),
+      ...(Array.isArray(config.TocGroups) ? config.TocGroups : []).map(group => group && group.title)
+    ].filter(title => typeof title === 'string');
+
+    // The other tokens are numbers, a date and a version label; sample values check the font can draw those
+    const sampleTokens = { page: 1, total: 1, company: '', section: '', date: HeaderFooterService.formatDate(new Date()), version: 'v1' };
+
+    for (const { label, text } of slotTexts) {
+      const sources = [{ text: HeaderFooterService.fillTokens(text, sampleTokens), from: '' }];
+      if (text.includes('{company}') && typeof config.Company === 'string') {
+        sources.push({ text: config.Company, from: ' in {company}' });
+      }
+      if (text.includes('{section}')) {
+        sources.push(...[...new Set(sectionTitles)].map(title => ({ text: title, from: ` in {section} "${title}"` })));
+      }
+
+      for (const source of sources) {
+        const unsupported = this.unencodableCharacters(source.text, StandardFonts[fontKey]);
+        if (unsupported.length > 0) {
+          errors.push(`${label} has characters the ${fontKey} font can't show${source.from}: ${unsupported.join(' ')}`);
+        }
+      }
+    }
+
     return errors;
   }
 
@@ -150,6 +525,125 @@ class ValidationUtils {
       errors.push('outputFileName must be a valid PDF filename');
     }
 
+    errors.push(...this.validateCallbackOptions(req.body));
+    errors.push(...this.validateLinkExpiry(req.body));
+
+    return errors;
+  }
+
+  /**
+   * Validate the optional download link lifetime (seconds)
+   */
+  static validateLinkExpiry(body, maxSeconds = DownloadLinkService.MAX_TTL_SECONDS) {
+    const errors = [];
+    const { linkExpiresIn } = body || {};
+
+    if (linkExpiresIn !== undefined && (!Number.isInteger(linkExpiresIn) || linkExpiresIn <= 0 || linkExpiresIn > maxSeconds)) {
+      errors.push(`linkExpiresIn must be a whole number of seconds between 1 and ${maxSeconds}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a staff directory record from the API (see StaffDirectoryService)
+   * @param {Object} body - Staff fields
+   * @param {boolean} partial - Only check the fields given (updates); otherwise name is required
+   */
+  static validateStaffRecord(body, partial = false) {
+    const errors = [];
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return ['Request body must be a staff object'];
+    }
+
+    if (body.name !== undefined || !partial) {
+      if (typeof body.name !== 'string' || !body.name.trim()) {
+        errors.push('name is required and must be a non-empty string');
+      }
+    }
+
+    for (const key of ['title', 'phone', 'email', 'photo', 'profileFileName', 'bio']) {
+      if (body[key] !== undefined && body[key] !== null && typeof body[key] !== 'string') {
+        errors.push(`${key} must be a string`);
+      }
+    }
+
+    if (typeof body.email === 'string' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(body.email)) {
+      errors.push('email must be a valid email address');
+    }
+
+    if (typeof body.profileFileName === 'string' && !/^[\w\-. &()]+\.pdf$/i.test(body.profileFileName)) {
+      errors.push('profileFileName must be a PDF file name in the templates directory');
+    }
+
+    if (typeof body.photo === 'string' && !body.photo.startsWith('data:image/') && this.validateFilePath(body.photo).length > 0) {
+      errors.push('photo must be a path in the templates directory or an image data URI');
+    }
+
+    for (const key of ['qualifications', 'regions']) {
+      if (body[key] !== undefined && body[key] !== null &&
+          !(Array.isArray(body[key]) && body[key].every(item => typeof item === 'string'))) {
+        errors.push(`${key} must be an array of strings`);
+      }
+    }
+
+    if (body.active !== undefined && typeof body.active !== 'boolean') {
+      errors.push('active must be a boolean');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate catalog query parameters
+   */
+  static validateCatalogQuery(query) {
+    const errors = [];
+
+    for (const key of ['editable', 'hasImages', 'includeInternal']) {
+      if (query[key] !== undefined && !['true', 'false'].includes(query[key])) {
+        errors.push(`${key} must be true or false`);
+      }
+    }
+
+    for (const key of ['category', 'q']) {
+      if (query[key] !== undefined && typeof query[key] !== 'string') {
+        errors.push(`${key} must be a single value`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate optional webhook callback parameters
+   */
+  static validateCallbackOptions(body) {
+    const errors = [];
+    const { callbackUrl, callbackSecret } = body || {};
+
+    if (callbackUrl !== undefined) {
+      let url = null;
+      try {
+        url = new URL(callbackUrl);
+      } catch (error) {
+        // Reported below
+      }
+
+      if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        errors.push('callbackUrl must be a valid http(s) URL');
+      }
+    }
+
+    if (callbackSecret !== undefined) {
+      if (typeof callbackSecret !== 'string' || callbackSecret.length === 0) {
+        errors.push('callbackSecret must be a non-empty string');
+      } else if (callbackUrl === undefined) {
+        errors.push('callbackSecret requires a callbackUrl');
+      }
+    }
+
     return errors;
   }
 
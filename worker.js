@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const ProposalGeneratorService = require('./services/proposalGeneratorService');
+const ProposalJobService = require('./services/proposalJobService');
+const DownloadLinkService = require('./services/downloadLinkService');
+
+/**
+ * Proposal job worker
+ * Runs the background jobs the API queues in the proposal_jobs table (see ProposalJobService)
+ * Run it alongside serverless deployments, where API functions can't keep working after they respond:
+ *   npm run worker
+ */
+DownloadLinkService.assertConfigured();
+
+const jobService = new ProposalJobService(new ProposalGeneratorService());
+const worker = jobService.startWorker({
+  pollIntervalMs: Number(process.env.JOB_POLL_INTERVAL_MS) || ProposalJobService.POLL_INTERVAL_MS
+});
+
+// Finish the job in progress before exiting
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, async () => {
+    console.log(`\n${signal} received, stopping the job worker after the current job`);
+    await worker.stop();
+    process.exit(0);
+  });
+}